@@ -2,6 +2,9 @@
  * CRUD Helper Functions - Consolidates duplicate route patterns
  */
 const ErrorHandler = require('./services/error-handler');
+const ChangeHistory = require('./services/change-history');
+const UndoStack = require('./services/undo-stack');
+const Trash = require('./services/trash');
 
 class CrudHelpers {
     /**
@@ -13,19 +16,75 @@ class CrudHelpers {
     }
 
     /**
-     * Generic delete handler for simple delete operations
+     * Log a change to a row if its table keeps a change history, as part of
+     * the request's undoable operation. Deletes must be logged before the row
+     * is deleted, everything else after the row is written.
+     * @param {Object} req - Express request making the change
+     * @param {string} tableName - Database table name
+     * @param {number} id - Row ID
+     * @param {string} action - 'create', 'update' or 'delete'
+     * @param {Object|null} before - Row before the change
+     * @returns {Promise<number[]>} IDs of the entries logged
+     */
+    static async recordChange(req, tableName, id, action, before) {
+        const entityType = ChangeHistory.ENTITY_TYPES[tableName];
+        if (!entityType) return [];
+
+        const db = CrudHelpers.databaseService;
+        const after = action === 'delete' ? null : await db.get(`SELECT * FROM ${tableName} WHERE id = ?`, [id]);
+        // Saving without changes shouldn't start an operation and lose the redo stack
+        if (before && after && Object.keys(ChangeHistory.diff(before, after).after).length === 0) return [];
+
+        const context = {
+            actor: ChangeHistory.getActor(req),
+            operationId: await UndoStack.getOperationId(db, req, UndoStack.describeChange(entityType, action, after || before))
+        };
+        if (action === 'delete') {
+            return ChangeHistory.recordDelete(db, tableName, before, context);
+        }
+        return [await ChangeHistory.record(db, { entityType, entityId: id, action, before, after, ...context })];
+    }
+
+    /**
+     * Row as it is before a change, when its table keeps a change history
+     * @param {string} tableName - Database table name
+     * @param {number} id - Row ID
+     * @returns {Promise<Object|null>}
+     */
+    static async getAuditedRow(tableName, id) {
+        if (!ChangeHistory.ENTITY_TYPES[tableName]) return null;
+        return CrudHelpers.databaseService.get(`SELECT * FROM ${tableName} WHERE id = ?`, [id]);
+    }
+
+    /**
+     * Generic delete handler for simple delete operations. Panels, breakers,
+     * circuits and rooms go to the trash.
      * @param {string} tableName - Database table name
      * @param {string} entityName - Entity name for error messages
+     * @param {Function} [afterDelete] - Async cleanup run once the row is gone
      * @returns {Function} Express route handler
      */
-    static createDeleteHandler(tableName, entityName) {
+    static createDeleteHandler(tableName, entityName, afterDelete = null) {
         return ErrorHandler.asyncHandler(async (req, res) => {
-            const result = await CrudHelpers.databaseService.run(`DELETE FROM ${tableName} WHERE id = ?`, [req.params.id]);
+            const result = await CrudHelpers.databaseService.transaction(async (db) => {
+                const before = await CrudHelpers.getAuditedRow(tableName, req.params.id);
+                if (before) {
+                    const entryIds = await CrudHelpers.recordChange(req, tableName, req.params.id, 'delete', before);
+                    if (Trash.isTrashable(tableName)) {
+                        await Trash.add(db, tableName, before, { entryIds, operationId: req.operationId, actor: ChangeHistory.getActor(req) });
+                    }
+                }
+                return db.run(`DELETE FROM ${tableName} WHERE id = ?`, [req.params.id]);
+            });
             
             if (result.changes === 0) {
                 const errorInfo = ErrorHandler.handleNotFoundError(entityName);
                 return ErrorHandler.sendError(res, errorInfo);
             }
+
+            if (afterDelete) {
+                await afterDelete();
+            }
             
             res.json({ message: `${entityName} deleted successfully` });
         });
@@ -79,6 +138,7 @@ class CrudHelpers {
                     `INSERT INTO ${tableName} (${fieldNames}) VALUES (${placeholders})`,
                     values
                 );
+                await CrudHelpers.recordChange(req, tableName, result.id, 'create', null);
                 
                 res.status(201).json({ id: result.id, ...finalData });
             } catch (error) {
@@ -112,6 +172,7 @@ class CrudHelpers {
                 const values = fields.map(field => finalData[field]);
                 values.push(req.params.id); // Add ID for WHERE clause
                 
+                const before = await CrudHelpers.getAuditedRow(tableName, req.params.id);
                 const result = await CrudHelpers.databaseService.run(
                     `UPDATE ${tableName} SET ${setClause} WHERE id = ?`,
                     values
@@ -121,6 +182,7 @@ class CrudHelpers {
                     const errorInfo = ErrorHandler.handleNotFoundError(entityName);
                     return ErrorHandler.sendError(res, errorInfo);
                 }
+                await CrudHelpers.recordChange(req, tableName, req.params.id, 'update', before);
                 
                 res.json({ id: req.params.id, ...finalData });
             } catch (error) {
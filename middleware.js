@@ -1,4 +1,10 @@
 // Note: asyncHandler moved to ErrorHandler utility class
+const AttachmentStorage = require('./services/attachment-storage');
+const ChangeHistory = require('./services/change-history');
+const Auth = require('./services/auth');
+const Backup = require('./services/backup');
+const CsvParser = require('./services/csv-parser');
+const CsvImport = require('./services/csv-import');
 
 const validateId = (paramName = 'id') => (req, res, next) => {
     const id = parseInt(req.params[paramName]);
@@ -11,18 +17,33 @@ const validateId = (paramName = 'id') => (req, res, next) => {
 
 // Validation middleware
 const validatePanelData = (req, res, next) => {
-    const { name, size } = req.body;
+    const { name, size, main_amperage, phase_config, numbering_scheme, model_id, resize_strategy } = req.body;
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
         return res.status(400).json({ error: 'Name is required and must be a non-empty string' });
     }
-    if (!size || typeof size !== 'number' || size < 12 || size > 42) {
-        return res.status(400).json({ error: 'Size must be a number between 12 and 42' });
+    if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: 'Size must be a positive whole number of spaces' });
+    }
+    if (main_amperage !== null && main_amperage !== undefined && (typeof main_amperage !== 'number' || main_amperage <= 0 || main_amperage > 400)) {
+        return res.status(400).json({ error: 'Main amperage must be between 1 and 400' });
+    }
+    if (phase_config && !['split_phase', 'three_phase'].includes(phase_config)) {
+        return res.status(400).json({ error: 'Phase configuration must be one of: split_phase, three_phase' });
+    }
+    if (numbering_scheme && !['odd_even', 'sequential', 'sequential_two_column'].includes(numbering_scheme)) {
+        return res.status(400).json({ error: 'Numbering scheme must be one of: odd_even, sequential, sequential_two_column' });
+    }
+    if (model_id !== undefined && model_id !== null && (!Number.isInteger(model_id) || model_id <= 0)) {
+        return res.status(400).json({ error: 'Model ID must be a valid positive number' });
+    }
+    if (resize_strategy !== undefined && !['relocate', 'delete'].includes(resize_strategy)) {
+        return res.status(400).json({ error: 'Resize strategy must be one of: relocate, delete' });
     }
     next();
 };
 
 const validateBreakerData = (req, res, next) => {
-    const { panel_id, position, amperage, slot_position, breaker_type } = req.body;
+    const { panel_id, position, amperage, slot_position, breaker_type, protection, series } = req.body;
     
     if (req.method === 'POST') {
         if (!panel_id || typeof panel_id !== 'number' || panel_id <= 0) {
@@ -39,8 +60,14 @@ const validateBreakerData = (req, res, next) => {
     if (slot_position && !['single', 'A', 'B'].includes(slot_position)) {
         return res.status(400).json({ error: 'Slot position must be one of: single, A, B' });
     }
-    if (breaker_type && !['single', 'double_pole', 'tandem'].includes(breaker_type)) {
-        return res.status(400).json({ error: 'Breaker type must be one of: single, double_pole, tandem' });
+    if (breaker_type && !['single', 'double_pole', 'tandem', 'triple_pole'].includes(breaker_type)) {
+        return res.status(400).json({ error: 'Breaker type must be one of: single, double_pole, tandem, triple_pole' });
+    }
+    if (protection && !['standard', 'gfci', 'afci', 'dual_function', 'gfp'].includes(protection)) {
+        return res.status(400).json({ error: 'Protection must be one of: standard, gfci, afci, dual_function, gfp' });
+    }
+    if (series !== undefined && series !== null && (typeof series !== 'string' || series.trim().length > 20)) {
+        return res.status(400).json({ error: 'Series must be at most 20 characters, e.g. QO or HOM' });
     }
     next();
 };
@@ -50,22 +77,118 @@ const validateRoomData = (req, res, next) => {
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
         return res.status(400).json({ error: 'Room name is required and must be a non-empty string' });
     }
-    if (!level || !['basement', 'main', 'upper', 'outside'].includes(level)) {
-        return res.status(400).json({ error: 'Level must be one of: basement, main, upper, outside' });
+    if (!level || typeof level !== 'string') {
+        return res.status(400).json({ error: 'Level is required' });
+    }
+    next();
+};
+
+const validateSiteData = (req, res, next) => {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Site name is required and must be a non-empty string' });
+    }
+    next();
+};
+
+// Lists take an optional ?site_id=; the parsed ID, or null for every site, is left on req.siteId
+const validateSiteQuery = (req, res, next) => {
+    if (req.query.site_id === undefined) {
+        req.siteId = null;
+        return next();
+    }
+    const siteId = Number(req.query.site_id);
+    if (!Number.isInteger(siteId) || siteId <= 0) {
+        return res.status(400).json({ error: 'Invalid site_id parameter' });
+    }
+    req.siteId = siteId;
+    next();
+};
+
+const validateLevelData = (req, res, next) => {
+    const { name, key, color, icon, sort_order } = req.body;
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Level name is required and must be a non-empty string' });
+    }
+    if (key !== undefined && key !== null && (typeof key !== 'string' || !/^[a-z0-9_]+$/.test(key))) {
+        return res.status(400).json({ error: 'Level key may only contain lowercase letters, numbers and underscores' });
+    }
+    if (color && (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color))) {
+        return res.status(400).json({ error: 'Color must be a hex color such as #27ae60' });
+    }
+    if (icon && (typeof icon !== 'string' || [...icon].length > 4)) {
+        return res.status(400).json({ error: 'Icon must be at most 4 characters' });
+    }
+    if (sort_order !== undefined && sort_order !== null && !Number.isInteger(sort_order)) {
+        return res.status(400).json({ error: 'Sort order must be a whole number' });
+    }
+    next();
+};
+
+const validateCircuitTypeData = (req, res, next) => {
+    const { name, key, color, icon, default_amperage, label_style, label_noun, sort_order } = req.body;
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Circuit type name is required and must be a non-empty string' });
+    }
+    if (key !== undefined && key !== null && (typeof key !== 'string' || !/^[a-z0-9_]+$/.test(key))) {
+        return res.status(400).json({ error: 'Circuit type key may only contain lowercase letters, numbers and underscores' });
+    }
+    if (color && (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color))) {
+        return res.status(400).json({ error: 'Color must be a hex color such as #27ae60' });
+    }
+    if (icon && (typeof icon !== 'string' || [...icon].length > 4)) {
+        return res.status(400).json({ error: 'Icon must be at most 4 characters' });
+    }
+    if (default_amperage !== undefined && default_amperage !== null &&
+        (!Number.isInteger(default_amperage) || default_amperage < 1 || default_amperage > 200)) {
+        return res.status(400).json({ error: 'Default amperage must be a whole number between 1 and 200' });
+    }
+    if (label_style && !['rooms', 'notes', 'name'].includes(label_style)) {
+        return res.status(400).json({ error: 'Label style must be one of: rooms, notes, name' });
+    }
+    if (label_noun && typeof label_noun !== 'string') {
+        return res.status(400).json({ error: 'Label noun must be a string' });
+    }
+    if (sort_order !== undefined && sort_order !== null && !Number.isInteger(sort_order)) {
+        return res.status(400).json({ error: 'Sort order must be a whole number' });
+    }
+    next();
+};
+
+const validateDeviceData = (req, res, next) => {
+    const { circuit_id, device_type, room_id, location, notes, chain_order } = req.body;
+    const validTypes = ['receptacle', 'switch', 'fixture', 'appliance', 'junction_box', 'other'];
+
+    if (req.method === 'POST' && (!circuit_id || typeof circuit_id !== 'number' || circuit_id <= 0)) {
+        return res.status(400).json({ error: 'Valid circuit ID is required' });
+    }
+    if (!device_type || !validTypes.includes(device_type)) {
+        return res.status(400).json({ error: `Device type must be one of: ${validTypes.join(', ')}` });
+    }
+    if (room_id && (typeof room_id !== 'number' || room_id <= 0)) {
+        return res.status(400).json({ error: 'Room ID must be a valid positive number' });
+    }
+    if (location && typeof location !== 'string') {
+        return res.status(400).json({ error: 'Location must be a string' });
+    }
+    if (notes && typeof notes !== 'string') {
+        return res.status(400).json({ error: 'Notes must be a string' });
+    }
+    if (chain_order !== undefined && chain_order !== null && (!Number.isInteger(chain_order) || chain_order < 1)) {
+        return res.status(400).json({ error: 'Chain order must be a whole number of at least 1' });
     }
     next();
 };
 
 const validateCircuitData = (req, res, next) => {
-    const { breaker_id, type, room_id, subpanel_id } = req.body;
+    const { breaker_id, type, room_id, subpanel_id, load_value, load_unit, voltage, wire_gauge, wire_material, cable_type } = req.body;
     
     if (req.method === 'POST' && (!breaker_id || typeof breaker_id !== 'number' || breaker_id <= 0)) {
         return res.status(400).json({ error: 'Valid breaker ID is required' });
     }
     
-    const validTypes = ['outlet', 'lighting', 'heating', 'appliance', 'subpanel'];
-    if (type && !validTypes.includes(type)) {
-        return res.status(400).json({ error: `Type must be one of: ${validTypes.join(', ')}` });
+    if (type && typeof type !== 'string') {
+        return res.status(400).json({ error: 'Type must be a circuit type key' });
     }
     if (room_id && (typeof room_id !== 'number' || room_id <= 0)) {
         return res.status(400).json({ error: 'Room ID must be a valid positive number' });
@@ -73,6 +196,269 @@ const validateCircuitData = (req, res, next) => {
     if (subpanel_id && (typeof subpanel_id !== 'number' || subpanel_id <= 0)) {
         return res.status(400).json({ error: 'Subpanel ID must be a valid positive number' });
     }
+    if (load_value !== null && load_value !== undefined && (typeof load_value !== 'number' || load_value < 0)) {
+        return res.status(400).json({ error: 'Load must be a non-negative number' });
+    }
+    if (load_unit && !['W', 'VA'].includes(load_unit)) {
+        return res.status(400).json({ error: 'Load unit must be one of: W, VA' });
+    }
+    if (voltage && ![120, 208, 240].includes(voltage)) {
+        return res.status(400).json({ error: 'Voltage must be one of: 120, 208, 240' });
+    }
+    const validGauges = ['14', '12', '10', '8', '6', '4', '3', '2', '1', '1/0', '2/0', '3/0', '4/0'];
+    if (wire_gauge && !validGauges.includes(wire_gauge)) {
+        return res.status(400).json({ error: `Wire gauge must be one of: ${validGauges.join(', ')}` });
+    }
+    if (wire_material && !['cu', 'al'].includes(wire_material)) {
+        return res.status(400).json({ error: 'Wire material must be one of: cu, al' });
+    }
+    const validCableTypes = ['nm_b', 'uf_b', 'mc', 'ac', 'thhn', 'ser', 'other'];
+    if (cable_type && !validCableTypes.includes(cable_type)) {
+        return res.status(400).json({ error: `Cable type must be one of: ${validCableTypes.join(', ')}` });
+    }
+    next();
+};
+
+const isIdList = value => Array.isArray(value) && value.every(id => Number.isInteger(id) && id > 0);
+
+const validateTracingSessionData = (req, res, next) => {
+    const { panel_id, notes, completed } = req.body;
+
+    if (req.method === 'POST' && (!panel_id || typeof panel_id !== 'number' || panel_id <= 0)) {
+        return res.status(400).json({ error: 'Valid panel ID is required' });
+    }
+    if (notes && typeof notes !== 'string') {
+        return res.status(400).json({ error: 'Notes must be a string' });
+    }
+    if (completed !== undefined && typeof completed !== 'boolean') {
+        return res.status(400).json({ error: 'Completed must be true or false' });
+    }
+    next();
+};
+
+const validateTracingStepData = (req, res, next) => {
+    const { breaker_id, room_ids, device_ids, notes } = req.body;
+
+    if (!breaker_id || typeof breaker_id !== 'number' || breaker_id <= 0) {
+        return res.status(400).json({ error: 'Valid breaker ID is required' });
+    }
+    if (room_ids !== undefined && !isIdList(room_ids)) {
+        return res.status(400).json({ error: 'room_ids must be an array of room IDs' });
+    }
+    if (device_ids !== undefined && !isIdList(device_ids)) {
+        return res.status(400).json({ error: 'device_ids must be an array of device IDs' });
+    }
+    if (notes && typeof notes !== 'string') {
+        return res.status(400).json({ error: 'Notes must be a string' });
+    }
+    next();
+};
+
+// Uploads send the raw file as the body; what it belongs to travels in the query string
+const validateAttachmentUpload = (req, res, next) => {
+    const { filename, caption } = req.query;
+    const owners = ['panel_id', 'breaker_id', 'circuit_id'].filter(field => req.query[field] !== undefined);
+
+    if (owners.length !== 1) {
+        return res.status(400).json({ error: 'Exactly one of panel_id, breaker_id or circuit_id is required' });
+    }
+    const ownerId = parseInt(req.query[owners[0]]);
+    if (isNaN(ownerId) || ownerId <= 0) {
+        return res.status(400).json({ error: `Invalid ${owners[0]} parameter` });
+    }
+    if (!filename || typeof filename !== 'string' || filename.trim().length === 0 || filename.length > 255) {
+        return res.status(400).json({ error: 'Filename is required and must be at most 255 characters' });
+    }
+    if (caption !== undefined && (typeof caption !== 'string' || caption.length > 500)) {
+        return res.status(400).json({ error: 'Caption must be at most 500 characters' });
+    }
+    const fileError = AttachmentStorage.validateFile(req.body, req.get('Content-Type')?.split(';')[0].trim());
+    if (fileError) {
+        return res.status(400).json({ error: fileError });
+    }
+    req.attachmentOwner = { field: owners[0], id: ownerId };
+    next();
+};
+
+const validateLoginData = (req, res, next) => {
+    const { username, password } = req.body;
+    if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+    next();
+};
+
+// New accounts need a username and password; updates may change the role and reset the password
+const validateUserData = (req, res, next) => {
+    const { username, password, role } = req.body;
+    const creating = req.method === 'POST';
+
+    if (creating || username !== undefined) {
+        if (typeof username !== 'string' || !/^[\w.@-]{1,50}$/.test(username.trim())) {
+            return res.status(400).json({ error: 'Username must be 1-50 letters, numbers or . _ @ -' });
+        }
+    }
+    if (creating || password !== undefined) {
+        if (typeof password !== 'string' || password.length < Auth.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${Auth.MIN_PASSWORD_LENGTH} characters` });
+        }
+    }
+    if ((creating || role !== undefined) && !Auth.ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${Auth.ROLES.join(', ')}` });
+    }
+    next();
+};
+
+// API tokens need a name and scope; expires_in_days is null or left out for a token that never expires
+const validateApiTokenData = (req, res, next) => {
+    const { name, scope, expires_in_days: expiresInDays = null } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        return res.status(400).json({ error: 'Token name is required and must be at most 100 characters' });
+    }
+    if (!Auth.TOKEN_SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `Scope must be one of: ${Auth.TOKEN_SCOPES.join(', ')}` });
+    }
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+        return res.status(400).json({ error: 'Expiry must be 1-3650 days, or null or left out for a token that never expires' });
+    }
+    next();
+};
+
+// Cloning a panel, saving it as a template, or creating a panel from a template
+const validatePanelCopyData = (req, res, next) => {
+    const { name, include_circuits, include_rooms } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        return res.status(400).json({ error: 'Name is required and must be at most 100 characters' });
+    }
+    if (include_circuits !== undefined && typeof include_circuits !== 'boolean') {
+        return res.status(400).json({ error: 'include_circuits must be true or false' });
+    }
+    if (include_rooms !== undefined && typeof include_rooms !== 'boolean') {
+        return res.status(400).json({ error: 'include_rooms must be true or false' });
+    }
+    next();
+};
+
+// Panel models; tandem_positions is null when tandems fit in any space
+const validatePanelModelData = (req, res, next) => {
+    const { manufacturer, model, spaces, max_circuits, bus_rating, breaker_series, tandem_positions, notes } = req.body;
+
+    for (const [field, value] of [['Manufacturer', manufacturer], ['Model', model]]) {
+        if (typeof value !== 'string' || value.trim().length === 0 || value.trim().length > 100) {
+            return res.status(400).json({ error: `${field} is required and must be at most 100 characters` });
+        }
+    }
+    if (!Number.isInteger(spaces) || spaces < 1 || spaces > 84) {
+        return res.status(400).json({ error: 'Spaces must be a whole number between 1 and 84' });
+    }
+    if (max_circuits !== undefined && max_circuits !== null && (!Number.isInteger(max_circuits) || max_circuits < spaces || max_circuits > spaces * 2)) {
+        return res.status(400).json({ error: 'Maximum circuits must be between the number of spaces and twice that' });
+    }
+    if (bus_rating !== undefined && bus_rating !== null && (!Number.isInteger(bus_rating) || bus_rating <= 0 || bus_rating > 400)) {
+        return res.status(400).json({ error: 'Bus rating must be between 1 and 400' });
+    }
+    if (breaker_series !== undefined && breaker_series !== null &&
+        (!Array.isArray(breaker_series) || !breaker_series.every(series => typeof series === 'string' && series.trim().length <= 20))) {
+        return res.status(400).json({ error: 'Breaker series must be a list of series names, e.g. ["QO"]' });
+    }
+    if (tandem_positions !== undefined && tandem_positions !== null &&
+        (!Array.isArray(tandem_positions) || !tandem_positions.every(position => Number.isInteger(position) && position >= 1 && position <= spaces))) {
+        return res.status(400).json({ error: 'Tandem positions must be a list of positions in the panel, or null for any position' });
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        return res.status(400).json({ error: 'Notes must be a string' });
+    }
+    next();
+};
+
+// Restoring a backup takes ?mode=replace or ?mode=merge; the mode is left on req.importMode
+const validateImportQuery = (req, res, next) => {
+    if (!Backup.MODES.includes(req.query.mode)) {
+        return res.status(400).json({ error: `Mode must be one of: ${Backup.MODES.join(', ')}` });
+    }
+    req.importMode = req.query.mode;
+    next();
+};
+
+// CSV imports send the file's text with how to read it; column indexes are checked once it is parsed
+const validateCsvImportData = (req, res, next) => {
+    const { csv, delimiter, has_header, mapping, default_level } = req.body;
+    if (typeof csv !== 'string' || csv.trim().length === 0) {
+        return res.status(400).json({ error: 'The CSV file is empty' });
+    }
+    if (delimiter !== undefined && delimiter !== null && !CsvParser.DELIMITERS.includes(delimiter)) {
+        return res.status(400).json({ error: 'Delimiter must be a comma, semicolon, tab or |' });
+    }
+    if (has_header !== undefined && typeof has_header !== 'boolean') {
+        return res.status(400).json({ error: 'has_header must be true or false' });
+    }
+    if (mapping !== undefined && mapping !== null) {
+        if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+            return res.status(400).json({ error: 'Mapping must map field names to column numbers' });
+        }
+        const unknown = Object.keys(mapping).find(field => !CsvImport.FIELD_NAMES.includes(field));
+        if (unknown) {
+            return res.status(400).json({ error: `${unknown} is not a field; map columns to ${CsvImport.FIELD_NAMES.join(', ')}` });
+        }
+        const invalid = Object.entries(mapping).find(([, column]) => column !== null && (!Number.isInteger(column) || column < 0));
+        if (invalid) {
+            return res.status(400).json({ error: `Column for ${invalid[0]} must be a column index or null` });
+        }
+    }
+    if (default_level !== undefined && default_level !== null && typeof default_level !== 'string') {
+        return res.status(400).json({ error: 'Default level must be a level key' });
+    }
+    next();
+};
+
+// History filters arrive as query strings; parsed values are left on req.historyFilters
+const validateHistoryQuery = (req, res, next) => {
+    const { entity_type, action, since, until } = req.query;
+    const filters = { entity_type: entity_type || null, action: action || null };
+
+    const entityTypes = Object.values(ChangeHistory.ENTITY_TYPES);
+    if (entity_type !== undefined && !entityTypes.includes(entity_type)) {
+        return res.status(400).json({ error: `Entity type must be one of: ${entityTypes.join(', ')}` });
+    }
+    if (action !== undefined && !ChangeHistory.ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action must be one of: ${ChangeHistory.ACTIONS.join(', ')}` });
+    }
+    for (const field of ['entity_id', 'site_id', 'panel_id', 'breaker_id']) {
+        if (req.query[field] === undefined) {
+            filters[field] = null;
+            continue;
+        }
+        const value = Number(req.query[field]);
+        if (!Number.isInteger(value) || value <= 0) {
+            return res.status(400).json({ error: `Invalid ${field} parameter` });
+        }
+        filters[field] = value;
+    }
+    for (const [field, value] of [['since', since], ['until', until]]) {
+        if (value === undefined) {
+            filters[field] = null;
+            continue;
+        }
+        const date = new Date(value);
+        if (isNaN(date)) {
+            return res.status(400).json({ error: `${field} must be a date, e.g. 2024-05-01 or 2024-05-01T14:30:00Z` });
+        }
+        // Stored timestamps are SQLite's 'YYYY-MM-DD HH:MM:SS' in UTC
+        filters[field] = date.toISOString().slice(0, 19).replace('T', ' ');
+    }
+
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'Limit must be between 1 and 500' });
+    }
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Offset must be zero or more' });
+    }
+
+    req.historyFilters = { ...filters, limit, offset };
     next();
 };
 
@@ -81,5 +467,21 @@ module.exports = {
     validatePanelData,
     validateBreakerData,
     validateRoomData,
-    validateCircuitData
+    validateSiteData,
+    validateSiteQuery,
+    validateLevelData,
+    validateCircuitTypeData,
+    validateDeviceData,
+    validateCircuitData,
+    validateTracingSessionData,
+    validateTracingStepData,
+    validateAttachmentUpload,
+    validateHistoryQuery,
+    validateLoginData,
+    validateUserData,
+    validateApiTokenData,
+    validatePanelCopyData,
+    validatePanelModelData,
+    validateImportQuery,
+    validateCsvImportData
 };
\ No newline at end of file
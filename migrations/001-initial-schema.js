@@ -0,0 +1,54 @@
+/**
+ * Migration 001 - Initial schema
+ * Baseline panels, breakers, rooms and circuits tables. Uses IF NOT EXISTS so
+ * databases created before migrations were tracked are adopted as-is.
+ */
+module.exports = {
+    version: 1,
+    name: 'initial-schema',
+
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS panels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL CHECK(length(name) > 0),
+            size INTEGER NOT NULL CHECK(size >= 12 AND size <= 42),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS breakers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            panel_id INTEGER NOT NULL,
+            position INTEGER NOT NULL CHECK(position > 0),
+            slot_position TEXT DEFAULT 'single' CHECK(slot_position IN ('single', 'A', 'B')),
+            label TEXT,
+            amperage INTEGER CHECK(amperage > 0 AND amperage <= 200),
+            critical BOOLEAN DEFAULT 0,
+            monitor BOOLEAN DEFAULT 0,
+            confirmed BOOLEAN DEFAULT 0,
+            breaker_type TEXT DEFAULT 'single' CHECK(breaker_type IN ('single', 'double_pole', 'tandem')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE,
+            UNIQUE(panel_id, position, slot_position)
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS rooms (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
+            level TEXT NOT NULL CHECK(level IN ('basement', 'main', 'upper', 'outside')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS circuits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            breaker_id INTEGER NOT NULL,
+            room_id INTEGER,
+            type TEXT CHECK(type IN ('outlet', 'lighting', 'heating', 'appliance', 'subpanel')),
+            notes TEXT,
+            subpanel_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE,
+            FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE SET NULL,
+            FOREIGN KEY (subpanel_id) REFERENCES panels (id) ON DELETE SET NULL
+        )`);
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration 002 - Circuit loads
+ * Connected load on circuits (value, W/VA unit, voltage, continuous flag)
+ * and an optional main breaker rating on panels for load calculations.
+ */
+module.exports = {
+    version: 2,
+    name: 'circuit-loads',
+
+    async up(db) {
+        await db.run('ALTER TABLE circuits ADD COLUMN load_value REAL CHECK(load_value IS NULL OR load_value >= 0)');
+        await db.run(`ALTER TABLE circuits ADD COLUMN load_unit TEXT DEFAULT 'W' CHECK(load_unit IN ('W', 'VA'))`);
+        await db.run('ALTER TABLE circuits ADD COLUMN voltage INTEGER CHECK(voltage IS NULL OR voltage IN (120, 208, 240))');
+        await db.run('ALTER TABLE circuits ADD COLUMN continuous BOOLEAN DEFAULT 0');
+        await db.run('ALTER TABLE panels ADD COLUMN main_amperage INTEGER CHECK(main_amperage IS NULL OR (main_amperage > 0 AND main_amperage <= 400))');
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * Migration 003 - Three-phase panels
+ * Adds a phase configuration to panels and allows triple_pole breakers.
+ * SQLite can't alter a CHECK constraint, so breakers is rebuilt and its
+ * rows copied across with their IDs intact.
+ */
+module.exports = {
+    version: 3,
+    name: 'three-phase',
+
+    async up(db) {
+        await db.run(`ALTER TABLE panels ADD COLUMN phase_config TEXT DEFAULT 'split_phase' CHECK(phase_config IN ('split_phase', 'three_phase'))`);
+
+        await db.run(`CREATE TABLE breakers_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            panel_id INTEGER NOT NULL,
+            position INTEGER NOT NULL CHECK(position > 0),
+            slot_position TEXT DEFAULT 'single' CHECK(slot_position IN ('single', 'A', 'B')),
+            label TEXT,
+            amperage INTEGER CHECK(amperage > 0 AND amperage <= 200),
+            critical BOOLEAN DEFAULT 0,
+            monitor BOOLEAN DEFAULT 0,
+            confirmed BOOLEAN DEFAULT 0,
+            breaker_type TEXT DEFAULT 'single' CHECK(breaker_type IN ('single', 'double_pole', 'tandem', 'triple_pole')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE,
+            UNIQUE(panel_id, position, slot_position)
+        )`);
+
+        const columns = 'id, panel_id, position, slot_position, label, amperage, critical, monitor, confirmed, breaker_type, created_at';
+        await db.run(`INSERT INTO breakers_new (${columns}) SELECT ${columns} FROM breakers`);
+        await db.run('DROP TABLE breakers');
+        await db.run('ALTER TABLE breakers_new RENAME TO breakers');
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migration 004 - Protection devices
+ * Records each breaker's protection type and flags circuits that are
+ * GFCI-protected downstream by a receptacle rather than at the breaker.
+ */
+module.exports = {
+    version: 4,
+    name: 'protection-devices',
+
+    async up(db) {
+        await db.run(`ALTER TABLE breakers ADD COLUMN protection TEXT DEFAULT 'standard' CHECK(protection IN ('standard', 'gfci', 'afci', 'dual_function', 'gfp'))`);
+        await db.run('ALTER TABLE circuits ADD COLUMN downstream_gfci BOOLEAN DEFAULT 0');
+    }
+};
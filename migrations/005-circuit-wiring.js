@@ -0,0 +1,15 @@
+/**
+ * Migration 005 - Circuit wiring
+ * Conductor size, material and cable type for each circuit so breaker
+ * sizes can be checked against wire ampacity.
+ */
+module.exports = {
+    version: 5,
+    name: 'circuit-wiring',
+
+    async up(db) {
+        await db.run(`ALTER TABLE circuits ADD COLUMN wire_gauge TEXT CHECK(wire_gauge IS NULL OR wire_gauge IN ('14', '12', '10', '8', '6', '4', '3', '2', '1', '1/0', '2/0', '3/0', '4/0'))`);
+        await db.run(`ALTER TABLE circuits ADD COLUMN wire_material TEXT CHECK(wire_material IS NULL OR wire_material IN ('cu', 'al'))`);
+        await db.run(`ALTER TABLE circuits ADD COLUMN cable_type TEXT CHECK(cable_type IS NULL OR cable_type IN ('nm_b', 'uf_b', 'mc', 'ac', 'thhn', 'ser', 'other'))`);
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 006 - Panel numbering schemes
+ * Lifts the 12-42 space limit on panels and adds a numbering scheme
+ * (odd_even, sequential or sequential_two_column). The size CHECK can't be
+ * altered in place, so panels is rebuilt with its IDs intact.
+ */
+module.exports = {
+    version: 6,
+    name: 'panel-numbering',
+
+    async up(db) {
+        await db.run(`CREATE TABLE panels_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL CHECK(length(name) > 0),
+            size INTEGER NOT NULL CHECK(size > 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            main_amperage INTEGER CHECK(main_amperage IS NULL OR (main_amperage > 0 AND main_amperage <= 400)),
+            phase_config TEXT DEFAULT 'split_phase' CHECK(phase_config IN ('split_phase', 'three_phase')),
+            numbering_scheme TEXT DEFAULT 'odd_even' CHECK(numbering_scheme IN ('odd_even', 'sequential', 'sequential_two_column'))
+        )`);
+
+        const columns = 'id, name, size, created_at, main_amperage, phase_config';
+        await db.run(`INSERT INTO panels_new (${columns}) SELECT ${columns} FROM panels`);
+        await db.run('DROP TABLE panels');
+        await db.run('ALTER TABLE panels_new RENAME TO panels');
+    }
+};
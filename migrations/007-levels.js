@@ -0,0 +1,41 @@
+/**
+ * Migration 007 - User-defined levels
+ * Moves the fixed basement/main/upper/outside room levels into a levels
+ * table with a name, color, icon and sort order. Rooms keep referencing a
+ * level by its key, so existing rooms map onto the seeded levels unchanged.
+ */
+module.exports = {
+    version: 7,
+    name: 'levels',
+
+    async up(db) {
+        await db.run(`CREATE TABLE levels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key TEXT NOT NULL UNIQUE CHECK(length(key) > 0),
+            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
+            color TEXT,
+            icon TEXT,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`INSERT INTO levels (key, name, color, icon, sort_order) VALUES
+            ('upper', 'Upper Level', '#e67e22', '🟠', 1),
+            ('main', 'Main Level', '#27ae60', '🟢', 2),
+            ('basement', 'Basement', '#3498db', '🔵', 3),
+            ('outside', 'Outside', '#34495e', '⚫', 4)`);
+
+        await db.run(`CREATE TABLE rooms_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
+            level TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (level) REFERENCES levels (key) ON UPDATE CASCADE
+        )`);
+
+        const columns = 'id, name, level, created_at';
+        await db.run(`INSERT INTO rooms_new (${columns}) SELECT ${columns} FROM rooms`);
+        await db.run('DROP TABLE rooms');
+        await db.run('ALTER TABLE rooms_new RENAME TO rooms');
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration 008 - Circuit type catalog
+ * Replaces the fixed outlet/lighting/heating/appliance/subpanel CHECK on
+ * circuits.type with a circuit_types table holding each type's name, icon,
+ * color, default amperage and auto-label rule. Circuits keep referencing a
+ * type by its key, so existing circuits map onto the seeded types unchanged.
+ */
+module.exports = {
+    version: 8,
+    name: 'circuit-types',
+
+    async up(db) {
+        await db.run(`CREATE TABLE circuit_types (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key TEXT NOT NULL UNIQUE CHECK(length(key) > 0),
+            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
+            icon TEXT,
+            color TEXT,
+            default_amperage INTEGER CHECK(default_amperage IS NULL OR (default_amperage >= 1 AND default_amperage <= 200)),
+            label_style TEXT NOT NULL DEFAULT 'notes' CHECK(label_style IN ('rooms', 'notes', 'name')),
+            label_noun TEXT,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`INSERT INTO circuit_types (key, name, icon, color, default_amperage, label_style, label_noun, sort_order) VALUES
+            ('outlet', 'Outlet', '🔵', '#3498db', 20, 'rooms', 'outlets', 1),
+            ('lighting', 'Lighting', '🟠', '#f39c12', 15, 'rooms', 'lights', 2),
+            ('heating', 'Heating', '🔴', '#e74c3c', NULL, 'notes', 'heating', 3),
+            ('appliance', 'Appliance', '🟢', '#27ae60', 20, 'notes', 'appliance', 4),
+            ('subpanel', 'Subpanel', '🟣', '#8b5cf6', NULL, 'name', NULL, 5),
+            ('hvac', 'HVAC', '❄️', '#1abc9c', 30, 'notes', 'HVAC', 6),
+            ('water_heater', 'Water Heater', '♨️', '#d35400', 30, 'notes', 'water heater', 7),
+            ('ev_charger', 'EV Charger', '🔌', '#16a085', 40, 'notes', 'EV charger', 8),
+            ('smoke_detectors', 'Smoke Detectors', '🚨', '#c0392b', 15, 'rooms', 'smoke detectors', 9),
+            ('pump', 'Pump', '💧', '#2980b9', 20, 'notes', 'pump', 10)`);
+
+        await db.run(`CREATE TABLE circuits_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            breaker_id INTEGER NOT NULL,
+            room_id INTEGER,
+            type TEXT,
+            notes TEXT,
+            subpanel_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            load_value REAL CHECK(load_value IS NULL OR load_value >= 0),
+            load_unit TEXT DEFAULT 'W' CHECK(load_unit IN ('W', 'VA')),
+            voltage INTEGER CHECK(voltage IS NULL OR voltage IN (120, 208, 240)),
+            continuous BOOLEAN DEFAULT 0,
+            downstream_gfci BOOLEAN DEFAULT 0,
+            wire_gauge TEXT CHECK(wire_gauge IS NULL OR wire_gauge IN ('14', '12', '10', '8', '6', '4', '3', '2', '1', '1/0', '2/0', '3/0', '4/0')),
+            wire_material TEXT CHECK(wire_material IS NULL OR wire_material IN ('cu', 'al')),
+            cable_type TEXT CHECK(cable_type IS NULL OR cable_type IN ('nm_b', 'uf_b', 'mc', 'ac', 'thhn', 'ser', 'other')),
+            FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE,
+            FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE SET NULL,
+            FOREIGN KEY (subpanel_id) REFERENCES panels (id) ON DELETE SET NULL,
+            FOREIGN KEY (type) REFERENCES circuit_types (key) ON UPDATE CASCADE
+        )`);
+
+        const columns = 'id, breaker_id, room_id, type, notes, subpanel_id, created_at, load_value, load_unit, voltage, continuous, downstream_gfci, wire_gauge, wire_material, cable_type';
+        await db.run(`INSERT INTO circuits_new (${columns}) SELECT ${columns} FROM circuits`);
+        await db.run('DROP TABLE circuits');
+        await db.run('ALTER TABLE circuits_new RENAME TO circuits');
+    }
+};
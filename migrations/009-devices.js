@@ -0,0 +1,25 @@
+/**
+ * Migration 009 - Device inventory
+ * Records the receptacles, switches, fixtures and hardwired appliances on
+ * each circuit, with where they are and their order along the daisy chain.
+ */
+module.exports = {
+    version: 9,
+    name: 'devices',
+
+    async up(db) {
+        await db.run(`CREATE TABLE devices (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            circuit_id INTEGER NOT NULL,
+            device_type TEXT NOT NULL CHECK(device_type IN ('receptacle', 'switch', 'fixture', 'appliance', 'junction_box', 'other')),
+            room_id INTEGER,
+            location TEXT,
+            notes TEXT,
+            chain_order INTEGER NOT NULL CHECK(chain_order > 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (circuit_id) REFERENCES circuits (id) ON DELETE CASCADE,
+            FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE SET NULL
+        )`);
+        await db.run('CREATE INDEX idx_devices_circuit ON devices (circuit_id, chain_order)');
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 010 - Attachments
+ * Photos and PDFs uploaded to a panel, breaker or circuit. The files live in
+ * the attachments directory next to the database; rows only record where.
+ */
+module.exports = {
+    version: 10,
+    name: 'attachments',
+
+    async up(db) {
+        await db.run(`CREATE TABLE attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            panel_id INTEGER,
+            breaker_id INTEGER,
+            circuit_id INTEGER,
+            original_name TEXT NOT NULL,
+            stored_name TEXT NOT NULL UNIQUE,
+            thumbnail_name TEXT UNIQUE,
+            mime_type TEXT NOT NULL CHECK(mime_type IN ('image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf')),
+            size INTEGER NOT NULL CHECK(size > 0),
+            caption TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            CHECK((panel_id IS NOT NULL) + (breaker_id IS NOT NULL) + (circuit_id IS NOT NULL) = 1),
+            FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE,
+            FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE,
+            FOREIGN KEY (circuit_id) REFERENCES circuits (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX idx_attachments_panel ON attachments (panel_id)');
+        await db.run('CREATE INDEX idx_attachments_breaker ON attachments (breaker_id)');
+        await db.run('CREATE INDEX idx_attachments_circuit ON attachments (circuit_id)');
+    }
+};
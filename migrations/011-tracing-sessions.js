@@ -0,0 +1,44 @@
+/**
+ * Migration 011 - Circuit tracing sessions
+ * A session walks a panel breaker by breaker. Each step records which rooms
+ * and devices went dead with the breaker off, and when its proposals were
+ * accepted and the breaker confirmed.
+ */
+module.exports = {
+    version: 11,
+    name: 'tracing-sessions',
+
+    async up(db) {
+        await db.run(`CREATE TABLE tracing_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            panel_id INTEGER NOT NULL,
+            notes TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE TABLE tracing_steps (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id INTEGER NOT NULL,
+            breaker_id INTEGER NOT NULL,
+            notes TEXT,
+            recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            accepted_at DATETIME,
+            FOREIGN KEY (session_id) REFERENCES tracing_sessions (id) ON DELETE CASCADE,
+            FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE
+        )`);
+        await db.run(`CREATE TABLE tracing_findings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            step_id INTEGER NOT NULL,
+            room_id INTEGER,
+            device_id INTEGER,
+            CHECK((room_id IS NOT NULL) + (device_id IS NOT NULL) = 1),
+            FOREIGN KEY (step_id) REFERENCES tracing_steps (id) ON DELETE CASCADE,
+            FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE,
+            FOREIGN KEY (device_id) REFERENCES devices (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX idx_tracing_sessions_panel ON tracing_sessions (panel_id)');
+        await db.run('CREATE INDEX idx_tracing_steps_session ON tracing_steps (session_id)');
+        await db.run('CREATE INDEX idx_tracing_findings_step ON tracing_findings (step_id)');
+    }
+};
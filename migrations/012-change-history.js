@@ -0,0 +1,29 @@
+/**
+ * Migration 012 - Change history
+ * An append-only log of every create, update, delete and move of panels,
+ * breakers, circuits and rooms with the values before and after. Entries
+ * outlive the rows they describe, so there are no foreign keys; panel_id and
+ * breaker_id record where the change happened for filtering.
+ */
+module.exports = {
+    version: 12,
+    name: 'change-history',
+
+    async up(db) {
+        await db.run(`CREATE TABLE change_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entity_type TEXT NOT NULL CHECK(entity_type IN ('panel', 'breaker', 'circuit', 'room')),
+            entity_id INTEGER NOT NULL,
+            action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete', 'move')),
+            panel_id INTEGER,
+            breaker_id INTEGER,
+            before_values TEXT,
+            after_values TEXT,
+            actor TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run('CREATE INDEX idx_change_history_entity ON change_history (entity_type, entity_id)');
+        await db.run('CREATE INDEX idx_change_history_panel ON change_history (panel_id)');
+        await db.run('CREATE INDEX idx_change_history_breaker ON change_history (breaker_id)');
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration 013 - Undoable operations
+ * Groups change history entries into operations - one user action such as
+ * saving a breaker with its circuits - that can be undone and redone. Device
+ * changes are logged too, so undoing a delete brings back the devices that
+ * went with it. change_history is rebuilt to widen its entity_type CHECK.
+ */
+module.exports = {
+    version: 13,
+    name: 'operations',
+
+    async up(db) {
+        await db.run(`CREATE TABLE operations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            label TEXT NOT NULL,
+            actor TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            undone_at DATETIME
+        )`);
+
+        await db.run(`CREATE TABLE change_history_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entity_type TEXT NOT NULL CHECK(entity_type IN ('panel', 'breaker', 'circuit', 'room', 'device')),
+            entity_id INTEGER NOT NULL,
+            action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete', 'move')),
+            panel_id INTEGER,
+            breaker_id INTEGER,
+            before_values TEXT,
+            after_values TEXT,
+            actor TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            operation_id INTEGER,
+            FOREIGN KEY (operation_id) REFERENCES operations (id) ON DELETE SET NULL
+        )`);
+
+        const columns = 'id, entity_type, entity_id, action, panel_id, breaker_id, before_values, after_values, actor, created_at';
+        await db.run(`INSERT INTO change_history_new (${columns}) SELECT ${columns} FROM change_history`);
+        await db.run('DROP TABLE change_history');
+        await db.run('ALTER TABLE change_history_new RENAME TO change_history');
+
+        await db.run('CREATE INDEX idx_change_history_entity ON change_history (entity_type, entity_id)');
+        await db.run('CREATE INDEX idx_change_history_panel ON change_history (panel_id)');
+        await db.run('CREATE INDEX idx_change_history_breaker ON change_history (breaker_id)');
+        await db.run('CREATE INDEX idx_change_history_operation ON change_history (operation_id)');
+    }
+};
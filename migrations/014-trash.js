@@ -0,0 +1,33 @@
+/**
+ * Migration 014 - Trash
+ * Deleted panels, breakers, circuits and rooms stay restorable for a while.
+ * The rows themselves are rebuilt from the change history entries logged when
+ * they were deleted, which trash_id ties to their trash item; photos and
+ * documents removed with them are kept here, as their files are.
+ */
+module.exports = {
+    version: 14,
+    name: 'trash',
+
+    async up(db) {
+        await db.run(`CREATE TABLE trash (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entity_type TEXT NOT NULL CHECK(entity_type IN ('panel', 'breaker', 'circuit', 'room')),
+            entity_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            location TEXT,
+            attachments TEXT NOT NULL DEFAULT '[]',
+            operation_id INTEGER NOT NULL,
+            restore_operation_id INTEGER,
+            actor TEXT,
+            deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (operation_id) REFERENCES operations (id) ON DELETE CASCADE,
+            FOREIGN KEY (restore_operation_id) REFERENCES operations (id) ON DELETE SET NULL
+        )`);
+        await db.run('CREATE INDEX idx_trash_operation ON trash (operation_id)');
+        await db.run('CREATE INDEX idx_trash_restore_operation ON trash (restore_operation_id)');
+
+        await db.run('ALTER TABLE change_history ADD COLUMN trash_id INTEGER REFERENCES trash (id) ON DELETE SET NULL');
+        await db.run('CREATE INDEX idx_change_history_trash ON change_history (trash_id)');
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Migration 015 - Sites
+ * A site is one property - a house, a rental - that owns panels and rooms.
+ * Everything that exists is moved to a first site, 'Home'. Room names are
+ * unique within a site instead of globally, so panels and rooms are rebuilt.
+ * Change history and trash items record their site for filtering.
+ */
+module.exports = {
+    version: 15,
+    name: 'sites',
+
+    async up(db) {
+        await db.run(`CREATE TABLE sites (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run(`INSERT INTO sites (id, name) VALUES (1, 'Home')`);
+
+        await db.run(`CREATE TABLE panels_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL CHECK(length(name) > 0),
+            size INTEGER NOT NULL CHECK(size > 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            main_amperage INTEGER CHECK(main_amperage IS NULL OR (main_amperage > 0 AND main_amperage <= 400)),
+            phase_config TEXT DEFAULT 'split_phase' CHECK(phase_config IN ('split_phase', 'three_phase')),
+            numbering_scheme TEXT DEFAULT 'odd_even' CHECK(numbering_scheme IN ('odd_even', 'sequential', 'sequential_two_column')),
+            site_id INTEGER NOT NULL,
+            FOREIGN KEY (site_id) REFERENCES sites (id)
+        )`);
+        const panelColumns = 'id, name, size, created_at, main_amperage, phase_config, numbering_scheme';
+        await db.run(`INSERT INTO panels_new (${panelColumns}, site_id) SELECT ${panelColumns}, 1 FROM panels`);
+        await db.run('DROP TABLE panels');
+        await db.run('ALTER TABLE panels_new RENAME TO panels');
+        await db.run('CREATE INDEX idx_panels_site ON panels (site_id)');
+
+        await db.run(`CREATE TABLE rooms_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL CHECK(length(name) > 0),
+            level TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            site_id INTEGER NOT NULL,
+            UNIQUE(site_id, name),
+            FOREIGN KEY (level) REFERENCES levels (key) ON UPDATE CASCADE,
+            FOREIGN KEY (site_id) REFERENCES sites (id)
+        )`);
+        const roomColumns = 'id, name, level, created_at';
+        await db.run(`INSERT INTO rooms_new (${roomColumns}, site_id) SELECT ${roomColumns}, 1 FROM rooms`);
+        await db.run('DROP TABLE rooms');
+        await db.run('ALTER TABLE rooms_new RENAME TO rooms');
+
+        await db.run('ALTER TABLE change_history ADD COLUMN site_id INTEGER');
+        await db.run('UPDATE change_history SET site_id = 1');
+        await db.run('CREATE INDEX idx_change_history_site ON change_history (site_id)');
+
+        await db.run('ALTER TABLE trash ADD COLUMN site_id INTEGER');
+        await db.run('UPDATE trash SET site_id = 1');
+    }
+};
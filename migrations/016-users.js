@@ -0,0 +1,30 @@
+/**
+ * Migration 016 - User accounts
+ * Local accounts with a scrypt password hash and a role: viewers can only
+ * read, editors can change anything, admins also manage accounts. Sessions
+ * keep a hash of the login cookie's token, never the token itself.
+ */
+module.exports = {
+    version: 16,
+    name: 'users',
+
+    async up(db) {
+        await db.run(`CREATE TABLE users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE CHECK(length(username) > 0),
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'viewer' CHECK(role IN ('viewer', 'editor', 'admin')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX idx_sessions_user ON sessions (user_id)');
+    }
+};
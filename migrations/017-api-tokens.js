@@ -0,0 +1,25 @@
+/**
+ * Migration 017 - API tokens
+ * Personal tokens that scripts send as a bearer header instead of logging in.
+ * Each belongs to a user and acts with their role, limited to reading when its
+ * scope is 'read'. As with sessions, only a hash of the token is stored.
+ */
+module.exports = {
+    version: 17,
+    name: 'api-tokens',
+
+    async up(db) {
+        await db.run(`CREATE TABLE api_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL CHECK(length(name) > 0),
+            token_hash TEXT NOT NULL UNIQUE,
+            scope TEXT NOT NULL DEFAULT 'read' CHECK(scope IN ('read', 'write')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME,
+            last_used_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX idx_api_tokens_user ON api_tokens (user_id)');
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migration 018 - Panel templates
+ * A named copy of a panel's layout and breakers, optionally with their
+ * circuits, for starting new panels from. Templates aren't tied to a site,
+ * and the breakers are kept as JSON since nothing else references them.
+ */
+module.exports = {
+    version: 18,
+    name: 'panel-templates',
+
+    async up(db) {
+        await db.run(`CREATE TABLE panel_templates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
+            size INTEGER NOT NULL CHECK(size > 0),
+            main_amperage INTEGER CHECK(main_amperage IS NULL OR (main_amperage > 0 AND main_amperage <= 400)),
+            phase_config TEXT NOT NULL DEFAULT 'split_phase' CHECK(phase_config IN ('split_phase', 'three_phase')),
+            numbering_scheme TEXT NOT NULL DEFAULT 'odd_even' CHECK(numbering_scheme IN ('odd_even', 'sequential', 'sequential_two_column')),
+            includes_circuits BOOLEAN NOT NULL DEFAULT 0,
+            breakers TEXT NOT NULL DEFAULT '[]',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+};
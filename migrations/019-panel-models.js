@@ -0,0 +1,41 @@
+/**
+ * Migration 019 - Panel model catalog
+ * Manufacturer load center models with the rules printed on their labels:
+ * spaces, the most circuits (poles) the panel is listed for, the bus rating,
+ * the breaker series it accepts and which positions take tandem breakers.
+ * breaker_series and tandem_positions are JSON arrays; a null tandem_positions
+ * allows tandems anywhere, an empty one nowhere. Panels and templates may name
+ * a model, and breakers record their series. A few common models are seeded
+ * and can be edited like any other.
+ */
+module.exports = {
+    version: 19,
+    name: 'panel-models',
+
+    async up(db) {
+        await db.run(`CREATE TABLE panel_models (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            manufacturer TEXT NOT NULL CHECK(length(manufacturer) > 0),
+            model TEXT NOT NULL CHECK(length(model) > 0),
+            spaces INTEGER NOT NULL CHECK(spaces > 0),
+            max_circuits INTEGER NOT NULL CHECK(max_circuits >= spaces),
+            bus_rating INTEGER CHECK(bus_rating IS NULL OR bus_rating > 0),
+            breaker_series TEXT NOT NULL DEFAULT '[]',
+            tandem_positions TEXT,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(manufacturer, model)
+        )`);
+
+        await db.run(`INSERT INTO panel_models (manufacturer, model, spaces, max_circuits, bus_rating, breaker_series, tandem_positions, notes) VALUES
+            ('Square D', 'Homeline HOM3060M200PC', 30, 60, 200, '["HOM"]', NULL, 'HOMT tandems fit any space'),
+            ('Square D', 'Homeline HOM2040M100PC', 20, 40, 100, '["HOM"]', NULL, 'HOMT tandems fit any space'),
+            ('Square D', 'QO QO140M200P', 40, 40, 200, '["QO"]', '[]', NULL),
+            ('Eaton', 'BR BR3040B200', 30, 40, 200, '["BR"]', NULL, 'Check the label for the spaces that take BD tandems'),
+            ('Siemens', 'P4040B1200CU', 40, 40, 200, '["QP"]', '[]', NULL)`);
+
+        await db.run('ALTER TABLE panels ADD COLUMN model_id INTEGER REFERENCES panel_models (id)');
+        await db.run('ALTER TABLE panel_templates ADD COLUMN model_id INTEGER REFERENCES panel_models (id) ON DELETE SET NULL');
+        await db.run('ALTER TABLE breakers ADD COLUMN series TEXT');
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration 020 - Operation sites
+ * Each site has its own undo stack: an operation belongs to the site of its
+ * first change. Existing operations take theirs from the change history.
+ */
+module.exports = {
+    version: 20,
+    name: 'operation-sites',
+
+    async up(db) {
+        await db.run('ALTER TABLE operations ADD COLUMN site_id INTEGER');
+        await db.run(`UPDATE operations SET site_id = (
+            SELECT h.site_id FROM change_history h WHERE h.operation_id = operations.id ORDER BY h.id LIMIT 1
+        )`);
+        await db.run('CREATE INDEX idx_operations_site ON operations (site_id)');
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Schema migrations - ordered list of every migration the application knows about.
+ * Add new migrations at the end with the next version number; never edit or
+ * reorder a migration that has already shipped.
+ */
+module.exports = [
+    require('./001-initial-schema'),
+    require('./002-circuit-loads'),
+    require('./003-three-phase'),
+    require('./004-protection-devices'),
+    require('./005-circuit-wiring'),
+    require('./006-panel-numbering'),
+    require('./007-levels'),
+    require('./008-circuit-types'),
+    require('./009-devices'),
+    require('./010-attachments'),
+    require('./011-tracing-sessions'),
+    require('./012-change-history'),
+    require('./013-operations'),
+    require('./014-trash'),
+    require('./015-sites'),
+    require('./016-users'),
+    require('./017-api-tokens'),
+    require('./018-panel-templates'),
+    require('./019-panel-models'),
+    require('./020-operation-sites')
+];
@@ -9,6 +9,7 @@
  */
 
 const sqlite3 = require('sqlite3').verbose();
+const PanelLayout = require('./services/panel-layout');
 
 class CriticalMovePlanner {
     constructor(dbPath) {
@@ -143,6 +144,7 @@ class CriticalMovePlanner {
     // Create simple swap-based reorganization strategy
     async createMixedTandemReorganization(strategy, sourcePanelId) {
         const swapMoves = [];
+        const sourcePanel = await this.getPanel(sourcePanelId);
         
         console.log(`\n🔄 Creating simple swap strategy for mixed tandems:`);
         console.log(`   Mixed tandems found: ${strategy.mixedTandems.length}`);
@@ -234,8 +236,8 @@ class CriticalMovePlanner {
         // Create the swap moves
         for (const swap of swapPairs) {
             if (swap.type === 'single_to_tandem_swap') {
-                const singleSide = this.isLeftSide(swap.singlePosition) ? 'left' : 'right';
-                const tandemSide = this.isLeftSide(swap.mixedPosition) ? 'left' : 'right';
+                const singleSide = this.isLeftSide(swap.singlePosition, sourcePanel) ? 'left' : 'right';
+                const tandemSide = this.isLeftSide(swap.mixedPosition, sourcePanel) ? 'left' : 'right';
                 const sideChange = singleSide !== tandemSide;
                 
                 // Move 1: Single breaker to tandem position
@@ -301,8 +303,8 @@ class CriticalMovePlanner {
                 });
                 
             } else if (swap.type === 'tandem_to_tandem_swap') {
-                const t1Side = this.isLeftSide(swap.tandem1Position) ? 'left' : 'right';
-                const t2Side = this.isLeftSide(swap.tandem2Position) ? 'left' : 'right';
+                const t1Side = this.isLeftSide(swap.tandem1Position, sourcePanel) ? 'left' : 'right';
+                const t2Side = this.isLeftSide(swap.tandem2Position, sourcePanel) ? 'left' : 'right';
                 const sideChange = t1Side !== t2Side;
                 
                 // Move 1: T1's critical to T2's non-critical slot
@@ -467,6 +469,7 @@ class CriticalMovePlanner {
 
     // Get occupied positions in a panel
     async getOccupiedPositions(panelId) {
+        const panel = await this.getPanel(panelId);
         const breakers = await this.dbAll(`
             SELECT position, breaker_type
             FROM breakers 
@@ -476,19 +479,16 @@ class CriticalMovePlanner {
 
         const occupied = new Set();
         for (const breaker of breakers) {
-            occupied.add(breaker.position);
-            
-            // Double pole breakers occupy the position AND the position + 2
-            if (breaker.breaker_type === 'double_pole') {
-                occupied.add(breaker.position + 2);
-            }
+            // Multi-pole breakers also occupy the rows below them in the same column
+            PanelLayout.getSpannedPositions(breaker.position, breaker.breaker_type, panel)
+                .forEach(position => occupied.add(position));
         }
         return occupied;
     }
 
-    // Check if a breaker position is on the left (odd) or right (even) side
-    isLeftSide(position) {
-        return position % 2 === 1;
+    // Check if a breaker position is in the left column of its panel
+    isLeftSide(position, panel) {
+        return PanelLayout.getSlot(position, panel).column === 0;
     }
 
     // Find available positions in target panel, preferring same side
@@ -498,7 +498,7 @@ class CriticalMovePlanner {
 
         for (let pos = 1; pos <= targetPanel.size; pos++) {
             if (!occupied.has(pos)) {
-                const isLeft = this.isLeftSide(pos);
+                const isLeft = this.isLeftSide(pos, targetPanel);
                 available.push({
                     position: pos,
                     side: isLeft ? 'left' : 'right',
@@ -582,13 +582,13 @@ class CriticalMovePlanner {
 
             // Need to find a new position for the non-critical slot
             for (const breaker of split.toReorganize) {
-                const currentSide = this.isLeftSide(split.position) ? 'left' : 'right';
+                const currentSide = this.isLeftSide(split.position, sourcePanel) ? 'left' : 'right';
                 
                 // Find truly available positions (not occupied and not already assigned)
                 const availablePositions = [];
                 for (let pos = 1; pos <= sourcePanel.size; pos++) {
                     if (!sourceOccupied.has(pos) && pos !== split.position) {
-                        const isLeft = this.isLeftSide(pos);
+                        const isLeft = this.isLeftSide(pos, sourcePanel);
                         availablePositions.push({
                             position: pos,
                             side: isLeft ? 'left' : 'right',
@@ -10,6 +10,12 @@ class ApiClient {
                 'Content-Type': 'application/json',
             },
         };
+        // Undoable operation the next changes belong to, see withOperation()
+        this.operationId = null;
+        // Called after every successful change, e.g. to refresh the undo buttons
+        this.onChange = null;
+        // Called when the server asks to log in again, e.g. after the session expired
+        this.onUnauthorized = null;
     }
 
     /**
@@ -25,12 +31,14 @@ class ApiClient {
             ...options,
             headers: {
                 ...this.defaultOptions.headers,
+                ...(this.operationId ? { 'X-Operation-Id': String(this.operationId) } : {}),
                 ...options.headers,
             },
         };
 
-        // Serialize body if it's an object
-        if (config.body && typeof config.body === 'object') {
+        // Serialize body if it's an object; files and blobs are sent as-is
+        const isBlob = typeof Blob !== 'undefined' && config.body instanceof Blob;
+        if (config.body && typeof config.body === 'object' && !isBlob) {
             config.body = JSON.stringify(config.body);
         }
 
@@ -51,9 +59,17 @@ class ApiClient {
                 const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
                 error.status = response.status;
                 error.data = data;
+                if (response.status === 401 && !endpoint.startsWith('/auth/') && this.onUnauthorized) {
+                    this.onUnauthorized();
+                }
                 throw error;
             }
 
+            const method = (config.method || 'GET').toUpperCase();
+            if (method !== 'GET' && !endpoint.startsWith('/operations') && this.onChange) {
+                this.onChange();
+            }
+
             return data;
         } catch (error) {
             // Re-throw with more context for network errors
@@ -64,9 +80,113 @@ class ApiClient {
         }
     }
 
+    // Account API methods
+    async getSession() {
+        return this.request('/auth/session');
+    }
+
+    async login(username, password) {
+        return this.request('/auth/login', {
+            method: 'POST',
+            body: { username, password },
+        });
+    }
+
+    async logout() {
+        return this.request('/auth/logout', { method: 'POST' });
+    }
+
+    async setupAdmin(username, password) {
+        return this.request('/auth/setup', {
+            method: 'POST',
+            body: { username, password },
+        });
+    }
+
+    async getAllUsers() {
+        return this.request('/users');
+    }
+
+    async createUser(userData) {
+        return this.request('/users', {
+            method: 'POST',
+            body: userData,
+        });
+    }
+
+    async updateUser(id, userData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid user ID');
+        }
+        return this.request(`/users/${id}`, {
+            method: 'PUT',
+            body: userData,
+        });
+    }
+
+    async deleteUser(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid user ID');
+        }
+        return this.request(`/users/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
+    async getApiTokens() {
+        return this.request('/tokens');
+    }
+
+    async createApiToken(tokenData) {
+        return this.request('/tokens', {
+            method: 'POST',
+            body: tokenData,
+        });
+    }
+
+    async revokeApiToken(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid token ID');
+        }
+        return this.request(`/tokens/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
+    // Site API methods
+    async getAllSites() {
+        return this.request('/sites');
+    }
+
+    async createSite(siteData) {
+        return this.request('/sites', {
+            method: 'POST',
+            body: siteData,
+        });
+    }
+
+    async updateSite(id, siteData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid site ID');
+        }
+        return this.request(`/sites/${id}`, {
+            method: 'PUT',
+            body: siteData,
+        });
+    }
+
+    async deleteSite(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid site ID');
+        }
+        return this.request(`/sites/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
     // Panel API methods
-    async getAllPanels() {
-        return this.request('/panels');
+    async getAllPanels(siteId = null) {
+        return this.request(`/panels${this.siteQuery(siteId)}`);
     }
 
     async getPanel(id) {
@@ -95,6 +215,124 @@ class ApiClient {
         });
     }
 
+    async previewPanelResize(id, panelData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid panel ID');
+        }
+        this.validatePanelData(panelData);
+        return this.request(`/panels/${id}/resize-preview`, {
+            method: 'POST',
+            body: panelData,
+        });
+    }
+
+    async clonePanel(id, cloneData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid panel ID');
+        }
+        return this.request(`/panels/${id}/clone`, {
+            method: 'POST',
+            body: cloneData,
+        });
+    }
+
+    async previewCsvImport(id, importData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid panel ID');
+        }
+        return this.request(`/panels/${id}/csv-preview`, {
+            method: 'POST',
+            body: importData,
+        });
+    }
+
+    async importCsv(id, importData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid panel ID');
+        }
+        return this.request(`/panels/${id}/csv-import`, {
+            method: 'POST',
+            body: importData,
+        });
+    }
+
+    // Panel template methods
+    async getPanelTemplates() {
+        return this.request('/panel-templates');
+    }
+
+    async createPanelTemplate(templateData) {
+        if (!this.isValidId(templateData.panel_id)) {
+            throw new Error('Invalid panel ID');
+        }
+        return this.request('/panel-templates', {
+            method: 'POST',
+            body: templateData,
+        });
+    }
+
+    async createPanelFromTemplate(templateId, panelData) {
+        if (!this.isValidId(templateId)) {
+            throw new Error('Invalid template ID');
+        }
+        return this.request(`/panel-templates/${templateId}/panels`, {
+            method: 'POST',
+            body: panelData,
+        });
+    }
+
+    async deletePanelTemplate(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid template ID');
+        }
+        return this.request(`/panel-templates/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
+    // Backup methods
+    async exportBackup() {
+        return this.request('/export');
+    }
+
+    async importBackup(backup, mode) {
+        return this.request(`/import?mode=${encodeURIComponent(mode)}`, {
+            method: 'POST',
+            body: backup,
+        });
+    }
+
+    // Panel model methods
+    async getPanelModels() {
+        return this.request('/panel-models');
+    }
+
+    async createPanelModel(modelData) {
+        return this.request('/panel-models', {
+            method: 'POST',
+            body: modelData,
+        });
+    }
+
+    async updatePanelModel(id, modelData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid panel model ID');
+        }
+        return this.request(`/panel-models/${id}`, {
+            method: 'PUT',
+            body: modelData,
+        });
+    }
+
+    async deletePanelModel(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid panel model ID');
+        }
+        return this.request(`/panel-models/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
     async deletePanel(id) {
         if (!this.isValidId(id)) {
             throw new Error('Invalid panel ID');
@@ -179,9 +417,261 @@ class ApiClient {
         });
     }
 
+    // Level API methods
+    async getAllLevels() {
+        return this.request('/levels');
+    }
+
+    async createLevel(levelData) {
+        this.validateLevelData(levelData);
+        return this.request('/levels', {
+            method: 'POST',
+            body: levelData,
+        });
+    }
+
+    async updateLevel(id, levelData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid level ID');
+        }
+        this.validateLevelData(levelData);
+        return this.request(`/levels/${id}`, {
+            method: 'PUT',
+            body: levelData,
+        });
+    }
+
+    async reorderLevels(levelIds) {
+        return this.request('/levels/order', {
+            method: 'PUT',
+            body: { level_ids: levelIds },
+        });
+    }
+
+    async deleteLevel(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid level ID');
+        }
+        return this.request(`/levels/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
+    // Circuit type API methods
+    async getAllCircuitTypes() {
+        return this.request('/circuit-types');
+    }
+
+    async createCircuitType(typeData) {
+        this.validateCircuitTypeData(typeData);
+        return this.request('/circuit-types', {
+            method: 'POST',
+            body: typeData,
+        });
+    }
+
+    async updateCircuitType(id, typeData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid circuit type ID');
+        }
+        this.validateCircuitTypeData(typeData);
+        return this.request(`/circuit-types/${id}`, {
+            method: 'PUT',
+            body: typeData,
+        });
+    }
+
+    async deleteCircuitType(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid circuit type ID');
+        }
+        return this.request(`/circuit-types/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
+    // Device API methods
+    async getDevicesByCircuit(circuitId) {
+        if (!this.isValidId(circuitId)) {
+            throw new Error('Invalid circuit ID');
+        }
+        return this.request(`/circuits/${circuitId}/devices`);
+    }
+
+    async createDevice(deviceData) {
+        this.validateDeviceData(deviceData);
+        return this.request('/devices', {
+            method: 'POST',
+            body: deviceData,
+        });
+    }
+
+    async updateDevice(id, deviceData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid device ID');
+        }
+        this.validateDeviceData(deviceData, false);
+        return this.request(`/devices/${id}`, {
+            method: 'PUT',
+            body: deviceData,
+        });
+    }
+
+    async reorderDevices(circuitId, deviceIds) {
+        if (!this.isValidId(circuitId)) {
+            throw new Error('Invalid circuit ID');
+        }
+        return this.request(`/circuits/${circuitId}/devices/order`, {
+            method: 'PUT',
+            body: { device_ids: deviceIds },
+        });
+    }
+
+    async deleteDevice(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid device ID');
+        }
+        return this.request(`/devices/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
+    // Tracing session API methods
+    async getTracingSessions(panelId) {
+        if (!this.isValidId(panelId)) {
+            throw new Error('Invalid panel ID');
+        }
+        return this.request(`/panels/${panelId}/tracing-sessions`);
+    }
+
+    async getTracingSession(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid tracing session ID');
+        }
+        return this.request(`/tracing-sessions/${id}`);
+    }
+
+    async createTracingSession(sessionData) {
+        if (!this.isValidId(sessionData?.panel_id)) {
+            throw new Error('Valid panel ID is required');
+        }
+        return this.request('/tracing-sessions', {
+            method: 'POST',
+            body: sessionData,
+        });
+    }
+
+    async updateTracingSession(id, sessionData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid tracing session ID');
+        }
+        return this.request(`/tracing-sessions/${id}`, {
+            method: 'PUT',
+            body: sessionData,
+        });
+    }
+
+    async recordTracingStep(sessionId, stepData) {
+        if (!this.isValidId(sessionId)) {
+            throw new Error('Invalid tracing session ID');
+        }
+        if (!this.isValidId(stepData?.breaker_id)) {
+            throw new Error('Valid breaker ID is required');
+        }
+        return this.request(`/tracing-sessions/${sessionId}/steps`, {
+            method: 'POST',
+            body: stepData,
+        });
+    }
+
+    async acceptTracingStep(sessionId, stepId, proposalIds) {
+        if (!this.isValidId(sessionId) || !this.isValidId(stepId)) {
+            throw new Error('Invalid tracing step');
+        }
+        return this.request(`/tracing-sessions/${sessionId}/steps/${stepId}/accept`, {
+            method: 'POST',
+            body: { proposal_ids: proposalIds },
+        });
+    }
+
+    async deleteTracingStep(sessionId, stepId) {
+        if (!this.isValidId(sessionId) || !this.isValidId(stepId)) {
+            throw new Error('Invalid tracing step');
+        }
+        return this.request(`/tracing-sessions/${sessionId}/steps/${stepId}`, {
+            method: 'DELETE',
+        });
+    }
+
+    // Attachment API methods
+    async getPanelAttachments(panelId) {
+        if (!this.isValidId(panelId)) {
+            throw new Error('Invalid panel ID');
+        }
+        return this.request(`/panels/${panelId}/attachments`);
+    }
+
+    async getBreakerAttachments(breakerId) {
+        if (!this.isValidId(breakerId)) {
+            throw new Error('Invalid breaker ID');
+        }
+        return this.request(`/breakers/${breakerId}/attachments`);
+    }
+
+    /**
+     * Upload a photo or PDF
+     * @param {Object} owner - Exactly one of { panel_id }, { breaker_id } or { circuit_id }
+     * @param {File|Blob} file - File to upload; its type becomes the Content-Type
+     * @param {string} filename - Original file name
+     * @param {string} [caption] - Optional caption
+     */
+    async uploadAttachment(owner, file, filename, caption = '') {
+        const ownerFields = Object.keys(owner).filter(field => ['panel_id', 'breaker_id', 'circuit_id'].includes(field));
+        if (ownerFields.length !== 1 || !this.isValidId(owner[ownerFields[0]])) {
+            throw new Error('An attachment belongs to exactly one panel, breaker or circuit');
+        }
+        const params = new URLSearchParams({ [ownerFields[0]]: owner[ownerFields[0]], filename });
+        if (caption) params.set('caption', caption);
+        return this.request(`/attachments?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type },
+            body: file,
+        });
+    }
+
+    async uploadAttachmentThumbnail(id, thumbnail) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid attachment ID');
+        }
+        return this.request(`/attachments/${id}/thumbnail`, {
+            method: 'PUT',
+            headers: { 'Content-Type': thumbnail.type },
+            body: thumbnail,
+        });
+    }
+
+    async updateAttachment(id, attachmentData) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid attachment ID');
+        }
+        return this.request(`/attachments/${id}`, {
+            method: 'PUT',
+            body: attachmentData,
+        });
+    }
+
+    async deleteAttachment(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid attachment ID');
+        }
+        return this.request(`/attachments/${id}`, {
+            method: 'DELETE',
+        });
+    }
+
     // Room API methods
-    async getAllRooms() {
-        return this.request('/rooms');
+    async getAllRooms(siteId = null) {
+        return this.request(`/rooms${this.siteQuery(siteId)}`);
     }
 
     async createRoom(roomData) {
@@ -213,8 +703,8 @@ class ApiClient {
     }
 
     // Circuit API methods
-    async getAllCircuits() {
-        return this.request('/circuits');
+    async getAllCircuits(siteId = null) {
+        return this.request(`/circuits${this.siteQuery(siteId)}`);
     }
 
     async getCircuitsByBreaker(breakerId) {
@@ -252,6 +742,85 @@ class ApiClient {
         });
     }
 
+    // Change history API methods
+    async getHistory(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) params.set(key, value);
+        });
+        const query = params.toString();
+        return this.request(`/history${query ? `?${query}` : ''}`);
+    }
+
+    // Undo API methods
+    async getUndoState(siteId = null) {
+        return this.request(`/operations${this.siteQuery(siteId)}`);
+    }
+
+    async startOperation(label) {
+        return this.request('/operations', { method: 'POST', body: { label } });
+    }
+
+    async undo(siteId = null) {
+        return this.request(`/operations/undo${this.siteQuery(siteId)}`, { method: 'POST' });
+    }
+
+    async redo(siteId = null) {
+        return this.request(`/operations/redo${this.siteQuery(siteId)}`, { method: 'POST' });
+    }
+
+    /**
+     * Run several requests as one undoable operation
+     * @param {string} label - What the requests do together, e.g. 'Save breaker 5'
+     * @param {Function} callback - Async function making the requests
+     * @returns {Promise<*>} What the callback returns
+     */
+    async withOperation(label, callback) {
+        const operation = await this.startOperation(label);
+        this.operationId = operation.id;
+        try {
+            return await callback();
+        } finally {
+            this.operationId = null;
+        }
+    }
+
+    // Trash API methods
+    async getTrash(siteId = null) {
+        return this.request(`/trash${this.siteQuery(siteId)}`);
+    }
+
+    async restoreFromTrash(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid trash item ID');
+        }
+        return this.request(`/trash/${id}/restore`, { method: 'POST' });
+    }
+
+    async deleteFromTrash(id) {
+        if (!this.isValidId(id)) {
+            throw new Error('Invalid trash item ID');
+        }
+        return this.request(`/trash/${id}`, { method: 'DELETE' });
+    }
+
+    async emptyTrash(siteId = null) {
+        return this.request(`/trash${this.siteQuery(siteId)}`, { method: 'DELETE' });
+    }
+
+    // Report API methods
+    async getWiringIssues(siteId = null) {
+        return this.request(`/reports/wiring-issues${this.siteQuery(siteId)}`);
+    }
+
+    async getHierarchy(siteId = null) {
+        return this.request(`/hierarchy${this.siteQuery(siteId)}`);
+    }
+
+    // Lists cover every site unless given one
+    siteQuery(siteId) {
+        return siteId ? `?site_id=${siteId}` : '';
+    }
 
     // Validation helpers
     isValidId(id) {
@@ -266,8 +835,8 @@ class ApiClient {
     validatePanelData(data) {
         if (!data.name?.trim()) throw new Error('Name is required');
         if (!data.size) throw new Error('Panel size is required');
-        if (data.size && (data.size < 12 || data.size > 42)) {
-            throw new Error('Size must be a number between 12 and 42');
+        if (data.size && (!Number.isInteger(data.size) || data.size <= 0)) {
+            throw new Error('Size must be a positive whole number of spaces');
         }
     }
 
@@ -285,16 +854,45 @@ class ApiClient {
         if (requireAll && !this.isValidId(data.breaker_id)) {
             throw new Error('Valid breaker ID is required');
         }
-        if (data.type && !['outlet', 'lighting', 'heating', 'appliance', 'subpanel'].includes(data.type)) {
-            throw new Error('Circuit type must be one of: outlet, lighting, heating, appliance, subpanel');
+        if (data.type && !/^[a-z0-9_]+$/.test(data.type)) {
+            throw new Error('Circuit type must be a circuit type key');
+        }
+    }
+
+    validateDeviceData(data, requireAll = true) {
+        if (requireAll && !this.isValidId(data.circuit_id)) {
+            throw new Error('Valid circuit ID is required');
+        }
+        if (!['receptacle', 'switch', 'fixture', 'appliance', 'junction_box', 'other'].includes(data.device_type)) {
+            throw new Error('Device type must be one of: receptacle, switch, fixture, appliance, junction_box, other');
+        }
+    }
+
+    validateCircuitTypeData(data) {
+        if (!data.name?.trim()) throw new Error('Circuit type name is required');
+        if (data.color && !/^#[0-9a-fA-F]{6}$/.test(data.color)) {
+            throw new Error('Color must be a hex color such as #27ae60');
+        }
+        if (data.icon && [...data.icon].length > 4) {
+            throw new Error('Icon must be at most 4 characters');
+        }
+        if (data.default_amperage && (data.default_amperage < 1 || data.default_amperage > 200)) {
+            throw new Error('Default amperage must be between 1 and 200');
         }
     }
 
     validateRoomData(data) {
         if (!data.name?.trim()) throw new Error('Room name is required');
         if (!data.level) throw new Error('Room level is required');
-        if (!['basement', 'main', 'upper', 'outside'].includes(data.level)) {
-            throw new Error('Level must be one of: basement, main, upper, outside');
+    }
+
+    validateLevelData(data) {
+        if (!data.name?.trim()) throw new Error('Level name is required');
+        if (data.color && !/^#[0-9a-fA-F]{6}$/.test(data.color)) {
+            throw new Error('Color must be a hex color such as #27ae60');
+        }
+        if (data.icon && [...data.icon].length > 4) {
+            throw new Error('Icon must be at most 4 characters');
         }
     }
 }
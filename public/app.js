@@ -3,7 +3,7 @@
  * Manages electrical panel breakers with comprehensive circuit tracking
  */
 
-/* global MoveManager */
+/* global MoveManager, DeviceManager, AttachmentManager, TracingManager, HistoryManager, UndoManager, TrashManager, AuthManager, TokenManager, HierarchyManager, ResizeManager, TemplateManager, PanelModelManager, BackupManager, CsvImportManager */
 
 /**
  * Main Application Class
@@ -11,20 +11,39 @@
 class BreakerPanelApp {
     constructor() {
         this.api = new ApiClient();
+        this.currentSite = null;
+        this.allSites = [];
         this.currentPanel = null;
         this.allPanels = [];
         this.allRooms = [];
+        this.allLevels = [];
+        this.circuitTypes = [];
         this.currentBreaker = null;
         this.circuitCounter = 0;
         this.existingCircuits = [];
         this.allCircuitData = [];
         this.globalCircuitCache = new Map(); // Cache all circuits globally
         this.currentSort = { column: 'breaker', direction: 'asc' };
+        this.started = false;
         
         // Initialize modules
         this.panelRenderer = new PanelRenderer(this);
         this.circuitListManager = new CircuitListManager(this);
         this.moveManager = new MoveManager(this);
+        this.deviceManager = new DeviceManager(this);
+        this.attachmentManager = new AttachmentManager(this);
+        this.tracingManager = new TracingManager(this);
+        this.historyManager = new HistoryManager(this);
+        this.undoManager = new UndoManager(this);
+        this.trashManager = new TrashManager(this);
+        this.hierarchyManager = new HierarchyManager(this);
+        this.authManager = new AuthManager(this);
+        this.tokenManager = new TokenManager(this);
+        this.resizeManager = new ResizeManager(this);
+        this.templateManager = new TemplateManager(this);
+        this.panelModelManager = new PanelModelManager(this);
+        this.backupManager = new BackupManager(this);
+        this.csvImportManager = new CsvImportManager(this);
         
         this.init();
     }
@@ -32,41 +51,104 @@ class BreakerPanelApp {
     async init() {
         try {
             this.setupEventListeners();
-            await this.loadDefaultPanel();
+            this.tokenManager.init();
+            if (await this.authManager.init()) {
+                await this.start();
+            }
         } catch (error) {
             this.handleError('Application initialization failed', error);
         }
     }
 
+    /**
+     * Load the app's data, once logged in or when no login is needed
+     */
+    async start() {
+        this.started = true;
+        this.undoManager.init();
+        await this.loadDefaultPanel();
+        await this.undoManager.refresh();
+    }
+
     // ============================================================================
     // EVENT LISTENERS
     // ============================================================================
 
     setupEventListeners() {
+        // Site management
+        this.bindElement('current-site', 'change', (e) => this.switchSite(parseInt(e.target.value)));
+        this.bindElement('new-site', 'click', () => this.createSite());
+
         // Panel management
         this.bindElement('new-panel', 'click', () => this.openNewPanelModal());
+        this.bindElement('edit-panel', 'click', () => this.resizeManager.open());
+        this.bindElement('copy-panel', 'click', () => this.templateManager.openCopy());
+        this.bindElement('import-csv', 'click', () => this.csvImportManager.open());
         this.bindElement('delete-panel', 'click', () => this.deleteCurrentPanel());
         this.bindElement('current-panel', 'change', (e) => this.switchPanel(parseInt(e.target.value)));
         this.bindElement('manage-rooms', 'click', () => this.openRoomManagementModal());
+        this.bindElement('manage-circuit-types', 'click', () => this.openCircuitTypesModal());
+        this.bindElement('manage-panel-models', 'click', () => this.panelModelManager.open());
+        this.bindElement('wiring-issues', 'click', () => this.openWiringIssuesModal());
+        this.bindElement('panel-hierarchy', 'click', () => this.hierarchyManager.open());
+        this.bindElement('panel-gallery', 'click', () => this.attachmentManager.openPanelGallery());
+        this.bindElement('open-trash', 'click', () => this.trashManager.open());
+        this.bindElement('empty-trash', 'click', () => this.trashManager.emptyTrash());
         
         // New panel modal
         this.bindElement('new-panel-form', 'submit', (e) => this.createNewPanel(e));
         this.bindElement('cancel-new-panel', 'click', () => this.closeNewPanelModal());
+        this.bindElement('resize-relocate', 'change', () => this.resizeManager.updateSubmitLabel());
+        this.bindElement('resize-delete', 'change', () => this.resizeManager.updateSubmitLabel());
+        this.bindElement('panel-template', 'change', () => this.templateManager.applyTemplate());
+        this.bindElement('panel-model', 'change', () => this.panelModelManager.applyModel());
+        this.bindElement('delete-template', 'click', () => this.templateManager.deleteTemplate());
+        this.bindElement('copy-panel-form', 'submit', (e) => this.templateManager.submitCopy(e));
+        this.bindElement('copy-mode-clone', 'change', () => this.templateManager.updateCopyMode());
+        this.bindElement('copy-mode-template', 'change', () => this.templateManager.updateCopyMode());
+        this.bindElement('cancel-copy', 'click', () => this.hideModal('copy-panel-modal'));
+        
+        // CSV import modal
+        this.bindElement('csv-file', 'change', () => this.csvImportManager.loadFile());
+        this.bindElement('csv-delimiter', 'change', () => this.csvImportManager.reread());
+        this.bindElement('csv-has-header', 'change', () => this.csvImportManager.reread());
+        this.bindElement('csv-default-level', 'change', () => this.csvImportManager.refresh());
+        this.bindElement('csv-import-form', 'submit', (e) => this.csvImportManager.submit(e));
+        this.bindElement('cancel-csv-import', 'click', () => this.hideModal('csv-import-modal'));
         
         // Room management modal
         this.bindElement('room-form', 'submit', (e) => this.createRoom(e));
         this.bindElement('cancel-room', 'click', () => this.closeRoomManagementModal());
+        this.bindElement('level-form', 'submit', (e) => this.saveLevel(e));
+        this.bindElement('cancel-level-edit', 'click', () => this.resetLevelForm());
+        
+        // Circuit types modal
+        this.bindElement('circuit-type-form', 'submit', (e) => this.saveCircuitType(e));
+        this.bindElement('cancel-circuit-type-edit', 'click', () => this.resetCircuitTypeForm());
+        
+        // Panel models modal
+        this.bindElement('panel-model-form', 'submit', (e) => this.panelModelManager.save(e));
+        this.bindElement('cancel-panel-model-edit', 'click', () => this.panelModelManager.resetForm());
+        
+        // Settings modal
+        this.bindElement('open-settings', 'click', () => this.backupManager.open());
+        this.bindElement('download-backup', 'click', () => this.backupManager.download());
+        this.bindElement('restore-form', 'submit', (e) => this.backupManager.restore(e));
         
         // Breaker management
         this.bindElement('breaker-form', 'submit', (e) => this.saveBreakerForm(e));
         this.bindElement('delete-breaker', 'click', () => this.deleteBreaker());
         this.bindElement('add-circuit', 'click', () => this.addCircuitForm());
         this.bindElement('breaker-type', 'change', (e) => this.toggleBreakerType(e));
+        this.bindElement('breaker-tab-details', 'click', () => this.historyManager.showBreakerTab('details'));
+        this.bindElement('breaker-tab-history', 'click', () => this.historyManager.showBreakerTab('history'));
         
         // View mode buttons
         this.bindElement('normal-mode', 'click', () => this.setViewMode('normal'));
         this.bindElement('critical-mode', 'click', () => this.setViewMode('critical'));
         this.bindElement('monitor-mode', 'click', () => this.setViewMode('monitor'));
+        this.bindElement('balance-mode', 'click', () => this.setViewMode('balance'));
+        this.bindElement('trace-mode', 'click', () => this.setViewMode('trace'));
         
         // Display mode buttons
         this.bindElement('panel-view', 'click', () => this.setDisplayMode('panel'));
@@ -77,6 +159,7 @@ class BreakerPanelApp {
         this.bindElement('circuit-search', 'input', () => this.applyCircuitFilters());
         this.bindElement('room-filter', 'change', () => this.applyCircuitFilters());
         this.bindElement('type-filter', 'change', () => this.applyCircuitFilters());
+        this.bindElement('protection-filter', 'change', () => this.applyCircuitFilters());
         this.bindElement('critical-filter', 'change', () => this.applyCircuitFilters());
         this.bindElement('monitor-filter', 'change', () => this.applyCircuitFilters());
         this.bindElement('not-confirmed-filter', 'change', () => this.applyCircuitFilters());
@@ -131,15 +214,92 @@ class BreakerPanelApp {
         });
     }
 
+    // ============================================================================
+    // SITE MANAGEMENT
+    // ============================================================================
+
+    async loadAllSites() {
+        this.allSites = await this.api.getAllSites();
+        this.currentSite = this.allSites.find(site => site.id === this.currentSite?.id) || this.allSites[0] || null;
+        this.populateSiteSelector();
+    }
+
+    populateSiteSelector() {
+        const selector = document.getElementById('current-site');
+        if (!selector) return;
+
+        selector.innerHTML = '';
+        this.allSites.forEach(site => {
+            const option = document.createElement('option');
+            option.value = site.id;
+            option.textContent = site.name;
+            selector.appendChild(option);
+        });
+
+        if (this.currentSite) {
+            selector.value = this.currentSite.id;
+        }
+    }
+
+    /**
+     * Show another site's panels and rooms, starting from its first panel
+     * @param {number} siteId - Site to switch to
+     */
+    async switchSite(siteId) {
+        const site = this.allSites.find(s => s.id === siteId);
+        if (!site) return;
+
+        try {
+            this.currentSite = site;
+            this.populateSiteSelector();
+            await Promise.all([this.loadAllPanels(), this.loadAllRooms()]);
+            if (this.allPanels.length > 0) {
+                this.currentPanel = this.allPanels[0];
+                this.renderPanel();
+            } else {
+                await this.createDefaultPanel();
+            }
+            await this.populatePanelSelector();
+            this.updatePanelControls();
+            await this.undoManager.refresh();
+
+            if (this.tracingManager.isActive()) {
+                await this.tracingManager.refreshBar();
+            }
+            if (this.isCircuitListVisible()) {
+                await this.loadCircuitList();
+            }
+        } catch (error) {
+            this.handleError('Failed to switch site', error);
+        }
+    }
+
+    async createSite() {
+        const name = prompt('Name of the new site, e.g. "Lake House"');
+        if (!name || !name.trim()) return;
+
+        try {
+            const site = await this.api.createSite({ name: name.trim() });
+            await this.loadAllSites();
+            await this.switchSite(site.id);
+        } catch (error) {
+            this.handleError('Failed to create site', error);
+        }
+    }
+
     // ============================================================================
     // PANEL MANAGEMENT
     // ============================================================================
 
     async loadDefaultPanel() {
         try {
+            await this.loadAllSites();
             await Promise.all([
                 this.loadAllPanels(),
-                this.loadAllRooms()
+                this.loadAllRooms(),
+                this.loadAllLevels(),
+                this.loadCircuitTypes(),
+                this.panelModelManager.loadModels()
             ]);
             if (this.allPanels.length > 0) {
                 this.currentPanel = this.allPanels[0];
@@ -155,7 +315,7 @@ class BreakerPanelApp {
     }
 
     async loadAllPanels() {
-        const panels = await this.api.getAllPanels();
+        const panels = await this.api.getAllPanels(this.currentSite?.id);
         
         // Load complete data for all panels to populate global cache
         const panelDataPromises = panels.map(panel => 
@@ -268,7 +428,7 @@ class BreakerPanelApp {
     }
 
     async createDefaultPanel() {
-        const panelData = { name: 'Main Panel', size: 40 };
+        const panelData = { name: 'Main Panel', size: 40, site_id: this.currentSite?.id };
         
         try {
             this.currentPanel = await this.api.createPanel(panelData);
@@ -281,10 +441,17 @@ class BreakerPanelApp {
     }
 
     // Panel Modal Management
-    openNewPanelModal() {
+    async openNewPanelModal() {
         document.getElementById('panel-name').value = '';
         document.getElementById('panel-size').value = '40';
+        document.getElementById('panel-main-amperage').value = '';
+        document.getElementById('panel-phase-config').value = 'split_phase';
+        document.getElementById('panel-numbering-scheme').value = 'odd_even';
+        this.panelModelManager.setModel(null);
+        this.resizeManager.reset();
+        this.templateManager.showPicker(true);
         this.showModal('new-panel-modal');
+        await this.templateManager.loadTemplates();
     }
 
     closeNewPanelModal() {
@@ -305,13 +472,24 @@ class BreakerPanelApp {
         e.preventDefault();
         
         const formData = new FormData(e.target);
+        const mainAmperage = formData.get('main_amperage');
         const panelData = {
             name: formData.get('name'),
-            size: parseInt(formData.get('size'))
+            size: parseInt(formData.get('size')),
+            main_amperage: mainAmperage ? parseInt(mainAmperage) : null,
+            phase_config: formData.get('phase_config') || 'split_phase',
+            numbering_scheme: formData.get('numbering_scheme') || 'odd_even',
+            model_id: parseInt(formData.get('model_id')) || null,
+            site_id: this.currentSite?.id
         };
+        if (this.resizeManager.isEditing()) {
+            return this.resizeManager.save(panelData);
+        }
 
         try {
-            const newPanel = await this.api.createPanel(panelData);
+            const newPanel = this.templateManager.getSelectedTemplate()
+                ? await this.templateManager.createFromTemplate(panelData)
+                : await this.api.createPanel(panelData);
             this.currentPanel = newPanel;
             await this.loadAllPanels();
             this.renderPanel();
@@ -329,6 +507,9 @@ class BreakerPanelApp {
             this.currentPanel = panel;
             this.renderPanel();
             this.updatePanelControls();
+            if (this.tracingManager.isActive()) {
+                await this.tracingManager.refreshBar();
+            }
             
             // Update circuit list if displayed
             if (this.isCircuitListVisible()) {
@@ -343,7 +524,7 @@ class BreakerPanelApp {
             return;
         }
 
-        const confirmDelete = confirm(`Are you sure you want to delete "${this.currentPanel.name}"? This action cannot be undone.`);
+        const confirmDelete = confirm(`Are you sure you want to delete "${this.currentPanel.name}"? It moves to the Trash, and you can undo this with Ctrl+Z.`);
         if (!confirmDelete) return;
 
         try {
@@ -372,7 +553,7 @@ class BreakerPanelApp {
         if (!panelContainer) return;
         
         // Remove all mode classes
-        panelContainer.classList.remove('critical-mode', 'monitor-mode');
+        panelContainer.classList.remove('critical-mode', 'monitor-mode', 'balance-mode', 'trace-mode');
         
         // Remove active class from all buttons
         modeButtons.forEach(btn => btn.classList.remove('active'));
@@ -384,9 +565,22 @@ class BreakerPanelApp {
         } else if (mode === 'monitor') {
             panelContainer.classList.add('monitor-mode');
             this.setActiveButton('monitor-mode');
+        } else if (mode === 'balance') {
+            panelContainer.classList.add('balance-mode');
+            this.setActiveButton('balance-mode');
+        } else if (mode === 'trace') {
+            panelContainer.classList.add('trace-mode');
+            this.setActiveButton('trace-mode');
         } else {
             this.setActiveButton('normal-mode');
         }
+
+        // Tracing mode turns breaker clicks into tracing steps
+        if (mode === 'trace') {
+            this.tracingManager.start();
+        } else if (this.tracingManager.isActive()) {
+            this.tracingManager.stop();
+        }
     }
 
     setDisplayMode(mode) {
@@ -473,7 +667,7 @@ class BreakerPanelApp {
         
         const confirmed = confirm(
             `Are you sure you want to delete this breaker and all its circuits?\n\n` +
-            `This will clear breaker position ${this.currentBreaker.position} and remove all associated circuits. This action cannot be undone.`
+            `This will clear breaker position ${this.currentBreaker.position} and remove all associated circuits. They move to the Trash, and you can undo this with Ctrl+Z.`
         );
         
         if (confirmed) {
@@ -589,6 +783,9 @@ class BreakerPanelApp {
         clonedContainer.querySelector('.breaker-panel').replaceWith(clonedPanel);
 
         const currentDate = new Date().toLocaleDateString();
+        const serviceDescription = this.currentPanel.phase_config === 'three_phase'
+            ? '208Y/120V three-phase'
+            : '120/240V split-phase';
         
         return `
         <!DOCTYPE html>
@@ -603,13 +800,17 @@ class BreakerPanelApp {
             <div class="print-header">
                 <h1>Electrical Panel - ${this.currentPanel.name}</h1>
                 <div class="print-info">
-                    <span>Printed: ${currentDate}</span>
+                    <span>${serviceDescription} · Printed: ${currentDate}</span>
                 </div>
             </div>
             
             <div class="print-panel-container">
                 ${clonedContainer.innerHTML}
             </div>
+            
+            <div class="print-legend">
+                ${Object.values(BreakerPanelApp.protectionTypes).map(type => `${type.short} = ${type.name}`).join(' · ')} · G↓ = GFCI protected downstream
+            </div>
         </body>
         </html>
         `;
@@ -681,6 +882,11 @@ class BreakerPanelApp {
                 background-color: #f5f5f5;
             }
             
+            .breaker-panel.single-column {
+                grid-template-columns: 1fr;
+                max-width: 340px;
+            }
+            
             .breaker-container {
                 display: flex;
                 align-items: center;
@@ -720,6 +926,28 @@ class BreakerPanelApp {
                 height: 60px;
             }
             
+            .breaker-container.triple-pole-container {
+                grid-row: span 3;
+                min-height: 113px;
+            }
+            
+            .breaker-container.triple-pole-container .breaker {
+                height: 113px;
+            }
+            
+            .breaker-container.triple-pole-container .breaker-amperage-box {
+                height: 95px;
+            }
+            
+            .breaker-phase {
+                position: absolute;
+                bottom: 1px;
+                left: 2px;
+                font-size: 7px;
+                font-weight: bold;
+                color: #333;
+            }
+            
             .breaker-amperage-box {
                 width: 20px;
                 height: 25px;
@@ -784,15 +1012,45 @@ class BreakerPanelApp {
             }
             
             .breaker-indicators {
-                display: none;
+                position: absolute;
+                top: 1px;
+                right: 1px;
+                display: flex;
+                gap: 1px;
+            }
+            
+            .load-gauge,
+            .balance-summary {
+                display: none !important;
             }
             
             .indicator {
                 display: none;
             }
             
+            /* Protection markings stay on the printed directory */
+            .indicator.protection,
+            .indicator.downstream-gfci {
+                display: block;
+                font-size: 6px;
+                font-weight: bold;
+                border: 1px solid #000;
+                border-radius: 2px;
+                padding: 0 1px;
+                color: #000;
+                background: #fff;
+            }
+            
+            .print-legend {
+                margin-top: 10px;
+                font-size: 9px;
+                text-align: center;
+                color: #333;
+            }
+            
             /* Tandem Breaker Print Styles */
             .breaker-slot {
+                position: relative;
                 width: 100%;
                 height: 100%;
             }
@@ -866,15 +1124,26 @@ class BreakerPanelApp {
 
     async loadAllRooms() {
         try {
-            this.allRooms = await this.api.getAllRooms();
+            this.allRooms = await this.api.getAllRooms(this.currentSite?.id);
         } catch (error) {
             this.handleError('Failed to load rooms', error);
             this.allRooms = [];
         }
     }
 
+    async loadAllLevels() {
+        try {
+            this.allLevels = await this.api.getAllLevels();
+        } catch (error) {
+            this.handleError('Failed to load levels', error);
+            this.allLevels = [];
+        }
+    }
+
     openRoomManagementModal() {
+        this.populateLevelSelect();
         this.loadRoomsList();
+        this.loadLevelsList();
         this.showModal('room-management-modal');
     }
 
@@ -882,6 +1151,84 @@ class BreakerPanelApp {
         this.hideModal('room-management-modal');
         document.getElementById('room-name').value = '';
         document.getElementById('room-level').value = '';
+        this.resetLevelForm();
+    }
+
+    populateLevelSelect() {
+        const select = document.getElementById('room-level');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">Select Level...</option>';
+        this.allLevels.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.key;
+            option.textContent = `${level.icon || ''} ${level.name}`.trim();
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    // ============================================================================
+    // WIRING ISSUES REPORT
+    // ============================================================================
+
+    async openWiringIssuesModal() {
+        try {
+            const report = await this.api.getWiringIssues(this.currentSite?.id);
+            this.renderWiringIssues(report.issues);
+            this.showModal('wiring-issues-modal');
+        } catch (error) {
+            this.handleError('Failed to load wiring issues', error);
+        }
+    }
+
+    renderWiringIssues(issues) {
+        const container = document.getElementById('wiring-issues-container');
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (issues.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-wiring-issues';
+            empty.textContent = 'No wiring issues found. Circuits without a recorded wire gauge are not checked.';
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'wiring-issues-table';
+        table.innerHTML = `
+            <thead>
+                <tr><th>Panel</th><th>Position</th><th>Label</th><th>Room</th><th>Wire</th><th>Issue</th></tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+
+        issues.forEach(issue => {
+            const row = document.createElement('tr');
+            row.className = 'wiring-issue-row';
+            row.title = 'Go to panel';
+            const position = issue.slot_position && issue.slot_position !== 'single'
+                ? `${issue.position}${issue.slot_position}`
+                : `${issue.position}`;
+            [issue.panel_name, position, issue.label || '', issue.room || '', BreakerPanelApp.describeWire(issue), issue.message]
+                .forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+            row.addEventListener('click', async () => {
+                this.hideModal('wiring-issues-modal');
+                if (this.currentPanel?.id !== issue.panel_id) {
+                    await this.switchPanel(issue.panel_id);
+                }
+            });
+            tbody.appendChild(row);
+        });
+
+        container.appendChild(table);
     }
 
     async createRoom(e) {
@@ -890,13 +1237,13 @@ class BreakerPanelApp {
         const formData = new FormData(e.target);
         const roomData = {
             name: formData.get('name'),
-            level: formData.get('level')
+            level: formData.get('level'),
+            site_id: this.currentSite?.id
         };
 
         try {
             await this.api.createRoom(roomData);
-            await this.loadAllRooms();
-            this.loadRoomsList();
+            await this.refreshRoomsAndLevels();
             
             // Clear form
             document.getElementById('room-name').value = '';
@@ -910,13 +1257,12 @@ class BreakerPanelApp {
         const room = this.allRooms.find(r => r.id === roomId);
         if (!room) return;
 
-        const confirmDelete = confirm(`Are you sure you want to delete room "${room.name}"? This action cannot be undone.`);
+        const confirmDelete = confirm(`Are you sure you want to delete room "${room.name}"? It moves to the Trash, and you can undo this with Ctrl+Z.`);
         if (!confirmDelete) return;
 
         try {
             await this.api.deleteRoom(roomId);
-            await this.loadAllRooms();
-            this.loadRoomsList();
+            await this.refreshRoomsAndLevels();
         } catch (error) {
             this.handleError('Failed to delete room', error);
         }
@@ -937,36 +1283,44 @@ class BreakerPanelApp {
             return acc;
         }, {});
 
-        const levelOrder = ['upper', 'main', 'basement', 'outside'];
-        const levelNames = {
-            basement: 'Basement',
-            main: 'Main Level',
-            upper: 'Upper Level',
-            outside: 'Outside'
-        };
-
-        let html = '';
-        levelOrder.forEach(level => {
-            html += `<div class="room-level-group" data-level="${level}">
-                <h4>${BreakerPanelApp.levelColors[level]} ${levelNames[level]}</h4>
-                <div class="room-items drop-zone">`;
-            
-            if (roomsByLevel[level]) {
-                roomsByLevel[level].forEach(room => {
-                    html += `<div class="room-item" 
-                        data-room-id="${room.id}" 
-                        data-level="${level}" 
-                        draggable="true">
-                        <span class="room-name">${room.name}</span>
-                        <button class="delete-room-btn" onclick="app.deleteRoom(${room.id})">Delete</button>
-                    </div>`;
-                });
-            }
-            
-            html += `</div></div>`;
+        // Empty levels are still listed so rooms can be dragged onto them
+        container.innerHTML = '';
+        this.allLevels.forEach(level => {
+            const group = document.createElement('div');
+            group.className = 'room-level-group';
+            group.dataset.level = level.key;
+
+            const heading = document.createElement('h4');
+            heading.textContent = `${level.icon || ''} ${level.name}`.trim();
+            group.appendChild(heading);
+
+            const items = document.createElement('div');
+            items.className = 'room-items drop-zone';
+            (roomsByLevel[level.key] || []).forEach(room => {
+                const item = document.createElement('div');
+                item.className = 'room-item';
+                item.dataset.roomId = room.id;
+                item.dataset.level = level.key;
+                item.style.borderLeftColor = level.color || '#95a5a6';
+                item.setAttribute('draggable', 'true');
+
+                const name = document.createElement('span');
+                name.className = 'room-name';
+                name.textContent = room.name;
+                item.appendChild(name);
+
+                const button = document.createElement('button');
+                button.className = 'delete-room-btn';
+                button.textContent = 'Delete';
+                button.addEventListener('click', () => this.deleteRoom(room.id));
+                item.appendChild(button);
+
+                items.appendChild(item);
+            });
+            group.appendChild(items);
+            container.appendChild(group);
         });
 
-        container.innerHTML = html;
         this.setupRoomDragAndDrop();
     }
 
@@ -1025,20 +1379,355 @@ class BreakerPanelApp {
                 level: newLevel
             });
             
-            await this.loadAllRooms();
-            this.loadRoomsList();
+            await this.refreshRoomsAndLevels();
         } catch (error) {
             this.handleError('Failed to move room to new level', error);
         }
     }
+
+    // ============================================================================
+    // LEVEL MANAGEMENT
+    // ============================================================================
+
+    loadLevelsList() {
+        const container = document.getElementById('levels-container');
+        if (!container) return;
+        container.innerHTML = '';
+
+        this.allLevels.forEach((level, index) => {
+            const item = document.createElement('div');
+            item.className = 'level-item';
+            item.dataset.levelId = level.id;
+            item.style.borderLeftColor = level.color || '#95a5a6';
+
+            const name = document.createElement('span');
+            name.className = 'level-name';
+            name.textContent = `${level.icon || ''} ${level.name}`.trim();
+            item.appendChild(name);
+
+            const count = document.createElement('span');
+            count.className = 'level-room-count';
+            count.textContent = `${level.room_count || 0} room${level.room_count === 1 ? '' : 's'}`;
+            item.appendChild(count);
+
+            const actions = [
+                { label: '↑', title: 'Move up', disabled: index === 0, handler: () => this.moveLevel(level.id, -1) },
+                { label: '↓', title: 'Move down', disabled: index === this.allLevels.length - 1, handler: () => this.moveLevel(level.id, 1) },
+                { label: 'Edit', title: 'Edit level', handler: () => this.editLevel(level.id) },
+                { label: 'Delete', title: 'Delete level', className: 'delete-level-btn', handler: () => this.deleteLevel(level.id) }
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action.className || 'level-action-btn';
+                button.textContent = action.label;
+                button.title = action.title;
+                button.disabled = Boolean(action.disabled);
+                button.addEventListener('click', action.handler);
+                item.appendChild(button);
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    async refreshRoomsAndLevels() {
+        await Promise.all([this.loadAllLevels(), this.loadAllRooms()]);
+        this.populateLevelSelect();
+        this.loadRoomsList();
+        this.loadLevelsList();
+    }
+
+    async saveLevel(e) {
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        const levelId = parseInt(formData.get('id'));
+        const levelData = {
+            name: formData.get('name'),
+            icon: formData.get('icon')?.trim() || null,
+            color: formData.get('color') || null
+        };
+
+        try {
+            if (levelId) {
+                await this.api.updateLevel(levelId, levelData);
+            } else {
+                await this.api.createLevel(levelData);
+            }
+            this.resetLevelForm();
+            await this.refreshRoomsAndLevels();
+        } catch (error) {
+            this.handleError('Failed to save level', error);
+        }
+    }
+
+    editLevel(levelId) {
+        const level = this.allLevels.find(l => l.id === levelId);
+        if (!level) return;
+
+        document.getElementById('level-id').value = level.id;
+        document.getElementById('level-name').value = level.name;
+        document.getElementById('level-icon').value = level.icon || '';
+        document.getElementById('level-color').value = level.color || '#95a5a6';
+        document.getElementById('save-level').textContent = 'Save Level';
+        document.getElementById('cancel-level-edit').style.display = '';
+    }
+
+    resetLevelForm() {
+        const form = document.getElementById('level-form');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('level-id').value = '';
+        document.getElementById('save-level').textContent = 'Add Level';
+        document.getElementById('cancel-level-edit').style.display = 'none';
+    }
+
+    async moveLevel(levelId, direction) {
+        const ids = this.allLevels.map(level => level.id);
+        const index = ids.indexOf(levelId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        try {
+            await this.api.reorderLevels(ids);
+            await this.refreshRoomsAndLevels();
+        } catch (error) {
+            this.handleError('Failed to reorder levels', error);
+        }
+    }
+
+    async deleteLevel(levelId) {
+        const level = this.allLevels.find(l => l.id === levelId);
+        if (!level) return;
+
+        if (level.room_count > 0) {
+            this.showNotification(`Move or delete the rooms on "${level.name}" before deleting it.`);
+            return;
+        }
+        if (!confirm(`Are you sure you want to delete level "${level.name}"?`)) return;
+
+        try {
+            await this.api.deleteLevel(levelId);
+            await this.refreshRoomsAndLevels();
+        } catch (error) {
+            this.handleError('Failed to delete level', error);
+        }
+    }
+
+    // ============================================================================
+    // CIRCUIT TYPES
+    // ============================================================================
+
+    async loadCircuitTypes() {
+        try {
+            this.circuitTypes = await this.api.getAllCircuitTypes();
+        } catch (error) {
+            this.handleError('Failed to load circuit types', error);
+            this.circuitTypes = [];
+        }
+        this.circuitListManager.populateTypeFilter();
+    }
+
+    async openCircuitTypesModal() {
+        await this.loadCircuitTypes();
+        this.resetCircuitTypeForm();
+        this.loadCircuitTypesList();
+        this.showModal('circuit-types-modal');
+    }
+
+    loadCircuitTypesList() {
+        const container = document.getElementById('circuit-types-container');
+        if (!container) return;
+        container.innerHTML = '';
+
+        this.circuitTypes.forEach(type => {
+            const item = document.createElement('div');
+            item.className = 'circuit-type-item';
+            item.style.borderLeftColor = type.color || '#95a5a6';
+
+            const name = document.createElement('span');
+            name.className = 'circuit-type-name';
+            name.textContent = `${type.icon || ''} ${type.name}`.trim();
+            item.appendChild(name);
+
+            const details = document.createElement('span');
+            details.className = 'circuit-type-details';
+            details.textContent = [
+                type.default_amperage ? `${type.default_amperage}A` : null,
+                `${type.circuit_count || 0} circuit${type.circuit_count === 1 ? '' : 's'}`
+            ].filter(Boolean).join(' · ');
+            item.appendChild(details);
+
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'circuit-type-action-btn';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => this.editCircuitType(type.id));
+            item.appendChild(editButton);
+
+            if (type.key !== 'subpanel') {
+                const deleteButton = document.createElement('button');
+                deleteButton.type = 'button';
+                deleteButton.className = 'delete-circuit-type-btn';
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => this.deleteCircuitType(type.id));
+                item.appendChild(deleteButton);
+            }
+
+            container.appendChild(item);
+        });
+    }
+
+    async refreshCircuitTypes() {
+        await this.loadCircuitTypes();
+        this.loadCircuitTypesList();
+        // Type names, colors and label rules show up on the panel and in the circuit list
+        if (this.currentPanel) {
+            this.renderPanel();
+        }
+    }
+
+    async saveCircuitType(e) {
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        const typeId = parseInt(formData.get('id'));
+        const typeData = {
+            name: formData.get('name'),
+            icon: formData.get('icon')?.trim() || null,
+            color: formData.get('color') || null,
+            default_amperage: parseInt(formData.get('default_amperage')) || null,
+            label_style: formData.get('label_style'),
+            label_noun: formData.get('label_noun')?.trim() || null
+        };
+
+        try {
+            if (typeId) {
+                await this.api.updateCircuitType(typeId, typeData);
+            } else {
+                await this.api.createCircuitType(typeData);
+            }
+            this.resetCircuitTypeForm();
+            await this.refreshCircuitTypes();
+        } catch (error) {
+            this.handleError('Failed to save circuit type', error);
+        }
+    }
+
+    editCircuitType(typeId) {
+        const type = this.circuitTypes.find(t => t.id === typeId);
+        if (!type) return;
+
+        document.getElementById('circuit-type-id').value = type.id;
+        document.getElementById('circuit-type-name').value = type.name;
+        document.getElementById('circuit-type-icon').value = type.icon || '';
+        document.getElementById('circuit-type-color').value = type.color || '#95a5a6';
+        document.getElementById('circuit-type-amperage').value = type.default_amperage || '';
+        document.getElementById('circuit-type-label-style').value = type.label_style;
+        document.getElementById('circuit-type-label-noun').value = type.label_noun || '';
+        document.getElementById('save-circuit-type').textContent = 'Save Type';
+        document.getElementById('cancel-circuit-type-edit').style.display = '';
+    }
+
+    resetCircuitTypeForm() {
+        const form = document.getElementById('circuit-type-form');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('circuit-type-id').value = '';
+        document.getElementById('save-circuit-type').textContent = 'Add Type';
+        document.getElementById('cancel-circuit-type-edit').style.display = 'none';
+    }
+
+    async deleteCircuitType(typeId) {
+        const type = this.circuitTypes.find(t => t.id === typeId);
+        if (!type) return;
+
+        if (type.circuit_count > 0) {
+            this.showNotification(`Change the type of the circuits using "${type.name}" before deleting it.`);
+            return;
+        }
+        if (!confirm(`Are you sure you want to delete circuit type "${type.name}"?`)) return;
+
+        try {
+            await this.api.deleteCircuitType(typeId);
+            await this.refreshCircuitTypes();
+        } catch (error) {
+            this.handleError('Failed to delete circuit type', error);
+        }
+    }
 }
 
-// Define level colors as static property for reuse across components
-BreakerPanelApp.levelColors = {
-    basement: '🔵',
-    main: '🟢', 
-    upper: '🟠',
-    outside: '⚫'
+// Breaker protection types other than 'standard', with their short panel markings
+BreakerPanelApp.protectionTypes = {
+    gfci: { short: 'GFCI', name: 'Ground Fault (GFCI)' },
+    afci: { short: 'AFCI', name: 'Arc Fault (AFCI/CAFCI)' },
+    dual_function: { short: 'DF', name: 'Dual Function (AFCI + GFCI)' },
+    gfp: { short: 'GFP', name: 'Ground Fault Equipment Protection' }
+};
+
+// Wire materials and cable types recorded on circuits for ampacity checks
+BreakerPanelApp.wireGauges = ['14', '12', '10', '8', '6', '4', '3', '2', '1', '1/0', '2/0', '3/0', '4/0'];
+
+BreakerPanelApp.wireMaterials = {
+    cu: 'Copper',
+    al: 'Aluminum'
+};
+
+BreakerPanelApp.cableTypes = {
+    nm_b: 'NM-B (Romex)',
+    uf_b: 'UF-B',
+    mc: 'MC',
+    ac: 'AC (BX)',
+    thhn: 'THHN/THWN in conduit',
+    ser: 'SER',
+    other: 'Other'
+};
+
+/**
+ * Short description of a circuit's conductor, e.g. "12 AWG Cu NM-B (Romex)"
+ * @param {Object} circuit - Circuit or wiring issue with wire_gauge, wire_material and cable_type
+ * @returns {string} Description, or an empty string when no gauge is recorded
+ */
+BreakerPanelApp.describeWire = function(circuit) {
+    if (!circuit?.wire_gauge) return '';
+    const material = circuit.wire_material === 'al' ? 'Al' : 'Cu';
+    const cable = BreakerPanelApp.cableTypes[circuit.cable_type];
+    return `${circuit.wire_gauge} AWG ${material}${cable ? ` ${cable}` : ''}`;
+};
+
+// Devices that can be recorded along a circuit
+BreakerPanelApp.deviceTypes = {
+    receptacle: { icon: '🔌', name: 'Receptacle' },
+    switch: { icon: '🎚️', name: 'Switch' },
+    fixture: { icon: '💡', name: 'Light Fixture' },
+    appliance: { icon: '⚙️', name: 'Hardwired Appliance' },
+    junction_box: { icon: '📦', name: 'Junction Box' },
+    other: { icon: '•', name: 'Other' }
+};
+
+/**
+ * Short description of a device, e.g. "🔌 Receptacle — behind the fridge"
+ * @param {Object} device - Device with device_type, location and room
+ * @returns {string} Description
+ */
+BreakerPanelApp.describeDevice = function(device) {
+    const type = BreakerPanelApp.deviceTypes[device.device_type] || BreakerPanelApp.deviceTypes.other;
+    const where = [device.room, device.location].filter(Boolean).join(', ');
+    return `${type.icon} ${type.name}${where ? ` — ${where}` : ''}`;
+};
+
+/**
+ * Format a SQLite UTC timestamp in the browser's locale
+ * @param {string} timestamp - e.g. '2024-05-01 14:30:00'
+ * @returns {string}
+ */
+BreakerPanelApp.formatTimestamp = function(timestamp) {
+    const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+    return isNaN(date) ? timestamp : date.toLocaleString();
 };
 
 // Export for Node.js environment (tests)
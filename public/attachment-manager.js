@@ -0,0 +1,275 @@
+/**
+ * Attachment Manager - Photos and PDFs in the breaker modal and the panel gallery
+ */
+class AttachmentManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Show the photos and documents of the breaker being edited, including
+     * those attached to its circuits
+     */
+    async renderBreakerAttachments() {
+        const container = document.getElementById('breaker-attachments');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const breaker = this.app.currentBreaker;
+        if (!breaker?.id) {
+            const hint = document.createElement('p');
+            hint.className = 'attachment-hint';
+            hint.textContent = 'Save the breaker to start adding photos and documents.';
+            container.appendChild(hint);
+            return;
+        }
+
+        const targets = [{ value: `breaker_id:${breaker.id}`, label: 'This breaker' }];
+        (this.app.existingCircuits || []).filter(circuit => circuit.id).forEach((circuit, index) => {
+            const room = circuit.room || this.app.allRooms.find(r => r.id === circuit.room_id)?.name;
+            targets.push({ value: `circuit_id:${circuit.id}`, label: `Circuit ${index + 1}${room ? ` - ${room}` : ''}` });
+        });
+
+        const refresh = () => this.renderBreakerAttachments();
+        container.appendChild(this.createUploadForm(targets, refresh));
+
+        try {
+            const attachments = await this.app.api.getBreakerAttachments(breaker.id);
+            container.appendChild(this.createGallery(attachments, refresh));
+        } catch (error) {
+            this.app.handleError('Failed to load attachments', error);
+        }
+    }
+
+    async openPanelGallery() {
+        if (!this.app.currentPanel) return;
+        try {
+            await this.renderPanelGallery();
+            this.app.showModal('panel-gallery-modal');
+        } catch (error) {
+            this.app.handleError('Failed to load panel photos', error);
+        }
+    }
+
+    async renderPanelGallery() {
+        const container = document.getElementById('panel-gallery-container');
+        if (!container) return;
+
+        const panel = this.app.currentPanel;
+        const attachments = await this.app.api.getPanelAttachments(panel.id);
+        const refresh = () => this.renderPanelGallery().catch(error => this.app.handleError('Failed to load panel photos', error));
+
+        container.innerHTML = '';
+        document.getElementById('panel-gallery-name').textContent = panel.name;
+        container.appendChild(this.createUploadForm([{ value: `panel_id:${panel.id}`, label: 'This panel' }], refresh));
+        container.appendChild(this.createGallery(attachments, refresh));
+    }
+
+    /**
+     * Build a file picker with a target selector and caption
+     * @param {Array<{value: string, label: string}>} targets - 'field:id' values the files can be attached to
+     * @param {Function} onUploaded - Called after the files are uploaded
+     * @returns {HTMLElement}
+     */
+    createUploadForm(targets, onUploaded) {
+        const form = document.createElement('div');
+        form.className = 'attachment-upload requires-editor';
+        form.innerHTML = `
+            <input type="file" name="attachment_files" accept="${AttachmentManager.acceptedTypes.join(',')}" multiple>
+            <select name="attachment_target"></select>
+            <input type="text" name="attachment_caption" placeholder="Caption (optional)">
+            <button type="button" class="upload-attachment">Upload</button>
+        `;
+
+        const select = form.querySelector('[name="attachment_target"]');
+        targets.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.value;
+            option.textContent = target.label;
+            select.appendChild(option);
+        });
+        // A single target needs no choice
+        select.style.display = targets.length > 1 ? '' : 'none';
+
+        form.querySelector('.upload-attachment').addEventListener('click', async () => {
+            const files = Array.from(form.querySelector('[name="attachment_files"]').files || []);
+            if (files.length === 0) {
+                this.app.showNotification('Choose one or more photos or PDFs to upload');
+                return;
+            }
+            const [field, id] = select.value.split(':');
+            const caption = form.querySelector('[name="attachment_caption"]').value.trim();
+            if (await this.uploadFiles(files, { [field]: parseInt(id) }, caption)) {
+                onUploaded();
+            }
+        });
+
+        return form;
+    }
+
+    /**
+     * Upload files one at a time, adding a thumbnail for each image
+     * @returns {Promise<boolean>} Whether every file was uploaded
+     */
+    async uploadFiles(files, owner, caption) {
+        for (const file of files) {
+            if (!AttachmentManager.acceptedTypes.includes(file.type)) {
+                this.app.showNotification(`${file.name} is not a supported photo or PDF`);
+                return false;
+            }
+            try {
+                const attachment = await this.app.api.uploadAttachment(owner, file, file.name, caption);
+                const thumbnail = file.type.startsWith('image/') ? await this.createThumbnail(file) : null;
+                if (thumbnail) {
+                    // The full-size image still works as its own thumbnail if this fails
+                    await this.app.api.uploadAttachmentThumbnail(attachment.id, thumbnail).catch(error => console.warn('Thumbnail upload failed:', error));
+                }
+            } catch (error) {
+                this.app.handleError(`Failed to upload ${file.name}`, error);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Scale an image down to a JPEG thumbnail in the browser
+     * @param {File} file - Image file
+     * @param {number} maxSize - Longest side in pixels
+     * @returns {Promise<Blob|null>} Thumbnail, or null when the browser can't decode the image
+     */
+    async createThumbnail(file, maxSize = AttachmentManager.thumbnailSize) {
+        if (typeof createImageBitmap !== 'function') return null;
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close?.();
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        } catch (error) {
+            console.warn('Could not create thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build a grid of attachment tiles
+     * @param {Array} attachments - Attachments from the API
+     * @param {Function} onChange - Called after an attachment is edited or deleted
+     * @returns {HTMLElement}
+     */
+    createGallery(attachments, onChange) {
+        const gallery = document.createElement('div');
+        gallery.className = 'attachment-gallery';
+
+        if (attachments.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'attachment-hint';
+            empty.textContent = 'No photos or documents yet.';
+            gallery.appendChild(empty);
+            return gallery;
+        }
+
+        attachments.forEach(attachment => {
+            const tile = document.createElement('figure');
+            tile.className = 'attachment-tile';
+            tile.dataset.attachmentId = attachment.id;
+
+            const link = document.createElement('a');
+            link.href = attachment.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.title = attachment.original_name;
+            if (attachment.thumbnail_url) {
+                const image = document.createElement('img');
+                image.src = attachment.thumbnail_url;
+                image.alt = attachment.caption || attachment.original_name;
+                image.loading = 'lazy';
+                link.appendChild(image);
+            } else {
+                const icon = document.createElement('span');
+                icon.className = 'attachment-file-icon';
+                icon.textContent = '📄';
+                link.appendChild(icon);
+            }
+            tile.appendChild(link);
+
+            const caption = document.createElement('figcaption');
+            const title = document.createElement('span');
+            title.className = 'attachment-caption';
+            title.textContent = attachment.caption || attachment.original_name;
+            const owner = document.createElement('span');
+            owner.className = 'attachment-owner';
+            owner.textContent = AttachmentManager.describeOwner(attachment);
+            caption.append(title, owner);
+            tile.appendChild(caption);
+
+            const actions = document.createElement('div');
+            actions.className = 'attachment-actions requires-editor';
+            [
+                { label: 'Caption', title: 'Edit caption', className: 'attachment-action-btn', handler: () => this.editCaption(attachment, onChange) },
+                { label: '×', title: 'Delete attachment', className: 'delete-attachment-btn', handler: () => this.deleteAttachment(attachment, onChange) }
+            ].forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action.className;
+                button.textContent = action.label;
+                button.title = action.title;
+                button.addEventListener('click', action.handler);
+                actions.appendChild(button);
+            });
+            tile.appendChild(actions);
+
+            gallery.appendChild(tile);
+        });
+
+        return gallery;
+    }
+
+    async editCaption(attachment, onChange) {
+        const caption = prompt('Caption', attachment.caption || '');
+        if (caption === null) return;
+        try {
+            await this.app.api.updateAttachment(attachment.id, { caption });
+            onChange();
+        } catch (error) {
+            this.app.handleError('Failed to update caption', error);
+        }
+    }
+
+    async deleteAttachment(attachment, onChange) {
+        if (!confirm(`Are you sure you want to delete "${attachment.original_name}"?`)) return;
+        try {
+            await this.app.api.deleteAttachment(attachment.id);
+            onChange();
+        } catch (error) {
+            this.app.handleError('Failed to delete attachment', error);
+        }
+    }
+
+    /**
+     * Say what an attachment belongs to, e.g. 'Panel' or 'Breaker 5 - Kitchen circuit'
+     * @param {Object} attachment - Attachment from the API
+     * @returns {string}
+     */
+    static describeOwner(attachment) {
+        if (attachment.panel_id) return 'Panel';
+        const slot = attachment.slot_position && attachment.slot_position !== 'single' ? attachment.slot_position : '';
+        const breaker = `Breaker ${attachment.position}${slot}`;
+        if (attachment.breaker_id) return breaker;
+        return `${breaker} - ${attachment.circuit_room ? `${attachment.circuit_room} circuit` : 'circuit'}`;
+    }
+}
+
+AttachmentManager.acceptedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+AttachmentManager.thumbnailSize = 320;
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentManager;
+} else if (typeof global !== 'undefined') {
+    global.AttachmentManager = AttachmentManager;
+}
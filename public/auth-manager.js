@@ -0,0 +1,266 @@
+/**
+ * Auth Manager - Logging in and out, the first admin account, the Users modal,
+ * and hiding the controls the signed-in role can't use.
+ * Until the first account is set up the app is open and everyone acts as an admin.
+ */
+class AuthManager {
+    constructor(app) {
+        this.app = app;
+        this.user = null;
+        this.setupRequired = false;
+        this.mode = 'login';
+    }
+
+    /**
+     * Load the session and ask to log in when the server needs it
+     * @returns {Promise<boolean>} Whether the app can load its data now
+     */
+    async init() {
+        this.app.bindElement('login-form', 'submit', (e) => this.submitLogin(e));
+        this.app.bindElement('cancel-login', 'click', () => this.hideLogin());
+        this.app.bindElement('logout', 'click', () => this.logout());
+        this.app.bindElement('set-up-login', 'click', () => this.showLogin('', 'setup'));
+        this.app.bindElement('manage-users', 'click', () => this.openUsers());
+        this.app.bindElement('user-form', 'submit', (e) => this.createUser(e));
+        this.app.api.onUnauthorized = () => this.showLogin('Your session has ended; log in again.');
+
+        const session = await this.app.api.getSession();
+        this.user = session.user;
+        this.setupRequired = session.setup_required;
+        this.render();
+
+        if (!this.user && !this.setupRequired) {
+            this.showLogin();
+            return false;
+        }
+        return true;
+    }
+
+    role() {
+        return this.user ? this.user.role : 'admin';
+    }
+
+    canEdit() {
+        return this.role() !== 'viewer';
+    }
+
+    isAdmin() {
+        return this.role() === 'admin';
+    }
+
+    render() {
+        document.body.dataset.role = this.role();
+
+        const name = document.getElementById('account-name');
+        if (name) {
+            name.textContent = this.user ? `${this.user.username} (${AuthManager.roleNames[this.user.role]})` : '';
+        }
+        [
+            ['logout', Boolean(this.user)],
+            ['manage-users', Boolean(this.user)],
+            ['manage-tokens', Boolean(this.user)],
+            ['set-up-login', this.setupRequired]
+        ].forEach(([id, visible]) => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = visible ? '' : 'none';
+        });
+    }
+
+    /**
+     * Make a form read-only for viewers
+     * @param {HTMLElement|null} form
+     */
+    lockForm(form) {
+        if (!form || this.canEdit()) return;
+        form.querySelectorAll('input, select, textarea').forEach(field => {
+            field.disabled = true;
+        });
+    }
+
+    /**
+     * Show the login screen, or the form creating the first admin
+     * @param {string} [message] - Why logging in is needed
+     * @param {string} [mode] - 'login' or 'setup'
+     */
+    showLogin(message = '', mode = 'login') {
+        const screen = document.getElementById('login-screen');
+        if (!screen) return;
+
+        this.mode = mode;
+        const setup = mode === 'setup';
+        document.getElementById('login-title').textContent = setup ? 'Set Up Login' : 'Log In';
+        document.getElementById('login-help').textContent = setup
+            ? 'Create the admin account. From then on everyone has to log in, and you can add accounts for others under Users.'
+            : message;
+        document.getElementById('login-submit').textContent = setup ? 'Create Admin' : 'Log In';
+        document.getElementById('login-password').autocomplete = setup ? 'new-password' : 'current-password';
+        document.getElementById('cancel-login').style.display = setup ? '' : 'none';
+        document.getElementById('login-error').textContent = '';
+        screen.style.display = 'flex';
+        document.getElementById('login-username').focus();
+    }
+
+    hideLogin() {
+        const screen = document.getElementById('login-screen');
+        if (screen) screen.style.display = 'none';
+        const password = document.getElementById('login-password');
+        if (password) password.value = '';
+    }
+
+    async submitLogin(e) {
+        e.preventDefault();
+        const username = document.getElementById('login-username').value;
+        const password = document.getElementById('login-password').value;
+
+        try {
+            const result = this.mode === 'setup'
+                ? await this.app.api.setupAdmin(username, password)
+                : await this.app.api.login(username, password);
+            this.user = result.user;
+            this.setupRequired = false;
+            this.hideLogin();
+            this.render();
+
+            if (this.app.started) {
+                await this.app.undoManager.reloadApp();
+                await this.app.undoManager.refresh();
+            } else {
+                await this.app.start();
+            }
+        } catch (error) {
+            document.getElementById('login-error').textContent = error.message;
+        }
+    }
+
+    async logout() {
+        try {
+            await this.app.api.logout();
+            window.location.reload();
+        } catch (error) {
+            this.app.handleError('Failed to log out', error);
+        }
+    }
+
+    // ============================================================================
+    // USERS
+    // ============================================================================
+
+    async openUsers() {
+        await this.renderUsers();
+        this.app.showModal('users-modal');
+    }
+
+    async renderUsers() {
+        const container = document.getElementById('users-container');
+        if (!container) return;
+
+        try {
+            const users = await this.app.api.getAllUsers();
+            const list = document.createElement('ul');
+            list.className = 'user-list';
+            users.forEach(user => list.appendChild(this.createUserItem(user)));
+            container.innerHTML = '';
+            container.appendChild(list);
+        } catch (error) {
+            this.app.handleError('Failed to load users', error);
+        }
+    }
+
+    createUserItem(user) {
+        const item = document.createElement('li');
+        item.className = 'user-item';
+        item.dataset.userId = user.id;
+
+        const name = document.createElement('span');
+        name.className = 'user-name';
+        name.textContent = user.id === this.user?.id ? `${user.username} (you)` : user.username;
+
+        const role = document.createElement('select');
+        role.className = 'user-role';
+        Object.entries(AuthManager.roleNames).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            role.appendChild(option);
+        });
+        role.value = user.role;
+        role.addEventListener('change', () => this.changeRole(user, role.value));
+
+        const passwordButton = document.createElement('button');
+        passwordButton.type = 'button';
+        passwordButton.className = 'user-password-btn';
+        passwordButton.textContent = 'Reset Password';
+        passwordButton.addEventListener('click', () => this.resetPassword(user));
+
+        item.append(name, role, passwordButton);
+        if (user.id !== this.user?.id) {
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'user-delete-btn';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => this.deleteUser(user));
+            item.appendChild(deleteButton);
+        }
+        return item;
+    }
+
+    async createUser(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+
+        try {
+            await this.app.api.createUser({
+                username: formData.get('username'),
+                password: formData.get('password'),
+                role: formData.get('role')
+            });
+            e.target.reset();
+            await this.renderUsers();
+        } catch (error) {
+            this.app.handleError('Failed to add user', error);
+        }
+    }
+
+    async changeRole(user, role) {
+        try {
+            await this.app.api.updateUser(user.id, { role });
+            if (user.id === this.user?.id) {
+                this.user.role = role;
+                this.render();
+            }
+        } catch (error) {
+            this.app.handleError('Failed to change role', error);
+        }
+        await this.renderUsers();
+    }
+
+    async resetPassword(user) {
+        const password = prompt(`New password for ${user.username} (at least 8 characters)`);
+        if (!password) return;
+        try {
+            await this.app.api.updateUser(user.id, { password });
+            this.app.showNotification(`Password changed for ${user.username}`);
+        } catch (error) {
+            this.app.handleError('Failed to reset password', error);
+        }
+    }
+
+    async deleteUser(user) {
+        if (!confirm(`Delete the account "${user.username}"? They won't be able to log in any more.`)) return;
+        try {
+            await this.app.api.deleteUser(user.id);
+            await this.renderUsers();
+        } catch (error) {
+            this.app.handleError('Failed to delete user', error);
+        }
+    }
+}
+
+AuthManager.roleNames = { viewer: 'Viewer', editor: 'Editor', admin: 'Admin' };
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthManager;
+} else if (typeof global !== 'undefined') {
+    global.AuthManager = AuthManager;
+}
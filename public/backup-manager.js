@@ -0,0 +1,111 @@
+/**
+ * Backup Manager - Backup and restore in the Settings modal: download every
+ * site's panels, breakers, circuits and rooms as one JSON file, and restore
+ * such a file by merging it in or replacing everything with it.
+ */
+class BackupManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    open() {
+        document.getElementById('restore-form')?.reset();
+        this.showResult('');
+        this.app.showModal('settings-modal');
+    }
+
+    async download() {
+        try {
+            const backup = await this.app.api.exportBackup();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `breaker-panel-backup-${backup.exported_at.slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.app.handleError('Failed to download backup', error);
+        }
+    }
+
+    getMode() {
+        const checked = document.querySelector('input[name="restore_mode"]:checked');
+        return checked ? checked.value : 'merge';
+    }
+
+    async restore(e) {
+        e.preventDefault();
+        const file = document.getElementById('restore-file').files[0];
+        if (!file) return;
+
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            this.showResult(`${file.name} is not a JSON file.`);
+            return;
+        }
+
+        const mode = this.getMode();
+        const question = mode === 'replace'
+            ? `Replace ALL sites, panels, breakers, circuits and rooms with ${BackupManager.describe(backup)}? Photos, tracing sessions, the trash and undo history are cleared. This can't be undone.`
+            : `Add ${BackupManager.describe(backup)} to what is here? Sites, rooms and catalog entries with the same names are reused.`;
+        if (!confirm(question)) return;
+
+        try {
+            const summary = await this.app.api.importBackup(backup, mode);
+            this.showResult(BackupManager.describeSummary(summary));
+            await this.app.loadDefaultPanel();
+            await this.app.undoManager.refresh();
+        } catch (error) {
+            const errors = error.data?.errors;
+            this.showResult(errors ? `${error.message}:\n${errors.map(message => `• ${message}`).join('\n')}` : error.message);
+        }
+    }
+
+    showResult(text) {
+        const result = document.getElementById('restore-result');
+        if (!result) return;
+        result.textContent = text;
+        result.style.display = text ? '' : 'none';
+    }
+
+    /**
+     * e.g. 'the backup from 2024-05-01 (2 sites, 3 panels, 61 breakers)'
+     * @param {Object} backup - Backup document
+     * @returns {string}
+     */
+    static describe(backup) {
+        const count = (rows, noun) => `${rows?.length || 0} ${noun}${rows?.length === 1 ? '' : 's'}`;
+        const date = typeof backup.exported_at === 'string' ? ` from ${backup.exported_at.slice(0, 10)}` : '';
+        return `the backup${date} (${count(backup.sites, 'site')}, ${count(backup.panels, 'panel')}, ${count(backup.breakers, 'breaker')})`;
+    }
+
+    /**
+     * e.g. 'Restored 3 panels, 61 breakers, 80 circuits and 12 rooms. Reused 1 site and 4 rooms.'
+     * @param {Object} summary - Import response
+     * @returns {string}
+     */
+    static describeSummary(summary) {
+        const list = (counts, sections) => {
+            const parts = sections
+                .filter(([section]) => counts[section] > 0)
+                .map(([section, noun]) => `${counts[section]} ${noun}${counts[section] === 1 ? '' : 's'}`);
+            return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+        };
+        const sections = [['sites', 'site'], ['panels', 'panel'], ['breakers', 'breaker'], ['circuits', 'circuit'], ['rooms', 'room'], ['devices', 'device']];
+        const added = list(summary.added, sections) || 'nothing new';
+        const matched = list(summary.matched, sections);
+        return `Restored ${added}.${matched ? ` Reused ${matched}.` : ''}`;
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+} else if (typeof global !== 'undefined') {
+    global.BackupManager = BackupManager;
+}
@@ -23,6 +23,7 @@ class CircuitListManager {
             this.sortCircuitData();
             this.updateCircuitListHeader();
             this.populateRoomFilter();
+            this.populateTypeFilter();
             this.resetSortHeaders();
             this.applyCircuitFilters();
             
@@ -64,6 +65,22 @@ class CircuitListManager {
         });
     }
 
+    populateTypeFilter() {
+        const typeFilter = document.getElementById('type-filter');
+        if (!typeFilter) return;
+
+        const selected = typeFilter.value;
+        typeFilter.innerHTML = `<option value="">All Types</option>`;
+
+        (this.app.circuitTypes || []).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.key;
+            option.textContent = `${type.icon || ''} ${type.name}`.trim();
+            typeFilter.appendChild(option);
+        });
+        typeFilter.value = selected;
+    }
+
     applyCircuitFilters() {
         if (!this.app.allCircuitData || this.app.allCircuitData.length === 0) {
             this.displayFilteredCircuits([]);
@@ -80,6 +97,7 @@ class CircuitListManager {
             searchTerm: this.getElementValue('circuit-search', '').toLowerCase(),
             room: this.getElementValue('room-filter', ''),
             type: this.getElementValue('type-filter', ''),
+            protection: this.getElementValue('protection-filter', ''),
             critical: this.getElementChecked('critical-filter'),
             monitor: this.getElementChecked('monitor-filter'),
             notConfirmed: this.getElementChecked('not-confirmed-filter')
@@ -105,6 +123,8 @@ class CircuitListManager {
                     circuit.room || '',
                     circuit.notes || '',
                     circuit.type || '',
+                    this.getCircuitType(circuit.type)?.name || '',
+                    ...(circuit.devices || []).map(device => `${BreakerPanelApp.describeDevice(device)} ${device.notes || ''}`),
                     breaker.position.toString()
                 ].join(' ').toLowerCase();
                 
@@ -123,6 +143,11 @@ class CircuitListManager {
                 return false;
             }
             
+            // Protection filter
+            if (filters.protection && !this.matchesProtectionFilter(filters.protection, circuit, breaker)) {
+                return false;
+            }
+            
             // Flag filters
             if (filters.critical && !breaker.critical) {
                 return false;
@@ -140,6 +165,21 @@ class CircuitListManager {
         });
     }
 
+    matchesProtectionFilter(filter, circuit, breaker) {
+        const protection = breaker.protection || 'standard';
+        
+        if (filter === 'gfci-any') {
+            return ['gfci', 'dual_function'].includes(protection) || Boolean(circuit.downstream_gfci);
+        }
+        if (filter === 'downstream_gfci') {
+            return Boolean(circuit.downstream_gfci);
+        }
+        if (filter === 'standard') {
+            return protection === 'standard' && !circuit.downstream_gfci;
+        }
+        return protection === filter;
+    }
+
     displayFilteredCircuits(filteredData) {
         const tableBody = document.getElementById('circuit-table-body');
         const filteredCount = document.getElementById('filtered-circuits');
@@ -187,10 +227,14 @@ class CircuitListManager {
         row.dataset.breakerPosition = breaker.position;
         row.title = 'Click to edit circuit details';
         
-        // Breaker number with double pole and tandem indicators
+        // Breaker number with multi-pole and tandem indicators
         var breakerNumberHtml;
+        const poleCount = PanelRenderer.getPoleCount(breaker);
+        const lastPosition = PanelRenderer.getSpannedPositions(breaker.position, poleCount, this.app.currentPanel).pop();
         if (breaker.breaker_type === 'double_pole') {
-            breakerNumberHtml = `${breaker.position}-${breaker.position + 2}<span class="double-pole-indicator">2P</span>`;
+            breakerNumberHtml = `${breaker.position}-${lastPosition}<span class="double-pole-indicator">2P</span>`;
+        } else if (breaker.breaker_type === 'triple_pole') {
+            breakerNumberHtml = `${breaker.position}-${lastPosition}<span class="triple-pole-indicator">3P</span>`;
         } else if (breaker.breaker_type === 'tandem') {
             const slotLetter = breaker.slot_position === 'A' ? 'A' : 'B';
             breakerNumberHtml = `${breaker.position}${slotLetter}<span class="tandem-indicator">T</span>`;
@@ -198,17 +242,24 @@ class CircuitListManager {
             breakerNumberHtml = breaker.position;
         }
         if (breaker.label) {
-            breakerNumberHtml += `<span class="breaker-label"> — ${breaker.label}</span>`;
+            breakerNumberHtml += `<span class="breaker-label"> — ${CircuitListManager.escapeHtml(breaker.label)}</span>`;
         }
         
         // Circuit type with colored pill
-        const circuitTypeHtml = circuit.type 
-            ? `<span class="circuit-type-pill circuit-type-${circuit.type}">${circuit.type}</span>`
-            : '<span class="circuit-type-pill no-type">-</span>';
+        const typePill = document.createElement('span');
+        typePill.className = 'circuit-type-pill';
+        if (circuit.type) {
+            const circuitType = this.getCircuitType(circuit.type);
+            typePill.style.backgroundColor = circuitType?.color || '#95a5a6';
+            typePill.textContent = circuitType?.name || circuit.type;
+        } else {
+            typePill.classList.add('no-type');
+            typePill.textContent = '-';
+        }
         
         // Room with level color emoji
         const roomHtml = circuit.room 
-            ? `${BreakerPanelApp.levelColors[circuit.room_level] || ''} ${circuit.room}`.trim()
+            ? CircuitListManager.escapeHtml(`${circuit.room_level_icon || ''} ${circuit.room}`.trim())
             : '-';
         
         // Flags
@@ -216,16 +267,20 @@ class CircuitListManager {
         if (breaker.critical) flags.push(`<span class="flag-badge flag-critical">Critical</span>`);
         if (breaker.monitor) flags.push(`<span class="flag-badge flag-monitor">Monitor</span>`);
         if (breaker.confirmed) flags.push(`<span class="flag-badge flag-confirmed">Confirmed</span>`);
+        const protection = BreakerPanelApp.protectionTypes[breaker.protection];
+        if (protection) flags.push(`<span class="flag-badge flag-protection" title="${protection.name}">${protection.short}</span>`);
+        if (circuit.downstream_gfci) flags.push(`<span class="flag-badge flag-protection" title="GFCI protected downstream">GFCI ↓</span>`);
         const flagsHtml = flags.length > 0 ? `<div class="flags-cell">${flags.join('')}</div>` : '';
         
         row.innerHTML = `
             <td class="breaker-number-cell" data-label="Breaker #">${breakerNumberHtml}</td>
             <td class="amperage-cell" data-label="Amps">${breaker.amperage ? breaker.amperage + 'A' : '-'}</td>
             <td data-label="Room">${roomHtml}</td>
-            <td data-label="Type">${circuitTypeHtml}</td>
-            <td data-label="Notes">${circuit.notes || '-'}</td>
+            <td data-label="Type"></td>
+            <td data-label="Notes">${circuit.notes ? CircuitListManager.escapeHtml(circuit.notes) : '-'}${this.getDeviceSummaryHtml(circuit)}</td>
             <td data-label="Flags">${flagsHtml}</td>
         `;
+        row.querySelector('[data-label="Type"]').appendChild(typePill);
         
         return row;
     }
@@ -297,10 +352,32 @@ class CircuitListManager {
         }
     }
 
+    getDeviceSummaryHtml(circuit) {
+        const devices = circuit.devices || [];
+        if (devices.length === 0) return '';
+        const titles = devices.map((device, index) => `${index + 1}. ${BreakerPanelApp.describeDevice(device)}`).join('\n');
+        return `<span class="device-count-badge" title="${CircuitListManager.escapeHtml(titles)}">${devices.length} device${devices.length === 1 ? '' : 's'}</span>`;
+    }
+
+    /**
+     * Text made safe to put inside an element or a quoted attribute
+     * @param {string} text - Text to escape
+     * @returns {string} HTML
+     */
+    static escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    getCircuitType(key) {
+        return (this.app.circuitTypes || []).find(type => type.key === key);
+    }
+
     clearCircuitFilters() {
         this.setElementValue('circuit-search', '');
         this.setElementValue('room-filter', '');
         this.setElementValue('type-filter', '');
+        this.setElementValue('protection-filter', '');
         this.setElementChecked('critical-filter', false);
         this.setElementChecked('monitor-filter', false);
         this.setElementChecked('not-confirmed-filter', false);
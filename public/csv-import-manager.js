@@ -0,0 +1,222 @@
+/**
+ * CSV Import Manager - The wizard that imports a spreadsheet into the current
+ * panel: pick a CSV file, map its columns to fields, check the preview's rows
+ * and warnings, then import. The server reads and plans the file each time
+ * the options change, so the preview is exactly what the import will add.
+ */
+class CsvImportManager {
+    constructor(app) {
+        this.app = app;
+        this.csv = null;
+        this.mapping = null;
+        this.preview = null;
+    }
+
+    open() {
+        const panel = this.app.currentPanel;
+        if (!panel) return;
+
+        this.csv = null;
+        this.mapping = null;
+        this.preview = null;
+        document.getElementById('csv-import-form')?.reset();
+        document.getElementById('csv-import-title').textContent = `Import CSV into ${panel.name}`;
+        this.renderLevelOptions();
+        this.showStep(false);
+        this.showError('');
+        this.app.showModal('csv-import-modal');
+    }
+
+    renderLevelOptions() {
+        const select = document.getElementById('csv-default-level');
+        if (!select) return;
+        select.innerHTML = '';
+        this.app.allLevels.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.key;
+            option.textContent = level.name;
+            select.appendChild(option);
+        });
+        if (this.app.allLevels.some(level => level.key === 'main')) select.value = 'main';
+    }
+
+    async loadFile() {
+        const file = document.getElementById('csv-file').files[0];
+        if (!file) return;
+        this.csv = await file.text();
+        this.mapping = null;
+        await this.refresh();
+    }
+
+    /**
+     * Read the file again after the delimiter or header option changed, which
+     * changes the columns, so the mapping is suggested afresh
+     */
+    async reread() {
+        this.mapping = null;
+        await this.refresh();
+    }
+
+    /**
+     * Map a field to another column, or to none
+     * @param {string} field - Field name
+     * @param {string} column - Column index from the select, '' for none
+     */
+    async setColumn(field, column) {
+        this.mapping = { ...this.mapping, [field]: column === '' ? null : parseInt(column) };
+        await this.refresh();
+    }
+
+    getOptions() {
+        return {
+            csv: this.csv,
+            delimiter: document.getElementById('csv-delimiter').value || null,
+            has_header: document.getElementById('csv-has-header').checked,
+            default_level: document.getElementById('csv-default-level').value || null,
+            ...(this.mapping ? { mapping: this.mapping } : {})
+        };
+    }
+
+    async refresh() {
+        if (!this.csv) return;
+        try {
+            this.preview = await this.app.api.previewCsvImport(this.app.currentPanel.id, this.getOptions());
+            this.mapping = this.preview.mapping;
+            this.showError('');
+            this.renderMapping();
+            this.renderPreview();
+            this.showStep(true);
+        } catch (error) {
+            this.preview = null;
+            this.showStep(false);
+            this.showError(error.message);
+        }
+    }
+
+    renderMapping() {
+        const container = document.getElementById('csv-mapping');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const { fields, headers, examples } = this.preview;
+        fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group csv-mapping-field';
+
+            const label = document.createElement('label');
+            label.htmlFor = `csv-map-${field.name}`;
+            label.textContent = `${field.label}:`;
+            group.appendChild(label);
+
+            const select = document.createElement('select');
+            select.id = `csv-map-${field.name}`;
+            select.innerHTML = '<option value="">Not imported</option>';
+            headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = examples[index] ? `${header} (e.g. ${examples[index]})` : header;
+                select.appendChild(option);
+            });
+            const column = this.mapping[field.name];
+            select.value = column === undefined || column === null ? '' : String(column);
+            select.addEventListener('change', () => this.setColumn(field.name, select.value));
+            group.appendChild(select);
+
+            container.appendChild(group);
+        });
+    }
+
+    renderPreview() {
+        const preview = this.preview;
+        document.getElementById('csv-preview-summary').textContent = preview.mapping_error || CsvImportManager.describeSummary(preview.summary);
+
+        const warnings = document.getElementById('csv-warnings');
+        warnings.innerHTML = '';
+        preview.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = CsvImportManager.describeWarning(warning);
+            warnings.appendChild(item);
+        });
+
+        const table = document.getElementById('csv-preview-table');
+        table.innerHTML = '';
+        const fields = preview.fields.filter(field => preview.mapping[field.name] !== undefined && preview.mapping[field.name] !== null);
+        const head = table.createTHead().insertRow();
+        ['Line', ...fields.map(field => field.label)].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            head.appendChild(cell);
+        });
+        const body = table.createTBody();
+        preview.rows.forEach(row => {
+            const tableRow = body.insertRow();
+            if (row.skipped) {
+                tableRow.className = 'csv-row-skipped';
+                tableRow.title = 'Skipped';
+            }
+            [String(row.line), ...fields.map(field => row.values[field.name] || '')].forEach(text => {
+                tableRow.insertCell().textContent = text;
+            });
+        });
+
+        const submit = document.getElementById('csv-import-submit');
+        const count = preview.summary ? preview.summary.breakers : 0;
+        submit.disabled = count === 0;
+        submit.textContent = count > 0 ? `Import ${count} Breaker${count === 1 ? '' : 's'}` : 'Import';
+    }
+
+    showStep(visible) {
+        const step = document.getElementById('csv-import-preview');
+        if (step) step.style.display = visible ? '' : 'none';
+    }
+
+    showError(text) {
+        const error = document.getElementById('csv-import-error');
+        if (!error) return;
+        error.textContent = text;
+        error.style.display = text ? '' : 'none';
+    }
+
+    async submit(e) {
+        e.preventDefault();
+        if (!this.preview?.summary?.breakers) return;
+
+        try {
+            const result = await this.app.api.importCsv(this.app.currentPanel.id, this.getOptions());
+            this.app.hideModal('csv-import-modal');
+            await this.app.undoManager.reloadApp();
+            this.app.showNotification(`Imported ${CsvImportManager.describeSummary(result).replace(/^Adds /, '')} Undo removes all of it.`);
+        } catch (error) {
+            this.app.handleError('Failed to import CSV', error);
+        }
+    }
+
+    /**
+     * e.g. 'Adds 4 breakers with 5 circuits and 2 new rooms. 1 row is skipped.'
+     * @param {Object} summary - Counts from the preview or the import
+     * @returns {string}
+     */
+    static describeSummary(summary) {
+        const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+        const rooms = summary.rooms > 0 ? ` and ${count(summary.rooms, 'new room')}` : '';
+        const skipped = summary.skipped_rows > 0
+            ? ` ${count(summary.skipped_rows, 'row')} ${summary.skipped_rows === 1 ? 'is' : 'are'} skipped.`
+            : '';
+        return `Adds ${count(summary.breakers, 'breaker')} with ${count(summary.circuits, 'circuit')}${rooms}.${skipped}`;
+    }
+
+    /**
+     * @param {Object} warning - line and message
+     * @returns {string} e.g. 'Line 8: "?" is not a breaker position, so the row is skipped'
+     */
+    static describeWarning(warning) {
+        return `Line ${warning.line}: ${warning.message}`;
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImportManager;
+} else if (typeof global !== 'undefined') {
+    global.CsvImportManager = CsvImportManager;
+}
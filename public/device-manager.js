@@ -0,0 +1,197 @@
+/**
+ * Device Manager - Handles the device inventory of each circuit in the breaker modal
+ */
+class DeviceManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Add the device list and device form to a circuit form
+     * @param {HTMLElement} circuitDiv - Circuit form element
+     * @param {Object|null} circuit - Saved circuit, or null for a circuit not yet saved
+     */
+    renderDeviceSection(circuitDiv, circuit) {
+        const circuitForm = circuitDiv.querySelector('.circuit-form');
+        if (!circuitForm) return;
+
+        const section = document.createElement('div');
+        section.className = 'form-group circuit-devices';
+
+        if (!circuit?.id) {
+            section.innerHTML = `
+                <label>Devices</label>
+                <p class="device-hint">Save the breaker to start recording devices on this circuit.</p>
+            `;
+            circuitForm.appendChild(section);
+            return;
+        }
+
+        section.innerHTML = `
+            <label>Devices <span class="device-count"></span></label>
+            <ol class="device-list"></ol>
+            <div class="device-form requires-editor">
+                <input type="hidden" name="device_id">
+                <select name="device_type">
+                    ${Object.entries(BreakerPanelApp.deviceTypes).map(([value, type]) => `<option value="${value}">${type.icon} ${type.name}</option>`).join('')}
+                </select>
+                <input type="text" name="device_location" placeholder="Location, e.g. behind the fridge">
+                <input type="text" name="device_notes" placeholder="Notes">
+                <button type="button" class="save-device">Add Device</button>
+                <button type="button" class="cancel-device-edit" style="display: none;">Cancel</button>
+            </div>
+        `;
+        circuitForm.appendChild(section);
+
+        section.querySelector('.save-device').addEventListener('click', () => this.saveDevice(section, circuit));
+        section.querySelector('.cancel-device-edit').addEventListener('click', () => this.resetDeviceForm(section));
+        // Enter adds the device instead of submitting the breaker form
+        section.querySelectorAll('.device-form input[type="text"]').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.saveDevice(section, circuit);
+                }
+            });
+        });
+
+        this.renderDeviceList(section, circuit);
+    }
+
+    renderDeviceList(section, circuit) {
+        const list = section.querySelector('.device-list');
+        const devices = circuit.devices || [];
+        list.innerHTML = '';
+
+        section.querySelector('.device-count').textContent = devices.length > 0 ? `(${devices.length})` : '';
+
+        devices.forEach((device, index) => {
+            const item = document.createElement('li');
+            item.className = 'device-item';
+            item.dataset.deviceId = device.id;
+
+            const description = document.createElement('span');
+            description.className = 'device-description';
+            description.textContent = BreakerPanelApp.describeDevice(device);
+            if (device.notes) description.title = device.notes;
+            item.appendChild(description);
+
+            const actions = [
+                { label: '↑', title: 'Earlier in the chain', disabled: index === 0, handler: () => this.moveDevice(section, circuit, device.id, -1) },
+                { label: '↓', title: 'Later in the chain', disabled: index === devices.length - 1, handler: () => this.moveDevice(section, circuit, device.id, 1) },
+                { label: 'Edit', title: 'Edit device', handler: () => this.editDevice(section, device) },
+                { label: '×', title: 'Delete device', className: 'delete-device-btn', handler: () => this.deleteDevice(section, circuit, device.id) }
+            ];
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `${action.className || 'device-action-btn'} requires-editor`;
+                button.textContent = action.label;
+                button.title = action.title;
+                button.disabled = Boolean(action.disabled);
+                button.addEventListener('click', action.handler);
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+
+        this.updateBreakerDeviceCount();
+    }
+
+    async saveDevice(section, circuit) {
+        const deviceId = parseInt(section.querySelector('[name="device_id"]').value);
+        const deviceData = {
+            device_type: section.querySelector('[name="device_type"]').value,
+            location: section.querySelector('[name="device_location"]').value.trim() || null,
+            notes: section.querySelector('[name="device_notes"]').value.trim() || null
+        };
+
+        try {
+            if (deviceId) {
+                const existing = circuit.devices.find(device => device.id === deviceId);
+                await this.app.api.updateDevice(deviceId, { ...deviceData, room_id: existing?.room_id || null });
+            } else {
+                await this.app.api.createDevice({ ...deviceData, circuit_id: circuit.id });
+            }
+            this.resetDeviceForm(section);
+            await this.refreshDevices(section, circuit);
+        } catch (error) {
+            this.app.handleError('Failed to save device', error);
+        }
+    }
+
+    editDevice(section, device) {
+        section.querySelector('[name="device_id"]').value = device.id;
+        section.querySelector('[name="device_type"]').value = device.device_type;
+        section.querySelector('[name="device_location"]').value = device.location || '';
+        section.querySelector('[name="device_notes"]').value = device.notes || '';
+        section.querySelector('.save-device').textContent = 'Save Device';
+        section.querySelector('.cancel-device-edit').style.display = '';
+    }
+
+    resetDeviceForm(section) {
+        section.querySelector('[name="device_id"]').value = '';
+        section.querySelector('[name="device_type"]').selectedIndex = 0;
+        section.querySelector('[name="device_location"]').value = '';
+        section.querySelector('[name="device_notes"]').value = '';
+        section.querySelector('.save-device').textContent = 'Add Device';
+        section.querySelector('.cancel-device-edit').style.display = 'none';
+    }
+
+    async moveDevice(section, circuit, deviceId, direction) {
+        const ids = circuit.devices.map(device => device.id);
+        const index = ids.indexOf(deviceId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        try {
+            await this.app.api.reorderDevices(circuit.id, ids);
+            await this.refreshDevices(section, circuit);
+        } catch (error) {
+            this.app.handleError('Failed to reorder devices', error);
+        }
+    }
+
+    async deleteDevice(section, circuit, deviceId) {
+        try {
+            await this.app.api.deleteDevice(deviceId);
+            await this.refreshDevices(section, circuit);
+        } catch (error) {
+            this.app.handleError('Failed to delete device', error);
+        }
+    }
+
+    /**
+     * Reload a circuit's devices; the circuit object is the cached one, so the
+     * panel and circuit list see the change too
+     */
+    async refreshDevices(section, circuit) {
+        circuit.devices = await this.app.api.getDevicesByCircuit(circuit.id);
+        this.renderDeviceList(section, circuit);
+    }
+
+    /**
+     * Show the total number of devices fed by the breaker being edited
+     */
+    updateBreakerDeviceCount() {
+        const total = (this.app.existingCircuits || [])
+            .reduce((count, circuit) => count + (circuit.devices?.length || 0), 0);
+        if (this.app.currentBreaker) {
+            this.app.currentBreaker.device_count = total;
+        }
+
+        const countElement = document.getElementById('breaker-device-count');
+        if (countElement) {
+            countElement.textContent = total > 0 ? `${total} device${total === 1 ? '' : 's'}` : '';
+        }
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceManager;
+} else if (typeof global !== 'undefined') {
+    global.DeviceManager = DeviceManager;
+}
@@ -0,0 +1,130 @@
+/**
+ * Hierarchy Manager - The Hierarchy modal: a tree from each main panel down
+ * through its feeder breakers to every subpanel, with rolled-up counts and
+ * load at each panel. Clicking a panel goes to it.
+ */
+class HierarchyManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    async open() {
+        try {
+            const roots = await this.app.api.getHierarchy(this.app.currentSite?.id);
+            this.render(roots);
+            this.app.showModal('hierarchy-modal');
+        } catch (error) {
+            this.app.handleError('Failed to load the panel hierarchy', error);
+        }
+    }
+
+    render(roots) {
+        const container = document.getElementById('hierarchy-container');
+        if (!container) return;
+        container.innerHTML = '';
+        container.appendChild(this.createList(roots));
+    }
+
+    createList(nodes) {
+        const list = document.createElement('ul');
+        list.className = 'hierarchy-tree';
+        nodes.forEach(node => list.appendChild(this.createNode(node)));
+        return list;
+    }
+
+    createNode(node) {
+        const item = document.createElement('li');
+        item.className = 'hierarchy-node';
+        item.dataset.panelId = node.id;
+
+        const row = document.createElement('div');
+        row.className = 'hierarchy-row';
+
+        if (node.feeder) {
+            const feeder = document.createElement('span');
+            feeder.className = 'hierarchy-feeder';
+            feeder.textContent = HierarchyManager.describeFeeder(node.feeder);
+            row.appendChild(feeder);
+        }
+
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'hierarchy-panel';
+        if (node.id === this.app.currentPanel?.id) name.classList.add('current');
+        name.textContent = node.name;
+        name.title = 'Go to panel';
+        name.addEventListener('click', () => this.goToPanel(node.id));
+        row.appendChild(name);
+
+        const counts = document.createElement('span');
+        counts.className = 'hierarchy-counts';
+        counts.textContent = HierarchyManager.describeCounts(node.totals);
+        if (node.children.length > 0) {
+            counts.title = `This panel: ${HierarchyManager.describeCounts(node)}`;
+        }
+        row.appendChild(counts);
+
+        if (node.load) {
+            const load = document.createElement('span');
+            load.className = `hierarchy-load load-${node.load.status}`;
+            load.textContent = HierarchyManager.describeLoad(node.load);
+            row.appendChild(load);
+        }
+
+        item.appendChild(row);
+        if (node.children.length > 0) {
+            item.appendChild(this.createList(node.children));
+        }
+        return item;
+    }
+
+    async goToPanel(panelId) {
+        this.app.hideModal('hierarchy-modal');
+        if (this.app.currentPanel?.id !== panelId) {
+            await this.app.switchPanel(panelId);
+        }
+    }
+
+    /**
+     * Where a subpanel is fed from, e.g. '⤷ Breaker 3 · 60A'
+     * @param {Object} feeder - Feeder breaker from the hierarchy
+     * @returns {string}
+     */
+    static describeFeeder(feeder) {
+        const slot = feeder.slot_position && feeder.slot_position !== 'single' ? feeder.slot_position : '';
+        const position = `Breaker ${feeder.position}${slot}`;
+        return `⤷ ${[feeder.label ? `${position} (${feeder.label})` : position, feeder.amperage ? `${feeder.amperage}A` : null]
+            .filter(Boolean).join(' · ')}`;
+    }
+
+    /**
+     * Breaker, circuit and critical counts, e.g. '4 breakers · 5 circuits · 2 critical'
+     * @param {Object} counts - { breaker_count, circuit_count, critical_count }
+     * @returns {string}
+     */
+    static describeCounts(counts) {
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        return [
+            plural(counts.breaker_count, 'breaker'),
+            plural(counts.circuit_count, 'circuit'),
+            counts.critical_count > 0 ? `${counts.critical_count} critical` : null
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Demand against the panel's rating, e.g. '18.75A of 200A (9%)'
+     * @param {Object} load - Load summary from the hierarchy
+     * @returns {string}
+     */
+    static describeLoad(load) {
+        if (!load.rating_amps) return `${load.demand_amps}A`;
+        return `${load.demand_amps}A of ${load.rating_amps}A (${Math.round(load.utilization * 100)}%)`;
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HierarchyManager;
+} else if (typeof global !== 'undefined') {
+    global.HierarchyManager = HierarchyManager;
+}
@@ -0,0 +1,170 @@
+/**
+ * History Manager - The History tab of the breaker modal
+ */
+class HistoryManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Switch the breaker modal between its Details and History tabs
+     * @param {string} tab - 'details' or 'history'
+     */
+    showBreakerTab(tab) {
+        ['details', 'history'].forEach(name => {
+            document.getElementById(`breaker-tab-${name}`)?.classList.toggle('active', name === tab);
+            const panel = document.getElementById(`breaker-${name}-panel`);
+            if (panel) panel.style.display = name === tab ? '' : 'none';
+        });
+        if (tab === 'history') {
+            this.renderBreakerHistory();
+        }
+    }
+
+    /**
+     * List the latest changes to the breaker being edited and its circuits
+     */
+    async renderBreakerHistory() {
+        const container = document.getElementById('breaker-history');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const breaker = this.app.currentBreaker;
+        if (!breaker?.id) {
+            container.appendChild(HistoryManager.createHint('Save the breaker to start recording its history.'));
+            return;
+        }
+
+        try {
+            const history = await this.app.api.getHistory({ breaker_id: breaker.id, limit: HistoryManager.pageSize });
+            if (history.entries.length === 0) {
+                container.appendChild(HistoryManager.createHint('No changes recorded yet.'));
+                return;
+            }
+
+            const list = document.createElement('ol');
+            list.className = 'history-list';
+            history.entries.forEach(entry => list.appendChild(this.createEntry(entry)));
+            container.appendChild(list);
+
+            if (history.total > history.entries.length) {
+                container.appendChild(HistoryManager.createHint(`Showing the latest ${history.entries.length} of ${history.total} changes.`));
+            }
+        } catch (error) {
+            this.app.handleError('Failed to load history', error);
+        }
+    }
+
+    createEntry(entry) {
+        const item = document.createElement('li');
+        item.className = `history-entry history-${entry.action}`;
+
+        const heading = document.createElement('div');
+        heading.className = 'history-heading';
+        const summary = document.createElement('strong');
+        summary.textContent = this.describeEntry(entry);
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = `${BreakerPanelApp.formatTimestamp(entry.created_at)}${entry.actor ? ` · ${entry.actor}` : ''}`;
+        heading.append(summary, meta);
+        item.appendChild(heading);
+
+        // Creates and deletes carry the whole row; only updates list their changes
+        if (entry.action === 'update') {
+            const changes = document.createElement('ul');
+            changes.className = 'history-changes';
+            entry.changes.forEach(change => {
+                const line = document.createElement('li');
+                const label = HistoryManager.fieldLabels[change.field] || change.field;
+                line.textContent = `${label}: ${this.formatValue(change.field, change.before)} → ${this.formatValue(change.field, change.after)}`;
+                changes.appendChild(line);
+            });
+            item.appendChild(changes);
+        }
+
+        return item;
+    }
+
+    /**
+     * One-line summary, e.g. 'Circuit (Kitchen) moved from position 3 to position 7'
+     * @param {Object} entry - History entry from the API
+     * @returns {string}
+     */
+    describeEntry(entry) {
+        const values = entry.after || entry.before || {};
+        let subject = HistoryManager.subjects[entry.entity_type] || 'Circuit';
+        if (entry.entity_type === 'circuit' && values.room_id) {
+            subject += ` (${this.formatValue('room_id', values.room_id)})`;
+        } else if (entry.entity_type === 'device' && values.location) {
+            subject += ` (${values.location})`;
+        }
+
+        if (entry.action === 'move') {
+            return `${subject} moved from ${this.describeLocation(entry.before)} to ${this.describeLocation(entry.after)}`;
+        }
+        return `${subject} ${HistoryManager.actionNames[entry.action]}`;
+    }
+
+    describeLocation(location) {
+        const slot = location.slot_position && location.slot_position !== 'single' ? location.slot_position : '';
+        const position = `position ${location.position}${slot}`;
+        if (location.panel_id === this.app.currentPanel?.id) return position;
+        const panel = this.app.allPanels.find(p => p.id === location.panel_id);
+        return `${panel ? panel.name : 'another panel'} ${position}`;
+    }
+
+    formatValue(field, value) {
+        if (value === null || value === '') return '—';
+        if (field === 'room_id') {
+            return this.app.allRooms.find(room => room.id === value)?.name || `room #${value}`;
+        }
+        if (HistoryManager.booleanFields.includes(field)) {
+            return value ? 'Yes' : 'No';
+        }
+        return String(value);
+    }
+
+    static createHint(text) {
+        const hint = document.createElement('p');
+        hint.className = 'history-hint';
+        hint.textContent = text;
+        return hint;
+    }
+}
+
+HistoryManager.pageSize = 50;
+HistoryManager.subjects = { breaker: 'Breaker', circuit: 'Circuit', device: 'Device' };
+HistoryManager.actionNames = { create: 'created', update: 'updated', delete: 'deleted' };
+HistoryManager.booleanFields = ['critical', 'monitor', 'confirmed', 'continuous', 'downstream_gfci'];
+HistoryManager.fieldLabels = {
+    label: 'Label',
+    amperage: 'Amperage',
+    critical: 'Critical',
+    monitor: 'Monitor',
+    confirmed: 'Confirmed',
+    breaker_type: 'Breaker type',
+    slot_position: 'Slot',
+    protection: 'Protection',
+    room_id: 'Room',
+    type: 'Type',
+    notes: 'Notes',
+    subpanel_id: 'Feeds panel',
+    load_value: 'Load',
+    load_unit: 'Load unit',
+    voltage: 'Voltage',
+    continuous: 'Continuous',
+    downstream_gfci: 'Downstream GFCI',
+    wire_gauge: 'Wire gauge',
+    wire_material: 'Wire material',
+    cable_type: 'Cable type',
+    device_type: 'Device type',
+    location: 'Location',
+    circuit_id: 'Circuit'
+};
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+} else if (typeof global !== 'undefined') {
+    global.HistoryManager = HistoryManager;
+}
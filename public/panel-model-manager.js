@@ -0,0 +1,345 @@
+/**
+ * Panel Model Manager - The catalog of load center models, the Model picker in
+ * the panel modal, and the model's rules in the breaker modal: which series
+ * fits, where tandems go, and how many circuits the panel is listed for. The
+ * server enforces the same rules when breakers are saved or moved.
+ */
+class PanelModelManager {
+    constructor(app) {
+        this.app = app;
+        this.models = [];
+    }
+
+    async loadModels() {
+        try {
+            this.models = await this.app.api.getPanelModels();
+        } catch (error) {
+            console.warn('Failed to load panel models:', error);
+            this.models = [];
+        }
+        this.renderModelOptions();
+    }
+
+    getModel(modelId) {
+        return this.models.find(model => model.id === modelId) || null;
+    }
+
+    // ============================================================================
+    // PANEL MODAL
+    // ============================================================================
+
+    renderModelOptions() {
+        const select = document.getElementById('panel-model');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">Not specified</option>';
+        this.models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = PanelModelManager.describe(model);
+            select.appendChild(option);
+        });
+        select.value = this.getModel(parseInt(selected)) ? selected : '';
+        this.showLimits();
+    }
+
+    /**
+     * Select a model in the panel modal without changing the other fields
+     * @param {number|null} modelId - Model ID, or null for none
+     */
+    setModel(modelId) {
+        const select = document.getElementById('panel-model');
+        if (select) select.value = modelId ? String(modelId) : '';
+        this.showLimits();
+    }
+
+    /**
+     * A newly picked model sets the panel's size to the model's spaces
+     */
+    applyModel() {
+        const model = this.getModel(parseInt(document.getElementById('panel-model')?.value));
+        if (model) document.getElementById('panel-size').value = String(model.spaces);
+        this.showLimits();
+    }
+
+    showLimits() {
+        const limits = document.getElementById('panel-model-limits');
+        if (!limits) return;
+        const model = this.getModel(parseInt(document.getElementById('panel-model')?.value));
+        limits.textContent = model ? PanelModelManager.describeLimits(model) : '';
+    }
+
+    // ============================================================================
+    // BREAKER MODAL
+    // ============================================================================
+
+    /**
+     * Show the current panel's model rules for the breaker being edited, and
+     * take tandems off the list where the model doesn't accept them
+     * @param {Object} breaker - Breaker in the modal
+     */
+    populateBreakerRules(breaker) {
+        const model = this.getModel(this.app.currentPanel?.model_id);
+
+        const datalist = document.getElementById('breaker-series-options');
+        if (datalist) {
+            datalist.innerHTML = '';
+            (model?.breaker_series || []).forEach(series => {
+                const option = document.createElement('option');
+                option.value = series;
+                datalist.appendChild(option);
+            });
+        }
+        const seriesInput = document.getElementById('breaker-series');
+        if (seriesInput && !breaker.id && !breaker.series && model?.breaker_series.length === 1) {
+            seriesInput.value = model.breaker_series[0];
+        }
+
+        const tandemOption = document.querySelector('#breaker-type option[value="tandem"]');
+        if (tandemOption) {
+            tandemOption.disabled = Boolean(model) && breaker.breaker_type !== 'tandem' &&
+                !PanelModelManager.allowsTandem(model, breaker.position);
+        }
+
+        const rules = document.getElementById('breaker-model-rules');
+        if (!rules) return;
+        if (!model) {
+            rules.textContent = '';
+            return;
+        }
+        const others = [...this.app.panelRenderer.breakerCache.values()].filter(other => other.id !== breaker.id);
+        const used = others.reduce((count, other) => count + PanelRenderer.getPoleCount(other), 0);
+        rules.textContent = `${PanelModelManager.describe(model)}: ${PanelModelManager.describeLimits(model)} · ${used} of ${model.max_circuits} circuits used by other breakers`;
+    }
+
+    // ============================================================================
+    // CATALOG
+    // ============================================================================
+
+    async open() {
+        await this.loadModels();
+        this.resetForm();
+        this.renderCatalog();
+        this.app.showModal('panel-models-modal');
+    }
+
+    renderCatalog() {
+        const container = document.getElementById('panel-models-container');
+        if (!container) return;
+        container.innerHTML = '';
+
+        this.models.forEach(model => {
+            const item = document.createElement('div');
+            item.className = 'panel-model-item';
+
+            const name = document.createElement('span');
+            name.className = 'panel-model-name';
+            name.textContent = PanelModelManager.describe(model);
+            item.appendChild(name);
+
+            const details = document.createElement('span');
+            details.className = 'panel-model-details';
+            details.textContent = [
+                PanelModelManager.describeLimits(model),
+                `${model.panel_count || 0} panel${model.panel_count === 1 ? '' : 's'}`
+            ].join(' · ');
+            if (model.notes) details.title = model.notes;
+            item.appendChild(details);
+
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'panel-model-action-btn';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => this.edit(model.id));
+            item.appendChild(editButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'delete-panel-model-btn';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => this.deleteModel(model.id));
+            item.appendChild(deleteButton);
+
+            container.appendChild(item);
+        });
+    }
+
+    async save(e) {
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        const modelId = parseInt(formData.get('id'));
+        const tandemPositions = PanelModelManager.parsePositions(formData.get('tandem_positions'));
+        if (tandemPositions === undefined) {
+            this.app.showNotification('Enter tandem positions as "any", "none", or a list such as 1-10, 21-30.');
+            return;
+        }
+        const modelData = {
+            manufacturer: formData.get('manufacturer'),
+            model: formData.get('model'),
+            spaces: parseInt(formData.get('spaces')),
+            max_circuits: parseInt(formData.get('max_circuits')) || null,
+            bus_rating: parseInt(formData.get('bus_rating')) || null,
+            breaker_series: formData.get('breaker_series').split(',').map(series => series.trim()).filter(Boolean),
+            tandem_positions: tandemPositions,
+            notes: formData.get('notes')?.trim() || null
+        };
+
+        try {
+            if (modelId) {
+                await this.app.api.updatePanelModel(modelId, modelData);
+            } else {
+                await this.app.api.createPanelModel(modelData);
+            }
+            this.resetForm();
+            await this.loadModels();
+            this.renderCatalog();
+        } catch (error) {
+            this.app.handleError('Failed to save panel model', error);
+        }
+    }
+
+    edit(modelId) {
+        const model = this.getModel(modelId);
+        if (!model) return;
+
+        document.getElementById('panel-model-id').value = model.id;
+        document.getElementById('panel-model-manufacturer').value = model.manufacturer;
+        document.getElementById('panel-model-name').value = model.model;
+        document.getElementById('panel-model-spaces').value = model.spaces;
+        document.getElementById('panel-model-circuits').value = model.max_circuits;
+        document.getElementById('panel-model-bus').value = model.bus_rating || '';
+        document.getElementById('panel-model-series').value = model.breaker_series.join(', ');
+        document.getElementById('panel-model-tandems').value = PanelModelManager.formatTandems(model.tandem_positions);
+        document.getElementById('panel-model-notes').value = model.notes || '';
+        document.getElementById('save-panel-model').textContent = 'Save Model';
+        document.getElementById('cancel-panel-model-edit').style.display = '';
+    }
+
+    resetForm() {
+        const form = document.getElementById('panel-model-form');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('panel-model-id').value = '';
+        document.getElementById('save-panel-model').textContent = 'Add Model';
+        document.getElementById('cancel-panel-model-edit').style.display = 'none';
+    }
+
+    async deleteModel(modelId) {
+        const model = this.getModel(modelId);
+        if (!model) return;
+
+        if (model.panel_count > 0) {
+            this.app.showNotification(`Change the model of the panels using the ${PanelModelManager.describe(model)} before deleting it.`);
+            return;
+        }
+        if (!confirm(`Delete the panel model "${PanelModelManager.describe(model)}"?`)) return;
+
+        try {
+            await this.app.api.deletePanelModel(modelId);
+            await this.loadModels();
+            this.renderCatalog();
+        } catch (error) {
+            this.app.handleError('Failed to delete panel model', error);
+        }
+    }
+
+    /**
+     * e.g. 'Square D QO QO140M200P'
+     * @param {Object} model - Model from the API
+     * @returns {string}
+     */
+    static describe(model) {
+        return `${model.manufacturer} ${model.model}`;
+    }
+
+    /**
+     * e.g. '40 spaces · 40 circuits max · 200A bus · QO breakers · no tandems'
+     * @param {Object} model - Model from the API
+     * @returns {string}
+     */
+    static describeLimits(model) {
+        let tandems = 'no tandems';
+        if (model.tandem_positions === null) {
+            tandems = 'tandems in any space';
+        } else if (model.tandem_positions.length > 0) {
+            tandems = `tandems at ${PanelModelManager.formatPositions(model.tandem_positions)}`;
+        }
+        return [
+            `${model.spaces} spaces`,
+            `${model.max_circuits} circuits max`,
+            model.bus_rating ? `${model.bus_rating}A bus` : null,
+            model.breaker_series.length > 0 ? `${model.breaker_series.join('/')} breakers` : null,
+            tandems
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Whether a model takes a tandem breaker at a position
+     * @param {Object} model - Model from the API
+     * @param {number} position - Breaker position
+     * @returns {boolean}
+     */
+    static allowsTandem(model, position) {
+        return model.tandem_positions === null || model.tandem_positions.includes(position);
+    }
+
+    /**
+     * Positions as ranges, e.g. [1, 2, 3, 4, 9] → '1-4, 9'
+     * @param {number[]} positions - Positions
+     * @returns {string}
+     */
+    static formatPositions(positions) {
+        const ranges = [];
+        [...positions].sort((a, b) => a - b).forEach(position => {
+            const last = ranges[ranges.length - 1];
+            if (last && position === last[1] + 1) {
+                last[1] = position;
+            } else {
+                ranges.push([position, position]);
+            }
+        });
+        return ranges.map(([first, end]) => (first === end ? String(first) : `${first}-${end}`)).join(', ');
+    }
+
+    /**
+     * Tandem positions as typed in the catalog form
+     * @param {number[]|null} positions - Model's tandem_positions
+     * @returns {string} 'any', 'none' or ranges
+     */
+    static formatTandems(positions) {
+        if (positions === null) return 'any';
+        return positions.length === 0 ? 'none' : PanelModelManager.formatPositions(positions);
+    }
+
+    /**
+     * Read tandem positions typed as 'any' (or blank), 'none', or ranges like '1-10, 15'
+     * @param {string} text - Typed positions
+     * @returns {number[]|null|undefined} Positions, null for any, undefined when unreadable
+     */
+    static parsePositions(text) {
+        const value = (text || '').trim().toLowerCase();
+        if (value === '' || value === 'any') return null;
+        if (value === 'none') return [];
+
+        const positions = [];
+        for (const part of value.split(',')) {
+            const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) return undefined;
+            const first = parseInt(match[1]);
+            const last = match[2] ? parseInt(match[2]) : first;
+            if (first < 1 || last < first) return undefined;
+            for (let position = first; position <= last; position++) positions.push(position);
+        }
+        return [...new Set(positions)];
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PanelModelManager;
+} else if (typeof global !== 'undefined') {
+    global.PanelModelManager = PanelModelManager;
+}
@@ -7,6 +7,9 @@ class PanelRenderer {
         this.panelElementId = 'breaker-panel'; // Default to main panel
         this.breakerCache = new Map(); // Cache breakers by position for quick lookup
         this.circuitCache = new Map(); // Cache circuits by breaker_id
+        this.wiringWarnings = new Map(); // Ampacity warnings by breaker_id
+        this.loadSummary = null; // Load rollups from the complete panel endpoint
+        this.balanceSummary = null; // L1/L2 leg analysis from the complete panel endpoint
     }
 
     renderPanel() {
@@ -14,13 +17,15 @@ class PanelRenderer {
         if (!panelElement || !this.app.currentPanel) return;
         
         panelElement.innerHTML = '';
-        const size = this.app.currentPanel.size;
+        panelElement.classList.toggle('single-column', PanelRenderer.getColumnCount(this.app.currentPanel) === 1);
         
-        for (let i = 1; i <= size; i++) {
-            const isDestination = this.panelElementId === 'destination-breaker-panel';
-            const breakerContainer = this.createBreakerContainer(i, isDestination);
-            panelElement.appendChild(breakerContainer);
-        }
+        // Containers are added row by row so the grid places each position in its column
+        const isDestination = this.panelElementId === 'destination-breaker-panel';
+        PanelRenderer.getDisplayOrder(this.app.currentPanel)
+            .filter(position => position !== null)
+            .forEach(position => {
+                panelElement.appendChild(this.createBreakerContainer(position, isDestination));
+            });
         
         this.loadBreakers();
     }
@@ -30,7 +35,7 @@ class PanelRenderer {
         breakerContainer.className = isDestination ? 'breaker-container destination-container' : 'breaker-container';
         breakerContainer.dataset.position = position;
         
-        const isLeft = position % 2 === 1;
+        const isLeft = PanelRenderer.getSlot(position, this.app.currentPanel).column === 0;
         const breakerClass = isDestination ? 'destination-breaker' : '';
         
         breakerContainer.innerHTML = `
@@ -65,6 +70,8 @@ class PanelRenderer {
                     // For destination breakers, trigger destination selection
                     const position = parseInt(breaker.dataset.position);
                     this.handleDestinationClick?.(position, slot);
+                } else if (this.app.tracingManager?.isActive()) {
+                    this.app.tracingManager.openTraceStep(position, slot);
                 } else {
                     // For main panel breakers, open modal
                     this.openBreakerModal(position, slot);
@@ -82,6 +89,10 @@ class PanelRenderer {
             // Use the comprehensive endpoint to get all data in one request
             const panelData = await this.app.api.getPanelComplete(this.app.currentPanel.id);
             const { breakers, circuits } = panelData;
+            this.loadSummary = panelData.load || null;
+            this.balanceSummary = panelData.balance || null;
+            this.setWiringWarnings(panelData.wiring_warnings || []);
+            this.renderLoadGauge();
             
             // Clear and populate caches
             this.breakerCache.clear();
@@ -114,11 +125,144 @@ class PanelRenderer {
             for (const [position, positionBreakers] of Object.entries(breakersByPosition)) {
                 await this.updatePositionDisplay(parseInt(position), positionBreakers);
             }
+            
+            this.renderPhaseLabels();
+            this.renderBalanceSummary();
         } catch (error) {
             this.app.handleError('Failed to load breakers', error);
         }
     }
 
+    renderLoadGauge() {
+        // Only the main panel view has a gauge; the move modal's destination renderer skips it
+        const gauge = document.getElementById('panel-load-gauge');
+        if (!gauge || this.panelElementId !== 'breaker-panel') return;
+        
+        const panelLoad = this.loadSummary?.panel;
+        if (!panelLoad || panelLoad.connected_va === 0) {
+            gauge.style.display = 'none';
+            return;
+        }
+        
+        const percent = panelLoad.utilization !== null ? Math.round(panelLoad.utilization * 100) : null;
+        const ratingText = panelLoad.rating_amps ? ` / ${panelLoad.rating_amps}A` : '';
+        const percentText = percent !== null ? ` (${percent}%)` : '';
+        const serviceLoad = this.loadSummary.service;
+        
+        gauge.className = `load-gauge load-${panelLoad.status}`;
+        gauge.style.display = 'block';
+        gauge.innerHTML = `
+            <div class="load-gauge-header">
+                <span class="load-gauge-title">⚡ Panel Load</span>
+                <span class="load-gauge-value">${panelLoad.demand_amps}A${ratingText}${percentText}</span>
+            </div>
+            <div class="load-gauge-bar">
+                <div class="load-gauge-fill" style="width: ${Math.min(percent ?? 0, 100)}%;"></div>
+                <div class="load-gauge-limit" title="80% continuous limit"></div>
+            </div>
+            <div class="load-gauge-details">
+                ${Math.round(panelLoad.connected_va)} VA connected, ${Math.round(panelLoad.continuous_va)} VA continuous
+                ${serviceLoad ? ` · Service: ${serviceLoad.demand_amps}A${serviceLoad.rating_amps ? ` / ${serviceLoad.rating_amps}A` : ''}` : ''}
+            </div>
+        `;
+    }
+
+    renderPhaseLabels() {
+        // Tag every position with its bus phase; three-phase panels also show an A/B/C badge
+        const panelElement = document.getElementById(this.panelElementId);
+        const balance = this.balanceSummary;
+        if (!panelElement || !balance) return;
+        
+        const isThreePhase = balance.phase_config === 'three_phase';
+        panelElement.querySelectorAll('.breaker-container').forEach(container => {
+            const leg = balance.position_legs[container.dataset.position] || '';
+            container.dataset.leg = leg;
+            [...container.classList]
+                .filter(cls => cls.startsWith('leg-'))
+                .forEach(cls => container.classList.remove(cls));
+            if (leg) container.classList.add(`leg-${leg.toLowerCase()}`);
+            
+            let badge = container.querySelector('.breaker-phase');
+            if (isThreePhase && leg) {
+                if (!badge) {
+                    badge = document.createElement('span');
+                    badge.className = 'breaker-phase';
+                    container.querySelector('.breaker-slot')?.appendChild(badge);
+                }
+                badge.textContent = leg;
+                badge.title = `Phase ${leg}`;
+            } else if (badge) {
+                badge.remove();
+            }
+        });
+    }
+
+    renderBalanceSummary() {
+        // The summary and swap highlights only apply to the main panel view
+        const panelElement = document.getElementById(this.panelElementId);
+        const summary = document.getElementById('panel-balance-summary');
+        if (!panelElement || !summary || this.panelElementId !== 'breaker-panel') return;
+        
+        const balance = this.balanceSummary;
+        if (!balance) {
+            summary.innerHTML = '';
+            return;
+        }
+        
+        const swapIds = new Set(balance.suggestions.flatMap(s => s.breaker_ids));
+        panelElement.querySelectorAll('.breaker-container').forEach(container => {
+            container.classList.remove('balance-swap-candidate');
+        });
+        this.breakerCache.forEach(breaker => {
+            if (!swapIds.has(breaker.id)) return;
+            const container = panelElement.querySelector(`.breaker-container[data-position="${breaker.position}"]`);
+            container?.classList.add('balance-swap-candidate');
+        });
+        
+        const legs = Object.entries(balance.legs);
+        const maxVa = Math.max(...legs.map(([, leg]) => leg.connected_va), 1);
+        const legBar = (name, leg) => `
+            <div class="balance-leg">
+                <span class="balance-leg-name">${name}</span>
+                <div class="balance-leg-bar">
+                    <div class="balance-leg-fill leg-${name.toLowerCase()}" style="width: ${Math.round((leg.connected_va / maxVa) * 100)}%;"></div>
+                </div>
+                <span class="balance-leg-value">${leg.amps}A (${Math.round(leg.connected_va)} VA)</span>
+            </div>
+        `;
+        
+        summary.innerHTML = `
+            <div class="balance-header">
+                <span class="balance-title">⚖️ ${balance.phase_config === 'three_phase' ? 'Phase' : 'Leg'} Balance</span>
+                <span class="balance-imbalance">Imbalance: ${balance.imbalance_amps}A (${balance.imbalance_percent}%)${balance.heavier_leg ? `, ${balance.heavier_leg} heavier` : ''}</span>
+            </div>
+            ${legs.map(([name, leg]) => legBar(name, leg)).join('')}
+        `;
+        
+        if (balance.suggestions.length === 0) {
+            const ok = document.createElement('p');
+            ok.className = 'balance-ok';
+            ok.textContent = 'No single pole swaps would improve the balance.';
+            summary.appendChild(ok);
+            return;
+        }
+        
+        // Labels are user text, so build the list with textContent
+        const list = document.createElement('ul');
+        list.className = 'balance-suggestions';
+        balance.suggestions.forEach(suggestion => {
+            const item = document.createElement('li');
+            const [first, second] = suggestion.positions.map((position, i) => this.describeSwapBreaker(position, suggestion.labels[i]));
+            item.textContent = `Swap ${first} with ${second} → ${suggestion.resulting_imbalance_percent}% imbalance`;
+            list.appendChild(item);
+        });
+        summary.appendChild(list);
+    }
+
+    describeSwapBreaker(position, label) {
+        return label ? `#${position} (${label})` : `#${position}`;
+    }
+
     // Update cache after breaker modifications
     updateBreakerCache(breaker) {
         const key = `${breaker.position}-${breaker.slot_position || 'single'}`;
@@ -211,10 +355,10 @@ class PanelRenderer {
         // Handle flags
         this.updateBreakerFlags(breakerElement, breaker);
         
-        // Handle double pole (only for non-tandem breakers)
+        // Handle double and triple pole (only for non-tandem breakers)
         const isTandem = breaker.tandem || breaker.breaker_type === 'tandem';
         if (!isTandem) {
-            this.updateDoublePoleDisplay(breakerElement, breaker);
+            this.updateMultiPoleDisplay(breakerElement, breaker);
         }
         
         // Update label with subpanel info
@@ -248,50 +392,122 @@ class PanelRenderer {
         breakerElement.classList.toggle('confirmed', breaker.confirmed);
     }
 
-    updateDoublePoleDisplay(breakerElement, breaker) {
+    static getPoleCount(breaker) {
+        if (breaker.breaker_type === 'triple_pole') return 3;
+        if (breaker.double_pole || breaker.breaker_type === 'double_pole') return 2;
+        return 1;
+    }
+
+    // Panel geometry - mirrors services/panel-layout.js on the server
+
+    static getColumnCount(panel) {
+        return panel?.numbering_scheme === 'sequential' ? 1 : 2;
+    }
+
+    static getRowCount(panel) {
+        return Math.ceil(panel.size / PanelRenderer.getColumnCount(panel));
+    }
+
+    static getSlot(position, panel) {
+        switch (panel?.numbering_scheme) {
+            case 'sequential':
+                return { row: position, column: 0 };
+            case 'sequential_two_column': {
+                const rows = PanelRenderer.getRowCount(panel);
+                return position > rows
+                    ? { row: position - rows, column: 1 }
+                    : { row: position, column: 0 };
+            }
+            default:
+                return { row: Math.ceil(position / 2), column: (position - 1) % 2 };
+        }
+    }
+
+    static getPosition(row, column, panel) {
+        const size = panel?.size || Infinity;
+        if (row < 1 || column < 0 || column >= PanelRenderer.getColumnCount(panel)) return null;
+
+        let position;
+        switch (panel?.numbering_scheme) {
+            case 'sequential':
+                position = row;
+                break;
+            case 'sequential_two_column': {
+                const rows = PanelRenderer.getRowCount(panel);
+                if (row > rows) return null;
+                position = column * rows + row;
+                break;
+            }
+            default:
+                position = (row - 1) * 2 + column + 1;
+        }
+        return position <= size ? position : null;
+    }
+
+    static getDisplayOrder(panel) {
+        const order = [];
+        const columns = PanelRenderer.getColumnCount(panel);
+        for (let row = 1; row <= PanelRenderer.getRowCount(panel); row++) {
+            for (let column = 0; column < columns; column++) {
+                order.push(PanelRenderer.getPosition(row, column, panel));
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Positions a breaker covers, top to bottom; shorter than the pole count when it runs off the column
+     * @param {number} position - Starting position
+     * @param {number} poleCount - Rows spanned
+     * @param {Object} panel - Panel with size and numbering_scheme
+     * @returns {number[]} Positions
+     */
+    static getSpannedPositions(position, poleCount, panel) {
+        const { row, column } = PanelRenderer.getSlot(position, panel);
+        const positions = [position];
+        for (let pole = 1; pole < poleCount; pole++) {
+            const spanned = PanelRenderer.getPosition(row + pole, column, panel);
+            if (spanned === null) break;
+            positions.push(spanned);
+        }
+        return positions;
+    }
+
+    updateMultiPoleDisplay(breakerElement, breaker) {
         const container = breakerElement.closest('.breaker-container');
-        const isDoublePole = breaker.double_pole || breaker.breaker_type === 'double_pole';
+        const poleCount = PanelRenderer.getPoleCount(breaker);
         
         // Determine the panel container based on the renderer's target element
         const panelContainer = container.closest(`#${this.panelElementId}`);
+        const findContainer = (position) => {
+            const element = panelContainer ? panelContainer.querySelector(`[data-position="${position}"]`) : null;
+            return element?.closest('.breaker-container');
+        };
         
-        if (isDoublePole) {
-            breakerElement.classList.add('double-pole');
-            container.classList.add('double-pole-container');
-            
-            // Hide the breaker below - search within the correct panel
-            const targetPosition = breaker.position + 2;
-            
-            const belowElement = panelContainer ? 
-                panelContainer.querySelector(`[data-position="${targetPosition}"]`) : null;
-
-            
-            const belowContainer = belowElement?.closest('.breaker-container');
-            
-            if (belowContainer) {
-                belowContainer.style.setProperty('display', 'none', 'important');
-            }
+        // Restore any positions this breaker covered before (it may have changed type)
+        (container.dataset.spannedPositions || '').split(',').filter(Boolean).forEach(position => {
+            findContainer(position)?.style.removeProperty('display');
+        });
+        delete container.dataset.spannedPositions;
+        
+        breakerElement.classList.toggle('double-pole', poleCount === 2);
+        breakerElement.classList.toggle('triple-pole', poleCount === 3);
+        container.classList.toggle('double-pole-container', poleCount === 2);
+        container.classList.toggle('triple-pole-container', poleCount === 3);
+        
+        const numberElement = breakerElement.querySelector('.breaker-number');
+        if (poleCount > 1) {
+            // Hide the positions below that the breaker spans - search within the correct panel
+            const spanned = PanelRenderer.getSpannedPositions(breaker.position, poleCount, this.app.currentPanel).slice(1);
+            spanned.forEach(targetPosition => {
+                findContainer(targetPosition)?.style.setProperty('display', 'none', 'important');
+            });
+            container.dataset.spannedPositions = spanned.join(',');
             
             // Update breaker number to show range
-            const numberElement = breakerElement.querySelector('.breaker-number');
-            numberElement.textContent = `${breaker.position}-${breaker.position + 2}`;
+            numberElement.textContent = `${breaker.position}-${spanned[spanned.length - 1]}`;
         } else {
-            // Remove double pole styling
-            breakerElement.classList.remove('double-pole');
-            container.classList.remove('double-pole-container');
-            
-            // Restore hidden breaker - search within the correct panel
-            const targetPosition = breaker.position + 2;
-            const belowElement = panelContainer ? 
-                panelContainer.querySelector(`[data-position="${targetPosition}"]`) : null;
-            const belowContainer = belowElement?.closest('.breaker-container');
-            
-            if (belowContainer) {
-                belowContainer.style.removeProperty('display');
-            }
-            
             // Reset breaker number
-            const numberElement = breakerElement.querySelector('.breaker-number');
             numberElement.textContent = breaker.position;
         }
     }
@@ -312,13 +528,13 @@ class PanelRenderer {
                 circuit.type === 'subpanel' && circuit.subpanel_id
             );
             
-            const isDoublePole = breaker.double_pole || breaker.breaker_type === 'double_pole';
-            if (subpanelCircuit && isDoublePole) {
+            const isMultiPole = PanelRenderer.getPoleCount(breaker) > 1;
+            if (subpanelCircuit && isMultiPole) {
                 const linkedPanel = this.app.allPanels.find(panel => 
                     panel.id === subpanelCircuit.subpanel_id
                 );
                 if (linkedPanel) {
-                    // Put subpanel link on second line for double pole breakers only
+                    // Put subpanel link on second line for multi-pole breakers only
                     displayLabel = displayLabel 
                         ? `${displayLabel}\n→ ${linkedPanel.name}` 
                         : `→ ${linkedPanel.name}`;
@@ -345,65 +561,37 @@ class PanelRenderer {
             return acc;
         }, {});
 
-        const labelParts = [];
+        // Types are phrased in catalog order; types missing from the catalog use their key
+        const catalog = this.app.circuitTypes || [];
+        const catalogIndex = type => {
+            const index = catalog.findIndex(t => t.key === type);
+            return index === -1 ? catalog.length : index;
+        };
+        const rules = Object.keys(circuitsByType)
+            .sort((a, b) => catalogIndex(a) - catalogIndex(b))
+            .map(type => catalog.find(t => t.key === type) || { key: type, name: type, label_style: 'notes', label_noun: type });
 
-        // Handle appliances first (use notes as main value)
-        if (circuitsByType.appliance) {
-            circuitsByType.appliance.forEach(circuit => {
-                if (circuit.notes && circuit.notes.trim()) {
-                    labelParts.push(circuit.notes.trim());
-                } else if (circuit.room && circuit.room.trim()) {
-                    labelParts.push(`${circuit.room} appliance`);
-                } else {
-                    labelParts.push('Appliance');
-                }
-            });
-        }
-
-        // Handle heating (use notes or type + room)
-        if (circuitsByType.heating) {
-            circuitsByType.heating.forEach(circuit => {
-                if (circuit.notes && circuit.notes.trim()) {
-                    labelParts.push(circuit.notes.trim());
-                } else if (circuit.room && circuit.room.trim()) {
-                    labelParts.push(`${circuit.room} heating`);
-                } else {
-                    labelParts.push('Heating');
-                }
-            });
-        }
+        const labelParts = [];
 
-        // Handle subpanels
-        if (circuitsByType.subpanel) {
-            circuitsByType.subpanel.forEach(circuit => {
+        // Types labelled one circuit at a time: notes first, then "<room> <noun>", then the type name
+        rules.filter(rule => rule.label_style !== 'rooms').forEach(rule => {
+            circuitsByType[rule.key].forEach(circuit => {
                 if (circuit.notes && circuit.notes.trim()) {
                     labelParts.push(circuit.notes.trim());
+                } else if (rule.label_style === 'notes' && circuit.room && circuit.room.trim()) {
+                    labelParts.push(`${circuit.room} ${rule.label_noun || rule.name.toLowerCase()}`);
                 } else {
-                    labelParts.push('Subpanel');
+                    labelParts.push(rule.name);
                 }
             });
-        }
-
-        // Handle outlets and lighting with smart merging
-        const typeGroups = {};
-        
-        // Group outlets and lighting by type, collecting all rooms
-        ['outlet', 'lighting'].forEach(type => {
-            if (circuitsByType[type]) {
-                const rooms = circuitsByType[type].map(circuit => 
-                    circuit.room && circuit.room.trim() ? circuit.room.trim() : 'General'
-                );
-                const uniqueRooms = [...new Set(rooms)];
-                
-                if (uniqueRooms.length > 0) {
-                    typeGroups[type] = uniqueRooms;
-                }
-            }
         });
 
-        // Generate smart labels for outlets and lighting
-        Object.entries(typeGroups).forEach(([type, rooms]) => {
-            const typeName = type === 'outlet' ? 'outlets' : 'lights';
+        // Types merged across rooms, e.g. "Kitchen and Dining Room outlets"
+        rules.filter(rule => rule.label_style === 'rooms').forEach(rule => {
+            const typeName = rule.label_noun || rule.name.toLowerCase();
+            const rooms = [...new Set(circuitsByType[rule.key].map(circuit => 
+                circuit.room && circuit.room.trim() ? circuit.room.trim() : 'General'
+            ))];
             
             if (rooms.length === 1) {
                 // Single room
@@ -423,30 +611,7 @@ class PanelRenderer {
                 }
             } else {
                 // Many rooms - use count
-                const generalCount = rooms.includes('General') ? 1 : 0;
-                const regularRooms = rooms.filter(r => r !== 'General');
-                const totalRooms = regularRooms.length + generalCount;
-                
-                if (generalCount > 0) {
-                    labelParts.push(`${totalRooms} room ${typeName}`);
-                } else {
-                    labelParts.push(`${totalRooms} room ${typeName}`);
-                }
-            }
-        });
-
-        // Handle any other types
-        Object.entries(circuitsByType).forEach(([type, circuits]) => {
-            if (!['appliance', 'heating', 'subpanel', 'outlet', 'lighting'].includes(type)) {
-                circuits.forEach(circuit => {
-                    if (circuit.notes && circuit.notes.trim()) {
-                        labelParts.push(circuit.notes.trim());
-                    } else if (circuit.room && circuit.room.trim()) {
-                        labelParts.push(`${circuit.room} ${type}`);
-                    } else {
-                        labelParts.push(type);
-                    }
-                });
+                labelParts.push(`${rooms.length} room ${typeName}`);
             }
         });
 
@@ -494,6 +659,43 @@ class PanelRenderer {
             confirmedIndicator.title = 'Tested & Confirmed';
             indicators.appendChild(confirmedIndicator);
         }
+        
+        const protection = BreakerPanelApp.protectionTypes[breaker.protection];
+        if (protection) {
+            const protectionIndicator = document.createElement('div');
+            protectionIndicator.className = `indicator protection protection-${breaker.protection}`;
+            protectionIndicator.textContent = protection.short;
+            protectionIndicator.title = protection.name;
+            indicators.appendChild(protectionIndicator);
+        }
+        
+        const circuits = this.circuitCache.get(breaker.id) || [];
+        if (circuits.some(circuit => circuit.downstream_gfci)) {
+            const downstreamIndicator = document.createElement('div');
+            downstreamIndicator.className = 'indicator downstream-gfci';
+            downstreamIndicator.textContent = 'G↓';
+            downstreamIndicator.title = 'GFCI protected downstream (receptacle)';
+            indicators.appendChild(downstreamIndicator);
+        }
+        
+        const wiringWarnings = this.wiringWarnings.get(breaker.id) || [];
+        if (wiringWarnings.length > 0) {
+            const wiringIndicator = document.createElement('div');
+            wiringIndicator.className = 'indicator wiring-warning';
+            wiringIndicator.textContent = '!';
+            wiringIndicator.title = wiringWarnings.map(warning => warning.message).join('\n');
+            indicators.appendChild(wiringIndicator);
+        }
+        
+        const load = this.loadSummary?.breakers?.[breaker.id];
+        if (load && (load.status === 'warning' || load.status === 'overloaded')) {
+            const loadIndicator = document.createElement('div');
+            loadIndicator.className = `indicator load-${load.status}`;
+            loadIndicator.title = load.status === 'overloaded'
+                ? `Overloaded: ${load.demand_amps}A demand on ${load.rating_amps}A breaker`
+                : `Near limit: ${load.demand_amps}A demand on ${load.rating_amps}A breaker (80% is ${load.continuous_limit_amps}A)`;
+            indicators.appendChild(loadIndicator);
+        }
     }
 
     async openBreakerModal(position, slot = 'single') {
@@ -511,6 +713,7 @@ class PanelRenderer {
                     critical: false,
                     monitor: false,
                     confirmed: false,
+                    protection: 'standard',
                     breaker_type: slot !== 'single' ? 'tandem' : 'single',
                     slot_position: slot
                 };
@@ -518,6 +721,9 @@ class PanelRenderer {
 
             this.populateBreakerForm();
             await this.loadCircuits();
+            await this.app.attachmentManager?.renderBreakerAttachments();
+            this.app.historyManager?.showBreakerTab('details');
+            this.app.authManager?.lockForm(document.getElementById('breaker-form'));
             
             this.app.showModal('breaker-modal');
         } catch (error) {
@@ -533,6 +739,8 @@ class PanelRenderer {
         this.setFormValue('breaker-critical', breaker.critical || false);
         this.setFormValue('breaker-monitor', breaker.monitor || false);
         this.setFormValue('breaker-confirmed', breaker.confirmed || false);
+        this.setFormValue('breaker-protection', breaker.protection || 'standard');
+        this.setFormValue('breaker-series', breaker.series || '');
         
         // Set breaker type - convert from legacy boolean fields if needed
         let breakerType = breaker.breaker_type || 'single';
@@ -544,6 +752,12 @@ class PanelRenderer {
         // Disable breaker type dropdown for tandem B slots (only A slot can control type)
         const breakerTypeSelect = document.getElementById('breaker-type');
         if (breakerTypeSelect) {
+            // Triple pole breakers are only offered on three-phase panels
+            const triplePoleOption = breakerTypeSelect.querySelector('option[value="triple_pole"]');
+            if (triplePoleOption) {
+                triplePoleOption.hidden = this.app.currentPanel?.phase_config !== 'three_phase';
+            }
+            
             const isTandemB = (breakerType === 'tandem' || breaker.tandem) && breaker.slot_position === 'B';
             breakerTypeSelect.disabled = isTandemB;
             
@@ -558,6 +772,7 @@ class PanelRenderer {
                 breakerTypeSelect.title = '';
             }
         }
+        this.app.panelModelManager?.populateBreakerRules(breaker);
     }
 
     setFormValue(id, value) {
@@ -589,6 +804,7 @@ class PanelRenderer {
                 this.app.handleError('Failed to load circuits', error);
             }
         }
+        this.app.deviceManager?.updateBreakerDeviceCount();
     }
 
     addCircuitForm(circuitData = null) {
@@ -604,6 +820,7 @@ class PanelRenderer {
         circuitDiv.innerHTML = this.generateCircuitFormHTML(circuitData);
         
         this.bindCircuitEvents(circuitDiv, circuitData);
+        this.app.deviceManager?.renderDeviceSection(circuitDiv, circuitData);
         circuitsContainer.appendChild(circuitDiv);
     }
 
@@ -612,7 +829,7 @@ class PanelRenderer {
             <div class="circuit-header">
                 <div class="circuit-title">Circuit ${this.app.circuitCounter}</div>
                 <div class="circuit-actions">
-                    <button type="button" class="remove-circuit">Remove Circuit</button>
+                    <button type="button" class="remove-circuit requires-editor">Remove Circuit</button>
                 </div>
             </div>
             <div class="circuit-form">
@@ -626,11 +843,7 @@ class PanelRenderer {
                 <div class="form-group">
                     <label>Type</label>
                     <select name="type">
-                        <option value="outlet" ${!circuitData?.type || circuitData?.type === 'outlet' ? 'selected' : ''}>🔵 Outlet</option>
-                        <option value="lighting" ${circuitData?.type === 'lighting' ? 'selected' : ''}>🟠 Lighting</option>
-                        <option value="heating" ${circuitData?.type === 'heating' ? 'selected' : ''}>🔴 Heating</option>
-                        <option value="appliance" ${circuitData?.type === 'appliance' ? 'selected' : ''}>🟢 Appliance</option>
-                        <option value="subpanel" ${circuitData?.type === 'subpanel' ? 'selected' : ''}>🟣 Subpanel</option>
+                        ${this.generateCircuitTypeOptions(circuitData?.type || 'outlet')}
                     </select>
                 </div>
                 <div class="form-group subpanel-selector" style="display: ${circuitData?.type === 'subpanel' ? 'block' : 'none'};">
@@ -643,9 +856,56 @@ class PanelRenderer {
                         ${circuitData?.subpanel_id ? `<button type="button" class="goto-panel" data-panel-id="${circuitData.subpanel_id}">Go to Panel</button>` : ''}
                     </div>
                 </div>
+                <div class="form-group circuit-load">
+                    <label>Load</label>
+                    <div class="load-controls">
+                        <input type="number" name="load_value" min="0" step="any" placeholder="e.g. 1500" value="${circuitData?.load_value ?? ''}">
+                        <select name="load_unit">
+                            <option value="W" ${circuitData?.load_unit !== 'VA' ? 'selected' : ''}>W</option>
+                            <option value="VA" ${circuitData?.load_unit === 'VA' ? 'selected' : ''}>VA</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Voltage</label>
+                    <select name="voltage">
+                        <option value="">Auto</option>
+                        <option value="120" ${circuitData?.voltage === 120 ? 'selected' : ''}>120V</option>
+                        <option value="208" ${circuitData?.voltage === 208 ? 'selected' : ''}>208V</option>
+                        <option value="240" ${circuitData?.voltage === 240 ? 'selected' : ''}>240V</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" name="continuous" ${circuitData?.continuous ? 'checked' : ''}>
+                        Continuous load (3+ hours)
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" name="downstream_gfci" ${circuitData?.downstream_gfci ? 'checked' : ''}>
+                        GFCI protected downstream (receptacle)
+                    </label>
+                </div>
+                <div class="form-group circuit-wiring">
+                    <label>Wire</label>
+                    <div class="wiring-controls">
+                        <select name="wire_gauge">
+                            <option value="">Gauge...</option>
+                            ${BreakerPanelApp.wireGauges.map(gauge => `<option value="${gauge}" ${circuitData?.wire_gauge === gauge ? 'selected' : ''}>${gauge} AWG</option>`).join('')}
+                        </select>
+                        <select name="wire_material">
+                            ${Object.entries(BreakerPanelApp.wireMaterials).map(([value, name]) => `<option value="${value}" ${(circuitData?.wire_material || 'cu') === value ? 'selected' : ''}>${name}</option>`).join('')}
+                        </select>
+                        <select name="cable_type">
+                            <option value="">Cable type...</option>
+                            ${Object.entries(BreakerPanelApp.cableTypes).map(([value, name]) => `<option value="${value}" ${circuitData?.cable_type === value ? 'selected' : ''}>${name}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
                 <div class="form-group circuit-notes">
                     <label>Notes</label>
-                    <textarea name="notes" placeholder="Additional notes...">${circuitData?.notes || ''}</textarea>
+                    <textarea name="notes" placeholder="Additional notes...">${CircuitListManager.escapeHtml(circuitData?.notes || '')}</textarea>
                 </div>
             </div>
         `;
@@ -675,6 +935,14 @@ class PanelRenderer {
                 subpanelSelector.style.display = 'none';
                 subpanelSelector.querySelector('[name="subpanel"]').value = '';
             }
+
+            // Suggest the type's usual breaker size when none has been picked yet
+            const type = this.app.circuitTypes?.find(t => t.key === e.target.value);
+            const amperageSelect = document.getElementById('breaker-amperage');
+            if (type?.default_amperage && amperageSelect && !amperageSelect.value &&
+                [...amperageSelect.options].some(option => option.value === String(type.default_amperage))) {
+                amperageSelect.value = String(type.default_amperage);
+            }
         });
         
         // Go to panel button
@@ -692,7 +960,15 @@ class PanelRenderer {
         return this.app.allPanels
             .filter(panel => panel.id !== this.app.currentPanel.id)
             .map(panel => 
-                `<option value="${panel.id}" ${selectedId == panel.id ? 'selected' : ''}>${panel.name}</option>`
+                `<option value="${panel.id}" ${selectedId == panel.id ? 'selected' : ''}>${CircuitListManager.escapeHtml(panel.name)}</option>`
+            )
+            .join('');
+    }
+
+    generateCircuitTypeOptions(selectedKey = null) {
+        return (this.app.circuitTypes || [])
+            .map(type => 
+                `<option value="${CircuitListManager.escapeHtml(type.key)}" ${selectedKey === type.key ? 'selected' : ''}>${CircuitListManager.escapeHtml(`${type.icon || ''} ${type.name}`)}</option>`
             )
             .join('');
     }
@@ -700,7 +976,7 @@ class PanelRenderer {
     generateRoomOptions(selectedId = null) {
         return this.app.allRooms
             .map(room => 
-                `<option value="${room.id}" ${selectedId == room.id ? 'selected' : ''}>${BreakerPanelApp.levelColors[room.level]} ${room.name}</option>`
+                `<option value="${room.id}" ${selectedId == room.id ? 'selected' : ''}>${CircuitListManager.escapeHtml(`${room.level_icon || ''} ${room.name}`)}</option>`
             )
             .join('');
     }
@@ -710,8 +986,16 @@ class PanelRenderer {
         const breakerType = e.target.value;
         const position = this.app.currentBreaker.position;
         
-        if (breakerType === 'double_pole' && position > this.app.currentPanel.size - 2) {
-            alert('Cannot create a double pole breaker at this position. Double pole breakers must start on an odd position and extend to the next even position.');
+        if (breakerType === 'triple_pole' && this.app.currentPanel.phase_config !== 'three_phase') {
+            alert('Triple pole breakers can only be added to three-phase panels.');
+            e.target.value = 'single';
+            return;
+        }
+        
+        const poleCount = PanelRenderer.getPoleCount({ breaker_type: breakerType });
+        if (PanelRenderer.getSpannedPositions(position, poleCount, this.app.currentPanel).length < poleCount) {
+            const name = breakerType === 'triple_pole' ? 'triple pole' : 'double pole';
+            alert(`Cannot create a ${name} breaker at this position. It spans ${poleCount} rows in the same column and would run past the bottom of the panel.`);
             e.target.value = 'single';
             return;
         }
@@ -734,24 +1018,38 @@ class PanelRenderer {
                 monitor: formData.get('monitor') === 'on',
                 confirmed: formData.get('confirmed') === 'on',
                 breaker_type: breakerType,
-                slot_position: isTandem ? (this.app.currentBreaker.slot_position || 'A') : 'single'
+                // A full-size breaker turned into a tandem takes slot A
+                slot_position: isTandem && ['A', 'B'].includes(this.app.currentBreaker.slot_position)
+                    ? this.app.currentBreaker.slot_position
+                    : (isTandem ? 'A' : 'single'),
+                protection: formData.get('protection') || 'standard',
+                series: formData.get('series')?.trim() || null
             };
 
-            if (this.app.currentBreaker.id) {
-                await this.app.api.updateBreaker(this.app.currentBreaker.id, breakerData);
-            } else {
-                breakerData.panel_id = this.app.currentBreaker.panel_id;
-                breakerData.position = this.app.currentBreaker.position;
-                const savedBreaker = await this.app.api.createBreaker(breakerData);
-                this.app.currentBreaker.id = savedBreaker.id;
-            }
+            // The breaker and its circuits are undone together
+            const slot = isTandem ? breakerData.slot_position : '';
+            const wiringWarnings = await this.app.api.withOperation(`Save breaker ${this.app.currentBreaker.position}${slot}`, async () => {
+                if (this.app.currentBreaker.id) {
+                    await this.app.api.updateBreaker(this.app.currentBreaker.id, breakerData);
+                } else {
+                    breakerData.panel_id = this.app.currentBreaker.panel_id;
+                    breakerData.position = this.app.currentBreaker.position;
+                    const savedBreaker = await this.app.api.createBreaker(breakerData);
+                    this.app.currentBreaker.id = savedBreaker.id;
+                }
 
-            Object.assign(this.app.currentBreaker, breakerData);
-            
-            // Update cache with the modified breaker
-            this.updateBreakerCache(this.app.currentBreaker);
-            
-            await this.saveCircuits();
+                const previousSlot = this.app.currentBreaker.slot_position || 'single';
+                Object.assign(this.app.currentBreaker, breakerData);
+                
+                // Update cache with the modified breaker, which may have changed slot
+                if (previousSlot !== breakerData.slot_position) {
+                    this.removeBreakerFromCache(this.app.currentBreaker.position, previousSlot);
+                }
+                this.updateBreakerCache(this.app.currentBreaker);
+                
+                return this.saveCircuits();
+            });
+            this.wiringWarnings.set(this.app.currentBreaker.id, wiringWarnings);
             
             // Get all breakers at this position from cache for display update
             const positionBreakers = [];
@@ -763,13 +1061,22 @@ class PanelRenderer {
             await this.updatePositionDisplay(this.app.currentBreaker.position, positionBreakers);
             
             this.closeModal();
+            
+            if (wiringWarnings.length > 0) {
+                this.app.showNotification(`Wiring check:\n${wiringWarnings.map(warning => `• ${warning.message}`).join('\n')}`);
+            }
         } catch (error) {
             this.app.handleError('Failed to save breaker', error);
         }
     }
 
+    /**
+     * Save every circuit in the breaker modal
+     * @returns {Promise<Array>} Ampacity warnings returned for the saved circuits
+     */
     async saveCircuits() {
         const circuitElements = document.querySelectorAll('.circuit');
+        const warnings = [];
         
         for (const circuitElement of circuitElements) {
             const circuitId = circuitElement.dataset.circuitId;
@@ -780,12 +1087,22 @@ class PanelRenderer {
             const notes = circuitElement.querySelector('[name="notes"]').value;
             const subpanelSelect = circuitElement.querySelector('[name="subpanel"]');
             const subpanel_id = subpanelSelect ? subpanelSelect.value : null;
+            const load_value = circuitElement.querySelector('[name="load_value"]')?.value;
+            const voltage = circuitElement.querySelector('[name="voltage"]')?.value;
             
             const circuitData = {
                 room_id: room_id && room_id !== '' ? parseInt(room_id) : null,
                 type: type || null,
                 notes: notes || null,
-                subpanel_id: subpanel_id && subpanel_id !== '' ? parseInt(subpanel_id) : null
+                subpanel_id: subpanel_id && subpanel_id !== '' ? parseInt(subpanel_id) : null,
+                load_value: load_value && load_value !== '' ? parseFloat(load_value) : null,
+                load_unit: circuitElement.querySelector('[name="load_unit"]')?.value || 'W',
+                voltage: voltage && voltage !== '' ? parseInt(voltage) : null,
+                continuous: Boolean(circuitElement.querySelector('[name="continuous"]')?.checked),
+                downstream_gfci: Boolean(circuitElement.querySelector('[name="downstream_gfci"]')?.checked),
+                wire_gauge: circuitElement.querySelector('[name="wire_gauge"]')?.value || null,
+                wire_material: circuitElement.querySelector('[name="wire_material"]')?.value || null,
+                cable_type: circuitElement.querySelector('[name="cable_type"]')?.value || null
             };
             
             try {
@@ -795,14 +1112,28 @@ class PanelRenderer {
                         continue;
                     }
                     circuitData.breaker_id = this.app.currentBreaker.id;
-                    await this.app.api.createCircuit(circuitData);
+                    const saved = await this.app.api.createCircuit(circuitData);
+                    warnings.push(...(saved?.warnings || []));
                 } else {
-                    await this.app.api.updateCircuit(parseInt(circuitId), circuitData);
+                    const saved = await this.app.api.updateCircuit(parseInt(circuitId), circuitData);
+                    warnings.push(...(saved?.warnings || []));
                 }
             } catch (error) {
                 this.app.handleError('Failed to save circuit', error);
             }
         }
+
+        return warnings;
+    }
+
+    setWiringWarnings(warnings) {
+        this.wiringWarnings.clear();
+        warnings.forEach(warning => {
+            if (!this.wiringWarnings.has(warning.breaker_id)) {
+                this.wiringWarnings.set(warning.breaker_id, []);
+            }
+            this.wiringWarnings.get(warning.breaker_id).push(warning);
+        });
     }
 
     closeModal() {
@@ -0,0 +1,178 @@
+/**
+ * Resize Manager - Editing the current panel in the panel modal. A new size or
+ * numbering that leaves breakers without a place is previewed first: the
+ * breakers that don't fit and where each would go, then saved by moving them
+ * to free spaces or deleting them.
+ */
+class ResizeManager {
+    constructor(app) {
+        this.app = app;
+        this.panelId = null;
+        this.preview = null;
+    }
+
+    /**
+     * Open the panel modal filled in with the current panel
+     */
+    open() {
+        const panel = this.app.currentPanel;
+        if (!panel) return;
+
+        this.panelId = panel.id;
+        this.app.templateManager.showPicker(false);
+        document.getElementById('panel-name').value = panel.name;
+        document.getElementById('panel-size').value = String(panel.size);
+        document.getElementById('panel-main-amperage').value = panel.main_amperage ? String(panel.main_amperage) : '';
+        document.getElementById('panel-phase-config').value = panel.phase_config || 'split_phase';
+        document.getElementById('panel-numbering-scheme').value = panel.numbering_scheme || 'odd_even';
+        this.app.panelModelManager.setModel(panel.model_id);
+        this.setHeadings('Edit Panel', 'Save Panel');
+        this.hidePreview();
+        this.app.showModal('new-panel-modal');
+    }
+
+    /**
+     * Put the panel modal back to creating a new panel
+     */
+    reset() {
+        this.panelId = null;
+        this.setHeadings('Create New Panel', 'Create Panel');
+        this.hidePreview();
+    }
+
+    isEditing() {
+        return this.panelId !== null;
+    }
+
+    setHeadings(title, submitLabel) {
+        const heading = document.getElementById('panel-modal-title');
+        if (heading) heading.textContent = title;
+        const submit = document.getElementById('panel-form-submit');
+        if (submit) submit.textContent = submitLabel;
+    }
+
+    /**
+     * Save the panel form. A layout change is previewed first when it leaves
+     * breakers without a place; saving again applies the chosen strategy.
+     * @param {Object} panelData - Panel fields from the form
+     */
+    async save(panelData) {
+        try {
+            let strategy;
+            if (this.preview && ResizeManager.sameLayout(this.preview.layout, panelData)) {
+                strategy = this.getStrategy();
+            } else if (this.layoutChanged(panelData)) {
+                const preview = await this.app.api.previewPanelResize(this.panelId, panelData);
+                if (preview.conflicts.length > 0) {
+                    this.showPreview({ ...preview, layout: panelData });
+                    return;
+                }
+            }
+
+            await this.app.api.updatePanel(this.panelId, strategy ? { ...panelData, resize_strategy: strategy } : panelData);
+            this.app.hideModal('new-panel-modal');
+            this.reset();
+            await this.app.undoManager.reloadApp();
+        } catch (error) {
+            // Breakers changed since the preview; show what would happen now
+            if (error.status === 409 && ['resize_conflicts', 'resize_no_room'].includes(error.data?.code)) {
+                this.showPreview({
+                    conflicts: error.data.conflicts,
+                    can_relocate: error.data.conflicts.every(conflict => conflict.relocate_to !== null),
+                    layout: panelData
+                });
+                return;
+            }
+            this.app.handleError('Failed to save panel', error);
+        }
+    }
+
+    layoutChanged(panelData) {
+        const panel = this.app.allPanels.find(p => p.id === this.panelId);
+        return !panel || !ResizeManager.sameLayout(panel, panelData);
+    }
+
+    getStrategy() {
+        const checked = document.querySelector('input[name="resize_strategy"]:checked');
+        return checked ? checked.value : 'relocate';
+    }
+
+    /**
+     * Show the breakers that won't fit and ask what to do with them
+     * @param {Object} preview - { conflicts, can_relocate, layout }
+     */
+    showPreview(preview) {
+        this.preview = preview;
+        const container = document.getElementById('resize-preview');
+        if (!container) return;
+
+        document.getElementById('resize-summary').textContent = ResizeManager.describeSummary(preview);
+        const list = document.getElementById('resize-conflicts');
+        list.innerHTML = '';
+        preview.conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            item.textContent = ResizeManager.describeConflict(conflict);
+            list.appendChild(item);
+        });
+
+        const relocate = document.getElementById('resize-relocate');
+        relocate.disabled = !preview.can_relocate;
+        relocate.checked = preview.can_relocate;
+        document.getElementById('resize-delete').checked = !preview.can_relocate;
+        this.updateSubmitLabel();
+        container.style.display = 'block';
+    }
+
+    updateSubmitLabel() {
+        this.setHeadings('Edit Panel', this.getStrategy() === 'delete' ? 'Resize and Delete Breakers' : 'Resize and Move Breakers');
+    }
+
+    hidePreview() {
+        this.preview = null;
+        const container = document.getElementById('resize-preview');
+        if (container) container.style.display = 'none';
+    }
+
+    /**
+     * Whether two panels (or form values) have the same size and numbering
+     * @param {Object} a - Panel or panel fields
+     * @param {Object} b - Panel or panel fields
+     * @returns {boolean}
+     */
+    static sameLayout(a, b) {
+        return a.size === b.size && (a.numbering_scheme || 'odd_even') === (b.numbering_scheme || 'odd_even');
+    }
+
+    /**
+     * e.g. '3 breakers won't fit the new layout. 1 has nowhere to go, so it can only be deleted.'
+     * @param {Object} preview - Resize preview from the server
+     * @returns {string}
+     */
+    static describeSummary(preview) {
+        const count = preview.conflicts.length;
+        const summary = `${count} breaker${count === 1 ? '' : 's'} won't fit the new layout.`;
+        if (preview.can_relocate) return summary;
+        const stuck = preview.conflicts.filter(conflict => conflict.relocate_to === null).length;
+        return `${summary} ${stuck} ${stuck === 1 ? 'has nowhere to go, so it' : 'have nowhere to go, so they'} can only be deleted.`;
+    }
+
+    /**
+     * One breaker that doesn't fit, e.g. 'Breaker 31 (Dryer): Position 31 is
+     * outside this 30-space panel → moves to 12'
+     * @param {Object} conflict - Conflict from the resize preview
+     * @returns {string}
+     */
+    static describeConflict(conflict) {
+        const slot = conflict.slot_position && conflict.slot_position !== 'single' ? conflict.slot_position : '';
+        const name = `Breaker ${conflict.position}${slot}${conflict.label ? ` (${conflict.label})` : ''}`;
+        const destination = conflict.relocate_to !== null ? `moves to ${conflict.relocate_to}${slot}` : 'no free space';
+        return `${name}: ${conflict.message} → ${destination}`;
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResizeManager;
+} else if (typeof global !== 'undefined') {
+    global.ResizeManager = ResizeManager;
+}
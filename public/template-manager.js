@@ -0,0 +1,211 @@
+/**
+ * Template Manager - The Copy Panel modal, which clones the current panel or
+ * saves it as a template, and the Start From picker in the New Panel modal
+ * that creates a panel from a template.
+ */
+class TemplateManager {
+    constructor(app) {
+        this.app = app;
+        this.templates = [];
+    }
+
+    // ============================================================================
+    // COPY PANEL
+    // ============================================================================
+
+    openCopy() {
+        const panel = this.app.currentPanel;
+        if (!panel) return;
+
+        const form = document.getElementById('copy-panel-form');
+        form.reset();
+        document.getElementById('copy-name').value = `${panel.name} Copy`;
+
+        const siteSelect = document.getElementById('copy-site');
+        siteSelect.innerHTML = '';
+        this.app.allSites.forEach(site => {
+            const option = document.createElement('option');
+            option.value = site.id;
+            option.textContent = site.name;
+            siteSelect.appendChild(option);
+        });
+        siteSelect.value = String(panel.site_id);
+
+        this.updateCopyMode();
+        this.app.showModal('copy-panel-modal');
+    }
+
+    getCopyMode() {
+        const checked = document.querySelector('input[name="copy_mode"]:checked');
+        return checked ? checked.value : 'clone';
+    }
+
+    updateCopyMode() {
+        const cloning = this.getCopyMode() === 'clone';
+        document.querySelectorAll('#copy-panel-form .clone-only').forEach(element => {
+            element.style.display = cloning ? '' : 'none';
+        });
+        document.getElementById('copy-submit').textContent = cloning ? 'Clone Panel' : 'Save Template';
+    }
+
+    async submitCopy(e) {
+        e.preventDefault();
+        const panel = this.app.currentPanel;
+        const name = document.getElementById('copy-name').value.trim();
+        const includeCircuits = document.getElementById('copy-circuits').checked;
+
+        try {
+            if (this.getCopyMode() === 'template') {
+                const template = await this.app.api.createPanelTemplate({ name, panel_id: panel.id, include_circuits: includeCircuits });
+                this.app.hideModal('copy-panel-modal');
+                this.app.showNotification(`Saved "${template.name}". Pick it under Start From when creating a new panel.`);
+                return;
+            }
+
+            const copy = await this.app.api.clonePanel(panel.id, {
+                name,
+                site_id: parseInt(document.getElementById('copy-site').value),
+                include_circuits: includeCircuits,
+                include_rooms: document.getElementById('copy-rooms').checked
+            });
+            this.app.hideModal('copy-panel-modal');
+            await this.showPanel(copy);
+        } catch (error) {
+            this.app.handleError('Failed to copy panel', error);
+        }
+    }
+
+    /**
+     * Go to a panel that was just created, at whichever site it is in
+     * @param {Object} panel - New panel
+     */
+    async showPanel(panel) {
+        const app = this.app;
+        if (panel.site_id !== app.currentSite?.id) {
+            await app.switchSite(panel.site_id);
+        } else {
+            await Promise.all([app.loadAllPanels(), app.loadAllRooms()]);
+        }
+        app.currentPanel = app.allPanels.find(p => p.id === panel.id) || panel;
+        app.renderPanel();
+        await app.populatePanelSelector();
+        app.updatePanelControls();
+    }
+
+    // ============================================================================
+    // START FROM A TEMPLATE
+    // ============================================================================
+
+    /**
+     * Show the Start From picker for a new panel, or hide it while editing one;
+     * either way it starts at a blank panel
+     * @param {boolean} visible - Whether to show it
+     */
+    showPicker(visible) {
+        const group = document.getElementById('panel-template-group');
+        if (group) group.style.display = visible ? '' : 'none';
+        const select = document.getElementById('panel-template');
+        if (select) select.value = '';
+        this.applyTemplate();
+    }
+
+    async loadTemplates() {
+        try {
+            this.templates = await this.app.api.getPanelTemplates();
+        } catch (error) {
+            console.warn('Failed to load panel templates:', error);
+            this.templates = [];
+        }
+        this.renderTemplateOptions();
+    }
+
+    renderTemplateOptions() {
+        const select = document.getElementById('panel-template');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Blank panel</option>';
+        this.templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = `${template.name} (${TemplateManager.describe(template)})`;
+            select.appendChild(option);
+        });
+        this.applyTemplate();
+    }
+
+    getSelectedTemplate() {
+        const select = document.getElementById('panel-template');
+        const id = parseInt(select?.value);
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    /**
+     * Fill the layout fields from the selected template, which they then can't
+     * override; a blank panel leaves them editable
+     */
+    applyTemplate() {
+        const template = this.getSelectedTemplate();
+        const fields = {
+            'panel-size': 'size',
+            'panel-numbering-scheme': 'numbering_scheme',
+            'panel-phase-config': 'phase_config',
+            'panel-main-amperage': 'main_amperage',
+            'panel-model': 'model_id'
+        };
+        Object.entries(fields).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            if (template) input.value = template[key] === null ? '' : String(template[key]);
+            input.disabled = Boolean(template);
+        });
+        this.app.panelModelManager?.showLimits();
+
+        const deleteButton = document.getElementById('delete-template');
+        if (deleteButton) deleteButton.disabled = !template;
+    }
+
+    /**
+     * Create a panel from the selected template with the name and site given
+     * @param {Object} panelData - Fields from the New Panel form
+     * @returns {Promise<Object>} The new panel
+     */
+    async createFromTemplate(panelData) {
+        const template = this.getSelectedTemplate();
+        return this.app.api.createPanelFromTemplate(template.id, { name: panelData.name, site_id: panelData.site_id });
+    }
+
+    async deleteTemplate() {
+        const template = this.getSelectedTemplate();
+        if (!template) return;
+        if (!confirm(`Delete the template "${template.name}"? Panels created from it are not affected.`)) return;
+
+        try {
+            await this.app.api.deletePanelTemplate(template.id);
+            document.getElementById('panel-template').value = '';
+            await this.loadTemplates();
+        } catch (error) {
+            this.app.handleError('Failed to delete template', error);
+        }
+    }
+
+    /**
+     * Size and contents of a template, e.g. '30 spaces · 12 breakers · 14 circuits'
+     * @param {Object} template - Template from the API
+     * @returns {string}
+     */
+    static describe(template) {
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        return [
+            plural(template.size, 'space'),
+            plural(template.breaker_count, 'breaker'),
+            template.includes_circuits ? plural(template.circuit_count, 'circuit') : null
+        ].filter(Boolean).join(' · ');
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateManager;
+} else if (typeof global !== 'undefined') {
+    global.TemplateManager = TemplateManager;
+}
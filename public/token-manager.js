@@ -0,0 +1,149 @@
+/**
+ * Token Manager - The API Tokens modal: create personal tokens for scripts,
+ * see when each was last used, and revoke them
+ */
+class TokenManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    init() {
+        this.app.bindElement('manage-tokens', 'click', () => this.open());
+        this.app.bindElement('token-form', 'submit', (e) => this.createToken(e));
+        this.app.bindElement('copy-token', 'click', () => this.copyToken());
+    }
+
+    async open() {
+        this.hideNewToken();
+        await this.render();
+        this.app.showModal('tokens-modal');
+    }
+
+    async render() {
+        const container = document.getElementById('tokens-container');
+        if (!container) return;
+
+        try {
+            const tokens = await this.app.api.getApiTokens();
+            container.innerHTML = '';
+            if (tokens.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'tokens-help';
+                empty.textContent = 'You have no API tokens.';
+                container.appendChild(empty);
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'user-list';
+            tokens.forEach(token => list.appendChild(this.createItem(token)));
+            container.appendChild(list);
+        } catch (error) {
+            this.app.handleError('Failed to load API tokens', error);
+        }
+    }
+
+    createItem(token) {
+        const item = document.createElement('li');
+        item.className = token.expired ? 'user-item token-item expired' : 'user-item token-item';
+        item.dataset.tokenId = token.id;
+
+        const details = document.createElement('div');
+        details.className = 'token-details';
+        const name = document.createElement('strong');
+        name.textContent = token.name;
+        const meta = document.createElement('span');
+        meta.className = 'token-meta';
+        meta.textContent = TokenManager.describe(token);
+        details.append(name, meta);
+
+        const revokeButton = document.createElement('button');
+        revokeButton.type = 'button';
+        revokeButton.className = 'user-delete-btn';
+        revokeButton.textContent = 'Revoke';
+        revokeButton.addEventListener('click', () => this.revokeToken(token));
+
+        item.append(details, revokeButton);
+        return item;
+    }
+
+    async createToken(e) {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const expiry = formData.get('expires_in_days');
+
+        try {
+            const created = await this.app.api.createApiToken({
+                name: formData.get('name'),
+                scope: formData.get('scope'),
+                expires_in_days: expiry ? parseInt(expiry) : null
+            });
+            e.target.reset();
+            this.showNewToken(created.token);
+            await this.render();
+        } catch (error) {
+            this.app.handleError('Failed to create API token', error);
+        }
+    }
+
+    async revokeToken(token) {
+        if (!confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) return;
+        try {
+            await this.app.api.revokeApiToken(token.id);
+            await this.render();
+        } catch (error) {
+            this.app.handleError('Failed to revoke API token', error);
+        }
+    }
+
+    showNewToken(value) {
+        const box = document.getElementById('new-token');
+        if (!box) return;
+        document.getElementById('new-token-value').value = value;
+        box.style.display = '';
+    }
+
+    hideNewToken() {
+        const box = document.getElementById('new-token');
+        if (!box) return;
+        document.getElementById('new-token-value').value = '';
+        box.style.display = 'none';
+    }
+
+    async copyToken() {
+        const input = document.getElementById('new-token-value');
+        try {
+            await navigator.clipboard.writeText(input.value);
+            this.app.showNotification('Token copied');
+        } catch {
+            // Clipboard access needs HTTPS; leave it selected to copy by hand
+            input.select();
+        }
+    }
+
+    /**
+     * Scope, expiry and last use of a token, e.g. 'Read only · expires 5/1/2025 · never used'
+     * @param {Object} token - Token from the API
+     * @returns {string}
+     */
+    static describe(token) {
+        let expiry = 'never expires';
+        if (token.expires_at) {
+            expiry = `${token.expired ? 'expired' : 'expires'} ${BreakerPanelApp.formatTimestamp(token.expires_at)}`;
+        }
+        return [
+            TokenManager.scopeNames[token.scope],
+            expiry,
+            token.last_used_at ? `last used ${BreakerPanelApp.formatTimestamp(token.last_used_at)}` : 'never used'
+        ].join(' · ');
+    }
+}
+
+TokenManager.scopeNames = { read: 'Read only', write: 'Read and write' };
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenManager;
+} else if (typeof global !== 'undefined') {
+    global.TokenManager = TokenManager;
+}
@@ -0,0 +1,334 @@
+/**
+ * Tracing Manager - Guided circuit tracing: switch a breaker off, record what went
+ * dead, review the proposed circuit changes and confirm the breaker
+ */
+class TracingManager {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.session = null;
+        this.currentStep = null;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Enter tracing mode for the current panel, resuming its open session if there is one
+     */
+    async start() {
+        this.active = true;
+        await this.refreshBar();
+    }
+
+    stop() {
+        this.active = false;
+        this.session = null;
+        const bar = document.getElementById('tracing-bar');
+        if (bar) bar.style.display = 'none';
+    }
+
+    async refreshBar() {
+        if (!this.active || !this.app.currentPanel) return;
+        try {
+            const { progress, sessions } = await this.app.api.getTracingSessions(this.app.currentPanel.id);
+            const open = sessions.find(session => !session.completed_at);
+            this.session = open || null;
+            this.renderBar(progress, sessions);
+        } catch (error) {
+            this.app.handleError('Failed to load tracing sessions', error);
+        }
+    }
+
+    renderBar(progress, sessions) {
+        const bar = document.getElementById('tracing-bar');
+        if (!bar) return;
+        bar.style.display = '';
+        bar.innerHTML = `
+            <div class="tracing-progress">
+                <div class="tracing-progress-bar"><div class="tracing-progress-fill"></div></div>
+                <span class="tracing-progress-text"></span>
+            </div>
+            <div class="tracing-session-info"></div>
+            <button type="button" class="tracing-session-btn"></button>
+            <details class="tracing-history">
+                <summary></summary>
+                <ul></ul>
+            </details>
+        `;
+
+        bar.querySelector('.tracing-progress-fill').style.width = `${progress.percent_confirmed}%`;
+        const lastTraced = progress.last_traced_at ? ` · last traced ${BreakerPanelApp.formatTimestamp(progress.last_traced_at)}` : '';
+        bar.querySelector('.tracing-progress-text').textContent =
+            `${progress.confirmed} of ${progress.breakers} breakers confirmed (${progress.percent_confirmed}%)${lastTraced}`;
+
+        const info = bar.querySelector('.tracing-session-info');
+        const button = bar.querySelector('.tracing-session-btn');
+        if (this.session) {
+            info.textContent = `Session started ${BreakerPanelApp.formatTimestamp(this.session.started_at)} · ${this.session.accepted_count} of ${this.session.step_count} breakers accepted. Click a breaker to trace it.`;
+            button.textContent = 'Finish Session';
+            button.addEventListener('click', () => this.finishSession());
+        } else {
+            info.textContent = 'Click a breaker to start a tracing session.';
+            button.textContent = 'Start Session';
+            button.addEventListener('click', () => this.startSession().then(() => this.refreshBar()));
+        }
+
+        const history = bar.querySelector('.tracing-history');
+        history.querySelector('summary').textContent = `Sessions (${sessions.length})`;
+        history.style.display = sessions.length > 0 ? '' : 'none';
+        const list = history.querySelector('ul');
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            const finished = session.completed_at ? `finished ${BreakerPanelApp.formatTimestamp(session.completed_at)}` : 'open';
+            item.textContent = `${BreakerPanelApp.formatTimestamp(session.started_at)}: ${session.accepted_count} of ${session.step_count} breakers accepted, ${finished}${session.notes ? ` — ${session.notes}` : ''}`;
+            list.appendChild(item);
+        });
+    }
+
+    async startSession() {
+        try {
+            this.session = await this.app.api.createTracingSession({ panel_id: this.app.currentPanel.id });
+            return this.session;
+        } catch (error) {
+            this.app.handleError('Failed to start tracing session', error);
+            return null;
+        }
+    }
+
+    async finishSession() {
+        if (!this.session) return;
+        try {
+            await this.app.api.updateTracingSession(this.session.id, { completed: true });
+            await this.refreshBar();
+        } catch (error) {
+            this.app.handleError('Failed to finish tracing session', error);
+        }
+    }
+
+    /**
+     * Start tracing the breaker at a position; a session is started on the first breaker
+     */
+    async openTraceStep(position, slot = 'single') {
+        const breaker = this.app.panelRenderer.breakerCache.get(`${position}-${slot}`);
+        if (!breaker) {
+            this.app.showNotification('Add a breaker at this position before tracing it');
+            return;
+        }
+        if (!this.session) {
+            if (!(await this.startSession())) return;
+            await this.refreshBar();
+        }
+
+        this.currentStep = null;
+        this.renderFindingsForm(breaker);
+        this.app.showModal('trace-modal');
+    }
+
+    renderFindingsForm(breaker) {
+        document.getElementById('trace-modal-title').textContent = `Trace Breaker ${TracingManager.describeBreaker(breaker)}`;
+        const body = document.getElementById('trace-modal-body');
+        body.innerHTML = `
+            <p class="trace-instructions">Switch this breaker off, then tick every room and device that lost power.</p>
+            <div class="form-group">
+                <label>Rooms that went dead</label>
+                <div class="trace-rooms"></div>
+            </div>
+            <div class="form-group">
+                <label>Devices that went dead</label>
+                <div class="trace-devices"></div>
+            </div>
+            <div class="form-group">
+                <label for="trace-notes">Notes</label>
+                <textarea id="trace-notes" rows="2" placeholder="e.g. bathroom fan also stopped"></textarea>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="record-trace">Record</button>
+                <button type="button" class="cancel-trace">Cancel</button>
+            </div>
+        `;
+
+        const roomsContainer = body.querySelector('.trace-rooms');
+        const levels = [...this.app.allLevels, { key: null, name: 'Other' }];
+        levels.forEach(level => {
+            const rooms = this.app.allRooms.filter(room => level.key === null
+                ? !this.app.allLevels.some(l => l.key === room.level)
+                : room.level === level.key);
+            if (rooms.length === 0) return;
+
+            const group = document.createElement('fieldset');
+            group.className = 'trace-level';
+            const legend = document.createElement('legend');
+            legend.textContent = `${level.icon || ''} ${level.name}`.trim();
+            group.appendChild(legend);
+            rooms.forEach(room => group.appendChild(TracingManager.createChoice('trace_room', room.id, room.name)));
+            roomsContainer.appendChild(group);
+        });
+        roomsContainer.addEventListener('change', () => this.renderDeviceChoices(body));
+        this.renderDeviceChoices(body);
+
+        body.querySelector('.record-trace').addEventListener('click', () => this.recordStep(body, breaker));
+        body.querySelector('.cancel-trace').addEventListener('click', () => this.app.hideModal('trace-modal'));
+    }
+
+    /**
+     * List this panel's devices in the rooms ticked so far, keeping ticked devices ticked
+     */
+    renderDeviceChoices(body) {
+        const container = body.querySelector('.trace-devices');
+        const checkedRooms = TracingManager.getCheckedIds(body, 'trace_room');
+        const checkedDevices = TracingManager.getCheckedIds(body, 'trace_device');
+        container.innerHTML = '';
+
+        const devices = this.getPanelDevices().filter(device => checkedRooms.includes(device.effective_room_id) || checkedDevices.includes(device.id));
+        if (devices.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'trace-hint';
+            hint.textContent = checkedRooms.length > 0 ? 'No devices recorded in these rooms.' : 'Tick rooms to list the devices recorded in them.';
+            container.appendChild(hint);
+            return;
+        }
+
+        devices.forEach(device => {
+            const choice = TracingManager.createChoice('trace_device', device.id, BreakerPanelApp.describeDevice(device));
+            choice.querySelector('input').checked = checkedDevices.includes(device.id);
+            container.appendChild(choice);
+        });
+    }
+
+    /**
+     * Devices on every circuit of the current panel, with the room they are in
+     */
+    getPanelDevices() {
+        const devices = [];
+        this.app.panelRenderer.circuitCache.forEach(circuits => {
+            circuits.forEach(circuit => {
+                (circuit.devices || []).forEach(device => {
+                    devices.push({
+                        ...device,
+                        room: device.room || circuit.room,
+                        effective_room_id: device.room_id || circuit.room_id
+                    });
+                });
+            });
+        });
+        return devices;
+    }
+
+    async recordStep(body, breaker) {
+        const stepData = {
+            breaker_id: breaker.id,
+            room_ids: TracingManager.getCheckedIds(body, 'trace_room'),
+            device_ids: TracingManager.getCheckedIds(body, 'trace_device'),
+            notes: body.querySelector('#trace-notes').value.trim() || null
+        };
+
+        try {
+            this.currentStep = await this.app.api.recordTracingStep(this.session.id, stepData);
+            this.renderProposals(this.currentStep);
+        } catch (error) {
+            this.app.handleError('Failed to record tracing step', error);
+        }
+    }
+
+    renderProposals(step) {
+        const body = document.getElementById('trace-modal-body');
+        body.innerHTML = `
+            <ul class="trace-matches"></ul>
+            <ul class="trace-warnings"></ul>
+            <div class="trace-proposals"></div>
+            <div class="form-actions">
+                <button type="button" class="accept-trace">Accept &amp; Confirm Breaker</button>
+                <button type="button" class="discard-trace">Discard</button>
+            </div>
+        `;
+
+        const matches = body.querySelector('.trace-matches');
+        step.matches.forEach(match => {
+            const item = document.createElement('li');
+            item.textContent = `✅ ${match.message}`;
+            matches.appendChild(item);
+        });
+        const warnings = body.querySelector('.trace-warnings');
+        step.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = `⚠️ ${warning}`;
+            warnings.appendChild(item);
+        });
+
+        const proposals = body.querySelector('.trace-proposals');
+        if (step.proposals.length === 0) {
+            const none = document.createElement('p');
+            none.className = 'trace-hint';
+            none.textContent = 'No changes needed.';
+            proposals.appendChild(none);
+        } else {
+            const heading = document.createElement('label');
+            heading.textContent = 'Proposed changes';
+            proposals.appendChild(heading);
+            step.proposals.forEach(proposal => {
+                const choice = TracingManager.createChoice('trace_proposal', proposal.id, proposal.message);
+                choice.querySelector('input').checked = true;
+                proposals.appendChild(choice);
+            });
+        }
+
+        body.querySelector('.accept-trace').addEventListener('click', () => this.acceptStep(body, step));
+        body.querySelector('.discard-trace').addEventListener('click', () => this.discardStep(step));
+    }
+
+    async acceptStep(body, step) {
+        const proposalIds = [...body.querySelectorAll('input[name="trace_proposal"]:checked')].map(input => input.value);
+        try {
+            await this.app.api.acceptTracingStep(this.session.id, step.id, proposalIds);
+            this.currentStep = null;
+            this.app.hideModal('trace-modal');
+            await this.app.panelRenderer.loadBreakers();
+            if (this.app.isCircuitListVisible()) {
+                await this.app.loadCircuitList();
+            }
+            await this.refreshBar();
+        } catch (error) {
+            this.app.handleError('Failed to accept tracing step', error);
+        }
+    }
+
+    async discardStep(step) {
+        try {
+            await this.app.api.deleteTracingStep(this.session.id, step.id);
+            this.currentStep = null;
+            this.app.hideModal('trace-modal');
+            await this.refreshBar();
+        } catch (error) {
+            this.app.handleError('Failed to discard tracing step', error);
+        }
+    }
+
+    static createChoice(name, value, text) {
+        const label = document.createElement('label');
+        label.className = 'trace-choice';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = name;
+        input.value = value;
+        label.append(input, ` ${text}`);
+        return label;
+    }
+
+    static getCheckedIds(container, name) {
+        return [...container.querySelectorAll(`input[name="${name}"]:checked`)].map(input => parseInt(input.value));
+    }
+
+    static describeBreaker(breaker) {
+        const slot = breaker.slot_position && breaker.slot_position !== 'single' ? breaker.slot_position : '';
+        return `${breaker.position}${slot}${breaker.label ? ` — ${breaker.label}` : ''}`;
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TracingManager;
+} else if (typeof global !== 'undefined') {
+    global.TracingManager = TracingManager;
+}
@@ -0,0 +1,136 @@
+/**
+ * Trash Manager - The Trash modal: restore deleted panels, breakers, circuits
+ * and rooms, or delete them for good
+ */
+class TrashManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    async open() {
+        await this.render();
+        this.app.showModal('trash-modal');
+    }
+
+    async render() {
+        const container = document.getElementById('trash-container');
+        if (!container) return;
+
+        try {
+            const trash = await this.app.api.getTrash(this.app.currentSite?.id);
+            const help = document.getElementById('trash-help');
+            if (help) {
+                help.textContent = `Deleted items are kept for ${trash.retention_days} days, then deleted for good.`;
+            }
+            const emptyButton = document.getElementById('empty-trash');
+            if (emptyButton) emptyButton.disabled = trash.items.length === 0;
+
+            container.innerHTML = '';
+            if (trash.items.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'trash-empty';
+                empty.textContent = 'The trash is empty.';
+                container.appendChild(empty);
+                return;
+            }
+
+            const list = document.createElement('ul');
+            list.className = 'trash-list';
+            trash.items.forEach(item => list.appendChild(this.createItem(item)));
+            container.appendChild(list);
+        } catch (error) {
+            this.app.handleError('Failed to load trash', error);
+        }
+    }
+
+    createItem(item) {
+        const row = document.createElement('li');
+        row.className = 'trash-item';
+        row.dataset.trashId = item.id;
+
+        const details = document.createElement('div');
+        details.className = 'trash-details';
+        const name = document.createElement('strong');
+        name.textContent = `${TrashManager.icons[item.entity_type]} ${item.name}`;
+        const meta = document.createElement('span');
+        meta.className = 'trash-meta';
+        meta.textContent = [
+            item.location,
+            TrashManager.describeContents(item.contents),
+            `deleted ${BreakerPanelApp.formatTimestamp(item.deleted_at)}`
+        ].filter(Boolean).join(' · ');
+        details.append(name, meta);
+
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'trash-restore-btn';
+        restoreButton.textContent = 'Restore';
+        restoreButton.addEventListener('click', () => this.restore(item));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'trash-delete-btn';
+        deleteButton.textContent = 'Delete Forever';
+        deleteButton.addEventListener('click', () => this.deleteForever(item));
+
+        row.append(details, restoreButton, deleteButton);
+        return row;
+    }
+
+    async restore(item) {
+        try {
+            await this.app.api.restoreFromTrash(item.id);
+            await this.app.undoManager.reloadApp();
+            await this.render();
+        } catch (error) {
+            this.app.handleError(`Failed to restore ${item.name}`, error);
+        }
+    }
+
+    async deleteForever(item) {
+        if (!confirm(`Delete ${item.name} for good? This can't be undone.`)) return;
+        try {
+            await this.app.api.deleteFromTrash(item.id);
+            await this.render();
+        } catch (error) {
+            this.app.handleError('Failed to delete from trash', error);
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm('Delete everything in this site\'s trash for good? This can\'t be undone.')) return;
+        try {
+            await this.app.api.emptyTrash(this.app.currentSite?.id);
+            await this.render();
+        } catch (error) {
+            this.app.handleError('Failed to empty trash', error);
+        }
+    }
+
+    /**
+     * What was deleted along with an item, e.g. '3 breakers, 1 photo or document'
+     * @param {Object} contents - Counts by entity type
+     * @returns {string}
+     */
+    static describeContents(contents) {
+        return Object.entries(TrashManager.contentNames)
+            .filter(([type]) => contents[type])
+            .map(([type, [singular, plural]]) => `${contents[type]} ${contents[type] === 1 ? singular : plural}`)
+            .join(', ');
+    }
+}
+
+TrashManager.icons = { panel: '🏠', breaker: '⚡', circuit: '🔌', room: '🚪' };
+TrashManager.contentNames = {
+    breaker: ['breaker', 'breakers'],
+    circuit: ['circuit', 'circuits'],
+    device: ['device', 'devices'],
+    attachment: ['photo or document', 'photos and documents']
+};
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrashManager;
+} else if (typeof global !== 'undefined') {
+    global.TrashManager = TrashManager;
+}
@@ -0,0 +1,134 @@
+/**
+ * Undo Manager - The Undo and Redo buttons and their Ctrl+Z / Ctrl+Shift+Z shortcuts.
+ * The stack itself lives on the server, so it survives a page reload. Each
+ * site has its own; the buttons act on the current site's.
+ */
+class UndoManager {
+    constructor(app) {
+        this.app = app;
+        this.state = { undo: null, redo: null };
+        this.busy = false;
+    }
+
+    init() {
+        this.app.bindElement('undo', 'click', () => this.undo());
+        this.app.bindElement('redo', 'click', () => this.redo());
+        window.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.app.api.onChange = () => this.refresh();
+    }
+
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Viewers can't undo, and the buttons are hidden from them
+        if (this.app.authManager?.canEdit() === false) return;
+        // Leave text fields their own undo
+        if (e.target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (key === 'y' && !e.shiftKey) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    async refresh() {
+        try {
+            this.state = await this.app.api.getUndoState(this.app.currentSite?.id);
+        } catch (error) {
+            console.warn('Failed to load undo state:', error);
+        }
+        this.renderButtons();
+    }
+
+    renderButtons() {
+        [['undo', 'Undo'], ['redo', 'Redo']].forEach(([direction, verb]) => {
+            const button = document.getElementById(direction);
+            if (!button) return;
+            const operation = this.state[direction];
+            const allowed = operation && this.canApply(operation);
+            button.disabled = this.busy || !allowed;
+            if (!operation) {
+                button.title = `Nothing to ${direction}`;
+            } else if (!allowed) {
+                button.title = `Only ${operation.actor || 'its author'} or an admin can ${direction} "${operation.label}"`;
+            } else {
+                button.title = `${verb} "${operation.label}"${operation.actor ? ` by ${operation.actor}` : ''}`;
+            }
+        });
+    }
+
+    /**
+     * Once there are accounts, people undo their own changes and admins anyone's
+     * @param {Object} operation - Operation from the undo state
+     * @returns {boolean}
+     */
+    canApply(operation) {
+        const user = this.app.authManager?.user;
+        return !user || operation.actor === user.username || this.app.authManager.isAdmin();
+    }
+
+    async undo() {
+        return this.apply('undo');
+    }
+
+    async redo() {
+        return this.apply('redo');
+    }
+
+    /**
+     * Undo or redo the next operation and reload everything it may have touched
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    async apply(direction) {
+        if (this.busy || !this.state[direction] || !this.canApply(this.state[direction])) return;
+        this.busy = true;
+        this.renderButtons();
+
+        try {
+            const result = await this.app.api[direction](this.app.currentSite?.id);
+            const { undo, redo } = result;
+            this.state = { undo, redo };
+            await this.reloadApp();
+        } catch (error) {
+            this.app.handleError(`Failed to ${direction}`, error);
+            await this.refresh();
+        } finally {
+            this.busy = false;
+            this.renderButtons();
+        }
+    }
+
+    async reloadApp() {
+        const app = this.app;
+        await app.loadAllPanels();
+        // Undo may have removed the panel on screen, or brought one back
+        app.currentPanel = app.allPanels.find(panel => panel.id === app.currentPanel?.id) || app.allPanels[0] || null;
+        await app.populatePanelSelector();
+        await app.refreshRoomsAndLevels();
+        if (app.currentPanel) {
+            app.renderPanel();
+        }
+        app.updatePanelControls();
+
+        if (app.isCircuitListVisible()) {
+            await app.loadCircuitList();
+        }
+        if (app.tracingManager.isActive()) {
+            await app.tracingManager.refreshBar();
+        }
+    }
+}
+
+// Export for Node.js environment (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoManager;
+} else if (typeof global !== 'undefined') {
+    global.UndoManager = UndoManager;
+}
@@ -2,6 +2,22 @@ const express = require('express');
 const router = express.Router();
 const ErrorHandler = require('./services/error-handler');
 const CrudHelpers = require('./crud-helpers');
+const LoadCalculator = require('./services/load-calculator');
+const LegBalancer = require('./services/leg-balancer');
+const PanelLayout = require('./services/panel-layout');
+const AmpacityChecker = require('./services/ampacity-checker');
+const AttachmentStorage = require('./services/attachment-storage');
+const CircuitTracer = require('./services/circuit-tracer');
+const ChangeHistory = require('./services/change-history');
+const UndoStack = require('./services/undo-stack');
+const Trash = require('./services/trash');
+const Auth = require('./services/auth');
+const PanelHierarchy = require('./services/panel-hierarchy');
+const PanelTemplate = require('./services/panel-template');
+const PanelModel = require('./services/panel-model');
+const Backup = require('./services/backup');
+const CsvParser = require('./services/csv-parser');
+const CsvImport = require('./services/csv-import');
 
 // Import validation middleware
 const {
@@ -9,39 +25,1015 @@ const {
     validatePanelData,
     validateBreakerData,
     validateRoomData,
-    validateCircuitData
+    validateSiteData,
+    validateSiteQuery,
+    validateLevelData,
+    validateCircuitTypeData,
+    validateDeviceData,
+    validateCircuitData,
+    validateTracingSessionData,
+    validateTracingStepData,
+    validateAttachmentUpload,
+    validateHistoryQuery,
+    validateLoginData,
+    validateUserData,
+    validateApiTokenData,
+    validatePanelCopyData,
+    validatePanelModelData,
+    validateImportQuery,
+    validateCsvImportData
 } = require('./middleware');
 
 // Database service will be injected
 let databaseService;
+let attachmentStorage;
 
 const setDatabaseService = (service) => {
     databaseService = service;
+    attachmentStorage = new AttachmentStorage(service.attachmentsDir);
     CrudHelpers.setDatabaseService(service);
 };
 
+// Attachment bodies are the raw file, so they skip the JSON parser's size limit
+const parseAttachmentBody = express.raw({ type: AttachmentStorage.MIME_TYPES, limit: AttachmentStorage.MAX_FILE_SIZE });
+
+/**
+ * Calculate load summaries for every breaker and panel at a site; each site has its own service
+ * @param {number} siteId - Site ID
+ * @returns {Promise<Object>} Result of LoadCalculator.calculate()
+ */
+const calculateLoads = async (siteId) => {
+    const [panels, breakers, circuits] = await Promise.all([
+        databaseService.all('SELECT * FROM panels WHERE site_id = ?', [siteId]),
+        databaseService.all('SELECT b.* FROM breakers b JOIN panels p ON b.panel_id = p.id WHERE p.site_id = ?', [siteId]),
+        databaseService.all(
+            'SELECT c.* FROM circuits c JOIN breakers b ON c.breaker_id = b.id JOIN panels p ON b.panel_id = p.id WHERE p.site_id = ?',
+            [siteId]
+        )
+    ]);
+    return LoadCalculator.calculate({ panels, breakers, circuits });
+};
+
+/**
+ * First key not yet used in a catalog table, adding a numeric suffix when needed
+ * @param {string} table - 'levels' or 'circuit_types'
+ * @param {string} baseKey - Key derived from the display name
+ * @returns {Promise<string>} baseKey, or baseKey_2, baseKey_3, ...
+ */
+const findFreeKey = async (table, baseKey) => {
+    let key = baseKey;
+    for (let suffix = 2; await databaseService.get(`SELECT id FROM ${table} WHERE key = ?`, [key]); suffix++) {
+        key = `${baseKey}_${suffix}`;
+    }
+    return key;
+};
+
+/**
+ * Next sort_order at the end of a catalog table
+ * @param {string} table - 'levels' or 'circuit_types'
+ * @returns {Promise<number>} One past the current highest sort_order
+ */
+const nextSortOrder = async (table) => {
+    const row = await databaseService.get(`SELECT COALESCE(MAX(sort_order), 0) + 1 as next FROM ${table}`);
+    return row.next;
+};
+
+/**
+ * Device IDs on a circuit in daisy-chain order
+ * @param {Object} db - Database service or transaction handle
+ * @param {number} circuitId - Circuit ID
+ * @returns {Promise<number[]>} Device IDs, first device on the chain first
+ */
+const getDeviceChain = async (db, circuitId) => {
+    const rows = await db.all('SELECT id FROM devices WHERE circuit_id = ? ORDER BY chain_order, id', [circuitId]);
+    return rows.map(row => row.id);
+};
+
+/**
+ * Renumber devices 1..n in the given order
+ * @param {Object} db - Database service or transaction handle
+ * @param {number[]} deviceIds - Device IDs in daisy-chain order
+ */
+const writeDeviceChain = async (db, deviceIds) => {
+    for (const [index, id] of deviceIds.entries()) {
+        await db.run('UPDATE devices SET chain_order = ? WHERE id = ?', [index + 1, id]);
+    }
+};
+
+/**
+ * Move a device to a position on its circuit's chain, shifting the others along
+ * @param {Object} db - Database service or transaction handle
+ * @param {Object} device - Device row
+ * @param {number|null} chainOrder - 1-based position; null or past the end puts it last
+ */
+const placeDevice = async (db, device, chainOrder) => {
+    const chain = (await getDeviceChain(db, device.circuit_id)).filter(id => id !== device.id);
+    const index = chainOrder === null ? chain.length : Math.min(chainOrder - 1, chain.length);
+    chain.splice(index, 0, device.id);
+    await writeDeviceChain(db, chain);
+};
+
+/**
+ * Attachment row as sent to clients: stored file names stay on the server
+ * @param {Object} row - Attachment row, optionally joined with its breaker
+ * @returns {Object}
+ */
+const formatAttachment = (row) => {
+    const attachment = { ...row };
+    delete attachment.stored_name;
+    delete attachment.thumbnail_name;
+    const hasThumbnail = Boolean(row.thumbnail_name) || AttachmentStorage.IMAGE_TYPES.includes(row.mime_type);
+    return {
+        ...attachment,
+        url: `/api/attachments/${row.id}/file`,
+        thumbnail_url: hasThumbnail ? `/api/attachments/${row.id}/thumbnail` : null
+    };
+};
+
+// Attachments with the breaker they sit on, whether attached to the breaker or one of its circuits
+const ATTACHMENT_SELECT = `
+    SELECT a.*, COALESCE(b.id, cb.id) as owner_breaker_id,
+           COALESCE(b.position, cb.position) as position,
+           COALESCE(b.slot_position, cb.slot_position) as slot_position,
+           COALESCE(b.label, cb.label) as breaker_label,
+           r.name as circuit_room
+    FROM attachments a
+    LEFT JOIN breakers b ON a.breaker_id = b.id
+    LEFT JOIN circuits c ON a.circuit_id = c.id
+    LEFT JOIN breakers cb ON c.breaker_id = cb.id
+    LEFT JOIN rooms r ON c.room_id = r.id
+`;
+
+/**
+ * Delete attachment files whose rows went away with a panel, breaker or circuit
+ * @returns {Promise<void>}
+ */
+const removeOrphanedAttachmentFiles = async () => {
+    const rows = await databaseService.all('SELECT stored_name, thumbnail_name FROM attachments');
+    const trashed = await Trash.getAttachmentFiles(databaseService);
+    await attachmentStorage.removeUnreferenced([...rows.flatMap(row => [row.stored_name, row.thumbnail_name]).filter(Boolean), ...trashed]);
+};
+
+/**
+ * Delete trash items past the retention period, and the files only they needed
+ */
+const purgeExpiredTrash = async () => {
+    await Trash.purge(databaseService, { retentionDays: Trash.parseRetentionDays(databaseService.trashRetentionDays) });
+    await removeOrphanedAttachmentFiles();
+};
+
+/**
+ * Stream an attachment file, answering 404 when it has gone missing from disk
+ * @param {Object} res - Express response
+ * @param {string} storedName - Stored file name
+ * @param {Object} [headers] - Extra response headers
+ */
+const sendAttachmentFile = (res, storedName, headers = {}) => {
+    res.sendFile(attachmentStorage.getPath(storedName), { headers: { 'X-Content-Type-Options': 'nosniff', ...headers } }, (err) => {
+        if (err && !res.headersSent) {
+            ErrorHandler.sendError(res, { status: 404, message: 'Attachment file is missing from the attachments directory' });
+        }
+    });
+};
+
+/**
+ * How much of a panel has been verified
+ * @param {number} panelId - Panel ID
+ * @returns {Promise<Object>} Breaker counts, confirmed share and when a breaker was last traced
+ */
+const getTracingProgress = async (panelId) => {
+    const counts = await databaseService.get(`
+        SELECT COUNT(*) as breakers,
+               COALESCE(SUM(CASE WHEN b.confirmed THEN 1 ELSE 0 END), 0) as confirmed,
+               COALESCE(SUM(CASE WHEN EXISTS (
+                   SELECT 1 FROM tracing_steps t WHERE t.breaker_id = b.id AND t.accepted_at IS NOT NULL
+               ) THEN 1 ELSE 0 END), 0) as traced
+        FROM breakers b
+        WHERE b.panel_id = ?
+    `, [panelId]);
+    const lastTraced = await databaseService.get(`
+        SELECT MAX(t.accepted_at) as last_traced_at
+        FROM tracing_steps t
+        JOIN tracing_sessions s ON t.session_id = s.id
+        WHERE s.panel_id = ?
+    `, [panelId]);
+
+    return {
+        ...counts,
+        percent_confirmed: counts.breakers > 0 ? Math.round((counts.confirmed / counts.breakers) * 100) : 0,
+        last_traced_at: lastTraced.last_traced_at
+    };
+};
+
+/**
+ * A tracing step with what went dead and, until accepted, the proposed changes
+ * @param {Object} step - tracing_steps row
+ * @returns {Promise<Object>}
+ */
+const describeTracingStep = async (step) => {
+    const breaker = await databaseService.get('SELECT * FROM breakers WHERE id = ?', [step.breaker_id]);
+    const circuits = await databaseService.all(`
+        SELECT c.*, r.name as room
+        FROM circuits c
+        LEFT JOIN rooms r ON c.room_id = r.id
+        WHERE c.breaker_id = ?
+        ORDER BY c.id
+    `, [breaker.id]);
+    const rooms = await databaseService.all(`
+        SELECT r.id, r.name
+        FROM tracing_findings f
+        JOIN rooms r ON f.room_id = r.id
+        WHERE f.step_id = ?
+        ORDER BY r.name
+    `, [step.id]);
+    const devices = await databaseService.all(`
+        SELECT d.*, r.name as room, c.room_id as circuit_room_id,
+               b.id as breaker_id, b.position as breaker_position, b.panel_id, p.name as panel_name
+        FROM tracing_findings f
+        JOIN devices d ON f.device_id = d.id
+        JOIN circuits c ON d.circuit_id = c.id
+        JOIN breakers b ON c.breaker_id = b.id
+        JOIN panels p ON b.panel_id = p.id
+        LEFT JOIN rooms r ON COALESCE(d.room_id, c.room_id) = r.id
+        WHERE f.step_id = ?
+        ORDER BY d.id
+    `, [step.id]);
+
+    const described = {
+        ...step,
+        position: breaker.position,
+        slot_position: breaker.slot_position,
+        label: breaker.label,
+        dead_rooms: rooms,
+        dead_devices: devices.map(device => ({ id: device.id, device_type: device.device_type, location: device.location, room: device.room }))
+    };
+    if (step.accepted_at) return described;
+
+    const circuitTypes = await databaseService.all('SELECT key, name FROM circuit_types ORDER BY sort_order, name');
+    return { ...described, ...CircuitTracer.propose({ breaker, circuits, rooms, devices }, circuitTypes) };
+};
+
+/**
+ * Apply accepted tracing proposals; new circuits are created before devices move into them
+ * @param {Object} db - Transaction handle
+ * @param {Object} req - Request accepting the proposals, for the change history
+ * @param {Object} breaker - Breaker that was traced
+ * @param {Array} proposals - Proposals from CircuitTracer.propose()
+ */
+const applyTracingProposals = async (db, req, breaker, proposals) => {
+    const createdCircuits = new Map();
+    const ordered = [...proposals].sort((a, b) => (a.action === 'move_device') - (b.action === 'move_device'));
+
+    for (const proposal of ordered) {
+        if (proposal.action === 'assign_room') {
+            const before = await CrudHelpers.getAuditedRow('circuits', proposal.circuit_id);
+            await db.run('UPDATE circuits SET room_id = ? WHERE id = ?', [proposal.room_id, proposal.circuit_id]);
+            await CrudHelpers.recordChange(req, 'circuits', proposal.circuit_id, 'update', before);
+        } else if (proposal.action === 'create_circuit') {
+            const result = await db.run('INSERT INTO circuits (breaker_id, room_id, type) VALUES (?, ?, ?)', [breaker.id, proposal.room_id, proposal.type]);
+            await CrudHelpers.recordChange(req, 'circuits', result.id, 'create', null);
+            createdCircuits.set(proposal.id, result.id);
+        } else if (proposal.action === 'move_device') {
+            const circuitId = proposal.circuit_id || createdCircuits.get(proposal.target_proposal_id);
+            const { count } = await db.get('SELECT COUNT(*) as count FROM devices WHERE circuit_id = ?', [circuitId]);
+            const before = await CrudHelpers.getAuditedRow('devices', proposal.device_id);
+            await db.run('UPDATE devices SET circuit_id = ?, chain_order = ? WHERE id = ?', [circuitId, count + 1, proposal.device_id]);
+            await CrudHelpers.recordChange(req, 'devices', proposal.device_id, 'update', before);
+            await writeDeviceChain(db, await getDeviceChain(db, proposal.from_circuit_id));
+        }
+    }
+};
+
+/**
+ * Log circuits moving from one breaker to another
+ * @param {Object} db - Database service or transaction handle
+ * @param {Object} req - Request making the move
+ * @param {Array} circuits - Circuit rows that moved
+ * @param {Object} from - Breaker row they were on
+ * @param {Object} to - Breaker row they are on now
+ * @returns {Promise<void>}
+ */
+const recordCircuitMoves = async (db, req, circuits, from, to) => {
+    const location = breaker => ({
+        breaker_id: breaker.id,
+        panel_id: breaker.panel_id,
+        position: breaker.position,
+        slot_position: breaker.slot_position
+    });
+    for (const circuit of circuits) {
+        await ChangeHistory.record(db, {
+            entityType: 'circuit',
+            entityId: circuit.id,
+            action: 'move',
+            before: location(from),
+            after: location(to),
+            actor: ChangeHistory.getActor(req),
+            operationId: await UndoStack.getOperationId(db, req, `Move ${UndoStack.describeEntity('breaker', from)}`)
+        });
+    }
+};
+
+/**
+ * A panel model from the catalog
+ * @param {number} modelId - Model ID
+ * @returns {Promise<Object|null>} The model formatted by PanelModel.format(), or null
+ */
+const getPanelModel = async (modelId) => {
+    const row = await databaseService.get('SELECT * FROM panel_models WHERE id = ?', [modelId]);
+    return row ? PanelModel.format(row) : null;
+};
+
+/**
+ * Check that a breaker can be installed where it is being put
+ * @param {number} panelId - Panel ID
+ * @param {Object} breaker - position, slot_position, breaker_type and series
+ * @param {number[]} [ignoreIds] - Breakers that are leaving, e.g. the one being edited
+ * @returns {Promise<Object|null>} Error info for ErrorHandler.sendError: 400 for a
+ *   breaker type the panel can't take, 409 with the conflict's details when the
+ *   breaker doesn't physically fit or the panel's model doesn't allow it. Null
+ *   when it fits or the panel doesn't exist.
+ */
+const checkBreakerPlacement = async (panelId, breaker, ignoreIds = []) => {
+    const panel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [panelId]);
+    if (!panel) return null; // The insert's foreign key check reports missing panels
+    if (breaker.breaker_type === 'triple_pole' && panel.phase_config !== 'three_phase') {
+        return { status: 400, message: 'Triple pole breakers require a three-phase panel' };
+    }
+
+    const others = (await databaseService.all('SELECT * FROM breakers WHERE panel_id = ?', [panelId]))
+        .filter(other => !ignoreIds.includes(other.id));
+    const model = panel.model_id ? await getPanelModel(panel.model_id) : null;
+    const conflict = PanelLayout.findConflict(panel, others, breaker) ||
+        (model && PanelModel.findViolation(model, others, breaker));
+    if (!conflict) return null;
+    const { message, ...details } = conflict;
+    return { status: 409, message, details };
+};
+
+const PANEL_UPDATE_FIELDS = ['name', ...PanelTemplate.LAYOUT_FIELDS];
+
+/**
+ * Fill in the fields a panel update leaves out with the panel's stored values,
+ * so the update is validated and saved as the panel will be. Defaults only
+ * apply when a panel is created.
+ */
+const mergeStoredPanel = ErrorHandler.asyncHandler(async (req, res, next) => {
+    const panel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [req.params.id]);
+    if (!panel) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel'));
+    }
+    const stored = {};
+    PANEL_UPDATE_FIELDS.forEach(field => {
+        stored[field] = panel[field];
+    });
+    req.body = { ...stored, ...req.body };
+    next();
+});
+
+/**
+ * Check the model a panel is being given, if any: it must be in the catalog
+ * and match the panel's size and main breaker. A panel switching to a new
+ * model must also have no breakers the model doesn't allow.
+ */
+const validatePanelModelId = ErrorHandler.asyncHandler(async (req, res, next) => {
+    if (!req.body.model_id) return next();
+    const model = await getPanelModel(req.body.model_id);
+    if (!model) {
+        return CrudHelpers.handleValidationError(res, `Panel model ${req.body.model_id} does not exist`);
+    }
+    const mismatch = PanelModel.checkPanel(model, req.body);
+    if (mismatch) {
+        return CrudHelpers.handleValidationError(res, mismatch);
+    }
+
+    const panel = req.params.id ? await databaseService.get('SELECT * FROM panels WHERE id = ?', [req.params.id]) : null;
+    if (!panel || panel.model_id === model.id) return next();
+    const breakers = await databaseService.all('SELECT * FROM breakers WHERE panel_id = ?', [panel.id]);
+    const conflicts = PanelModel.findConflicts(model, breakers);
+    if (conflicts.length > 0) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `${conflicts.length} breaker${conflicts.length === 1 ? '' : 's'} in this panel ${conflicts.length === 1 ? 'is' : 'are'} not allowed by the ${PanelModel.describe(model)}`,
+            details: { code: 'model_conflicts', conflicts }
+        });
+    }
+    next();
+});
+
+/**
+ * Breakers a panel update would leave without a place
+ * @param {number} panelId - Panel ID
+ * @param {Object} panelData - Panel fields from the request
+ * @returns {Promise<Object[]>} Conflicts from PanelLayout.planResize(); empty
+ *   when every breaker still fits
+ */
+const getResizeConflicts = async (panelId, panelData) => {
+    const breakers = await databaseService.all('SELECT * FROM breakers WHERE panel_id = ?', [panelId]);
+    return PanelLayout.planResize(ErrorHandler.processPanelData(panelData), breakers);
+};
+
+/**
+ * Create a panel holding a copy of another panel's breakers, logging every
+ * row it adds as part of the request's operation
+ * @param {Object} db - Transaction handle
+ * @param {Object} req - Request creating the panel
+ * @param {Object} panelData - name, site_id and the layout fields
+ * @param {Array} breakers - From PanelTemplate.copyBreakers()
+ * @param {Map} [roomIds] - Room IDs in the copy mapped to rooms at the new panel's site
+ * @returns {Promise<Object>} The new panel row
+ */
+const createPanelCopy = async (db, req, panelData, breakers, roomIds = new Map()) => {
+    const layout = PanelTemplate.getLayout(panelData);
+    const panel = await db.run(
+        'INSERT INTO panels (name, size, main_amperage, phase_config, numbering_scheme, model_id, site_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [panelData.name.trim(), layout.size, layout.main_amperage, layout.phase_config, layout.numbering_scheme, layout.model_id, panelData.site_id]
+    );
+    await CrudHelpers.recordChange(req, 'panels', panel.id, 'create', null);
+
+    const breakerColumns = PanelTemplate.BREAKER_FIELDS;
+    const circuitColumns = ['breaker_id', 'room_id', ...PanelTemplate.CIRCUIT_FIELDS];
+    for (const { circuits, ...breaker } of breakers) {
+        const created = await db.run(
+            `INSERT INTO breakers (panel_id, ${breakerColumns.join(', ')}) VALUES (?, ${breakerColumns.map(() => '?').join(', ')})`,
+            [panel.id, ...breakerColumns.map(column => breaker[column])]
+        );
+        await CrudHelpers.recordChange(req, 'breakers', created.id, 'create', null);
+
+        for (const circuit of circuits) {
+            const values = { ...circuit, breaker_id: created.id, room_id: roomIds.get(circuit.room_id) || null };
+            const result = await db.run(
+                `INSERT INTO circuits (${circuitColumns.join(', ')}) VALUES (${circuitColumns.map(() => '?').join(', ')})`,
+                circuitColumns.map(column => values[column])
+            );
+            await CrudHelpers.recordChange(req, 'circuits', result.id, 'create', null);
+        }
+    }
+    return db.get('SELECT * FROM panels WHERE id = ?', [panel.id]);
+};
+
+/**
+ * Rooms at a site standing in for the rooms a copied panel's circuits are in:
+ * the same rooms at the same site, otherwise rooms of the same name, which
+ * are created where the site doesn't have one yet
+ * @param {Object} db - Transaction handle
+ * @param {Object} req - Request making the copy
+ * @param {Array} breakers - From PanelTemplate.copyBreakers() with rooms included
+ * @param {number} siteId - Site the copy goes to
+ * @returns {Promise<Map>} Original room ID to room ID at the site
+ */
+const mapRoomsToSite = async (db, req, breakers, siteId) => {
+    const roomIds = new Map();
+    const linked = new Set(breakers.flatMap(breaker => breaker.circuits.map(circuit => circuit.room_id)).filter(Boolean));
+    for (const roomId of linked) {
+        const room = await db.get('SELECT * FROM rooms WHERE id = ?', [roomId]);
+        if (room.site_id === siteId) {
+            roomIds.set(roomId, roomId);
+            continue;
+        }
+        const match = await db.get('SELECT id FROM rooms WHERE site_id = ? AND name = ?', [siteId, room.name]);
+        if (match) {
+            roomIds.set(roomId, match.id);
+            continue;
+        }
+        const created = await db.run('INSERT INTO rooms (name, level, site_id) VALUES (?, ?, ?)', [room.name, room.level, siteId]);
+        await CrudHelpers.recordChange(req, 'rooms', created.id, 'create', null);
+        roomIds.set(roomId, created.id);
+    }
+    return roomIds;
+};
+
+/**
+ * Read a CSV import request and plan it against a panel as the panel is now
+ * @param {Object} db - Database service or transaction handle
+ * @param {Object} panel - Panel row
+ * @param {Object} body - csv, delimiter, has_header, mapping and default_level
+ * @returns {Promise<Object>} An `error` for ErrorHandler.sendError, or how the
+ *   CSV was read (`delimiter`, `has_header`, `headers`, `examples`,
+ *   `default_level` and the `mapping`, suggested from the headers when the
+ *   request has none) with a `mapping_error` or the `plan`
+ */
+const planCsvImport = async (db, panel, body) => {
+    let parsed;
+    try {
+        parsed = CsvParser.parse(body.csv, { delimiter: body.delimiter || undefined });
+    } catch (error) {
+        if (error instanceof CsvParser.ParseError) return { error: { status: 400, message: error.message } };
+        throw error;
+    }
+    const hasHeader = body.has_header !== false;
+    const { headers, rows } = CsvImport.split(parsed.rows, hasHeader);
+    if (rows.length === 0) {
+        return { error: { status: 400, message: 'The CSV has no rows to import' } };
+    }
+    if (rows.length > CsvImport.MAX_ROWS) {
+        return { error: { status: 400, message: `The CSV has ${rows.length} rows; a panel import takes at most ${CsvImport.MAX_ROWS}` } };
+    }
+
+    const levels = await db.all('SELECT key, name FROM levels ORDER BY sort_order, id');
+    const defaultLevel = body.default_level || (levels.some(level => level.key === 'main') ? 'main' : levels[0]?.key);
+    if (!levels.some(level => level.key === defaultLevel)) {
+        return { error: { status: 400, message: `Level ${body.default_level} does not exist` } };
+    }
+
+    const mapping = body.mapping || CsvImport.suggestMapping(headers);
+    const result = {
+        delimiter: parsed.delimiter,
+        has_header: hasHeader,
+        headers,
+        examples: headers.map((_, column) => rows.find(row => row.fields[column]?.trim())?.fields[column].trim() || ''),
+        default_level: defaultLevel,
+        mapping,
+        mapping_error: CsvImport.checkMapping(mapping, headers.length)
+    };
+    if (result.mapping_error) return result;
+
+    result.plan = CsvImport.plan(rows, {
+        mapping,
+        panel,
+        breakers: await db.all('SELECT * FROM breakers WHERE panel_id = ?', [panel.id]),
+        model: panel.model_id ? await getPanelModel(panel.model_id) : null,
+        rooms: await db.all('SELECT id, name FROM rooms WHERE site_id = ?', [panel.site_id]),
+        levels,
+        circuitTypes: await db.all('SELECT key, name FROM circuit_types'),
+        defaultLevel
+    });
+    return result;
+};
+
+/**
+ * A panel's breakers and their circuits
+ * @param {number} panelId - Panel ID
+ * @returns {Promise<{breakers: Array, circuits: Array}>}
+ */
+const getPanelContents = async (panelId) => ({
+    breakers: await databaseService.all('SELECT * FROM breakers WHERE panel_id = ?', [panelId]),
+    circuits: await databaseService.all(
+        'SELECT c.* FROM circuits c JOIN breakers b ON c.breaker_id = b.id WHERE b.panel_id = ?',
+        [panelId]
+    )
+});
+
+/**
+ * Ampacity warnings for every circuit on a breaker
+ * @param {number} breakerId - Breaker ID
+ * @returns {Promise<Array>} Warnings from AmpacityChecker
+ */
+const getWiringWarnings = async (breakerId) => {
+    const breaker = await databaseService.get('SELECT * FROM breakers WHERE id = ?', [breakerId]);
+    if (!breaker) return [];
+    const circuits = await databaseService.all('SELECT * FROM circuits WHERE breaker_id = ?', [breakerId]);
+    return AmpacityChecker.checkAll([breaker], circuits);
+};
+
+// Authentication
+
+// Reachable without logging in
+const PUBLIC_ROUTES = ['/auth/session', '/auth/setup', '/auth/login', '/auth/logout'];
+
+// Scripts and browsers a user manages their own tokens from
+const isTokenRoute = (path) => path === '/tokens' || path.startsWith('/tokens/');
+
+// Until the first account is created the app is open to everyone, as before accounts existed.
+// Scripts send an API token as a bearer header instead of the session cookie.
+router.use(ErrorHandler.asyncHandler(async (req, res, next) => {
+    const bearerToken = Auth.parseBearerToken(req.get('Authorization'));
+    if (bearerToken) {
+        const match = await Auth.getApiTokenUser(databaseService, bearerToken);
+        if (!match) {
+            return ErrorHandler.sendError(res, { status: 401, message: 'This API token is unknown, revoked or expired' });
+        }
+        req.user = match.user;
+        req.apiToken = match.token;
+        return next();
+    }
+
+    req.sessionToken = Auth.parseCookies(req.get('Cookie'))[Auth.SESSION_COOKIE] || null;
+    req.user = await Auth.getSessionUser(databaseService, req.sessionToken);
+    if (req.user || PUBLIC_ROUTES.includes(req.path) || await Auth.countUsers(databaseService) === 0) {
+        return next();
+    }
+    ErrorHandler.sendError(res, { status: 401, message: 'Log in to continue' });
+}));
+
+// Viewers and read-only tokens can only read; viewers can still manage their own tokens
+router.use((req, res, next) => {
+    if (req.method === 'GET' || !req.user || PUBLIC_ROUTES.includes(req.path)) {
+        return next();
+    }
+    if (req.apiToken?.scope === 'read') {
+        return ErrorHandler.sendError(res, { status: 403, message: 'This API token is read-only' });
+    }
+    if (Auth.hasRole(req.user, 'editor') || isTokenRoute(req.path)) {
+        return next();
+    }
+    ErrorHandler.sendError(res, { status: 403, message: 'Your account can only view; ask an admin for editor access' });
+});
+
+const requireAdmin = (req, res, next) => {
+    if (req.user && Auth.hasRole(req.user, 'admin')) return next();
+    ErrorHandler.sendError(res, { status: 403, message: 'Only admins can manage accounts' });
+};
+
+// Tokens are managed from a logged-in browser, so a leaked token can't mint more
+const requireSession = (req, res, next) => {
+    if (req.user && !req.apiToken) return next();
+    ErrorHandler.sendError(res, {
+        status: 403,
+        message: req.apiToken ? 'API tokens can only be managed while logged in' : 'Set up a login before creating API tokens'
+    });
+};
+
+const setSessionCookie = (req, res, token) => {
+    res.cookie(Auth.SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/',
+        maxAge: Auth.SESSION_DAYS * 24 * 60 * 60 * 1000
+    });
+};
+
+router.get('/auth/session', ErrorHandler.asyncHandler(async (req, res) => {
+    res.json({ user: req.user, setup_required: await Auth.countUsers(databaseService) === 0 });
+}));
+
+// The first account is always an admin, and can only be created while there are none
+router.post('/auth/setup', (req, res, next) => {
+    req.body.role = 'admin';
+    next();
+}, validateUserData, ErrorHandler.asyncHandler(async (req, res) => {
+    if (await Auth.countUsers(databaseService) > 0) {
+        return ErrorHandler.sendError(res, { status: 409, message: 'An account already exists; log in instead' });
+    }
+    const user = await Auth.createUser(databaseService, { username: req.body.username.trim(), password: req.body.password, role: 'admin' });
+    setSessionCookie(req, res, await Auth.createSession(databaseService, user.id));
+    res.status(201).json({ user });
+}));
+
+router.post('/auth/login', validateLoginData, ErrorHandler.asyncHandler(async (req, res) => {
+    const user = await Auth.authenticate(databaseService, req.body.username.trim(), req.body.password);
+    if (!user) {
+        return ErrorHandler.sendError(res, { status: 401, message: 'Wrong username or password' });
+    }
+    setSessionCookie(req, res, await Auth.createSession(databaseService, user.id));
+    res.json({ user });
+}));
+
+router.post('/auth/logout', ErrorHandler.asyncHandler(async (req, res) => {
+    await Auth.endSession(databaseService, req.sessionToken);
+    res.clearCookie(Auth.SESSION_COOKIE, { path: '/' });
+    res.json({ message: 'Logged out' });
+}));
+
+// User routes
+router.get('/users', requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+    const users = await databaseService.all('SELECT id, username, role, created_at FROM users ORDER BY username');
+    res.json(users);
+}));
+
+router.post('/users', requireAdmin, validateUserData, ErrorHandler.asyncHandler(async (req, res) => {
+    const { username, password, role } = req.body;
+    try {
+        const user = await Auth.createUser(databaseService, { username: username.trim(), password, role });
+        res.status(201).json(user);
+    } catch (error) {
+        ErrorHandler.sendError(res, ErrorHandler.handleDatabaseError(error));
+    }
+}));
+
+router.put('/users/:id', validateId(), requireAdmin, validateUserData, ErrorHandler.asyncHandler(async (req, res) => {
+    const user = await Auth.getUser(databaseService, req.params.id);
+    if (!user) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('User'));
+    }
+    const { username, password, role } = req.body;
+    if (user.role === 'admin' && role && role !== 'admin') {
+        const { count } = await databaseService.get(`SELECT COUNT(*) as count FROM users WHERE role = 'admin'`);
+        if (count === 1) {
+            return ErrorHandler.sendError(res, { status: 409, message: 'Make another account an admin first' });
+        }
+    }
+
+    try {
+        await databaseService.transaction(async (db) => {
+            await db.run(
+                'UPDATE users SET username = ?, role = ? WHERE id = ?',
+                [username !== undefined ? username.trim() : user.username, role || user.role, user.id]
+            );
+            // A new password logs the account out everywhere but here
+            if (password !== undefined) {
+                await db.run('UPDATE users SET password_hash = ? WHERE id = ?', [await Auth.hashPassword(password), user.id]);
+                await db.run(
+                    'DELETE FROM sessions WHERE user_id = ? AND token_hash != ?',
+                    [user.id, req.sessionToken ? Auth.hashToken(req.sessionToken) : '']
+                );
+            }
+        });
+    } catch (error) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleDatabaseError(error));
+    }
+    res.json(await Auth.getUser(databaseService, user.id));
+}));
+
+router.delete('/users/:id', validateId(), requireAdmin, ErrorHandler.asyncHandler(async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return ErrorHandler.sendError(res, { status: 409, message: 'You can\'t delete your own account' });
+    }
+    const result = await databaseService.run('DELETE FROM users WHERE id = ?', [req.params.id]);
+    if (result.changes === 0) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('User'));
+    }
+    res.json({ message: 'User deleted successfully' });
+}));
+
+// API token routes
+router.get('/tokens', requireSession, ErrorHandler.asyncHandler(async (req, res) => {
+    res.json(await Auth.listApiTokens(databaseService, req.user.id));
+}));
+
+// The token itself is only returned here, when it is created
+router.post('/tokens', requireSession, validateApiTokenData, ErrorHandler.asyncHandler(async (req, res) => {
+    const { name, scope, expires_in_days: expiresInDays = null } = req.body;
+    if (scope === 'write' && !Auth.hasRole(req.user, 'editor')) {
+        return CrudHelpers.handleValidationError(res, 'Viewers can only create read-only tokens');
+    }
+    const token = await Auth.createApiToken(databaseService, req.user.id, { name: name.trim(), scope, expiresInDays });
+    res.status(201).json(token);
+}));
+
+router.delete('/tokens/:id', validateId(), requireSession, ErrorHandler.asyncHandler(async (req, res) => {
+    const result = await databaseService.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+    if (result.changes === 0) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('API token'));
+    }
+    res.json({ message: 'API token revoked' });
+}));
+
+/**
+ * Site of the panel a breaker is in, or undefined when there's no such breaker
+ */
+const getBreakerSiteId = async (breakerId) => {
+    const row = await databaseService.get(
+        'SELECT p.site_id FROM breakers b JOIN panels p ON b.panel_id = p.id WHERE b.id = ?',
+        [breakerId]
+    );
+    return row?.site_id;
+};
+
+/**
+ * Why a circuit or device can't use a room or subpanel from its site, or null when it can
+ */
+const checkSameSite = async (siteId, { room_id: roomId, subpanel_id: subpanelId }) => {
+    if (roomId) {
+        const room = await databaseService.get('SELECT site_id FROM rooms WHERE id = ?', [roomId]);
+        if (room && room.site_id !== siteId) return 'The room belongs to another site';
+    }
+    if (subpanelId) {
+        const subpanel = await databaseService.get('SELECT site_id FROM panels WHERE id = ?', [subpanelId]);
+        if (subpanel && subpanel.site_id !== siteId) return 'The subpanel belongs to another site';
+    }
+    return null;
+};
+
+// Site routes
+
+/**
+ * Put new panels and rooms in the first site unless a site_id is given, and
+ * reject site IDs that don't exist
+ */
+const validateSiteId = ErrorHandler.asyncHandler(async (req, res, next) => {
+    const siteId = req.body.site_id;
+    if (siteId === undefined || siteId === null) {
+        const site = await databaseService.get('SELECT id FROM sites ORDER BY id LIMIT 1');
+        req.body.site_id = site.id;
+        return next();
+    }
+    if (!Number.isInteger(siteId) || siteId <= 0) {
+        return CrudHelpers.handleValidationError(res, 'Site ID must be a valid positive number');
+    }
+    const site = await databaseService.get('SELECT id FROM sites WHERE id = ?', [siteId]);
+    if (!site) {
+        return CrudHelpers.handleValidationError(res, `Site ${siteId} does not exist`);
+    }
+    next();
+});
+
+router.get('/sites', ErrorHandler.asyncHandler(async (req, res) => {
+    const sites = await databaseService.all(`
+        SELECT s.*,
+               (SELECT COUNT(*) FROM panels WHERE site_id = s.id) as panel_count,
+               (SELECT COUNT(*) FROM rooms WHERE site_id = s.id) as room_count
+        FROM sites s
+        ORDER BY s.id
+    `);
+    res.json(sites);
+}));
+
+router.get('/sites/:id', validateId(), CrudHelpers.createGetByIdHandler('sites', 'Site'));
+
+router.post('/sites', validateSiteData, CrudHelpers.createCreateHandler(
+    'sites',
+    ['name'],
+    CrudHelpers.createTextTrimmer(['name'])
+));
+
+router.put('/sites/:id', validateId(), validateSiteData, CrudHelpers.createUpdateHandler(
+    'sites',
+    'Site',
+    ['name'],
+    CrudHelpers.createTextTrimmer(['name'])
+));
+
+// Only empty sites can be deleted, and never the last one
+router.delete('/sites/:id', validateId(), ErrorHandler.asyncHandler(async (req, res, next) => {
+    const site = await databaseService.get(`
+        SELECT s.*,
+               (SELECT COUNT(*) FROM panels WHERE site_id = s.id) as panel_count,
+               (SELECT COUNT(*) FROM rooms WHERE site_id = s.id) as room_count,
+               (SELECT COUNT(*) FROM sites) as site_count
+        FROM sites s
+        WHERE s.id = ?
+    `, [req.params.id]);
+    if (!site) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Site'));
+    }
+    if (site.site_count === 1) {
+        return ErrorHandler.sendError(res, { status: 409, message: 'Add another site before deleting the only one' });
+    }
+    const contents = [[site.panel_count, 'panel'], [site.room_count, 'room']]
+        .filter(([count]) => count > 0)
+        .map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+    if (contents.length > 0) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `Delete the ${contents.join(' and ')} at this site before deleting it`
+        });
+    }
+    next();
+}), CrudHelpers.createDeleteHandler('sites', 'Site'));
+
 // Panel routes
-router.get('/panels', ErrorHandler.asyncHandler(async (req, res) => {
-    const panels = await databaseService.all('SELECT * FROM panels ORDER BY created_at DESC');
+router.get('/panels', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    const panels = await databaseService.all(
+        'SELECT * FROM panels WHERE (? IS NULL OR site_id = ?) ORDER BY created_at DESC',
+        [req.siteId, req.siteId]
+    );
     res.json(panels);
 }));
 
 router.get('/panels/:id', validateId(), CrudHelpers.createGetByIdHandler('panels', 'Panel'));
 
-router.post('/panels', validatePanelData, CrudHelpers.createCreateHandler(
+router.post('/panels', validatePanelData, validatePanelModelId, validateSiteId, CrudHelpers.createCreateHandler(
     'panels',
-    ['name', 'size'],
-    CrudHelpers.createTextTrimmer(['name'])
+    ['name', 'size', 'main_amperage', 'phase_config', 'numbering_scheme', 'model_id', 'site_id'],
+    ErrorHandler.processPanelData
 ));
 
-router.put('/panels/:id', validateId(), validatePanelData, CrudHelpers.createUpdateHandler(
-    'panels',
-    'Panel',
-    ['name', 'size'],
-    CrudHelpers.createTextTrimmer(['name'])
-));
+router.put('/panels/:id', validateId(), mergeStoredPanel, validatePanelData, validatePanelModelId, ErrorHandler.asyncHandler(async (req, res, next) => {
+    // Triple pole breakers only exist on three-phase buses
+    if (req.body.phase_config !== 'three_phase') {
+        const row = await databaseService.get(
+            `SELECT COUNT(*) as count FROM breakers WHERE panel_id = ? AND breaker_type = 'triple_pole'`,
+            [req.params.id]
+        );
+        if (row.count > 0) {
+            return CrudHelpers.handleValidationError(res, 'Remove triple pole breakers before changing the panel to split-phase');
+        }
+    }
+
+    // Breakers the new size or numbering leaves without a place are reported,
+    // unless the request says to relocate or delete them along with saving the panel
+    const panel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [req.params.id]);
+    const conflicts = await getResizeConflicts(req.params.id, req.body);
+    if (conflicts.length === 0) return next();
+
+    const strategy = req.body.resize_strategy;
+    if (!strategy) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `${conflicts.length} breaker${conflicts.length === 1 ? '' : 's'} would not fit the new panel layout`,
+            details: { code: 'resize_conflicts', conflicts }
+        });
+    }
+    if (strategy === 'relocate' && conflicts.some(conflict => conflict.relocate_to === null)) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: 'There is not enough free space to relocate every breaker',
+            details: { code: 'resize_no_room', conflicts }
+        });
+    }
+
+    const panelData = ErrorHandler.processPanelData(req.body);
+    const changes = {};
+    PANEL_UPDATE_FIELDS.forEach(field => {
+        changes[field] = panelData[field];
+    });
+    await databaseService.transaction(async (db) => {
+        // The breakers and the panel itself are saved and undone as one resize
+        await UndoStack.getOperationId(db, req, `Resize ${UndoStack.describeEntity('panel', panel)}`);
+        for (const conflict of conflicts) {
+            const before = await db.get('SELECT * FROM breakers WHERE id = ?', [conflict.breaker_id]);
+            if (strategy === 'relocate') {
+                await db.run('UPDATE breakers SET position = ? WHERE id = ?', [conflict.relocate_to, before.id]);
+                await CrudHelpers.recordChange(req, 'breakers', before.id, 'update', before);
+            } else {
+                const entryIds = await CrudHelpers.recordChange(req, 'breakers', before.id, 'delete', before);
+                await Trash.add(db, 'breakers', before, { entryIds, operationId: req.operationId, actor: ChangeHistory.getActor(req) });
+                await db.run('DELETE FROM breakers WHERE id = ?', [before.id]);
+            }
+        }
+        const stored = await db.get('SELECT * FROM panels WHERE id = ?', [panel.id]);
+        await db.run(
+            `UPDATE panels SET ${PANEL_UPDATE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...PANEL_UPDATE_FIELDS.map(field => changes[field]), panel.id]
+        );
+        await CrudHelpers.recordChange(req, 'panels', panel.id, 'update', stored);
+    });
+    res.json({ id: req.params.id, ...changes });
+}), CrudHelpers.createUpdateHandler('panels', 'Panel', PANEL_UPDATE_FIELDS, ErrorHandler.processPanelData));
+
+// What a size or numbering change would do to the breakers, before saving it
+router.post('/panels/:id/resize-preview', validateId(), mergeStoredPanel, validatePanelData, ErrorHandler.asyncHandler(async (req, res) => {
+    const conflicts = await getResizeConflicts(req.params.id, req.body);
+    res.json({
+        conflicts,
+        can_relocate: conflicts.every(conflict => conflict.relocate_to !== null)
+    });
+}));
+
+// Copies default to the source panel's site
+router.post('/panels/:id/clone', validateId(), validatePanelCopyData, ErrorHandler.asyncHandler(async (req, res, next) => {
+    req.sourcePanel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [req.params.id]);
+    if (!req.sourcePanel) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel'));
+    }
+    req.body.site_id = req.body.site_id ?? req.sourcePanel.site_id;
+    next();
+}), validateSiteId, ErrorHandler.asyncHandler(async (req, res) => {
+    const source = req.sourcePanel;
+    const { breakers, circuits } = await getPanelContents(source.id);
+    const copy = PanelTemplate.copyBreakers(breakers, circuits, {
+        includeCircuits: req.body.include_circuits !== false,
+        includeRooms: req.body.include_rooms === true
+    });
+
+    const panel = await databaseService.transaction(async (db) => {
+        await UndoStack.getOperationId(db, req, `Clone ${UndoStack.describeEntity('panel', source)}`);
+        const roomIds = await mapRoomsToSite(db, req, copy, req.body.site_id);
+        return createPanelCopy(db, req, { ...source, name: req.body.name, site_id: req.body.site_id }, copy, roomIds);
+    });
+    res.status(201).json(panel);
+}));
+
+// What importing a CSV would add to the panel: the columns, the mapping and the rows as they would be read
+router.post('/panels/:id/csv-preview', validateId(), validateCsvImportData, ErrorHandler.asyncHandler(async (req, res) => {
+    const panel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [req.params.id]);
+    if (!panel) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel'));
+    }
+    const { error, plan, ...reading } = await planCsvImport(databaseService, panel, req.body);
+    if (error) {
+        return ErrorHandler.sendError(res, error);
+    }
+    res.json({
+        ...reading,
+        fields: CsvImport.FIELDS.map(({ name, label }) => ({ name, label })),
+        rows: plan ? plan.rows : [],
+        warnings: plan ? plan.warnings : [],
+        new_rooms: plan ? plan.rooms : [],
+        summary: plan ? CsvImport.summarize(plan) : null
+    });
+}));
+
+// Import the rows the preview would, skipping the rest, as one undoable operation
+router.post('/panels/:id/csv-import', validateId(), validateCsvImportData, ErrorHandler.asyncHandler(async (req, res) => {
+    const panel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [req.params.id]);
+    if (!panel) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel'));
+    }
 
-router.delete('/panels/:id', validateId(), CrudHelpers.createDeleteHandler('panels', 'Panel'));
+    const outcome = await databaseService.transaction(async (db) => {
+        const { error, mapping_error: mappingError, plan } = await planCsvImport(db, panel, req.body);
+        if (error || mappingError) {
+            return { error: error || { status: 400, message: mappingError } };
+        }
+        if (plan.breakers.length === 0) {
+            return { error: { status: 400, message: 'Nothing in the CSV can be imported', details: { warnings: plan.warnings } } };
+        }
+        await UndoStack.getOperationId(db, req, `Import CSV into ${UndoStack.describeEntity('panel', panel)}`);
+        await CsvImport.commit(db, plan, {
+            panel,
+            onCreate: (table, id) => CrudHelpers.recordChange(req, table, id, 'create', null)
+        });
+        return { plan };
+    });
+    if (outcome.error) {
+        return ErrorHandler.sendError(res, outcome.error);
+    }
+    res.status(201).json({ ...CsvImport.summarize(outcome.plan), warnings: outcome.plan.warnings });
+}));
+
+router.delete('/panels/:id', validateId(), CrudHelpers.createDeleteHandler('panels', 'Panel', purgeExpiredTrash));
 
 // Get panel with all breakers and circuits in one request
 router.get('/panels/:panelId/complete', validateId('panelId'), ErrorHandler.asyncHandler(async (req, res) => {
@@ -58,18 +1050,52 @@ router.get('/panels/:panelId/complete', validateId('panelId'), ErrorHandler.asyn
     
     // Get all circuits for breakers in this panel
     const circuits = await databaseService.all(`
-        SELECT c.*, b.position, b.slot_position, r.name as room, r.level as room_level
+        SELECT c.*, b.position, b.slot_position, r.name as room, r.level as room_level, l.icon as room_level_icon
         FROM circuits c 
         JOIN breakers b ON c.breaker_id = b.id 
         LEFT JOIN rooms r ON c.room_id = r.id
+        LEFT JOIN levels l ON r.level = l.key
         WHERE b.panel_id = ? 
         ORDER BY b.position, c.id
     `, [panelId]);
+
+    // Each circuit carries its devices in daisy-chain order; each breaker its device total
+    const devices = await databaseService.all(`
+        SELECT d.*, r.name as room
+        FROM devices d
+        JOIN circuits c ON d.circuit_id = c.id
+        JOIN breakers b ON c.breaker_id = b.id
+        LEFT JOIN rooms r ON d.room_id = r.id
+        WHERE b.panel_id = ?
+        ORDER BY d.circuit_id, d.chain_order
+    `, [panelId]);
+    circuits.forEach(circuit => {
+        circuit.devices = devices.filter(device => device.circuit_id === circuit.id);
+    });
+    breakers.forEach(breaker => {
+        breaker.device_count = circuits
+            .filter(circuit => circuit.breaker_id === breaker.id)
+            .reduce((count, circuit) => count + circuit.devices.length, 0);
+    });
+
+    // Load rollups need the whole site so subpanel feeders include downstream load
+    const loads = await calculateLoads(panel.site_id);
+    const breakerLoads = {};
+    breakers.forEach(breaker => {
+        breakerLoads[breaker.id] = loads.breakers[breaker.id];
+    });
     
     res.json({
         panel,
         breakers,
-        circuits
+        circuits,
+        load: {
+            panel: loads.panels[panelId],
+            breakers: breakerLoads,
+            service: loads.service
+        },
+        balance: LegBalancer.analyze(panel, breakers, breakerLoads),
+        wiring_warnings: AmpacityChecker.checkAll(breakers, circuits)
     });
 }));
 
@@ -102,14 +1128,20 @@ router.get('/panels/:panelId/breakers/position/:position',
 router.post('/breakers', validateBreakerData, ErrorHandler.asyncHandler(async (req, res) => {
     const breakerData = ErrorHandler.processBreakerData(req.body, 'create');
 
+    const placementError = await checkBreakerPlacement(breakerData.panel_id, breakerData);
+    if (placementError) {
+        return ErrorHandler.sendError(res, placementError);
+    }
+
     try {
         const result = await databaseService.run(
-            `INSERT INTO breakers (panel_id, position, label, amperage, critical, monitor, confirmed, breaker_type, slot_position) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO breakers (panel_id, position, label, amperage, critical, monitor, confirmed, breaker_type, slot_position, protection, series) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [breakerData.panel_id, breakerData.position, breakerData.label, breakerData.amperage, 
              breakerData.critical, breakerData.monitor, breakerData.confirmed, breakerData.breaker_type,
-             breakerData.slot_position]
+             breakerData.slot_position, breakerData.protection, breakerData.series]
         );
+        await CrudHelpers.recordChange(req, 'breakers', result.id, 'create', null);
         
         res.status(201).json({ id: result.id, ...breakerData });
     } catch (error) {
@@ -121,25 +1153,37 @@ router.post('/breakers', validateBreakerData, ErrorHandler.asyncHandler(async (r
 router.put('/breakers/:id', validateId(), validateBreakerData, ErrorHandler.asyncHandler(async (req, res) => {
     const breakerData = ErrorHandler.processBreakerData(req.body, 'update');
 
+    const existing = await databaseService.get('SELECT * FROM breakers WHERE id = ?', [req.params.id]);
+    if (existing) {
+        const placementError = await checkBreakerPlacement(existing.panel_id, { ...breakerData, position: existing.position }, [existing.id]);
+        if (placementError) {
+            return ErrorHandler.sendError(res, placementError);
+        }
+    }
+
     try {
         const result = await databaseService.run(
-            `UPDATE breakers SET label = ?, amperage = ?, critical = ?, monitor = ?, confirmed = ?, breaker_type = ?, slot_position = ? WHERE id = ?`,
+            `UPDATE breakers SET label = ?, amperage = ?, critical = ?, monitor = ?, confirmed = ?, breaker_type = ?, slot_position = ?, protection = ?, series = ? WHERE id = ?`,
             [breakerData.label, breakerData.amperage, breakerData.critical, breakerData.monitor, 
-             breakerData.confirmed, breakerData.breaker_type, breakerData.slot_position, req.params.id]
+             breakerData.confirmed, breakerData.breaker_type, breakerData.slot_position, breakerData.protection,
+             breakerData.series, req.params.id]
         );
 
         if (result.changes === 0) {
             const errorInfo = ErrorHandler.handleNotFoundError('Breaker');
             return ErrorHandler.sendError(res, errorInfo);
         }
-        res.json({ id: req.params.id, ...breakerData });
+        await CrudHelpers.recordChange(req, 'breakers', req.params.id, 'update', existing);
+
+        const warnings = await getWiringWarnings(req.params.id);
+        res.json({ id: req.params.id, ...breakerData, warnings });
     } catch (error) {
         const errorInfo = ErrorHandler.handleDatabaseError(error);
         ErrorHandler.sendError(res, errorInfo);
     }
 }));
 
-router.delete('/breakers/:id', validateId(), CrudHelpers.createDeleteHandler('breakers', 'Breaker'));
+router.delete('/breakers/:id', validateId(), CrudHelpers.createDeleteHandler('breakers', 'Breaker', purgeExpiredTrash));
 
 // Move breaker endpoint
 router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
@@ -163,11 +1207,57 @@ router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
             return ErrorHandler.sendError(res, errorInfo);
         }
 
-        await databaseService.transaction(async (db) => {
-            const sourceCircuits = await db.all(
-                'SELECT * FROM circuits WHERE breaker_id = ?', 
-                [sourceBreakerId]
-            );
+        // A missing destination panel is reported by the foreign key check below
+        const destinationPanel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [destinationPanelId]);
+        if (destinationPanel && destinationPanel.site_id !== await getBreakerSiteId(sourceBreakerId)) {
+            return CrudHelpers.handleValidationError(res, 'Breakers can only be moved to a panel at the same site');
+        }
+
+        // Moving onto a breaker swaps their circuits; otherwise the breaker itself moves
+        const targetPosition = Number(destinationPosition);
+        const targetSlot = destinationSlot || 'single';
+        const swapTarget = await databaseService.get(
+            'SELECT * FROM breakers WHERE panel_id = ? AND position = ? AND slot_position = ? AND id != ?',
+            [destinationPanelId, targetPosition, targetSlot, sourceBreakerId]
+        );
+        // A single-pole breaker moved into slot A or B becomes a tandem, and a tandem moved into
+        // a full space a single. Multi-pole breakers keep their type, so placement rejects them in a slot.
+        let movedType = sourceBreaker.breaker_type;
+        if (targetSlot !== 'single') {
+            if (PanelLayout.getPoleCount(movedType) === 1) movedType = 'tandem';
+        } else if (movedType === 'tandem') {
+            movedType = 'single';
+        }
+
+        if (destinationPanel && swapTarget) {
+            if (PanelLayout.getPoleCount(sourceBreaker.breaker_type) > 1 && swapTarget.breaker_type !== sourceBreaker.breaker_type) {
+                return ErrorHandler.sendError(res, {
+                    status: 409,
+                    message: 'Multi-pole breakers can only be swapped with a breaker of the same type',
+                    details: { code: 'swap_type_mismatch', position: targetPosition, conflicting_breaker_id: swapTarget.id }
+                });
+            }
+        } else if (destinationPanel) {
+            // The source breaker is deleted once its circuits have moved, so it is out of the way
+            const placementError = await checkBreakerPlacement(
+                destinationPanelId,
+                { position: targetPosition, slot_position: targetSlot, breaker_type: movedType, series: sourceBreaker.series },
+                [sourceBreaker.id]
+            );
+            if (placementError) {
+                return ErrorHandler.sendError(res, placementError);
+            }
+        }
+
+        await databaseService.transaction(async (db) => {
+            // Everything below, including the breakers it creates and deletes, undoes as one move
+            const destination = destinationPanel && Number(destinationPanelId) !== sourceBreaker.panel_id ? `${destinationPanel.name} ` : '';
+            await UndoStack.getOperationId(db, req, `Move ${UndoStack.describeEntity('breaker', sourceBreaker)} to ${destination}position ${destinationPosition}`);
+
+            const sourceCircuits = await db.all(
+                'SELECT * FROM circuits WHERE breaker_id = ?', 
+                [sourceBreakerId]
+            );
 
             // Check if destination position is occupied
             let destinationBreaker = await db.get(
@@ -198,11 +1288,14 @@ router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
                         [sourceBreakerId, circuit.id]
                     );
                 }
+
+                await recordCircuitMoves(db, req, sourceCircuits, sourceBreaker, destinationBreaker);
+                await recordCircuitMoves(db, req, destinationCircuits, destinationBreaker, sourceBreaker);
             } else {
                 // Create new breaker at destination and move circuits there
                 const newBreaker = await db.run(
-                    `INSERT INTO breakers (panel_id, position, slot_position, label, amperage, critical, monitor, confirmed, breaker_type) 
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    `INSERT INTO breakers (panel_id, position, slot_position, label, amperage, critical, monitor, confirmed, breaker_type, protection, series) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                     [
                         destinationPanelId,
                         destinationPosition,
@@ -212,10 +1305,14 @@ router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
                         sourceBreaker.critical,
                         sourceBreaker.monitor,
                         sourceBreaker.confirmed,
-                        sourceBreaker.breaker_type
+                        movedType,
+                        sourceBreaker.protection,
+                        sourceBreaker.series
                     ]
                 );
                 
+                await CrudHelpers.recordChange(req, 'breakers', newBreaker.id, 'create', null);
+                
                 // Move circuits to new breaker
                 for (const circuit of sourceCircuits) {
                     await db.run(
@@ -223,6 +1320,8 @@ router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
                         [newBreaker.id, circuit.id]
                     );
                 }
+                destinationBreaker = await db.get('SELECT * FROM breakers WHERE id = ?', [newBreaker.id]);
+                await recordCircuitMoves(db, req, sourceCircuits, sourceBreaker, destinationBreaker);
             }
 
             // Check if source breaker still has circuits after the move
@@ -233,6 +1332,7 @@ router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
 
             if (remainingCircuits.length === 0) {
                 // Delete empty source breaker
+                await CrudHelpers.recordChange(req, 'breakers', sourceBreakerId, 'delete', sourceBreaker);
                 await db.run('DELETE FROM breakers WHERE id = ?', [sourceBreakerId]);
             }
         });
@@ -248,91 +1348,1134 @@ router.post('/breakers/move', ErrorHandler.asyncHandler(async (req, res) => {
     }
 }));
 
+// Level routes
+router.get('/levels', ErrorHandler.asyncHandler(async (req, res) => {
+    const levels = await databaseService.all(`
+        SELECT l.*, COUNT(r.id) as room_count
+        FROM levels l
+        LEFT JOIN rooms r ON r.level = l.key
+        GROUP BY l.id
+        ORDER BY l.sort_order, l.name
+    `);
+    res.json(levels);
+}));
+
+router.get('/levels/:id', validateId(), CrudHelpers.createGetByIdHandler('levels', 'Level'));
+
+router.post('/levels', validateLevelData, ErrorHandler.asyncHandler(async (req, res) => {
+    const levelData = ErrorHandler.processLevelData(req.body);
+
+    // Derived keys get a numeric suffix when another level already uses them
+    if (!req.body.key) {
+        levelData.key = await findFreeKey('levels', levelData.key);
+    }
+    if (levelData.sort_order === null) {
+        levelData.sort_order = await nextSortOrder('levels');
+    }
+
+    try {
+        const result = await databaseService.run(
+            'INSERT INTO levels (key, name, color, icon, sort_order) VALUES (?, ?, ?, ?, ?)',
+            [levelData.key, levelData.name, levelData.color, levelData.icon, levelData.sort_order]
+        );
+        res.status(201).json({ id: result.id, ...levelData });
+    } catch (error) {
+        const errorInfo = ErrorHandler.handleDatabaseError(error);
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+// Reorder every level at once; registered before /levels/:id so "order" isn't read as an ID
+router.put('/levels/order', ErrorHandler.asyncHandler(async (req, res) => {
+    const { level_ids: levelIds } = req.body;
+    if (!Array.isArray(levelIds) || levelIds.length === 0 || !levelIds.every(id => Number.isInteger(id) && id > 0)) {
+        return CrudHelpers.handleValidationError(res, 'level_ids must be a non-empty array of level IDs');
+    }
+    if (new Set(levelIds).size !== levelIds.length) {
+        return CrudHelpers.handleValidationError(res, 'level_ids must not contain duplicates');
+    }
+
+    const levels = await databaseService.all('SELECT id FROM levels');
+    const known = new Set(levels.map(level => level.id));
+    const unknown = levelIds.find(id => !known.has(id));
+    if (unknown) {
+        return CrudHelpers.handleValidationError(res, `Level ${unknown} does not exist`);
+    }
+
+    await databaseService.transaction(async (db) => {
+        for (const [index, id] of levelIds.entries()) {
+            await db.run('UPDATE levels SET sort_order = ? WHERE id = ?', [index + 1, id]);
+        }
+    });
+
+    const ordered = await databaseService.all('SELECT * FROM levels ORDER BY sort_order, name');
+    res.json(ordered);
+}));
+
+router.put('/levels/:id', validateId(), validateLevelData, ErrorHandler.asyncHandler(async (req, res) => {
+    const existing = await databaseService.get('SELECT * FROM levels WHERE id = ?', [req.params.id]);
+    if (!existing) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Level');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    // The key is what rooms reference, so renaming a level keeps it
+    const levelData = {
+        ...ErrorHandler.processLevelData(req.body),
+        key: existing.key
+    };
+    if (levelData.sort_order === null) {
+        levelData.sort_order = existing.sort_order;
+    }
+
+    try {
+        await databaseService.run(
+            'UPDATE levels SET name = ?, color = ?, icon = ?, sort_order = ? WHERE id = ?',
+            [levelData.name, levelData.color, levelData.icon, levelData.sort_order, req.params.id]
+        );
+        res.json({ id: req.params.id, ...levelData });
+    } catch (error) {
+        const errorInfo = ErrorHandler.handleDatabaseError(error);
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+router.delete('/levels/:id', validateId(), ErrorHandler.asyncHandler(async (req, res, next) => {
+    const row = await databaseService.get(
+        'SELECT COUNT(r.id) as count FROM levels l JOIN rooms r ON r.level = l.key WHERE l.id = ?',
+        [req.params.id]
+    );
+    if (row.count > 0) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `Move or delete the ${row.count} room${row.count === 1 ? '' : 's'} on this level before deleting it`
+        });
+    }
+    next();
+}), CrudHelpers.createDeleteHandler('levels', 'Level'));
+
 // Room routes
-router.get('/rooms', ErrorHandler.asyncHandler(async (req, res) => {
+
+/**
+ * Reject rooms that reference a level that doesn't exist
+ */
+const validateRoomLevel = ErrorHandler.asyncHandler(async (req, res, next) => {
+    const level = await databaseService.get('SELECT id FROM levels WHERE key = ?', [req.body.level]);
+    if (!level) {
+        return CrudHelpers.handleValidationError(res, `Level '${req.body.level}' does not exist`);
+    }
+    next();
+});
+
+router.get('/rooms', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
     const rooms = await databaseService.all(`
-        SELECT * FROM rooms 
-        ORDER BY 
-            CASE level 
-                WHEN 'upper' THEN 1 
-                WHEN 'main' THEN 2 
-                WHEN 'basement' THEN 3 
-                WHEN 'outside' THEN 4 
-            END, 
-            name
-    `);
+        SELECT r.*, l.name as level_name, l.color as level_color, l.icon as level_icon
+        FROM rooms r
+        LEFT JOIN levels l ON r.level = l.key
+        WHERE (? IS NULL OR r.site_id = ?)
+        ORDER BY l.sort_order, l.name, r.name
+    `, [req.siteId, req.siteId]);
     res.json(rooms);
 }));
 
-router.post('/rooms', validateRoomData, CrudHelpers.createCreateHandler(
+router.post('/rooms', validateRoomData, validateRoomLevel, validateSiteId, CrudHelpers.createCreateHandler(
     'rooms',
-    ['name', 'level'],
+    ['name', 'level', 'site_id'],
     CrudHelpers.createTextTrimmer(['name'])
 ));
 
-router.put('/rooms/:id', validateId(), validateRoomData, CrudHelpers.createUpdateHandler(
+router.put('/rooms/:id', validateId(), validateRoomData, validateRoomLevel, CrudHelpers.createUpdateHandler(
     'rooms',
     'Room',
     ['name', 'level'],
     CrudHelpers.createTextTrimmer(['name'])
 ));
 
-router.delete('/rooms/:id', validateId(), CrudHelpers.createDeleteHandler('rooms', 'Room'));
+router.delete('/rooms/:id', validateId(), CrudHelpers.createDeleteHandler('rooms', 'Room', purgeExpiredTrash));
+
+// Circuit type routes
+router.get('/circuit-types', ErrorHandler.asyncHandler(async (req, res) => {
+    const types = await databaseService.all(`
+        SELECT t.*, COUNT(c.id) as circuit_count
+        FROM circuit_types t
+        LEFT JOIN circuits c ON c.type = t.key
+        GROUP BY t.id
+        ORDER BY t.sort_order, t.name
+    `);
+    res.json(types);
+}));
+
+router.get('/circuit-types/:id', validateId(), CrudHelpers.createGetByIdHandler('circuit_types', 'Circuit type'));
+
+router.post('/circuit-types', validateCircuitTypeData, ErrorHandler.asyncHandler(async (req, res) => {
+    const typeData = ErrorHandler.processCircuitTypeData(req.body);
+
+    if (!req.body.key) {
+        typeData.key = await findFreeKey('circuit_types', typeData.key);
+    }
+    if (typeData.sort_order === null) {
+        typeData.sort_order = await nextSortOrder('circuit_types');
+    }
+
+    try {
+        const result = await databaseService.run(
+            `INSERT INTO circuit_types (key, name, icon, color, default_amperage, label_style, label_noun, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [typeData.key, typeData.name, typeData.icon, typeData.color, typeData.default_amperage,
+             typeData.label_style, typeData.label_noun, typeData.sort_order]
+        );
+        res.status(201).json({ id: result.id, ...typeData });
+    } catch (error) {
+        const errorInfo = ErrorHandler.handleDatabaseError(error);
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+router.put('/circuit-types/:id', validateId(), validateCircuitTypeData, ErrorHandler.asyncHandler(async (req, res) => {
+    const existing = await databaseService.get('SELECT * FROM circuit_types WHERE id = ?', [req.params.id]);
+    if (!existing) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Circuit type');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    // Circuits reference the key, so it stays fixed when a type is renamed
+    const typeData = {
+        ...ErrorHandler.processCircuitTypeData(req.body),
+        key: existing.key
+    };
+    if (typeData.sort_order === null) {
+        typeData.sort_order = existing.sort_order;
+    }
+
+    try {
+        await databaseService.run(
+            `UPDATE circuit_types SET name = ?, icon = ?, color = ?, default_amperage = ?, label_style = ?, label_noun = ?, sort_order = ?
+             WHERE id = ?`,
+            [typeData.name, typeData.icon, typeData.color, typeData.default_amperage,
+             typeData.label_style, typeData.label_noun, typeData.sort_order, req.params.id]
+        );
+        res.json({ id: req.params.id, ...typeData });
+    } catch (error) {
+        const errorInfo = ErrorHandler.handleDatabaseError(error);
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+router.delete('/circuit-types/:id', validateId(), ErrorHandler.asyncHandler(async (req, res, next) => {
+    const type = await databaseService.get('SELECT * FROM circuit_types WHERE id = ?', [req.params.id]);
+    if (type?.key === 'subpanel') {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: 'The subpanel type links panels together and cannot be deleted'
+        });
+    }
+    const row = await databaseService.get('SELECT COUNT(*) as count FROM circuits WHERE type = ?', [type?.key]);
+    if (row.count > 0) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `Change the type of the ${row.count} circuit${row.count === 1 ? '' : 's'} using this type before deleting it`
+        });
+    }
+    // Panels created from a template get its circuits, types included
+    const templates = (await databaseService.all('SELECT * FROM panel_templates'))
+        .map(PanelTemplate.format)
+        .filter(template => PanelTemplate.usesCircuitType(template, type?.key));
+    if (templates.length > 0) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `Delete the panel template${templates.length === 1 ? '' : 's'} using this type before deleting it: ${templates.map(template => template.name).join(', ')}`
+        });
+    }
+    next();
+}), CrudHelpers.createDeleteHandler('circuit_types', 'Circuit type'));
 
 // Circuit routes
-router.get('/circuits', ErrorHandler.asyncHandler(async (req, res) => {
+
+/**
+ * Reject circuits whose type isn't in the circuit type catalog
+ */
+const validateCircuitTypeKey = ErrorHandler.asyncHandler(async (req, res, next) => {
+    if (!req.body.type) return next();
+    const type = await databaseService.get('SELECT id FROM circuit_types WHERE key = ?', [req.body.type]);
+    if (!type) {
+        return CrudHelpers.handleValidationError(res, `Circuit type '${req.body.type}' does not exist`);
+    }
+    next();
+});
+
+/**
+ * Reject circuits whose room or subpanel is at another site than their breaker
+ */
+const validateCircuitSite = ErrorHandler.asyncHandler(async (req, res, next) => {
+    let breakerId = req.body.breaker_id;
+    if (req.method === 'PUT') {
+        const circuit = await databaseService.get('SELECT breaker_id FROM circuits WHERE id = ?', [req.params.id]);
+        breakerId = circuit?.breaker_id;
+    }
+    const siteId = await getBreakerSiteId(breakerId);
+    const siteError = siteId === undefined ? null : await checkSameSite(siteId, req.body);
+    if (siteError) {
+        return CrudHelpers.handleValidationError(res, siteError);
+    }
+    next();
+});
+
+router.get('/circuits', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
     const circuits = await databaseService.all(`
-        SELECT c.*, r.name as room_name, r.level as room_level 
+        SELECT c.*, r.name as room_name, r.level as room_level, l.icon as room_level_icon
         FROM circuits c 
+        JOIN breakers b ON c.breaker_id = b.id
+        JOIN panels p ON b.panel_id = p.id
         LEFT JOIN rooms r ON c.room_id = r.id 
+        LEFT JOIN levels l ON r.level = l.key
+        WHERE (? IS NULL OR p.site_id = ?)
         ORDER BY c.created_at
-    `);
+    `, [req.siteId, req.siteId]);
     res.json(circuits);
 }));
 
 router.get('/breakers/:breakerId/circuits', validateId('breakerId'), ErrorHandler.asyncHandler(async (req, res) => {
     const circuits = await databaseService.all(`
-        SELECT c.*, r.name as room_name, r.level as room_level 
+        SELECT c.*, r.name as room_name, r.level as room_level, l.icon as room_level_icon
         FROM circuits c 
         LEFT JOIN rooms r ON c.room_id = r.id 
+        LEFT JOIN levels l ON r.level = l.key
         WHERE c.breaker_id = ? 
         ORDER BY c.created_at
     `, [req.params.breakerId]);
     res.json(circuits);
 }));
 
-router.post('/circuits', validateCircuitData, ErrorHandler.asyncHandler(async (req, res) => {
+router.post('/circuits', validateCircuitData, validateCircuitTypeKey, validateCircuitSite, ErrorHandler.asyncHandler(async (req, res) => {
     const circuitData = ErrorHandler.processCircuitData(req.body, 'create');
 
     try {
         const result = await databaseService.run(
-            `INSERT INTO circuits (breaker_id, room_id, type, notes, subpanel_id) VALUES (?, ?, ?, ?, ?)`,
-            [circuitData.breaker_id, circuitData.room_id, circuitData.type, circuitData.notes, circuitData.subpanel_id]
+            `INSERT INTO circuits (breaker_id, room_id, type, notes, subpanel_id, load_value, load_unit, voltage, continuous, downstream_gfci,
+                                   wire_gauge, wire_material, cable_type) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [circuitData.breaker_id, circuitData.room_id, circuitData.type, circuitData.notes, circuitData.subpanel_id,
+             circuitData.load_value, circuitData.load_unit, circuitData.voltage, circuitData.continuous, circuitData.downstream_gfci,
+             circuitData.wire_gauge, circuitData.wire_material, circuitData.cable_type]
         );
+        await CrudHelpers.recordChange(req, 'circuits', result.id, 'create', null);
 
-        res.status(201).json({ id: result.id, ...circuitData });
+        const warnings = (await getWiringWarnings(circuitData.breaker_id)).filter(w => w.circuit_id === result.id);
+        res.status(201).json({ id: result.id, ...circuitData, warnings });
     } catch (error) {
         const errorInfo = ErrorHandler.handleDatabaseError(error, { field: 'breaker_id' });
         ErrorHandler.sendError(res, errorInfo);
     }
 }));
 
-router.put('/circuits/:id', validateId(), validateCircuitData, ErrorHandler.asyncHandler(async (req, res) => {
+router.put('/circuits/:id', validateId(), validateCircuitData, validateCircuitTypeKey, validateCircuitSite, ErrorHandler.asyncHandler(async (req, res) => {
     const circuitData = ErrorHandler.processCircuitData(req.body, 'update');
 
+    const before = await CrudHelpers.getAuditedRow('circuits', req.params.id);
     const result = await databaseService.run(
-        `UPDATE circuits SET room_id = ?, type = ?, notes = ?, subpanel_id = ? WHERE id = ?`,
-        [circuitData.room_id, circuitData.type, circuitData.notes, circuitData.subpanel_id, req.params.id]
+        `UPDATE circuits SET room_id = ?, type = ?, notes = ?, subpanel_id = ?, load_value = ?, load_unit = ?, voltage = ?, continuous = ?,
+                             downstream_gfci = ?, wire_gauge = ?, wire_material = ?, cable_type = ? WHERE id = ?`,
+        [circuitData.room_id, circuitData.type, circuitData.notes, circuitData.subpanel_id,
+         circuitData.load_value, circuitData.load_unit, circuitData.voltage, circuitData.continuous,
+         circuitData.downstream_gfci, circuitData.wire_gauge, circuitData.wire_material, circuitData.cable_type, req.params.id]
     );
 
     if (result.changes === 0) {
         const errorInfo = ErrorHandler.handleNotFoundError('Circuit');
         return ErrorHandler.sendError(res, errorInfo);
     }
-    res.json({ id: req.params.id, ...circuitData });
+    await CrudHelpers.recordChange(req, 'circuits', req.params.id, 'update', before);
+
+    const circuit = await databaseService.get('SELECT breaker_id FROM circuits WHERE id = ?', [req.params.id]);
+    const warnings = (await getWiringWarnings(circuit.breaker_id)).filter(w => w.circuit_id === Number(req.params.id));
+    res.json({ id: req.params.id, ...circuitData, warnings });
+}));
+
+router.delete('/circuits/:id', validateId(), CrudHelpers.createDeleteHandler('circuits', 'Circuit', purgeExpiredTrash));
+
+// Device routes
+router.get('/circuits/:circuitId/devices', validateId('circuitId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const devices = await databaseService.all(`
+        SELECT d.*, r.name as room
+        FROM devices d
+        LEFT JOIN rooms r ON d.room_id = r.id
+        WHERE d.circuit_id = ?
+        ORDER BY d.chain_order, d.id
+    `, [req.params.circuitId]);
+    res.json(devices);
+}));
+
+// Reorder every device on a circuit at once
+router.put('/circuits/:circuitId/devices/order', validateId('circuitId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const { device_ids: deviceIds } = req.body;
+    if (!Array.isArray(deviceIds) || !deviceIds.every(id => Number.isInteger(id) && id > 0)) {
+        return CrudHelpers.handleValidationError(res, 'device_ids must be an array of device IDs');
+    }
+
+    const chain = await getDeviceChain(databaseService, req.params.circuitId);
+    const sameDevices = deviceIds.length === chain.length &&
+        new Set(deviceIds).size === deviceIds.length &&
+        deviceIds.every(id => chain.includes(id));
+    if (!sameDevices) {
+        return CrudHelpers.handleValidationError(res, 'device_ids must list every device on the circuit exactly once');
+    }
+
+    await databaseService.transaction(db => writeDeviceChain(db, deviceIds));
+
+    const devices = await databaseService.all('SELECT * FROM devices WHERE circuit_id = ? ORDER BY chain_order', [req.params.circuitId]);
+    res.json(devices);
+}));
+
+router.get('/devices/:id', validateId(), CrudHelpers.createGetByIdHandler('devices', 'Device'));
+
+router.post('/devices', validateDeviceData, ErrorHandler.asyncHandler(async (req, res) => {
+    const deviceData = ErrorHandler.processDeviceData(req.body);
+
+    const circuit = await databaseService.get('SELECT id, breaker_id FROM circuits WHERE id = ?', [deviceData.circuit_id]);
+    if (!circuit) {
+        return CrudHelpers.handleValidationError(res, 'Invalid circuit_id - circuit does not exist');
+    }
+    const siteError = await checkSameSite(await getBreakerSiteId(circuit.breaker_id), deviceData);
+    if (siteError) {
+        return CrudHelpers.handleValidationError(res, siteError);
+    }
+
+    try {
+        const device = await databaseService.transaction(async (db) => {
+            const { count } = await db.get('SELECT COUNT(*) as count FROM devices WHERE circuit_id = ?', [deviceData.circuit_id]);
+            const result = await db.run(
+                'INSERT INTO devices (circuit_id, device_type, room_id, location, notes, chain_order) VALUES (?, ?, ?, ?, ?, ?)',
+                [deviceData.circuit_id, deviceData.device_type, deviceData.room_id, deviceData.location, deviceData.notes, count + 1]
+            );
+            const inserted = { id: result.id, circuit_id: deviceData.circuit_id };
+            if (deviceData.chain_order !== null) {
+                await placeDevice(db, inserted, deviceData.chain_order);
+            }
+            await CrudHelpers.recordChange(req, 'devices', result.id, 'create', null);
+            return db.get('SELECT * FROM devices WHERE id = ?', [result.id]);
+        });
+        res.status(201).json(device);
+    } catch (error) {
+        const errorInfo = ErrorHandler.handleDatabaseError(error, { field: 'room_id' });
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+router.put('/devices/:id', validateId(), validateDeviceData, ErrorHandler.asyncHandler(async (req, res) => {
+    const existing = await databaseService.get('SELECT * FROM devices WHERE id = ?', [req.params.id]);
+    if (!existing) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Device');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    // Devices stay on their circuit; chain_order moves them along it
+    const deviceData = ErrorHandler.processDeviceData({ ...req.body, circuit_id: existing.circuit_id });
+    const circuit = await databaseService.get('SELECT breaker_id FROM circuits WHERE id = ?', [existing.circuit_id]);
+    const siteError = await checkSameSite(await getBreakerSiteId(circuit.breaker_id), deviceData);
+    if (siteError) {
+        return CrudHelpers.handleValidationError(res, siteError);
+    }
+
+    try {
+        const device = await databaseService.transaction(async (db) => {
+            await db.run(
+                'UPDATE devices SET device_type = ?, room_id = ?, location = ?, notes = ? WHERE id = ?',
+                [deviceData.device_type, deviceData.room_id, deviceData.location, deviceData.notes, existing.id]
+            );
+            if (deviceData.chain_order !== null && deviceData.chain_order !== existing.chain_order) {
+                await placeDevice(db, existing, deviceData.chain_order);
+            }
+            await CrudHelpers.recordChange(req, 'devices', existing.id, 'update', existing);
+            return db.get('SELECT * FROM devices WHERE id = ?', [existing.id]);
+        });
+        res.json(device);
+    } catch (error) {
+        const errorInfo = ErrorHandler.handleDatabaseError(error, { field: 'room_id' });
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+router.delete('/devices/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const device = await databaseService.get('SELECT * FROM devices WHERE id = ?', [req.params.id]);
+    if (!device) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Device');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    // Close the gap so the rest of the chain stays numbered 1..n
+    await databaseService.transaction(async (db) => {
+        await CrudHelpers.recordChange(req, 'devices', device.id, 'delete', device);
+        await db.run('DELETE FROM devices WHERE id = ?', [device.id]);
+        await writeDeviceChain(db, await getDeviceChain(db, device.circuit_id));
+    });
+    res.json({ message: 'Device deleted successfully' });
+}));
+
+// Attachment routes
+router.get('/panels/:panelId/attachments', validateId('panelId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const panel = await databaseService.get('SELECT id FROM panels WHERE id = ?', [req.params.panelId]);
+    if (!panel) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Panel');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    // The panel gallery covers the panel itself and everything in it
+    const attachments = await databaseService.all(`${ATTACHMENT_SELECT}
+        WHERE a.panel_id = ? OR b.panel_id = ? OR cb.panel_id = ?
+        ORDER BY a.created_at DESC, a.id DESC
+    `, [panel.id, panel.id, panel.id]);
+    res.json(attachments.map(formatAttachment));
+}));
+
+router.get('/breakers/:breakerId/attachments', validateId('breakerId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const attachments = await databaseService.all(`${ATTACHMENT_SELECT}
+        WHERE a.breaker_id = ? OR c.breaker_id = ?
+        ORDER BY a.created_at DESC, a.id DESC
+    `, [req.params.breakerId, req.params.breakerId]);
+    res.json(attachments.map(formatAttachment));
+}));
+
+router.get('/attachments/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const attachment = await databaseService.get(`${ATTACHMENT_SELECT} WHERE a.id = ?`, [req.params.id]);
+    if (!attachment) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Attachment');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+    res.json(formatAttachment(attachment));
+}));
+
+router.get('/attachments/:id/file', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const attachment = await databaseService.get('SELECT * FROM attachments WHERE id = ?', [req.params.id]);
+    if (!attachment) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Attachment');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    sendAttachmentFile(res, attachment.stored_name, {
+        'Content-Type': attachment.mime_type,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`
+    });
+}));
+
+router.get('/attachments/:id/thumbnail', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const attachment = await databaseService.get('SELECT * FROM attachments WHERE id = ?', [req.params.id]);
+    if (!attachment) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Attachment');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    // Images uploaded without a thumbnail fall back to the full-size file
+    if (attachment.thumbnail_name) {
+        return sendAttachmentFile(res, attachment.thumbnail_name);
+    }
+    if (AttachmentStorage.IMAGE_TYPES.includes(attachment.mime_type)) {
+        return sendAttachmentFile(res, attachment.stored_name, { 'Content-Type': attachment.mime_type });
+    }
+    ErrorHandler.sendError(res, { status: 404, message: 'Attachment has no thumbnail' });
+}));
+
+router.post('/attachments', parseAttachmentBody, validateAttachmentUpload, ErrorHandler.asyncHandler(async (req, res) => {
+    const { field, id: ownerId } = req.attachmentOwner;
+    const ownerTable = { panel_id: 'panels', breaker_id: 'breakers', circuit_id: 'circuits' }[field];
+    const owner = await databaseService.get(`SELECT id FROM ${ownerTable} WHERE id = ?`, [ownerId]);
+    if (!owner) {
+        return CrudHelpers.handleValidationError(res, `Invalid ${field} - ${field.replace('_id', '')} does not exist`);
+    }
+
+    const mimeType = req.get('Content-Type').split(';')[0].trim();
+    const storedName = await attachmentStorage.save(req.body, mimeType);
+    try {
+        const result = await databaseService.run(
+            `INSERT INTO attachments (${field}, original_name, stored_name, mime_type, size, caption) VALUES (?, ?, ?, ?, ?, ?)`,
+            [ownerId, req.query.filename.trim(), storedName, mimeType, req.body.length, req.query.caption?.trim() || null]
+        );
+        const attachment = await databaseService.get(`${ATTACHMENT_SELECT} WHERE a.id = ?`, [result.id]);
+        res.status(201).json(formatAttachment(attachment));
+    } catch (error) {
+        await attachmentStorage.remove([storedName]);
+        const errorInfo = ErrorHandler.handleDatabaseError(error, { field });
+        ErrorHandler.sendError(res, errorInfo);
+    }
+}));
+
+// Thumbnails are rendered by the browser that uploaded the image
+router.put('/attachments/:id/thumbnail', validateId(), parseAttachmentBody, ErrorHandler.asyncHandler(async (req, res) => {
+    const attachment = await databaseService.get('SELECT * FROM attachments WHERE id = ?', [req.params.id]);
+    if (!attachment) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Attachment');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    const mimeType = req.get('Content-Type')?.split(';')[0].trim();
+    if (!AttachmentStorage.IMAGE_TYPES.includes(mimeType)) {
+        return CrudHelpers.handleValidationError(res, `Thumbnails must be one of: ${AttachmentStorage.IMAGE_TYPES.join(', ')}`);
+    }
+    const fileError = AttachmentStorage.validateFile(req.body, mimeType);
+    if (fileError) {
+        return CrudHelpers.handleValidationError(res, fileError);
+    }
+
+    const thumbnailName = await attachmentStorage.save(req.body, mimeType);
+    await databaseService.run('UPDATE attachments SET thumbnail_name = ? WHERE id = ?', [thumbnailName, attachment.id]);
+    await attachmentStorage.remove([attachment.thumbnail_name]);
+
+    const updated = await databaseService.get(`${ATTACHMENT_SELECT} WHERE a.id = ?`, [attachment.id]);
+    res.json(formatAttachment(updated));
+}));
+
+router.put('/attachments/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const { caption } = req.body;
+    if (caption !== undefined && caption !== null && (typeof caption !== 'string' || caption.length > 500)) {
+        return CrudHelpers.handleValidationError(res, 'Caption must be at most 500 characters');
+    }
+
+    const result = await databaseService.run('UPDATE attachments SET caption = ? WHERE id = ?', [caption?.trim() || null, req.params.id]);
+    if (result.changes === 0) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Attachment');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    const attachment = await databaseService.get(`${ATTACHMENT_SELECT} WHERE a.id = ?`, [req.params.id]);
+    res.json(formatAttachment(attachment));
+}));
+
+router.delete('/attachments/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const attachment = await databaseService.get('SELECT * FROM attachments WHERE id = ?', [req.params.id]);
+    if (!attachment) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Attachment');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    await databaseService.run('DELETE FROM attachments WHERE id = ?', [attachment.id]);
+    await attachmentStorage.remove([attachment.stored_name, attachment.thumbnail_name]);
+    res.json({ message: 'Attachment deleted successfully' });
+}));
+
+// Tracing session routes
+router.get('/panels/:panelId/tracing-sessions', validateId('panelId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const panel = await databaseService.get('SELECT id FROM panels WHERE id = ?', [req.params.panelId]);
+    if (!panel) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Panel');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    const sessions = await databaseService.all(`
+        SELECT s.*, COUNT(t.id) as step_count,
+               COALESCE(SUM(CASE WHEN t.accepted_at IS NOT NULL THEN 1 ELSE 0 END), 0) as accepted_count
+        FROM tracing_sessions s
+        LEFT JOIN tracing_steps t ON t.session_id = s.id
+        WHERE s.panel_id = ?
+        GROUP BY s.id
+        ORDER BY s.started_at DESC, s.id DESC
+    `, [panel.id]);
+    res.json({ progress: await getTracingProgress(panel.id), sessions });
+}));
+
+router.get('/tracing-sessions/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const session = await databaseService.get('SELECT * FROM tracing_sessions WHERE id = ?', [req.params.id]);
+    if (!session) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Tracing session');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    const steps = await databaseService.all('SELECT * FROM tracing_steps WHERE session_id = ? ORDER BY recorded_at, id', [session.id]);
+    res.json({
+        ...session,
+        progress: await getTracingProgress(session.panel_id),
+        steps: await Promise.all(steps.map(describeTracingStep))
+    });
+}));
+
+router.post('/tracing-sessions', validateTracingSessionData, ErrorHandler.asyncHandler(async (req, res) => {
+    const { panel_id: panelId, notes } = req.body;
+
+    const panel = await databaseService.get('SELECT id FROM panels WHERE id = ?', [panelId]);
+    if (!panel) {
+        return CrudHelpers.handleValidationError(res, 'Invalid panel_id - panel does not exist');
+    }
+    const open = await databaseService.get('SELECT id FROM tracing_sessions WHERE panel_id = ? AND completed_at IS NULL', [panelId]);
+    if (open) {
+        return ErrorHandler.sendError(res, { status: 409, message: `This panel already has an open tracing session (#${open.id}); finish it first` });
+    }
+
+    const result = await databaseService.run('INSERT INTO tracing_sessions (panel_id, notes) VALUES (?, ?)', [panelId, notes?.trim() || null]);
+    const session = await databaseService.get('SELECT * FROM tracing_sessions WHERE id = ?', [result.id]);
+    res.status(201).json({ ...session, progress: await getTracingProgress(panelId), steps: [] });
+}));
+
+router.put('/tracing-sessions/:id', validateId(), validateTracingSessionData, ErrorHandler.asyncHandler(async (req, res) => {
+    const session = await databaseService.get('SELECT * FROM tracing_sessions WHERE id = ?', [req.params.id]);
+    if (!session) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Tracing session');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+
+    const { notes, completed } = req.body;
+    if (completed === false && session.completed_at) {
+        const open = await databaseService.get('SELECT id FROM tracing_sessions WHERE panel_id = ? AND completed_at IS NULL', [session.panel_id]);
+        if (open) {
+            return ErrorHandler.sendError(res, { status: 409, message: `This panel already has an open tracing session (#${open.id}); finish it first` });
+        }
+    }
+
+    // completed: true finishes the session, false reopens it
+    let completedAt = 'completed_at';
+    if (completed === true) completedAt = 'COALESCE(completed_at, CURRENT_TIMESTAMP)';
+    if (completed === false) completedAt = 'NULL';
+    await databaseService.run(
+        `UPDATE tracing_sessions SET notes = ?, completed_at = ${completedAt} WHERE id = ?`,
+        [notes !== undefined ? notes?.trim() || null : session.notes, session.id]
+    );
+
+    const updated = await databaseService.get('SELECT * FROM tracing_sessions WHERE id = ?', [session.id]);
+    res.json(updated);
+}));
+
+router.delete('/tracing-sessions/:id', validateId(), CrudHelpers.createDeleteHandler('tracing_sessions', 'Tracing session'));
+
+// Record what went dead with a breaker switched off
+router.post('/tracing-sessions/:id/steps', validateId(), validateTracingStepData, ErrorHandler.asyncHandler(async (req, res) => {
+    const session = await databaseService.get('SELECT * FROM tracing_sessions WHERE id = ?', [req.params.id]);
+    if (!session) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Tracing session');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+    if (session.completed_at) {
+        return ErrorHandler.sendError(res, { status: 409, message: 'This tracing session is finished; start a new one to keep tracing' });
+    }
+
+    const { breaker_id: breakerId, notes } = req.body;
+    const roomIds = [...new Set(req.body.room_ids || [])];
+    const deviceIds = [...new Set(req.body.device_ids || [])];
+
+    const breaker = await databaseService.get('SELECT id FROM breakers WHERE id = ? AND panel_id = ?', [breakerId, session.panel_id]);
+    if (!breaker) {
+        return CrudHelpers.handleValidationError(res, 'Invalid breaker_id - breaker is not in this panel');
+    }
+    const placeholders = ids => ids.map(() => '?').join(', ');
+    const rooms = roomIds.length ? await databaseService.all(
+        `SELECT id FROM rooms WHERE id IN (${placeholders(roomIds)}) AND site_id = (SELECT site_id FROM panels WHERE id = ?)`,
+        [...roomIds, session.panel_id]
+    ) : [];
+    if (rooms.length !== roomIds.length) {
+        return CrudHelpers.handleValidationError(res, 'room_ids contains a room that does not exist at this site');
+    }
+    const devices = deviceIds.length ? await databaseService.all(`SELECT id FROM devices WHERE id IN (${placeholders(deviceIds)})`, deviceIds) : [];
+    if (devices.length !== deviceIds.length) {
+        return CrudHelpers.handleValidationError(res, 'device_ids contains a device that does not exist');
+    }
+
+    const stepId = await databaseService.transaction(async (db) => {
+        const result = await db.run('INSERT INTO tracing_steps (session_id, breaker_id, notes) VALUES (?, ?, ?)', [session.id, breakerId, notes?.trim() || null]);
+        for (const roomId of roomIds) {
+            await db.run('INSERT INTO tracing_findings (step_id, room_id) VALUES (?, ?)', [result.id, roomId]);
+        }
+        for (const deviceId of deviceIds) {
+            await db.run('INSERT INTO tracing_findings (step_id, device_id) VALUES (?, ?)', [result.id, deviceId]);
+        }
+        return result.id;
+    });
+
+    const step = await databaseService.get('SELECT * FROM tracing_steps WHERE id = ?', [stepId]);
+    res.status(201).json(await describeTracingStep(step));
+}));
+
+// Apply the proposals (all, or the listed proposal_ids) and mark the breaker confirmed
+router.post('/tracing-sessions/:id/steps/:stepId/accept', validateId(), validateId('stepId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const step = await databaseService.get('SELECT * FROM tracing_steps WHERE id = ? AND session_id = ?', [req.params.stepId, req.params.id]);
+    if (!step) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Tracing step');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+    if (step.accepted_at) {
+        return ErrorHandler.sendError(res, { status: 409, message: 'This tracing step has already been accepted' });
+    }
+
+    const { proposal_ids: proposalIds } = req.body;
+    if (proposalIds !== undefined && (!Array.isArray(proposalIds) || !proposalIds.every(id => typeof id === 'string'))) {
+        return CrudHelpers.handleValidationError(res, 'proposal_ids must be an array of proposal IDs');
+    }
+
+    const { proposals } = await describeTracingStep(step);
+    const selected = proposalIds === undefined ? proposals : proposals.filter(proposal => proposalIds.includes(proposal.id));
+    const unknown = (proposalIds || []).find(id => !proposals.some(proposal => proposal.id === id));
+    if (unknown) {
+        return CrudHelpers.handleValidationError(res, `Proposal '${unknown}' no longer applies; reload the step and try again`);
+    }
+    const missingTarget = selected.find(proposal => proposal.target_proposal_id && !selected.some(other => other.id === proposal.target_proposal_id));
+    if (missingTarget) {
+        const target = proposals.find(proposal => proposal.id === missingTarget.target_proposal_id);
+        return CrudHelpers.handleValidationError(res, `"${missingTarget.message}" also needs "${target.message}"`);
+    }
+
+    const breaker = await databaseService.get('SELECT * FROM breakers WHERE id = ?', [step.breaker_id]);
+    await databaseService.transaction(async (db) => {
+        await applyTracingProposals(db, req, breaker, selected);
+        await db.run('UPDATE breakers SET confirmed = 1 WHERE id = ?', [breaker.id]);
+        await CrudHelpers.recordChange(req, 'breakers', breaker.id, 'update', breaker);
+        await db.run('UPDATE tracing_steps SET accepted_at = CURRENT_TIMESTAMP WHERE id = ?', [step.id]);
+    });
+
+    const accepted = await databaseService.get('SELECT * FROM tracing_steps WHERE id = ?', [step.id]);
+    res.json({
+        step: await describeTracingStep(accepted),
+        applied: selected,
+        progress: await getTracingProgress(breaker.panel_id)
+    });
+}));
+
+router.delete('/tracing-sessions/:id/steps/:stepId', validateId(), validateId('stepId'), ErrorHandler.asyncHandler(async (req, res) => {
+    const result = await databaseService.run('DELETE FROM tracing_steps WHERE id = ? AND session_id = ?', [req.params.stepId, req.params.id]);
+    if (result.changes === 0) {
+        const errorInfo = ErrorHandler.handleNotFoundError('Tracing step');
+        return ErrorHandler.sendError(res, errorInfo);
+    }
+    res.json({ message: 'Tracing step deleted successfully' });
+}));
+
+// Undo/redo routes
+router.get('/operations', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    res.json(await UndoStack.getState(databaseService, req.siteId));
+}));
+
+// Group the changes of several requests, sent with an X-Operation-Id header, into one undo step
+router.post('/operations', ErrorHandler.asyncHandler(async (req, res) => {
+    const { label } = req.body;
+    if (!label || typeof label !== 'string' || label.trim().length === 0 || label.length > 200) {
+        return CrudHelpers.handleValidationError(res, 'Label is required and must be at most 200 characters');
+    }
+    const id = await UndoStack.begin(databaseService, label.trim(), ChangeHistory.getActor(req));
+    res.status(201).json(await databaseService.get('SELECT * FROM operations WHERE id = ?', [id]));
+}));
+
+for (const direction of ['undo', 'redo']) {
+    router.post(`/operations/${direction}`, validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+        let operation;
+        try {
+            operation = await databaseService.transaction(async (db) => {
+                // Once there are accounts, people undo their own changes and admins anyone's
+                const applied = await UndoStack[direction](db, ChangeHistory.getActor(req), {
+                    siteId: req.siteId,
+                    ownOnly: Boolean(req.user) && !Auth.hasRole(req.user, 'admin')
+                });
+                if (applied) {
+                    await Trash.restoreAttachments(db, applied.id);
+                }
+                return applied;
+            });
+        } catch (error) {
+            if (error instanceof UndoStack.ConflictError) {
+                return ErrorHandler.sendError(res, { status: 409, message: `Can't ${direction}: ${error.message}` });
+            }
+            if (error instanceof UndoStack.ForbiddenError) {
+                return ErrorHandler.sendError(res, { status: 403, message: `Can't ${direction}: ${error.message}` });
+            }
+            throw error;
+        }
+        if (!operation) {
+            return ErrorHandler.sendError(res, { status: 409, message: `Nothing to ${direction}` });
+        }
+
+        await removeOrphanedAttachmentFiles();
+        res.json({ [direction === 'undo' ? 'undone' : 'redone']: operation, ...(await UndoStack.getState(databaseService, req.siteId)) });
+    }));
+}
+
+// Trash routes
+router.get('/trash', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    await purgeExpiredTrash();
+    res.json({
+        retention_days: Trash.parseRetentionDays(databaseService.trashRetentionDays),
+        items: await Trash.list(databaseService, req.siteId)
+    });
+}));
+
+router.post('/trash/:id/restore', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const item = await Trash.get(databaseService, req.params.id);
+    if (!item) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Trash item'));
+    }
+
+    let operationId;
+    try {
+        operationId = await databaseService.transaction(db => Trash.restore(db, item, ChangeHistory.getActor(req)));
+    } catch (error) {
+        if (error instanceof UndoStack.ConflictError) {
+            return ErrorHandler.sendError(res, { status: 409, message: `Can't restore ${item.name}: ${error.message}` });
+        }
+        throw error;
+    }
+
+    res.json({
+        message: `Restored ${item.name}`,
+        restored: { entity_type: item.entity_type, entity_id: item.entity_id },
+        operation: await databaseService.get('SELECT * FROM operations WHERE id = ?', [operationId])
+    });
+}));
+
+router.delete('/trash/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const item = await Trash.get(databaseService, req.params.id);
+    if (!item) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Trash item'));
+    }
+    await Trash.purge(databaseService, { id: item.id });
+    await removeOrphanedAttachmentFiles();
+    res.json({ message: `Permanently deleted ${item.name}` });
+}));
+
+router.delete('/trash', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    const items = await Trash.list(databaseService, req.siteId);
+    for (const item of items) {
+        await Trash.purge(databaseService, { id: item.id });
+    }
+    await removeOrphanedAttachmentFiles();
+    res.json({ message: 'Trash emptied', deleted: items.length });
+}));
+
+// History routes
+router.get('/history', validateHistoryQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    const filters = req.historyFilters;
+    const conditions = [];
+    const params = [];
+    ['entity_type', 'entity_id', 'action', 'site_id'].filter(field => filters[field] !== null).forEach(field => {
+        conditions.push(`${field} = ?`);
+        params.push(filters[field]);
+    });
+    // Circuits that moved away from a breaker or panel still show up in its history
+    ['panel_id', 'breaker_id'].filter(field => filters[field] !== null).forEach(field => {
+        conditions.push(`(${field} = ? OR json_extract(before_values, '$.${field}') = ?)`);
+        params.push(filters[field], filters[field]);
+    });
+    if (filters.since) {
+        conditions.push('created_at >= ?');
+        params.push(filters.since);
+    }
+    if (filters.until) {
+        conditions.push('created_at <= ?');
+        params.push(filters.until);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = await databaseService.get(`SELECT COUNT(*) as total FROM change_history ${where}`, params);
+    const rows = await databaseService.all(
+        `SELECT * FROM change_history ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, filters.limit, filters.offset]
+    );
+
+    res.json({ total, limit: filters.limit, offset: filters.offset, entries: rows.map(ChangeHistory.format) });
+}));
+
+// Panel template routes
+router.get('/panel-templates', ErrorHandler.asyncHandler(async (req, res) => {
+    const templates = await databaseService.all('SELECT * FROM panel_templates ORDER BY name');
+    res.json(templates.map(PanelTemplate.format));
+}));
+
+router.post('/panel-templates', validatePanelCopyData, ErrorHandler.asyncHandler(async (req, res) => {
+    const panelId = req.body.panel_id;
+    if (!Number.isInteger(panelId) || panelId <= 0) {
+        return CrudHelpers.handleValidationError(res, 'Valid panel ID is required');
+    }
+    const panel = await databaseService.get('SELECT * FROM panels WHERE id = ?', [panelId]);
+    if (!panel) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel'));
+    }
+
+    const { breakers, circuits } = await getPanelContents(panelId);
+    const includeCircuits = req.body.include_circuits === true;
+    const layout = PanelTemplate.getLayout(panel);
+    try {
+        const result = await databaseService.run(
+            `INSERT INTO panel_templates (name, size, main_amperage, phase_config, numbering_scheme, model_id, includes_circuits, breakers)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.body.name.trim(), layout.size, layout.main_amperage, layout.phase_config, layout.numbering_scheme, layout.model_id,
+                includeCircuits ? 1 : 0, JSON.stringify(PanelTemplate.copyBreakers(breakers, circuits, { includeCircuits }))
+            ]
+        );
+        const template = await databaseService.get('SELECT * FROM panel_templates WHERE id = ?', [result.id]);
+        res.status(201).json(PanelTemplate.format(template));
+    } catch (error) {
+        ErrorHandler.sendError(res, ErrorHandler.handleDatabaseError(error));
+    }
+}));
+
+router.post('/panel-templates/:id/panels', validateId(), validatePanelCopyData, validateSiteId, ErrorHandler.asyncHandler(async (req, res) => {
+    const row = await databaseService.get('SELECT * FROM panel_templates WHERE id = ?', [req.params.id]);
+    if (!row) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel template'));
+    }
+
+    const template = PanelTemplate.format(row);
+    const panel = await databaseService.transaction(async (db) => {
+        await UndoStack.getOperationId(db, req, `Create panel "${req.body.name.trim()}" from template "${template.name}"`);
+        return createPanelCopy(db, req, { ...template, name: req.body.name, site_id: req.body.site_id }, template.breakers);
+    });
+    res.status(201).json(panel);
 }));
 
-router.delete('/circuits/:id', validateId(), CrudHelpers.createDeleteHandler('circuits', 'Circuit'));
+router.delete('/panel-templates/:id', validateId(), CrudHelpers.createDeleteHandler('panel_templates', 'Panel template'));
+
+// Panel model routes
+router.get('/panel-models', ErrorHandler.asyncHandler(async (req, res) => {
+    const models = await databaseService.all(`
+        SELECT m.*, COUNT(p.id) as panel_count
+        FROM panel_models m
+        LEFT JOIN panels p ON p.model_id = m.id
+        GROUP BY m.id
+        ORDER BY m.manufacturer, m.model
+    `);
+    res.json(models.map(PanelModel.format));
+}));
+
+router.get('/panel-models/:id', validateId(), ErrorHandler.asyncHandler(async (req, res) => {
+    const model = await getPanelModel(req.params.id);
+    if (!model) {
+        return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel model'));
+    }
+    res.json(model);
+}));
+
+router.post('/panel-models', validatePanelModelData, ErrorHandler.asyncHandler(async (req, res) => {
+    const modelData = ErrorHandler.processPanelModelData(req.body);
+    try {
+        const result = await databaseService.run(
+            `INSERT INTO panel_models (manufacturer, model, spaces, max_circuits, bus_rating, breaker_series, tandem_positions, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [modelData.manufacturer, modelData.model, modelData.spaces, modelData.max_circuits, modelData.bus_rating,
+             modelData.breaker_series, modelData.tandem_positions, modelData.notes]
+        );
+        res.status(201).json(await getPanelModel(result.id));
+    } catch (error) {
+        ErrorHandler.sendError(res, ErrorHandler.handleDatabaseError(error));
+    }
+}));
+
+// Panels already using a model keep their breakers; the new rules apply to what is placed next
+router.put('/panel-models/:id', validateId(), validatePanelModelData, ErrorHandler.asyncHandler(async (req, res) => {
+    const modelData = ErrorHandler.processPanelModelData(req.body);
+    try {
+        const result = await databaseService.run(
+            `UPDATE panel_models SET manufacturer = ?, model = ?, spaces = ?, max_circuits = ?, bus_rating = ?, breaker_series = ?, tandem_positions = ?, notes = ?
+             WHERE id = ?`,
+            [modelData.manufacturer, modelData.model, modelData.spaces, modelData.max_circuits, modelData.bus_rating,
+             modelData.breaker_series, modelData.tandem_positions, modelData.notes, req.params.id]
+        );
+        if (result.changes === 0) {
+            return ErrorHandler.sendError(res, ErrorHandler.handleNotFoundError('Panel model'));
+        }
+        res.json(await getPanelModel(req.params.id));
+    } catch (error) {
+        ErrorHandler.sendError(res, ErrorHandler.handleDatabaseError(error));
+    }
+}));
+
+router.delete('/panel-models/:id', validateId(), ErrorHandler.asyncHandler(async (req, res, next) => {
+    const row = await databaseService.get('SELECT COUNT(*) as count FROM panels WHERE model_id = ?', [req.params.id]);
+    if (row.count > 0) {
+        return ErrorHandler.sendError(res, {
+            status: 409,
+            message: `Change the model of the ${row.count} panel${row.count === 1 ? '' : 's'} using this model before deleting it`
+        });
+    }
+    next();
+}), CrudHelpers.createDeleteHandler('panel_models', 'Panel model'));
+
+// Backup routes
+router.get('/export', ErrorHandler.asyncHandler(async (req, res) => {
+    const backup = await Backup.export(databaseService);
+    res.set('Content-Disposition', `attachment; filename="breaker-panel-backup-${backup.exported_at.slice(0, 10)}.json"`);
+    res.json(backup);
+}));
+
+router.post('/import', validateImportQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    const mode = req.importMode;
+    if (mode === 'replace' && req.user && !Auth.hasRole(req.user, 'admin')) {
+        return ErrorHandler.sendError(res, { status: 403, message: 'Only admins can replace all data with a backup' });
+    }
+    const errors = Backup.validate(req.body);
+    if (errors.length > 0) {
+        return ErrorHandler.sendError(res, { status: 400, message: 'The backup can\'t be restored', details: { errors } });
+    }
+
+    try {
+        const summary = await databaseService.transaction(async (db) => {
+            if (mode === 'replace') {
+                return Backup.import(db, req.body, { mode });
+            }
+            // A merge undoes as one step; a replace clears the undo stack
+            await UndoStack.getOperationId(db, req, 'Import backup');
+            return Backup.import(db, req.body, {
+                mode,
+                onCreate: (table, id) => CrudHelpers.recordChange(req, table, id, 'create', null)
+            });
+        });
+        if (mode === 'replace') {
+            await removeOrphanedAttachmentFiles();
+        }
+        res.json({ mode, ...summary });
+    } catch (error) {
+        if (error instanceof Backup.ImportError) {
+            return ErrorHandler.sendError(res, { status: 400, message: 'The backup can\'t be restored', details: { errors: [error.message] } });
+        }
+        throw error;
+    }
+}));
+
+// Hierarchy routes
+router.get('/hierarchy', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    const [panels, breakers, circuits] = await Promise.all([
+        databaseService.all('SELECT * FROM panels WHERE (? IS NULL OR site_id = ?)', [req.siteId, req.siteId]),
+        databaseService.all(
+            'SELECT b.* FROM breakers b JOIN panels p ON b.panel_id = p.id WHERE (? IS NULL OR p.site_id = ?)',
+            [req.siteId, req.siteId]
+        ),
+        databaseService.all(
+            'SELECT c.* FROM circuits c JOIN breakers b ON c.breaker_id = b.id JOIN panels p ON b.panel_id = p.id WHERE (? IS NULL OR p.site_id = ?)',
+            [req.siteId, req.siteId]
+        )
+    ]);
+    // Feeders never cross sites, so one calculation covers every site's panels
+    const loads = LoadCalculator.calculate({ panels, breakers, circuits });
+    res.json(PanelHierarchy.build({ panels, breakers, circuits }, loads));
+}));
+
+// Report routes
+router.get('/reports/wiring-issues', validateSiteQuery, ErrorHandler.asyncHandler(async (req, res) => {
+    const breakers = await databaseService.all(`
+        SELECT b.*, p.name as panel_name
+        FROM breakers b
+        JOIN panels p ON b.panel_id = p.id
+        WHERE (? IS NULL OR p.site_id = ?)
+    `, [req.siteId, req.siteId]);
+    const circuits = await databaseService.all(`
+        SELECT c.*, r.name as room
+        FROM circuits c
+        JOIN breakers b ON c.breaker_id = b.id
+        JOIN panels p ON b.panel_id = p.id
+        LEFT JOIN rooms r ON c.room_id = r.id
+        WHERE c.wire_gauge IS NOT NULL AND (? IS NULL OR p.site_id = ?)
+    `, [req.siteId, req.siteId]);
+
+    const breakersById = new Map(breakers.map(breaker => [breaker.id, breaker]));
+    const circuitsById = new Map(circuits.map(circuit => [circuit.id, circuit]));
+    const issues = AmpacityChecker.checkAll(breakers, circuits).map(warning => {
+        const breaker = breakersById.get(warning.breaker_id);
+        return {
+            ...warning,
+            panel_id: breaker.panel_id,
+            panel_name: breaker.panel_name,
+            position: breaker.position,
+            slot_position: breaker.slot_position,
+            label: breaker.label,
+            room: circuitsById.get(warning.circuit_id).room || null
+        };
+    });
+    issues.sort((a, b) => a.panel_name.localeCompare(b.panel_name) || a.position - b.position);
+
+    res.json({ count: issues.length, issues });
+}));
 
 
 module.exports = { router, setDatabaseService };
\ No newline at end of file
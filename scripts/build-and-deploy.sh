@@ -93,7 +93,6 @@ fi
 
 # Create directories if they don't exist
 mkdir -p /mnt/user/appdata/breaker-panel-helper/data
-mkdir -p /mnt/user/appdata/breaker-panel-helper/csv-imports
 chown -R 1001:1001 /mnt/user/appdata/breaker-panel-helper
 
 # Run the new container
@@ -102,7 +101,6 @@ docker run -d \\
   --restart unless-stopped \\
   -p 3000:3000 \\
   -v /mnt/user/appdata/breaker-panel-helper/data:/app/data \\
-  -v /mnt/user/appdata/breaker-panel-helper/csv-imports:/app/csv-imports:ro \\
   -e NODE_ENV=production \\
   -e TZ=America/New_York \\
   ${REGISTRY_URL:+${REGISTRY_URL}/}${IMAGE_NAME}:${VERSION}
@@ -3,13 +3,18 @@ const cors = require('cors');
 const path = require('path');
 const DatabaseService = require('./services/database-service');
 const ErrorHandler = require('./services/error-handler');
+const Auth = require('./services/auth');
 const { router, setDatabaseService } = require('./routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// The app is served from its own origin; only allow other origins that are configured,
+// e.g. CORS_ORIGIN=http://homeassistant.local:8123
+if (process.env.CORS_ORIGIN) {
+    app.use(cors({ origin: process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()), credentials: true }));
+}
 app.use(express.json({ limit: '10mb' })); // More secure than bodyParser
 app.use(express.static('public'));
 
@@ -37,8 +42,18 @@ const connectDB = async () => {
     const DB_PATH = process.env.DB_PATH || 'breaker_panel.db';
     
     try {
-        await databaseService.initialize(DB_PATH);
+        await databaseService.initialize(DB_PATH, {
+            attachmentsDir: process.env.ATTACHMENTS_DIR,
+            trashRetentionDays: process.env.TRASH_RETENTION_DAYS
+        });
         setDatabaseService(databaseService);
+        const admin = await Auth.ensureAdmin(databaseService, {
+            username: process.env.ADMIN_USERNAME,
+            password: process.env.ADMIN_PASSWORD
+        });
+        if (admin) {
+            console.log(`Created admin account '${admin.username}'`);
+        }
         console.log('Database service initialized successfully');
     } catch (error) {
         console.error('Failed to initialize database service:', error.message);
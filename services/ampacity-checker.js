@@ -0,0 +1,117 @@
+/**
+ * Ampacity Checker - Flags breakers that are too large for the wire they protect
+ *
+ * Ampacities follow the NEC 310.16 table. NM-B and UF-B cable is limited to the
+ * 60°C column; other wiring methods use 75°C. Small conductors are capped by
+ * 240.4(D) (e.g. 14 AWG copper on 15A), and 240.4(B) allows the next standard
+ * breaker size up when the ampacity falls between sizes.
+ */
+
+const WIRE_GAUGES = ['14', '12', '10', '8', '6', '4', '3', '2', '1', '1/0', '2/0', '3/0', '4/0'];
+const WIRE_MATERIALS = ['cu', 'al'];
+const CABLE_TYPES = ['nm_b', 'uf_b', 'mc', 'ac', 'thhn', 'ser', 'other'];
+
+// Cable types whose listing limits them to the 60°C ampacity column
+const SIXTY_DEGREE_CABLES = ['nm_b', 'uf_b'];
+
+const AMPACITY = {
+    cu: {
+        60: { '14': 15, '12': 20, '10': 30, '8': 40, '6': 55, '4': 70, '3': 85, '2': 95, '1': 110, '1/0': 125, '2/0': 145, '3/0': 165, '4/0': 195 },
+        75: { '14': 20, '12': 25, '10': 35, '8': 50, '6': 65, '4': 85, '3': 100, '2': 115, '1': 130, '1/0': 150, '2/0': 175, '3/0': 200, '4/0': 230 }
+    },
+    al: {
+        60: { '12': 15, '10': 25, '8': 35, '6': 40, '4': 55, '3': 65, '2': 75, '1': 85, '1/0': 100, '2/0': 115, '3/0': 130, '4/0': 150 },
+        75: { '12': 20, '10': 30, '8': 40, '6': 50, '4': 65, '3': 75, '2': 90, '1': 100, '1/0': 120, '2/0': 135, '3/0': 155, '4/0': 180 }
+    }
+};
+
+// 240.4(D) small conductor overcurrent limits
+const SMALL_CONDUCTOR_LIMITS = {
+    cu: { '14': 15, '12': 20, '10': 30 },
+    al: { '12': 15, '10': 25 }
+};
+
+const STANDARD_BREAKER_SIZES = [15, 20, 25, 30, 35, 40, 45, 50, 60, 70, 80, 90, 100, 110, 125, 150, 175, 200, 225, 250, 300, 350, 400];
+
+class AmpacityChecker {
+    /**
+     * Ampacity of a conductor
+     * @param {string} gauge - AWG size, e.g. '12' or '2/0'
+     * @param {string} [material] - 'cu' or 'al'
+     * @param {string} [cableType] - Wiring method, decides the temperature column
+     * @returns {number|null} Amps, or null when the conductor isn't in the table
+     */
+    static getAmpacity(gauge, material = 'cu', cableType = null) {
+        const column = SIXTY_DEGREE_CABLES.includes(cableType) ? 60 : 75;
+        return AMPACITY[material]?.[column]?.[gauge] ?? null;
+    }
+
+    /**
+     * Largest breaker allowed to protect a conductor
+     * @param {string} gauge - AWG size
+     * @param {string} [material] - 'cu' or 'al'
+     * @param {string} [cableType] - Wiring method
+     * @returns {number|null} Breaker amps, or null when the conductor isn't in the table
+     */
+    static getMaxBreakerAmps(gauge, material = 'cu', cableType = null) {
+        const ampacity = AmpacityChecker.getAmpacity(gauge, material, cableType);
+        if (ampacity === null) return null;
+
+        const nextStandardSize = STANDARD_BREAKER_SIZES.find(size => size >= ampacity) || ampacity;
+        const smallConductorLimit = SMALL_CONDUCTOR_LIMITS[material]?.[gauge];
+        return smallConductorLimit ? Math.min(nextStandardSize, smallConductorLimit) : nextStandardSize;
+    }
+
+    /**
+     * Check a circuit's conductor against the breaker protecting it
+     * @param {Object} circuit - Circuit row
+     * @param {Object} breaker - Breaker row
+     * @returns {Object|null} Warning, or null when the wiring is fine or not recorded
+     */
+    static checkCircuit(circuit, breaker) {
+        if (!circuit.wire_gauge || !breaker?.amperage) return null;
+
+        const material = circuit.wire_material || 'cu';
+        const ampacity = AmpacityChecker.getAmpacity(circuit.wire_gauge, material, circuit.cable_type);
+        const maxBreakerAmps = AmpacityChecker.getMaxBreakerAmps(circuit.wire_gauge, material, circuit.cable_type);
+        const wire = `${circuit.wire_gauge} AWG ${material === 'al' ? 'aluminum' : 'copper'}`;
+
+        const warning = {
+            circuit_id: circuit.id,
+            breaker_id: breaker.id,
+            wire_gauge: circuit.wire_gauge,
+            wire_material: material,
+            cable_type: circuit.cable_type || null,
+            breaker_amps: breaker.amperage,
+            ampacity,
+            max_breaker_amps: maxBreakerAmps
+        };
+
+        if (ampacity === null) {
+            return { ...warning, message: `${wire} is not a permitted branch circuit conductor` };
+        }
+        if (breaker.amperage > maxBreakerAmps) {
+            return { ...warning, message: `${breaker.amperage}A breaker on ${wire} (maximum ${maxBreakerAmps}A)` };
+        }
+        return null;
+    }
+
+    /**
+     * Check every circuit on a set of breakers
+     * @param {Array} breakers - Breaker rows
+     * @param {Array} circuits - Circuit rows
+     * @returns {Array} Warnings for mismatched circuits
+     */
+    static checkAll(breakers, circuits) {
+        const breakersById = new Map(breakers.map(breaker => [breaker.id, breaker]));
+        return circuits
+            .map(circuit => AmpacityChecker.checkCircuit(circuit, breakersById.get(circuit.breaker_id)))
+            .filter(Boolean);
+    }
+}
+
+AmpacityChecker.WIRE_GAUGES = WIRE_GAUGES;
+AmpacityChecker.WIRE_MATERIALS = WIRE_MATERIALS;
+AmpacityChecker.CABLE_TYPES = CABLE_TYPES;
+
+module.exports = AmpacityChecker;
@@ -0,0 +1,135 @@
+/**
+ * Attachment Storage - Keeps uploaded photos and PDFs in a directory next to the database
+ *
+ * Files are stored under random names so an upload can never overwrite
+ * another file or escape the directory; the original name only lives in the
+ * database. Thumbnails are made in the browser and stored alongside.
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Accepted types, each with the leading bytes every file of that type starts with
+const FILE_SIGNATURES = {
+    'image/jpeg': { extension: 'jpg', matches: buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    'image/png': { extension: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/gif': { extension: 'gif', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'GIF8' },
+    'image/webp': { extension: 'webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+    'application/pdf': { extension: 'pdf', matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-' }
+};
+
+const MIME_TYPES = Object.keys(FILE_SIGNATURES);
+const IMAGE_TYPES = MIME_TYPES.filter(type => type.startsWith('image/'));
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+// Names save() gives files; nothing else in the directory is the service's to delete
+const EXTENSIONS = Object.values(FILE_SIGNATURES).map(signature => signature.extension);
+const STORED_NAME_PATTERN = new RegExp(`^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\\.(${EXTENSIONS.join('|')})$`);
+
+class AttachmentStorage {
+    /**
+     * @param {string} directory - Directory holding attachment files, created on first write
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Attachments directory for a database file
+     * @param {string} dbPath - Path to the SQLite database
+     * @returns {string|null} Sibling 'attachments' directory, or null for in-memory databases
+     */
+    static getDirectoryForDatabase(dbPath) {
+        if (!dbPath || dbPath === ':memory:') return null;
+        return path.join(path.dirname(dbPath), 'attachments');
+    }
+
+    /**
+     * Check that a file's contents match its declared type
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimeType - Declared Content-Type
+     * @returns {string|null} Error message, or null when the file is acceptable
+     */
+    static validateFile(buffer, mimeType) {
+        const signature = FILE_SIGNATURES[mimeType];
+        if (!signature) {
+            return `Unsupported file type. Upload one of: ${MIME_TYPES.join(', ')}`;
+        }
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            return 'File is empty';
+        }
+        if (!signature.matches(buffer)) {
+            return `File contents do not look like ${mimeType}`;
+        }
+        return null;
+    }
+
+    /**
+     * Write a file under a new random name
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimeType - One of MIME_TYPES
+     * @returns {Promise<string>} Stored file name
+     */
+    async save(buffer, mimeType) {
+        if (!this.directory) {
+            throw new Error('Attachments are not available without a database file');
+        }
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const storedName = `${crypto.randomUUID()}.${FILE_SIGNATURES[mimeType].extension}`;
+        await fs.promises.writeFile(path.join(this.directory, storedName), buffer);
+        return storedName;
+    }
+
+    /**
+     * Absolute path of a stored file
+     * @param {string} storedName - Name returned by save()
+     * @returns {string}
+     */
+    getPath(storedName) {
+        return path.resolve(this.directory, path.basename(storedName));
+    }
+
+    /**
+     * Delete stored files, ignoring ones that are already gone
+     * @param {Array<string|null>} storedNames - Names returned by save()
+     * @returns {Promise<void>}
+     */
+    async remove(storedNames) {
+        for (const name of storedNames.filter(Boolean)) {
+            await fs.promises.rm(this.getPath(name), { force: true });
+        }
+    }
+
+    /**
+     * Whether a file name is one save() could have given, as opposed to a file
+     * someone else put in the directory
+     * @param {string} name - File name
+     * @returns {boolean}
+     */
+    static isStoredName(name) {
+        return STORED_NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Delete stored files no attachment row refers to any more, such as those
+     * left behind when a panel, breaker or circuit was deleted. Files save()
+     * didn't write are left alone, in case the directory is shared.
+     * @param {Array<string>} referencedNames - Stored names still in the database
+     * @returns {Promise<number>} Number of files removed
+     */
+    async removeUnreferenced(referencedNames) {
+        if (!this.directory || !fs.existsSync(this.directory)) return 0;
+
+        const referenced = new Set(referencedNames);
+        const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+        const orphans = entries.filter(entry => entry.isFile() && AttachmentStorage.isStoredName(entry.name) && !referenced.has(entry.name)).map(entry => entry.name);
+        await this.remove(orphans);
+        return orphans.length;
+    }
+}
+
+AttachmentStorage.MIME_TYPES = MIME_TYPES;
+AttachmentStorage.IMAGE_TYPES = IMAGE_TYPES;
+AttachmentStorage.MAX_FILE_SIZE = MAX_FILE_SIZE;
+
+module.exports = AttachmentStorage;
@@ -0,0 +1,246 @@
+/**
+ * Auth - Local user accounts, password hashing, login sessions and API tokens
+ *
+ * Passwords are hashed with scrypt and a random salt. Logging in sets an
+ * HttpOnly cookie holding a random session token; only its SHA-256 hash is
+ * stored, so a copy of the database can't be used to log in. Roles are
+ * ranked: viewers can only read, editors can change anything, and admins
+ * also manage accounts. Scripts send a personal API token as a bearer header
+ * instead; it acts as its user, and only reads when its scope is 'read'.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_COOKIE = 'session';
+const SESSION_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+const TOKEN_SCOPES = ['read', 'write'];
+const TOKEN_PREFIX = 'bph_';
+
+// Token details that are safe to show; never the hash
+const TOKEN_COLUMNS = `id, name, scope, created_at, expires_at, last_used_at,
+    (expires_at IS NOT NULL AND expires_at <= datetime('now')) as expired`;
+
+class Auth {
+    /**
+     * Hash a password for storage
+     * @param {string} password - Plain-text password
+     * @returns {Promise<string>} 'scrypt$<salt>$<key>' in hex
+     */
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const key = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+    }
+
+    /**
+     * Check a password against a stored hash, in constant time
+     * @param {string} password - Plain-text password
+     * @param {string} passwordHash - Hash from hashPassword()
+     * @returns {Promise<boolean>}
+     */
+    static async verifyPassword(password, passwordHash) {
+        const [scheme, salt, expected] = String(passwordHash).split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+        const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+        return crypto.timingSafeEqual(key, Buffer.from(expected, 'hex'));
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Whether a user's role is at least the given one
+     * @param {Object} user - User with a role
+     * @param {string} role - One of ROLES
+     * @returns {boolean}
+     */
+    static hasRole(user, role) {
+        return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Cookies sent with a request
+     * @param {string} [header] - Cookie request header
+     * @returns {Object} Values by name
+     */
+    static parseCookies(header) {
+        const cookies = {};
+        (header || '').split(';').forEach(pair => {
+            const separator = pair.indexOf('=');
+            if (separator < 0) return;
+            const name = pair.slice(0, separator).trim();
+            try {
+                cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+            } catch {
+                // Ignore values that aren't valid percent-encoding
+            }
+        });
+        return cookies;
+    }
+
+    static async countUsers(db) {
+        const { count } = await db.get('SELECT COUNT(*) as count FROM users');
+        return count;
+    }
+
+    /**
+     * Create an account
+     * @param {Object} db - Database service or transaction handle
+     * @param {Object} user
+     * @param {string} user.username - Unique, case-insensitively
+     * @param {string} user.password - Plain-text password
+     * @param {string} user.role - One of ROLES
+     * @returns {Promise<Object>} The user, without its password hash
+     */
+    static async createUser(db, { username, password, role }) {
+        const result = await db.run(
+            'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, await Auth.hashPassword(password), role]
+        );
+        return Auth.getUser(db, result.id);
+    }
+
+    static async getUser(db, id) {
+        return db.get('SELECT id, username, role, created_at FROM users WHERE id = ?', [id]);
+    }
+
+    /**
+     * The account a username and password belong to
+     * @returns {Promise<Object|null>} The user, or null when either is wrong
+     */
+    static async authenticate(db, username, password) {
+        const row = await db.get('SELECT * FROM users WHERE username = ?', [username]);
+        if (!row || !(await Auth.verifyPassword(password, row.password_hash))) return null;
+        return Auth.getUser(db, row.id);
+    }
+
+    /**
+     * Start a login session, clearing out expired ones
+     * @param {Object} db - Database service or transaction handle
+     * @param {number} userId - User logging in
+     * @returns {Promise<string>} Session token for the cookie
+     */
+    static async createSession(db, userId) {
+        await db.run(`DELETE FROM sessions WHERE expires_at <= datetime('now')`);
+        const token = crypto.randomBytes(32).toString('base64url');
+        await db.run(
+            `INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, datetime('now', ?))`,
+            [userId, Auth.hashToken(token), `+${SESSION_DAYS} days`]
+        );
+        return token;
+    }
+
+    /**
+     * The user a session token belongs to
+     * @param {Object} db - Database service or transaction handle
+     * @param {string|null} token - Token from the session cookie
+     * @returns {Promise<Object|null>} The user, or null when the session is unknown or expired
+     */
+    static async getSessionUser(db, token) {
+        if (!token) return null;
+        const user = await db.get(`
+            SELECT u.id, u.username, u.role, u.created_at
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.token_hash = ? AND s.expires_at > datetime('now')
+        `, [Auth.hashToken(token)]);
+        return user || null;
+    }
+
+    static async endSession(db, token) {
+        if (!token) return;
+        await db.run('DELETE FROM sessions WHERE token_hash = ?', [Auth.hashToken(token)]);
+    }
+
+    /**
+     * Token sent in an 'Authorization: Bearer <token>' header
+     * @param {string} [header] - Authorization request header
+     * @returns {string|null}
+     */
+    static parseBearerToken(header) {
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Create an API token for a user
+     * @param {Object} db - Database service or transaction handle
+     * @param {number} userId - User the token acts as
+     * @param {Object} options
+     * @param {string} options.name - What the token is for, e.g. 'Home Assistant'
+     * @param {string} options.scope - One of TOKEN_SCOPES
+     * @param {number|null} options.expiresInDays - Days until it expires; null never expires
+     * @returns {Promise<Object>} The token's details, with the token itself, which isn't stored
+     */
+    static async createApiToken(db, userId, { name, scope, expiresInDays }) {
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const result = await db.run(
+            `INSERT INTO api_tokens (user_id, name, token_hash, scope, expires_at)
+             VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)`,
+            [userId, name, Auth.hashToken(token), scope, expiresInDays, `+${expiresInDays} days`]
+        );
+        return { ...(await Auth.getApiToken(db, userId, result.id)), token };
+    }
+
+    static async getApiToken(db, userId, id) {
+        return db.get(`SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE id = ? AND user_id = ?`, [id, userId]);
+    }
+
+    /**
+     * A user's API tokens, newest first
+     * @param {Object} db - Database service or transaction handle
+     * @param {number} userId
+     * @returns {Promise<Array>}
+     */
+    static async listApiTokens(db, userId) {
+        return db.all(`SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC`, [userId]);
+    }
+
+    /**
+     * The user an API token acts as, recording that the token was used
+     * @param {Object} db - Database service or transaction handle
+     * @param {string} token - Token from the Authorization header
+     * @returns {Promise<Object|null>} { user, token: { id, name, scope } }, or null when the token is unknown or expired
+     */
+    static async getApiTokenUser(db, token) {
+        const row = await db.get(`
+            SELECT u.id, u.username, u.role, u.created_at, t.id as token_id, t.name as token_name, t.scope
+            FROM api_tokens t
+            JOIN users u ON t.user_id = u.id
+            WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > datetime('now'))
+        `, [Auth.hashToken(token)]);
+        if (!row) return null;
+
+        await db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.token_id]);
+        const { token_id: id, token_name: name, scope, ...user } = row;
+        return { user, token: { id, name, scope } };
+    }
+
+    /**
+     * Create the first admin from configuration, e.g. the ADMIN_USERNAME and
+     * ADMIN_PASSWORD environment variables, unless an account already exists
+     * @param {Object} db - Database service
+     * @param {Object} account
+     * @param {string} [account.username]
+     * @param {string} [account.password]
+     * @returns {Promise<Object|null>} The admin created, if any
+     */
+    static async ensureAdmin(db, { username, password }) {
+        if (!username || !password || await Auth.countUsers(db) > 0) return null;
+        return Auth.createUser(db, { username, password, role: 'admin' });
+    }
+}
+
+Auth.ROLES = ROLES;
+Auth.SESSION_COOKIE = SESSION_COOKIE;
+Auth.SESSION_DAYS = SESSION_DAYS;
+Auth.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+Auth.TOKEN_SCOPES = TOKEN_SCOPES;
+
+module.exports = Auth;
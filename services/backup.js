@@ -0,0 +1,306 @@
+/**
+ * Backup - A versioned JSON document of everything that describes the
+ * electrical system, and restoring one
+ *
+ * A backup holds sites, levels, circuit types, panel models, rooms, panels,
+ * breakers, circuits and devices with their original IDs, so references
+ * between them resolve within the document. Photos and documents, tracing
+ * sessions, the change history, templates and accounts are not included.
+ *
+ * Restoring replaces everything or merges into what is there. A replace
+ * keeps the backup's IDs, and the panel templates, so it is refused while a
+ * template has circuits of a type the backup doesn't have. A merge gives every row a new ID, reusing the sites,
+ * levels, circuit types, panel models and rooms that already exist under the
+ * same name and adding everything else.
+ */
+
+const PanelTemplate = require('./panel-template');
+
+const FORMAT = 'breaker-panel-helper-backup';
+const VERSION = 1;
+
+// In the order they are restored. `references` are ID columns and the section
+// they point into; `keyReferences` point at another section's `key`.
+const SECTIONS = [
+    { name: 'sites', columns: ['name', 'created_at'], required: ['name'] },
+    { name: 'levels', columns: ['key', 'name', 'color', 'icon', 'sort_order', 'created_at'], required: ['key', 'name', 'sort_order'] },
+    {
+        name: 'circuit_types',
+        columns: ['key', 'name', 'icon', 'color', 'default_amperage', 'label_style', 'label_noun', 'sort_order', 'created_at'],
+        required: ['key', 'name', 'label_style', 'sort_order']
+    },
+    {
+        name: 'panel_models',
+        columns: ['manufacturer', 'model', 'spaces', 'max_circuits', 'bus_rating', 'breaker_series', 'tandem_positions', 'notes', 'created_at'],
+        required: ['manufacturer', 'model', 'spaces', 'max_circuits', 'breaker_series']
+    },
+    {
+        name: 'rooms',
+        columns: ['name', 'level', 'site_id', 'created_at'],
+        required: ['name', 'level', 'site_id'],
+        references: { site_id: 'sites' },
+        keyReferences: { level: 'levels' }
+    },
+    {
+        name: 'panels',
+        columns: ['name', 'size', 'main_amperage', 'phase_config', 'numbering_scheme', 'model_id', 'site_id', 'created_at'],
+        required: ['name', 'size', 'site_id'],
+        references: { site_id: 'sites', model_id: 'panel_models' }
+    },
+    {
+        name: 'breakers',
+        columns: ['panel_id', 'position', 'slot_position', 'label', 'amperage', 'critical', 'monitor', 'confirmed', 'breaker_type', 'protection', 'series', 'created_at'],
+        required: ['panel_id', 'position'],
+        references: { panel_id: 'panels' }
+    },
+    {
+        name: 'circuits',
+        columns: [
+            'breaker_id', 'room_id', 'type', 'notes', 'subpanel_id', 'load_value', 'load_unit', 'voltage', 'continuous',
+            'downstream_gfci', 'wire_gauge', 'wire_material', 'cable_type', 'created_at'
+        ],
+        required: ['breaker_id'],
+        references: { breaker_id: 'breakers', room_id: 'rooms', subpanel_id: 'panels' },
+        keyReferences: { type: 'circuit_types' }
+    },
+    {
+        name: 'devices',
+        columns: ['circuit_id', 'device_type', 'room_id', 'location', 'notes', 'chain_order', 'created_at'],
+        required: ['circuit_id', 'device_type', 'chain_order'],
+        references: { circuit_id: 'circuits', room_id: 'rooms' }
+    }
+];
+
+// What makes a row in the database the same as one in a merged backup
+const MATCH_COLUMNS = {
+    sites: [['name']],
+    levels: [['key'], ['name']],
+    circuit_types: [['key'], ['name']],
+    panel_models: [['manufacturer', 'model']],
+    rooms: [['site_id', 'name']]
+};
+
+const MODES = ['replace', 'merge'];
+
+// Validation stops listing problems after this many
+const MAX_ERRORS = 20;
+
+class BackupImportError extends Error {}
+
+class Backup {
+    /**
+     * Everything a backup holds, as of now
+     * @param {Object} db - Database service or transaction handle
+     * @returns {Promise<Object>} Backup document
+     */
+    static async export(db) {
+        const backup = { format: FORMAT, version: VERSION, exported_at: new Date().toISOString() };
+        for (const section of SECTIONS) {
+            backup[section.name] = await db.all(`SELECT id, ${section.columns.join(', ')} FROM ${section.name} ORDER BY id`);
+        }
+        return backup;
+    }
+
+    /**
+     * Check a backup's structure and that every reference resolves within it
+     * @param {Object} backup - Backup document
+     * @returns {string[]} Problems found, at most MAX_ERRORS; empty when it can be restored
+     */
+    static validate(backup) {
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) return ['The backup must be a JSON object'];
+        if (backup.format !== FORMAT) return [`This is not a Breaker Panel Helper backup (format should be "${FORMAT}")`];
+        if (!Number.isInteger(backup.version) || backup.version > VERSION) {
+            return [`Backup version ${backup.version} is not supported; this version of the app reads version ${VERSION} and earlier`];
+        }
+
+        const errors = [];
+        const ids = {};
+        const keys = {};
+        for (const section of SECTIONS) {
+            const rows = backup[section.name];
+            if (!Array.isArray(rows)) {
+                errors.push(`${section.name} must be a list`);
+                continue;
+            }
+            ids[section.name] = new Set();
+            keys[section.name] = new Set();
+            rows.forEach((row, index) => {
+                const at = `${section.name}[${index}]`;
+                if (!row || typeof row !== 'object' || !Number.isInteger(row.id) || row.id <= 0) {
+                    errors.push(`${at} needs a positive whole number id`);
+                    return;
+                }
+                if (ids[section.name].has(row.id)) errors.push(`${at} repeats id ${row.id}`);
+                ids[section.name].add(row.id);
+                if (row.key !== undefined) keys[section.name].add(row.key);
+                section.required
+                    .filter(column => row[column] === undefined || row[column] === null || row[column] === '')
+                    .forEach(column => errors.push(`${at} is missing ${column}`));
+            });
+        }
+        if (errors.length > 0) return errors.slice(0, MAX_ERRORS);
+
+        for (const section of SECTIONS) {
+            backup[section.name].forEach((row, index) => {
+                const at = `${section.name}[${index}]`;
+                Object.entries(section.references || {}).forEach(([column, target]) => {
+                    if (row[column] !== undefined && row[column] !== null && !ids[target].has(row[column])) {
+                        errors.push(`${at} ${column} ${row[column]} is not in ${target}`);
+                    }
+                });
+                Object.entries(section.keyReferences || {}).forEach(([column, target]) => {
+                    if (row[column] !== undefined && row[column] !== null && !keys[target].has(row[column])) {
+                        errors.push(`${at} ${column} "${row[column]}" is not in ${target}`);
+                    }
+                });
+            });
+        }
+        return errors.slice(0, MAX_ERRORS);
+    }
+
+    /**
+     * Restore a validated backup. Run inside a transaction: a row the database
+     * rejects throws Backup.ImportError and nothing is kept.
+     * @param {Object} db - Transaction handle
+     * @param {Object} backup - Backup that passed validate()
+     * @param {Object} options
+     * @param {string} options.mode - 'replace' or 'merge'
+     * @param {Function} [options.onCreate] - Awaited with (table, id) after each row is added
+     * @returns {Promise<{added: Object, matched: Object}>} Rows added and, when
+     *   merging, rows matched to existing ones, counted per section
+     */
+    static async import(db, backup, { mode, onCreate = async () => {} }) {
+        if (mode === 'replace') {
+            await Backup.checkTemplates(db, backup);
+            await Backup.clear(db);
+        }
+
+        const idMaps = {};
+        const keyMaps = {};
+        const added = {};
+        const matched = {};
+        for (const section of SECTIONS) {
+            idMaps[section.name] = new Map();
+            keyMaps[section.name] = new Map();
+            added[section.name] = 0;
+            matched[section.name] = 0;
+
+            for (const [index, source] of backup[section.name].entries()) {
+                const row = Backup.mapReferences(section, source, idMaps, keyMaps);
+                const existing = mode === 'merge' ? await Backup.findMatch(db, section.name, row) : null;
+                let id;
+                if (existing) {
+                    id = existing.id;
+                    matched[section.name]++;
+                } else {
+                    id = await Backup.insert(db, section, mode === 'replace' ? { ...row, id: source.id } : row, `${section.name}[${index}]`);
+                    added[section.name]++;
+                    await onCreate(section.name, id);
+                }
+                idMaps[section.name].set(source.id, id);
+                if (source.key !== undefined) keyMaps[section.name].set(source.key, existing ? existing.key : row.key);
+            }
+        }
+        return { added, matched };
+    }
+
+    /**
+     * Throws Backup.ImportError when a kept panel template has circuits of a
+     * type that replacing with the backup would remove
+     * @param {Object} db - Transaction handle
+     * @param {Object} backup - Backup that passed validate()
+     */
+    static async checkTemplates(db, backup) {
+        const keys = new Set(backup.circuit_types.map(type => type.key));
+        const rows = await db.all('SELECT * FROM panel_templates ORDER BY name');
+        const missing = rows.map(PanelTemplate.format).map(template => {
+            const types = new Set(template.breakers.flatMap(breaker => breaker.circuits.map(circuit => circuit.type)));
+            return { template, types: [...types].filter(type => type && !keys.has(type)) };
+        }).filter(({ types }) => types.length > 0);
+
+        if (missing.length > 0) {
+            const list = missing.map(({ template, types }) => `"${template.name}" (${types.join(', ')})`).join(', ');
+            throw new BackupImportError(`Panel templates use circuit types the backup doesn't have: ${list}. Delete the templates or add the types to the backup`);
+        }
+    }
+
+    /**
+     * Remove everything a backup replaces, along with what hangs off it:
+     * attachments, tracing sessions, the undo stack and the trash
+     * @param {Object} db - Transaction handle
+     */
+    static async clear(db) {
+        // Panels take their breakers, circuits, devices, attachments and tracing sessions with them
+        for (const table of ['panels', 'rooms', 'sites', 'panel_models', 'circuit_types', 'levels', 'operations']) {
+            await db.run(`DELETE FROM ${table}`);
+        }
+    }
+
+    /**
+     * A backup row with its references pointing at the restored rows
+     * @param {Object} section - Entry of SECTIONS
+     * @param {Object} source - Row from the backup
+     * @param {Object} idMaps - Backup ID to database ID, per section
+     * @param {Object} keyMaps - Backup key to database key, per section
+     * @returns {Object} Column values
+     */
+    static mapReferences(section, source, idMaps, keyMaps) {
+        const row = Object.fromEntries(section.columns.map(column => [column, source[column] ?? null]));
+        Object.entries(section.references || {}).forEach(([column, target]) => {
+            if (row[column] !== null) row[column] = idMaps[target].get(row[column]);
+        });
+        Object.entries(section.keyReferences || {}).forEach(([column, target]) => {
+            if (row[column] !== null) row[column] = keyMaps[target].get(row[column]);
+        });
+        // Defaults come from the schema, not from a missing value
+        if (row.created_at === null) delete row.created_at;
+        return row;
+    }
+
+    /**
+     * Row already in the database that a merged row stands for
+     * @param {Object} db - Transaction handle
+     * @param {string} table - Section name
+     * @param {Object} row - Row with mapped references
+     * @returns {Promise<Object|null>}
+     */
+    static async findMatch(db, table, row) {
+        for (const columns of MATCH_COLUMNS[table] || []) {
+            const existing = await db.get(
+                `SELECT * FROM ${table} WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}`,
+                columns.map(column => row[column])
+            );
+            if (existing) return existing;
+        }
+        return null;
+    }
+
+    /**
+     * Add a restored row
+     * @param {Object} db - Transaction handle
+     * @param {Object} section - Entry of SECTIONS
+     * @param {Object} row - Column values, with an id when replacing
+     * @param {string} at - Where the row is in the backup, for the error message
+     * @returns {Promise<number>} ID of the row
+     */
+    static async insert(db, section, row, at) {
+        const columns = Object.keys(row);
+        try {
+            const result = await db.run(
+                `INSERT INTO ${section.name} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => row[column])
+            );
+            return row.id ?? result.id;
+        } catch (error) {
+            throw new BackupImportError(`${at} could not be restored: ${error.message.replace(/^SQLITE_CONSTRAINT: /, '')}`);
+        }
+    }
+}
+
+Backup.FORMAT = FORMAT;
+Backup.VERSION = VERSION;
+Backup.SECTIONS = SECTIONS;
+Backup.MODES = MODES;
+Backup.ImportError = BackupImportError;
+
+module.exports = Backup;
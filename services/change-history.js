@@ -0,0 +1,221 @@
+/**
+ * Change History - Append-only log of changes to panels, breakers, circuits, rooms and devices
+ *
+ * Creates keep the new row, deletes the old row, and updates and moves only
+ * the fields that changed. Each entry also records the site, panel and breaker
+ * the change happened on, so a breaker's history includes its circuits. Deletes
+ * log the rows the database removes or clears along with them first, so the
+ * undo stack can put everything back.
+ */
+
+// Audited tables and the entity type their entries are logged under
+const ENTITY_TYPES = {
+    panels: 'panel',
+    breakers: 'breaker',
+    circuits: 'circuit',
+    rooms: 'room',
+    devices: 'device'
+};
+
+const TABLES = Object.fromEntries(Object.entries(ENTITY_TYPES).map(([table, type]) => [type, table]));
+
+const ACTIONS = ['create', 'update', 'delete', 'move'];
+
+// Bookkeeping columns that are never reported as changes
+const IGNORED_FIELDS = ['id', 'created_at'];
+
+// Daisy-chain positions are renumbered whenever a device comes or goes, so moving along the chain isn't a change
+const UNTRACKED_FIELDS = ['chain_order'];
+
+// Foreign keys pointing at each audited table and what deleting a row does to them
+const DEPENDENTS = {
+    panels: [
+        { table: 'breakers', column: 'panel_id', onDelete: 'cascade' },
+        { table: 'circuits', column: 'subpanel_id', onDelete: 'set_null' }
+    ],
+    breakers: [{ table: 'circuits', column: 'breaker_id', onDelete: 'cascade' }],
+    circuits: [{ table: 'devices', column: 'circuit_id', onDelete: 'cascade' }],
+    rooms: [
+        { table: 'circuits', column: 'room_id', onDelete: 'set_null' },
+        { table: 'devices', column: 'room_id', onDelete: 'set_null' }
+    ],
+    devices: []
+};
+
+class ChangeHistory {
+    /**
+     * Fields whose values differ between two versions of a row
+     * @param {Object} before - Row before the change
+     * @param {Object} after - Row after the change
+     * @returns {{before: Object, after: Object}} Old and new values of the changed fields only
+     */
+    static diff(before, after) {
+        const changed = { before: {}, after: {} };
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        fields.forEach(field => {
+            if (IGNORED_FIELDS.includes(field) || UNTRACKED_FIELDS.includes(field)) return;
+            const oldValue = before[field] ?? null;
+            const newValue = after[field] ?? null;
+            if (oldValue !== newValue) {
+                changed.before[field] = oldValue;
+                changed.after[field] = newValue;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Columns of a table that deleting another row clears rather than cascading
+     * through, e.g. a circuit's room_id
+     * @param {string} tableName - Audited table name
+     * @returns {Array<{column: string, table: string}>} Each column and the table it points at
+     */
+    static getLinks(tableName) {
+        return Object.entries(DEPENDENTS).flatMap(([table, dependents]) => dependents
+            .filter(dependent => dependent.table === tableName && dependent.onDelete === 'set_null')
+            .map(dependent => ({ column: dependent.column, table })));
+    }
+
+    /**
+     * Site, panel and breaker a row belongs to
+     * @param {Object} db - Database service or transaction handle
+     * @param {string} entityType - One of the ENTITY_TYPES values
+     * @param {Object} row - Entity row
+     * @returns {Promise<{site_id: number|null, panel_id: number|null, breaker_id: number|null}>}
+     */
+    static async getLocation(db, entityType, row) {
+        if (entityType === 'panel') return { site_id: row.site_id, panel_id: row.id, breaker_id: null };
+        if (entityType === 'room') return { site_id: row.site_id, panel_id: null, breaker_id: null };
+        if (entityType === 'breaker') {
+            const panel = await db.get('SELECT site_id FROM panels WHERE id = ?', [row.panel_id]);
+            return { site_id: panel ? panel.site_id : null, panel_id: row.panel_id, breaker_id: row.id };
+        }
+        if (entityType === 'circuit') {
+            const breaker = await db.get(
+                'SELECT b.panel_id, p.site_id FROM breakers b JOIN panels p ON b.panel_id = p.id WHERE b.id = ?',
+                [row.breaker_id]
+            );
+            return { site_id: breaker ? breaker.site_id : null, panel_id: breaker ? breaker.panel_id : null, breaker_id: row.breaker_id };
+        }
+        if (entityType === 'device') {
+            const circuit = await db.get(`
+                SELECT c.breaker_id, b.panel_id, p.site_id
+                FROM circuits c JOIN breakers b ON c.breaker_id = b.id JOIN panels p ON b.panel_id = p.id
+                WHERE c.id = ?
+            `, [row.circuit_id]);
+            return circuit || { site_id: null, panel_id: null, breaker_id: null };
+        }
+        return { site_id: null, panel_id: null, breaker_id: null };
+    }
+
+    /**
+     * Append an entry to the log
+     * @param {Object} db - Database service or transaction handle
+     * @param {Object} change
+     * @param {string} change.entityType - 'panel', 'breaker', 'circuit', 'room' or 'device'
+     * @param {number} change.entityId - ID of the changed row
+     * @param {string} change.action - One of ACTIONS
+     * @param {Object|null} [change.before] - Row before the change (null for creates)
+     * @param {Object|null} [change.after] - Row after the change (null for deletes)
+     * @param {string|null} [change.actor] - Who made the change
+     * @param {number|null} [change.operationId] - Undoable operation the change is part of
+     * @returns {Promise<number|null>} Entry ID, or null when an update changed nothing
+     */
+    static async record(db, { entityType, entityId, action, before = null, after = null, actor = null, operationId = null }) {
+        let beforeValues = before;
+        let afterValues = after;
+        if (before && after) {
+            ({ before: beforeValues, after: afterValues } = ChangeHistory.diff(before, after));
+            if (Object.keys(afterValues).length === 0) return null;
+        }
+
+        const location = await ChangeHistory.getLocation(db, entityType, after || before);
+        if (operationId && !await db.get('SELECT id FROM change_history WHERE operation_id = ? LIMIT 1', [operationId])) {
+            // An operation belongs to the site of its first change, and doing
+            // something new at a site means what was undone there can no
+            // longer be redone
+            await db.run('DELETE FROM operations WHERE undone_at IS NOT NULL AND site_id IS ?', [location.site_id]);
+            await db.run('UPDATE operations SET site_id = ? WHERE id = ?', [location.site_id, operationId]);
+        }
+        const result = await db.run(
+            `INSERT INTO change_history (entity_type, entity_id, action, site_id, panel_id, breaker_id, before_values, after_values, actor, operation_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entityType, entityId, action, location.site_id, location.panel_id, location.breaker_id,
+             beforeValues ? JSON.stringify(beforeValues) : null,
+             afterValues ? JSON.stringify(afterValues) : null,
+             actor, operationId]
+        );
+        return result.id;
+    }
+
+    /**
+     * Log a row that is about to be deleted, after the rows the delete will
+     * remove or clear along with it. Call this before running the DELETE.
+     * @param {Object} db - Database service or transaction handle
+     * @param {string} tableName - Audited table name
+     * @param {Object} row - Row about to be deleted
+     * @param {Object} context - `actor` and `operationId` as for record()
+     * @returns {Promise<number[]>} IDs of the entries logged
+     */
+    static async recordDelete(db, tableName, row, context) {
+        const entryIds = [];
+        for (const dependent of DEPENDENTS[tableName]) {
+            const rows = await db.all(`SELECT * FROM ${dependent.table} WHERE ${dependent.column} = ? ORDER BY id`, [row.id]);
+            for (const dependentRow of rows) {
+                if (dependent.onDelete === 'cascade') {
+                    entryIds.push(...await ChangeHistory.recordDelete(db, dependent.table, dependentRow, context));
+                } else {
+                    entryIds.push(await ChangeHistory.record(db, {
+                        entityType: ENTITY_TYPES[dependent.table],
+                        entityId: dependentRow.id,
+                        action: 'update',
+                        before: dependentRow,
+                        after: { ...dependentRow, [dependent.column]: null },
+                        ...context
+                    }));
+                }
+            }
+        }
+        entryIds.push(await ChangeHistory.record(db, { entityType: ENTITY_TYPES[tableName], entityId: row.id, action: 'delete', before: row, ...context }));
+        return entryIds;
+    }
+
+    /**
+     * Who made a request, as recorded in the log
+     * @param {Object} req - Express request
+     * @returns {string|null} Username, or the client address when no one is logged in
+     */
+    static getActor(req) {
+        return req.user?.username || req.ip || null;
+    }
+
+    /**
+     * Log entry as sent to clients, with its values parsed and a list of changed fields
+     * @param {Object} row - change_history row
+     * @returns {Object}
+     */
+    static format(row) {
+        const entry = { ...row };
+        delete entry.before_values;
+        delete entry.after_values;
+        const before = row.before_values ? JSON.parse(row.before_values) : null;
+        const after = row.after_values ? JSON.parse(row.after_values) : null;
+        const fields = Object.keys(after || before || {}).filter(field => !IGNORED_FIELDS.includes(field));
+        return {
+            ...entry,
+            before,
+            after,
+            changes: fields.map(field => ({
+                field,
+                before: before ? before[field] ?? null : null,
+                after: after ? after[field] ?? null : null
+            }))
+        };
+    }
+}
+
+ChangeHistory.ENTITY_TYPES = ENTITY_TYPES;
+ChangeHistory.TABLES = TABLES;
+ChangeHistory.ACTIONS = ACTIONS;
+
+module.exports = ChangeHistory;
@@ -0,0 +1,158 @@
+/**
+ * Circuit Tracer - Turns what went dead with a breaker switched off into proposed changes
+ *
+ * Every room that went dead should have a circuit on the breaker: an existing
+ * circuit in that room confirms it, a circuit without a room is given the room,
+ * and otherwise a new circuit is proposed. Devices that went dead but are
+ * recorded on another breaker are proposed to move to this breaker's circuit
+ * for their room.
+ */
+
+const DEVICE_NAMES = {
+    receptacle: 'Receptacle',
+    switch: 'Switch',
+    fixture: 'Light fixture',
+    appliance: 'Hardwired appliance',
+    junction_box: 'Junction box',
+    other: 'Device'
+};
+
+const DEFAULT_CIRCUIT_TYPE = 'outlet';
+
+class CircuitTracer {
+    /**
+     * Short description of a device, e.g. 'Receptacle (behind the fridge)'
+     * @param {Object} device - Device row
+     * @returns {string}
+     */
+    static describeDevice(device) {
+        const name = DEVICE_NAMES[device.device_type] || DEVICE_NAMES.other;
+        return device.location ? `${name} (${device.location})` : name;
+    }
+
+    /**
+     * Guess the type of a new circuit from the devices that went dead in its room
+     * @param {Array} devices - Dead devices in the room
+     * @param {Array} circuitTypes - Circuit type catalog ({ key, name })
+     * @returns {Object} Catalog entry
+     */
+    static guessCircuitType(devices, circuitTypes) {
+        let guess = DEFAULT_CIRCUIT_TYPE;
+        if (devices.length > 0 && devices.every(device => ['fixture', 'switch'].includes(device.device_type))) {
+            guess = 'lighting';
+        } else if (devices.length > 0 && devices.every(device => device.device_type === 'appliance')) {
+            guess = 'appliance';
+        }
+        return circuitTypes.find(type => type.key === guess) ||
+            circuitTypes.find(type => type.key === DEFAULT_CIRCUIT_TYPE) ||
+            circuitTypes[0];
+    }
+
+    /**
+     * Compare a tracing finding with what is recorded on the breaker
+     * @param {Object} finding
+     * @param {Object} finding.breaker - Breaker that was switched off
+     * @param {Array} finding.circuits - Circuits on the breaker, with room names as `room`
+     * @param {Array} finding.rooms - Rooms that went dead ({ id, name })
+     * @param {Array} finding.devices - Devices that went dead, with their circuit's `breaker_id`,
+     *   `breaker_position`, `panel_id`, `panel_name` and `circuit_room_id`
+     * @param {Array} circuitTypes - Circuit type catalog ({ key, name })
+     * @returns {{matches: Array, proposals: Array, warnings: Array}} Proposals have a stable `id`
+     *   and an `action` of 'assign_room', 'create_circuit' or 'move_device'
+     */
+    static propose({ breaker, circuits, rooms, devices }, circuitTypes) {
+        const matches = [];
+        const proposals = [];
+        const warnings = [];
+
+        // Where each room's load lives on this breaker: an existing circuit or a proposed one
+        const targets = new Map();
+        circuits.filter(circuit => circuit.room_id).forEach(circuit => {
+            if (!targets.has(circuit.room_id)) targets.set(circuit.room_id, { circuit_id: circuit.id });
+        });
+        const circuitsWithoutRoom = circuits.filter(circuit => !circuit.room_id);
+        const deviceRoomId = device => device.room_id ?? device.circuit_room_id ?? null;
+
+        const proposeNewCircuit = (room) => {
+            const type = CircuitTracer.guessCircuitType(devices.filter(device => deviceRoomId(device) === (room?.id ?? null)), circuitTypes);
+            const proposal = {
+                id: `create_circuit-${room ? room.id : 'none'}`,
+                action: 'create_circuit',
+                room_id: room ? room.id : null,
+                type: type.key,
+                message: room ? `Add a new ${type.name} circuit for ${room.name}` : `Add a new ${type.name} circuit`
+            };
+            proposals.push(proposal);
+            return { target_proposal_id: proposal.id };
+        };
+
+        rooms.forEach(room => {
+            const existing = targets.get(room.id);
+            if (existing) {
+                matches.push({ room_id: room.id, circuit_id: existing.circuit_id, message: `${room.name} is already on this breaker` });
+                return;
+            }
+
+            const unassigned = circuitsWithoutRoom.shift();
+            if (unassigned) {
+                proposals.push({
+                    id: `assign_room-${unassigned.id}-${room.id}`,
+                    action: 'assign_room',
+                    circuit_id: unassigned.id,
+                    room_id: room.id,
+                    message: `Assign ${room.name} to the circuit that has no room yet`
+                });
+                targets.set(room.id, { circuit_id: unassigned.id });
+                return;
+            }
+
+            targets.set(room.id, proposeNewCircuit(room));
+        });
+
+        devices.forEach(device => {
+            const description = CircuitTracer.describeDevice(device);
+            if (device.breaker_id === breaker.id) {
+                matches.push({ device_id: device.id, circuit_id: device.circuit_id, message: `${description} is already on this breaker` });
+                return;
+            }
+
+            const roomId = deviceRoomId(device);
+            let target = targets.get(roomId ?? 'none');
+            if (!target && circuits.length > 0) {
+                target = { circuit_id: circuits[0].id };
+            }
+            if (!target) {
+                target = proposeNewCircuit(roomId ? { id: roomId, name: device.room } : null);
+                targets.set(roomId ?? 'none', target);
+            }
+
+            const otherPanel = device.panel_id !== breaker.panel_id && device.panel_name ? `${device.panel_name} ` : '';
+            proposals.push({
+                id: `move_device-${device.id}`,
+                action: 'move_device',
+                device_id: device.id,
+                from_circuit_id: device.circuit_id,
+                ...target,
+                message: `Move ${description} from ${otherPanel}breaker ${device.breaker_position} to this breaker`
+            });
+        });
+
+        if (rooms.length === 0 && devices.length === 0) {
+            warnings.push('Nothing was recorded as going dead; the breaker may be a spare or feed something you did not check');
+        } else if (rooms.length > 0) {
+            const deadRoomIds = new Set(rooms.map(room => room.id));
+            const liveRooms = new Set(circuits
+                .filter(circuit => circuit.room_id && !deadRoomIds.has(circuit.room_id))
+                .map(circuit => circuit.room));
+            liveRooms.forEach(room => {
+                warnings.push(`${room} is recorded on this breaker but did not go dead`);
+            });
+        }
+
+        return { matches, proposals, warnings };
+    }
+}
+
+CircuitTracer.DEVICE_NAMES = DEVICE_NAMES;
+
+module.exports = CircuitTracer;
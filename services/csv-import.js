@@ -0,0 +1,363 @@
+/**
+ * CSV Import - Breakers and circuits from a spreadsheet, added to an existing panel
+ *
+ * Each CSV row is one circuit. Its columns are mapped to fields: the position
+ * is required, everything else optional. Rows with the same position (and
+ * tandem slot) become one breaker with several circuits; the breaker takes
+ * the first amperage and label given and is flagged when any of its rows is.
+ * Positions are read as 5 (single pole), 4A/4B (tandem halves), 5-7 (double
+ * pole) or 1-3-5 (triple pole); a breaker type column overrides the guess.
+ *
+ * Planning is done before anything is written, so the same plan is shown as
+ * a preview and then committed. Rows that can't be imported, such as a
+ * breaker that doesn't fit the panel, are skipped with a warning; values that
+ * can't be read are left blank with a warning.
+ */
+
+const PanelLayout = require('./panel-layout');
+const PanelModel = require('./panel-model');
+
+// Fields a column can be mapped to, with the headers they are suggested for
+const FIELDS = [
+    { name: 'position', label: 'Position', headers: ['position', 'breaker', 'breaker #', 'breaker number', 'circuit #', 'circuit number', 'slot', 'space', 'number', 'no', '#'] },
+    { name: 'amperage', label: 'Amperage', headers: ['amperage', 'amps', 'amp', 'a', 'rating'] },
+    { name: 'label', label: 'Breaker label', headers: ['label', 'name', 'breaker label', 'breaker name'] },
+    { name: 'breaker_type', label: 'Breaker type', headers: ['breaker type', 'poles', 'pole'] },
+    { name: 'room', label: 'Room', headers: ['room', 'location', 'area'] },
+    { name: 'level', label: 'Level', headers: ['level', 'floor', 'story', 'storey'] },
+    { name: 'type', label: 'Circuit type', headers: ['type', 'circuit type', 'load type', 'category'] },
+    { name: 'notes', label: 'Notes', headers: ['notes', 'description', 'desc', 'comment', 'comments', 'details'] },
+    { name: 'critical', label: 'Critical', headers: ['critical'] },
+    { name: 'monitor', label: 'Monitor', headers: ['monitor', 'monitored'] },
+    { name: 'confirmed', label: 'Confirmed', headers: ['confirmed', 'verified', 'traced'] }
+];
+
+const FIELD_NAMES = FIELDS.map(field => field.name);
+
+const BREAKER_TYPES = {
+    single: 'single', singlepole: 'single', '1': 'single', '1p': 'single', '1pole': 'single',
+    double: 'double_pole', doublepole: 'double_pole', '2': 'double_pole', '2p': 'double_pole', '2pole': 'double_pole',
+    triple: 'triple_pole', triplepole: 'triple_pole', '3': 'triple_pole', '3p': 'triple_pole', '3pole': 'triple_pole',
+    tandem: 'tandem', twin: 'tandem', duplex: 'tandem'
+};
+
+// Flag values read as "no"; anything else filled in, a check mark or an emoji included, is "yes"
+const FALSE_VALUES = ['', 'no', 'n', 'false', 'f', '0', '-', 'none', 'off', '❌'];
+
+// More rows than any panel has circuits points at the wrong file
+const MAX_ROWS = 1000;
+
+class CsvImport {
+    /**
+     * Header row and data rows of a parsed CSV
+     * @param {Array<{line: number, fields: string[]}>} rows - From CsvParser.parse()
+     * @param {boolean} hasHeader - Whether the first row names the columns
+     * @returns {{headers: string[], rows: Array}} Headers, numbered
+     *   "Column 1", "Column 2"... without a header row or where one is blank
+     */
+    static split(rows, hasHeader) {
+        const data = hasHeader ? rows.slice(1) : rows;
+        const width = Math.max(0, ...rows.map(row => row.fields.length));
+        const names = hasHeader && rows.length > 0 ? rows[0].fields : [];
+        const headers = Array.from({ length: width }, (_, index) => names[index]?.trim() || `Column ${index + 1}`);
+        return { headers, rows: data };
+    }
+
+    /**
+     * Map columns to fields by their headers
+     * @param {string[]} headers - Column headers
+     * @returns {Object} Field name to column index, for the fields a header matched
+     */
+    static suggestMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[_-]+/g, ' ').replace(/[^a-z0-9# ]/g, '').trim());
+        const mapping = {};
+        const used = new Set();
+        FIELDS.forEach(field => {
+            const index = normalized.findIndex((header, column) => !used.has(column) && field.headers.includes(header));
+            if (index !== -1) {
+                mapping[field.name] = index;
+                used.add(index);
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Check a mapping against the columns there are
+     * @param {Object} mapping - Field name to column index or null
+     * @param {number} columnCount - Number of columns
+     * @returns {string|null} What's wrong, or null
+     */
+    static checkMapping(mapping, columnCount) {
+        if (mapping.position === undefined || mapping.position === null) {
+            return 'Map a column to the breaker position';
+        }
+        const outside = Object.entries(mapping).find(([, column]) => column !== null && column >= columnCount);
+        if (outside) {
+            return `${outside[0]} is mapped to column ${outside[1] + 1}, but the CSV has ${columnCount} column${columnCount === 1 ? '' : 's'}`;
+        }
+        return null;
+    }
+
+    /**
+     * Read a position as written in a panel directory
+     * @param {string} text - e.g. '5', '4A', '5-7' or '1-3-5'
+     * @returns {Object|null} position, slot_position, breaker_type and the
+     *   listed `positions`; null when it isn't a position
+     */
+    static parsePosition(text) {
+        const value = (text || '').toUpperCase().replace(/\s+/g, '');
+        const tandem = value.match(/^(\d+)([AB])$/);
+        if (tandem) {
+            const position = parseInt(tandem[1]);
+            return { position, slot_position: tandem[2], breaker_type: 'tandem', positions: [position] };
+        }
+        if (!/^\d+(?:[-/+&,]\d+){0,2}$/.test(value)) return null;
+
+        const positions = value.split(/[-/+&,]/).map(part => parseInt(part));
+        if (positions.some(position => position < 1) || new Set(positions).size < positions.length) return null;
+        const breakerType = ['single', 'double_pole', 'triple_pole'][positions.length - 1];
+        return { position: Math.min(...positions), slot_position: 'single', breaker_type: breakerType, positions };
+    }
+
+    /**
+     * @param {string} text - e.g. 'double pole', '2P' or 'tandem'
+     * @returns {string|null} Breaker type, or null when it isn't one
+     */
+    static parseBreakerType(text) {
+        return BREAKER_TYPES[(text || '').toLowerCase().replace(/[\s_-]+/g, '')] || null;
+    }
+
+    /**
+     * @param {string} text - e.g. '20', '20A' or '20 amps'
+     * @returns {number|null|undefined} Amperage, null when blank, undefined when unreadable
+     */
+    static parseAmperage(text) {
+        const value = (text || '').trim();
+        if (value === '') return null;
+        const match = value.match(/^(\d+)\s*(?:a|amps?)?$/i);
+        const amperage = match ? parseInt(match[1]) : NaN;
+        return amperage >= 1 && amperage <= 200 ? amperage : undefined;
+    }
+
+    /**
+     * @param {string} text - Flag column value
+     * @returns {boolean}
+     */
+    static parseFlag(text) {
+        return !FALSE_VALUES.includes((text || '').trim().toLowerCase());
+    }
+
+    /**
+     * Work out what importing rows into a panel would add
+     * @param {Array<{line: number, fields: string[]}>} rows - Data rows
+     * @param {Object} context
+     * @param {Object} context.mapping - Field name to column index
+     * @param {Object} context.panel - Panel row
+     * @param {Object[]} context.breakers - The panel's breakers
+     * @param {Object|null} context.model - The panel's formatted model
+     * @param {Object[]} context.rooms - Rooms at the panel's site
+     * @param {Object[]} context.levels - Levels
+     * @param {Object[]} context.circuitTypes - Circuit types
+     * @param {string} context.defaultLevel - Level key for new rooms without one
+     * @returns {Object} `breakers` to add, each with its `circuits` (a `room_id`
+     *   or a new `room` name, `type` and `notes`) and source `lines`; `rooms` to
+     *   create; `rows` with the mapped `values` and whether each is `skipped`;
+     *   `warnings` with the `line` and `message`
+     */
+    static plan(rows, { mapping, panel, breakers, model, rooms, levels, circuitTypes, defaultLevel }) {
+        const warnings = [];
+        const warn = (line, message) => warnings.push({ line, message });
+        const lower = value => value.trim().toLowerCase();
+        const read = (row, field) => (mapping[field] === undefined || mapping[field] === null ? '' : (row.fields[mapping[field]] || '').trim());
+
+        const existingRooms = new Map(rooms.map(room => [lower(room.name), room]));
+        const newRooms = new Map();
+        const findLevel = value => levels.find(level => lower(level.key) === lower(value) || lower(level.name) === lower(value));
+        const findType = value => circuitTypes.find(type => lower(type.key) === lower(value) || lower(type.name) === lower(value));
+
+        const previewRows = [];
+        const groups = new Map();
+        rows.forEach(row => {
+            const values = Object.fromEntries(Object.keys(mapping)
+                .filter(field => mapping[field] !== null)
+                .map(field => [field, read(row, field)]));
+            const preview = { line: row.line, values, skipped: false };
+            previewRows.push(preview);
+
+            const positionText = read(row, 'position');
+            const parsed = CsvImport.parsePosition(positionText);
+            if (!parsed) {
+                warn(row.line, positionText ? `"${positionText}" is not a breaker position, so the row is skipped` : 'No breaker position, so the row is skipped');
+                preview.skipped = true;
+                return;
+            }
+
+            const typeText = read(row, 'breaker_type');
+            if (typeText && parsed.slot_position === 'single') {
+                const breakerType = CsvImport.parseBreakerType(typeText);
+                if (breakerType) {
+                    parsed.breaker_type = breakerType;
+                } else {
+                    warn(row.line, `"${typeText}" is not a breaker type; ${parsed.breaker_type.replace('_', ' ')} is assumed from the position`);
+                }
+            }
+
+            const key = `${parsed.position}-${parsed.slot_position}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    breaker: {
+                        position: parsed.position,
+                        slot_position: parsed.slot_position,
+                        breaker_type: parsed.breaker_type,
+                        amperage: null,
+                        label: null,
+                        critical: false,
+                        monitor: false,
+                        confirmed: false
+                    },
+                    positions: parsed.positions,
+                    name: positionText,
+                    circuits: [],
+                    previews: []
+                });
+            }
+            const group = groups.get(key);
+            group.previews.push(preview);
+            const { breaker } = group;
+
+            const amperage = CsvImport.parseAmperage(read(row, 'amperage'));
+            if (amperage === undefined) {
+                warn(row.line, `"${read(row, 'amperage')}" is not an amperage from 1 to 200, so it is left blank`);
+            } else if (amperage !== null && breaker.amperage === null) {
+                breaker.amperage = amperage;
+            }
+            breaker.label = breaker.label || read(row, 'label') || null;
+            ['critical', 'monitor', 'confirmed'].forEach(flag => {
+                if (mapping[flag] !== undefined && mapping[flag] !== null && CsvImport.parseFlag(read(row, flag))) breaker[flag] = true;
+            });
+
+            const roomName = read(row, 'room');
+            const typeValue = read(row, 'type');
+            const notes = read(row, 'notes');
+            if (!roomName && !typeValue && !notes) return;
+
+            const circuit = { line: row.line, room_id: null, room: null, type: null, notes: notes || null };
+            if (roomName) {
+                const existing = existingRooms.get(lower(roomName));
+                if (existing) {
+                    circuit.room_id = existing.id;
+                } else {
+                    if (!newRooms.has(lower(roomName))) {
+                        const levelText = read(row, 'level');
+                        const level = levelText ? findLevel(levelText) : null;
+                        if (levelText && !level) {
+                            warn(row.line, `"${levelText}" is not a level, so ${roomName} goes on the default level`);
+                        }
+                        newRooms.set(lower(roomName), { name: roomName, level: level ? level.key : defaultLevel });
+                    }
+                    circuit.room = newRooms.get(lower(roomName)).name;
+                }
+            }
+            if (typeValue) {
+                const type = findType(typeValue);
+                if (type) {
+                    circuit.type = type.key;
+                } else {
+                    warn(row.line, `"${typeValue}" is not a circuit type, so the circuit's type is left blank`);
+                }
+            }
+            group.circuits.push(circuit);
+        });
+
+        const placed = [];
+        const planned = [];
+        groups.forEach(group => {
+            const { breaker } = group;
+            const line = group.previews[0].line;
+            const others = [...breakers, ...placed];
+            const conflict = breaker.breaker_type === 'triple_pole' && panel.phase_config !== 'three_phase'
+                ? { message: 'Triple pole breakers require a three-phase panel' }
+                : PanelLayout.findConflict(panel, others, breaker) || (model && PanelModel.findViolation(model, others, breaker));
+            if (conflict) {
+                const count = group.previews.length;
+                warn(line, `${conflict.message}, so breaker ${group.name} ${count === 1 ? 'is' : `and its ${count} rows are`} skipped`);
+                group.previews.forEach(preview => {
+                    preview.skipped = true;
+                });
+                return;
+            }
+
+            const spanned = PanelLayout.getSpannedPositions(breaker.position, breaker.breaker_type, panel);
+            if (group.positions.length > 1 && group.positions.some(position => !spanned.includes(position))) {
+                warn(line, `A ${breaker.breaker_type.replace('_', ' ')} breaker at ${breaker.position} covers ${spanned.join(', ')} in this panel, not ${group.name}`);
+            }
+            placed.push(breaker);
+            planned.push({ ...breaker, lines: group.previews.map(preview => preview.line), circuits: group.circuits });
+        });
+
+        // Rooms only the skipped rows named are not created
+        const usedRooms = new Set(planned.flatMap(breaker => breaker.circuits.map(circuit => circuit.room)).filter(Boolean));
+        return {
+            breakers: planned,
+            rooms: [...newRooms.values()].filter(room => usedRooms.has(room.name)),
+            rows: previewRows,
+            warnings: warnings.sort((a, b) => a.line - b.line)
+        };
+    }
+
+    /**
+     * Counts for a plan, as the preview and the import report them
+     * @param {Object} plan - From plan()
+     * @returns {{breakers: number, circuits: number, rooms: number, skipped_rows: number}}
+     */
+    static summarize(plan) {
+        return {
+            breakers: plan.breakers.length,
+            circuits: plan.breakers.reduce((count, breaker) => count + breaker.circuits.length, 0),
+            rooms: plan.rooms.length,
+            skipped_rows: plan.rows.filter(row => row.skipped).length
+        };
+    }
+
+    /**
+     * Add a plan's rooms, breakers and circuits. Run inside a transaction.
+     * @param {Object} db - Transaction handle
+     * @param {Object} plan - From plan(), made inside the same transaction
+     * @param {Object} options
+     * @param {Object} options.panel - Panel row
+     * @param {Function} [options.onCreate] - Awaited with (table, id) after each row is added
+     */
+    static async commit(db, plan, { panel, onCreate = async () => {} }) {
+        const roomIds = new Map();
+        for (const room of plan.rooms) {
+            const created = await db.run('INSERT INTO rooms (name, level, site_id) VALUES (?, ?, ?)', [room.name, room.level, panel.site_id]);
+            await onCreate('rooms', created.id);
+            roomIds.set(room.name, created.id);
+        }
+
+        for (const breaker of plan.breakers) {
+            const created = await db.run(
+                `INSERT INTO breakers (panel_id, position, slot_position, breaker_type, amperage, label, critical, monitor, confirmed)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [panel.id, breaker.position, breaker.slot_position, breaker.breaker_type, breaker.amperage, breaker.label,
+                    breaker.critical ? 1 : 0, breaker.monitor ? 1 : 0, breaker.confirmed ? 1 : 0]
+            );
+            await onCreate('breakers', created.id);
+
+            for (const circuit of breaker.circuits) {
+                const result = await db.run(
+                    'INSERT INTO circuits (breaker_id, room_id, type, notes) VALUES (?, ?, ?, ?)',
+                    [created.id, circuit.room_id || roomIds.get(circuit.room) || null, circuit.type, circuit.notes]
+                );
+                await onCreate('circuits', result.id);
+            }
+        }
+    }
+}
+
+CsvImport.FIELDS = FIELDS;
+CsvImport.FIELD_NAMES = FIELD_NAMES;
+CsvImport.MAX_ROWS = MAX_ROWS;
+
+module.exports = CsvImport;
@@ -0,0 +1,114 @@
+/**
+ * CSV Parser - Comma separated values as spreadsheets export them (RFC 4180)
+ *
+ * Fields may be quoted; a quoted field can hold the delimiter, line breaks
+ * and doubled quotes (""). Lines end in \n, \r\n or \r; line breaks inside a
+ * value are read as \n. A leading byte order mark is dropped. Spreadsheets
+ * set to a European locale separate fields with semicolons, so the delimiter
+ * can be detected from the first line.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+class CsvParseError extends Error {}
+
+class CsvParser {
+    /**
+     * Split CSV text into rows of fields
+     * @param {string} text - CSV text
+     * @param {Object} [options]
+     * @param {string} [options.delimiter] - One of DELIMITERS; detected when omitted
+     * @returns {{rows: Array<{line: number, fields: string[]}>, delimiter: string}}
+     *   Rows with the line each starts on, leaving out blank lines
+     * @throws {CsvParser.ParseError} When a quoted field is never closed
+     */
+    static parse(text, { delimiter } = {}) {
+        const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+        const separator = delimiter || CsvParser.detectDelimiter(source);
+
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        let quoteLine = null;
+
+        const endField = () => {
+            fields.push(field);
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            if (fields.some(value => value.trim() !== '')) rows.push({ line: rowLine, fields });
+            fields = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && source[i + 1] === '\n') i++;
+                    field += '\n';
+                    line++;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                // Spaces before an opening quote are not part of the value
+                field = '';
+                quoted = true;
+                quoteLine = line;
+            } else if (char === separator) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new CsvParseError(`The quoted value starting on line ${quoteLine} is never closed`);
+        }
+        if (field !== '' || fields.length > 0) endRow();
+
+        return { rows, delimiter: separator };
+    }
+
+    /**
+     * The delimiter appearing most often outside quotes on the first line
+     * @param {string} text - CSV text
+     * @returns {string} One of DELIMITERS; a comma when none appears
+     */
+    static detectDelimiter(text) {
+        const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+        let quoted = false;
+        for (const char of text) {
+            if (char === '"') {
+                quoted = !quoted;
+            } else if (!quoted && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!quoted && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+        let best = ',';
+        counts.forEach((count, delimiter) => {
+            if (count > counts.get(best)) best = delimiter;
+        });
+        return best;
+    }
+}
+
+CsvParser.DELIMITERS = DELIMITERS;
+CsvParser.ParseError = CsvParseError;
+
+module.exports = CsvParser;
@@ -2,24 +2,41 @@
  * Database Service - Centralized database operations and connection management
  */
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 const fs = require('fs');
+const MigrationService = require('./migration-service');
+const AttachmentStorage = require('./attachment-storage');
 
 class DatabaseService {
     constructor() {
         this.db = null;
+        this.dbPath = null;
+        this.attachmentsDir = null;
+        this.trashRetentionDays = null;
         this.isInitialized = false;
+        this.isMigrating = false;
+        // There is one connection, so one transaction at a time: the rest wait
+        // their turn in this queue, and statements from outside a transaction
+        // wait for the running one so they aren't committed or rolled back with it
+        this.transactionQueue = Promise.resolve();
+        this.transactionContext = new AsyncLocalStorage();
     }
 
     /**
-     * Initialize database connection and create tables
+     * Initialize database connection and bring the schema up to date
      * @param {string} dbPath - Path to SQLite database file
+     * @param {Object} [options]
+     * @param {string} [options.attachmentsDir] - Where uploaded files live; defaults to 'attachments' next to the database
+     * @param {number|string} [options.trashRetentionDays] - Days deleted items stay in the trash; defaults to 30
      * @returns {Promise<void>}
      */
-    async initialize(dbPath) {
+    async initialize(dbPath, options = {}) {
+        this.attachmentsDir = options.attachmentsDir || AttachmentStorage.getDirectoryForDatabase(dbPath);
+        this.trashRetentionDays = options.trashRetentionDays || null;
         await this.validateDatabasePermissions(dbPath);
         await this.connect(dbPath);
-        await this.createTables();
+        await this.runMigrations();
         this.isInitialized = true;
     }
 
@@ -35,6 +52,7 @@ class DatabaseService {
                     console.error('Error opening database:', err.message);
                     reject(err);
                 } else {
+                    this.dbPath = dbPath;
                     console.log(`Connected to SQLite database: ${dbPath}`);
                     resolve();
                 }
@@ -43,66 +61,47 @@ class DatabaseService {
     }
 
     /**
-     * Create database tables with proper constraints
-     * @returns {Promise<void>}
+     * Apply pending schema migrations and enable foreign key constraints
+     * @returns {Promise<{applied: Array<number>, backupPath: string|null}>}
      */
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                // Enable foreign key constraints
-                this.db.run('PRAGMA foreign_keys = ON;');
-                
-                // Create tables with proper constraints
-                this.db.run(`CREATE TABLE IF NOT EXISTS panels (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL CHECK(length(name) > 0),
-                    size INTEGER NOT NULL CHECK(size >= 12 AND size <= 42),
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`);
+    async runMigrations() {
+        this.isMigrating = true;
+        try {
+            const migrationService = new MigrationService(this);
+            const result = await migrationService.migrate();
+            await this.run('PRAGMA foreign_keys = ON');
+            return result;
+        } finally {
+            this.isMigrating = false;
+        }
+    }
 
-                this.db.run(`CREATE TABLE IF NOT EXISTS breakers (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    panel_id INTEGER NOT NULL,
-                    position INTEGER NOT NULL CHECK(position > 0),
-                    slot_position TEXT DEFAULT 'single' CHECK(slot_position IN ('single', 'A', 'B')),
-                    label TEXT,
-                    amperage INTEGER CHECK(amperage > 0 AND amperage <= 200),
-                    critical BOOLEAN DEFAULT 0,
-                    monitor BOOLEAN DEFAULT 0,
-                    confirmed BOOLEAN DEFAULT 0,
-                    breaker_type TEXT DEFAULT 'single' CHECK(breaker_type IN ('single', 'double_pole', 'tandem')),
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE,
-                    UNIQUE(panel_id, position, slot_position)
-                )`);
+    /**
+     * Write a consistent copy of the database to the backups directory, with a
+     * copy of the attachments directory beside it
+     * @param {string} label - Short reason included in the backup file name
+     * @returns {Promise<string|null>} Backup file path, or null for in-memory databases
+     */
+    async createBackup(label = 'manual') {
+        if (!this.dbPath || this.dbPath === ':memory:') {
+            return null;
+        }
+
+        const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+        if (!fs.existsSync(backupDir)) {
+            fs.mkdirSync(backupDir, { recursive: true });
+        }
 
-                this.db.run(`CREATE TABLE IF NOT EXISTS rooms (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
-                    level TEXT NOT NULL CHECK(level IN ('basement', 'main', 'upper', 'outside')),
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`);
+        const baseName = path.basename(this.dbPath, path.extname(this.dbPath));
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupDir, `${baseName}-${label}-${timestamp}.db`);
 
-                this.db.run(`CREATE TABLE IF NOT EXISTS circuits (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    breaker_id INTEGER NOT NULL,
-                    room_id INTEGER,
-                    type TEXT CHECK(type IN ('outlet', 'lighting', 'heating', 'appliance', 'subpanel')),
-                    notes TEXT,
-                    subpanel_id INTEGER,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE,
-                    FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE SET NULL,
-                    FOREIGN KEY (subpanel_id) REFERENCES panels (id) ON DELETE SET NULL
-                )`, (err) => {
-                    if (err) {
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
-            });
-        });
+        await this.run('VACUUM INTO ?', [backupPath]);
+        if (this.attachmentsDir && fs.existsSync(this.attachmentsDir)) {
+            await fs.promises.cp(this.attachmentsDir, backupPath.replace(/\.db$/, '-attachments'), { recursive: true });
+        }
+        console.log(`Database backup written: ${backupPath}`);
+        return backupPath;
     }
 
     /**
@@ -113,6 +112,7 @@ class DatabaseService {
      */
     async get(query, params = []) {
         this.ensureInitialized();
+        await this.waitForTransaction();
         return new Promise((resolve, reject) => {
             this.db.get(query, params, (err, row) => {
                 if (err) reject(err);
@@ -129,6 +129,7 @@ class DatabaseService {
      */
     async all(query, params = []) {
         this.ensureInitialized();
+        await this.waitForTransaction();
         return new Promise((resolve, reject) => {
             this.db.all(query, params, (err, rows) => {
                 if (err) reject(err);
@@ -145,6 +146,7 @@ class DatabaseService {
      */
     async run(query, params = []) {
         this.ensureInitialized();
+        await this.waitForTransaction();
         return new Promise((resolve, reject) => {
             this.db.run(query, params, function(err) {
                 if (err) reject(err);
@@ -154,22 +156,43 @@ class DatabaseService {
     }
 
     /**
-     * Execute multiple queries in a transaction
+     * Execute multiple queries in a transaction. Transactions run one after
+     * another; one started inside another's callback joins it.
      * @param {Function} callback - Function containing database operations
      * @returns {Promise<any>}
      */
     async transaction(callback) {
         this.ensureInitialized();
-        await this.run('BEGIN TRANSACTION');
-        
-        try {
-            const result = await callback(this);
-            await this.run('COMMIT');
-            return result;
-        } catch (error) {
-            await this.run('ROLLBACK');
-            throw error;
+        if (this.transactionContext.getStore()) {
+            return callback(this);
         }
+
+        const turn = this.transactionQueue.then(() => this.transactionContext.run(true, async () => {
+            await this.run('BEGIN TRANSACTION');
+            try {
+                const result = await callback(this);
+                await this.run('COMMIT');
+                return result;
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        }));
+        this.transactionQueue = turn.catch(() => {});
+        return turn;
+    }
+
+    /**
+     * Hold a statement from outside a transaction until the queued transactions are done
+     * @returns {Promise<void>}
+     */
+    async waitForTransaction() {
+        if (this.transactionContext.getStore()) return;
+        let queue;
+        do {
+            queue = this.transactionQueue;
+            await queue;
+        } while (queue !== this.transactionQueue);
     }
 
     /**
@@ -256,7 +279,7 @@ class DatabaseService {
      * @private
      */
     ensureInitialized() {
-        if (!this.isInitialized || !this.db) {
+        if ((!this.isInitialized && !this.isMigrating) || !this.db) {
             throw new Error('Database service not initialized. Call initialize() first.');
         }
     }
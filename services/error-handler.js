@@ -23,7 +23,55 @@ class ErrorHandler {
             if (error.message.includes('rooms.name')) {
                 return {
                     status: 409,
-                    message: 'A room with this name already exists'
+                    message: 'A room with this name already exists at this site'
+                };
+            }
+            if (error.message.includes('sites.name')) {
+                return {
+                    status: 409,
+                    message: 'A site with this name already exists'
+                };
+            }
+            if (error.message.includes('users.username')) {
+                return {
+                    status: 409,
+                    message: 'An account with this username already exists'
+                };
+            }
+            if (error.message.includes('panel_templates.name')) {
+                return {
+                    status: 409,
+                    message: 'A panel template with this name already exists'
+                };
+            }
+            if (error.message.includes('panel_models.manufacturer')) {
+                return {
+                    status: 409,
+                    message: 'This manufacturer already has a panel model with this name'
+                };
+            }
+            if (error.message.includes('levels.name')) {
+                return {
+                    status: 409,
+                    message: 'A level with this name already exists'
+                };
+            }
+            if (error.message.includes('levels.key')) {
+                return {
+                    status: 409,
+                    message: 'A level with this key already exists'
+                };
+            }
+            if (error.message.includes('circuit_types.name')) {
+                return {
+                    status: 409,
+                    message: 'A circuit type with this name already exists'
+                };
+            }
+            if (error.message.includes('circuit_types.key')) {
+                return {
+                    status: 409,
+                    message: 'A circuit type with this key already exists'
                 };
             }
             if (error.message.includes('breakers')) {
@@ -60,6 +108,12 @@ class ErrorHandler {
                     message: 'Invalid breaker_id - breaker does not exist'
                 };
             }
+            if (error.message.includes('circuit_id') || context.field === 'circuit_id') {
+                return {
+                    status: 400,
+                    message: 'Invalid circuit_id - circuit does not exist'
+                };
+            }
             if (error.message.includes('room_id') || context.field === 'room_id') {
                 return {
                     status: 400,
@@ -144,10 +198,11 @@ class ErrorHandler {
     /**
      * Send formatted error response
      * @param {Object} res - Express response object
-     * @param {Object} errorInfo - Error information from handler methods
+     * @param {Object} errorInfo - Error information from handler methods, with
+     *   optional `details` sent alongside the message
      */
     static sendError(res, errorInfo) {
-        res.status(errorInfo.status).json({ error: errorInfo.message });
+        res.status(errorInfo.status).json({ error: errorInfo.message, ...errorInfo.details });
     }
 
     /**
@@ -161,6 +216,122 @@ class ErrorHandler {
         };
     }
 
+    /**
+     * Process panel data with defaults
+     * @param {Object} panelData - Raw panel data
+     * @returns {Object} Processed panel data
+     */
+    static processPanelData(panelData) {
+        const { name, size, main_amperage, phase_config, numbering_scheme, model_id, site_id } = panelData;
+
+        return {
+            name: typeof name === 'string' ? name.trim() : name,
+            size,
+            main_amperage: main_amperage || null,
+            phase_config: phase_config || 'split_phase',
+            numbering_scheme: numbering_scheme || 'odd_even',
+            model_id: model_id || null,
+            site_id
+        };
+    }
+
+    /**
+     * Process panel model data with defaults
+     * @param {Object} modelData - Raw panel model data
+     * @returns {Object} Processed panel model data; max_circuits defaults to the
+     *   number of spaces, and breaker_series and tandem_positions are JSON text
+     */
+    static processPanelModelData(modelData) {
+        const { manufacturer, model, spaces, max_circuits, bus_rating, breaker_series, tandem_positions, notes } = modelData;
+        const series = (breaker_series || []).map(entry => entry.trim()).filter(Boolean);
+
+        return {
+            manufacturer: manufacturer.trim(),
+            model: model.trim(),
+            spaces,
+            max_circuits: max_circuits ?? spaces,
+            bus_rating: bus_rating || null,
+            breaker_series: JSON.stringify([...new Set(series)]),
+            tandem_positions: Array.isArray(tandem_positions)
+                ? JSON.stringify([...new Set(tandem_positions)].sort((a, b) => a - b))
+                : null,
+            notes: notes?.trim() || null
+        };
+    }
+
+    /**
+     * Process level data with defaults
+     * @param {Object} levelData - Raw level data
+     * @returns {Object} Processed level data; key is derived from the name when not given
+     */
+    static processLevelData(levelData) {
+        const { name, key, color, icon, sort_order } = levelData;
+        const trimmedName = typeof name === 'string' ? name.trim() : name;
+
+        return {
+            name: trimmedName,
+            key: key || ErrorHandler.toKey(trimmedName, 'level'),
+            color: color || null,
+            icon: icon?.trim() || null,
+            sort_order: sort_order ?? null
+        };
+    }
+
+    /**
+     * Process circuit type data with defaults
+     * @param {Object} typeData - Raw circuit type data
+     * @returns {Object} Processed circuit type data; key is derived from the name when not given
+     */
+    static processCircuitTypeData(typeData) {
+        const { name, key, color, icon, default_amperage, label_style, label_noun, sort_order } = typeData;
+        const trimmedName = typeof name === 'string' ? name.trim() : name;
+
+        return {
+            name: trimmedName,
+            key: key || ErrorHandler.toKey(trimmedName, 'type'),
+            color: color || null,
+            icon: icon?.trim() || null,
+            default_amperage: default_amperage ?? null,
+            label_style: label_style || 'notes',
+            label_noun: label_noun?.trim() || null,
+            sort_order: sort_order ?? null
+        };
+    }
+
+    /**
+     * Turn a display name into a lowercase identifier, e.g. "Detached Garage" -> "detached_garage"
+     * @param {string} name - Display name
+     * @param {string} fallback - Key to use when the name has no usable characters
+     * @returns {string} Key made of lowercase letters, numbers and underscores
+     */
+    static toKey(name, fallback) {
+        const key = String(name || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return key || fallback;
+    }
+
+    /**
+     * Process device data with defaults
+     * @param {Object} deviceData - Raw device data
+     * @returns {Object} Processed device data; chain_order is null when the device goes at the end
+     */
+    static processDeviceData(deviceData) {
+        const { circuit_id, device_type, room_id, location, notes, chain_order } = deviceData;
+
+        return {
+            circuit_id,
+            device_type,
+            room_id: room_id || null,
+            location: location?.trim() || null,
+            notes: notes?.trim() || null,
+            chain_order: chain_order ?? null
+        };
+    }
+
     /**
      * Process breaker data with standardized error handling
      * @param {Object} breakerData - Raw breaker data
@@ -177,7 +348,9 @@ class ErrorHandler {
             monitor, 
             confirmed, 
             breaker_type, 
-            slot_position 
+            slot_position,
+            protection,
+            series
         } = breakerData;
         
         // For tandem breakers, ensure slot_position is set appropriately
@@ -195,7 +368,9 @@ class ErrorHandler {
             monitor: Boolean(monitor),
             confirmed: Boolean(confirmed),
             breaker_type: finalBreakerType,
-            slot_position: finalSlotPosition
+            slot_position: finalSlotPosition,
+            protection: protection || 'standard',
+            series: series?.trim() || null
         };
 
         // Include required fields for creation
@@ -214,13 +389,25 @@ class ErrorHandler {
      * @returns {Object} Processed circuit data
      */
     static processCircuitData(circuitData, operation = 'create') {
-        const { breaker_id, room_id, type, notes, subpanel_id } = circuitData;
+        const {
+            breaker_id, room_id, type, notes, subpanel_id,
+            load_value, load_unit, voltage, continuous, downstream_gfci,
+            wire_gauge, wire_material, cable_type
+        } = circuitData;
 
         const processedData = {
             room_id: room_id || null,
             type: type || null,
             notes: notes?.trim() || null,
-            subpanel_id: subpanel_id || null
+            subpanel_id: subpanel_id || null,
+            load_value: load_value ?? null,
+            load_unit: load_unit || 'W',
+            voltage: voltage || null,
+            continuous: Boolean(continuous),
+            downstream_gfci: Boolean(downstream_gfci),
+            wire_gauge: wire_gauge || null,
+            wire_material: wire_gauge ? (wire_material || 'cu') : null,
+            cable_type: cable_type || null
         };
 
         // Include required fields for creation
@@ -242,6 +429,9 @@ class ErrorHandler {
         console.error('Global error handler:', err);
         
         // Handle specific error types
+        if (err.type === 'entity.too.large') {
+            return ErrorHandler.sendError(res, { status: 413, message: `Upload is larger than the ${Math.round(err.limit / (1024 * 1024))} MB limit` });
+        }
         if (err.message && err.message.includes('constraint')) {
             const errorInfo = ErrorHandler.handleDatabaseError(err);
             return ErrorHandler.sendError(res, errorInfo);
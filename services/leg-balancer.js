@@ -0,0 +1,177 @@
+/**
+ * Leg Balancer - Phase balance analysis for a single panel
+ *
+ * Bus stabs change phase every row (see PanelLayout): L1/L2 on split-phase
+ * panels and A/B/C on three-phase panels. Multi-pole breakers draw from
+ * every phase they span, so their load is split evenly between them.
+ */
+const PanelLayout = require('./panel-layout');
+
+// Line-to-neutral voltage on both split-phase and 208Y/120V buses
+const LEG_VOLTAGE = 120;
+const MAX_SUGGESTIONS = 3;
+// Swaps that improve the imbalance by less than this aren't worth the trip to the panel
+const MIN_IMPROVEMENT_VA = 100;
+
+class LegBalancer {
+    /**
+     * Phase a position is connected to
+     * @param {number} position - Breaker position (1-based)
+     * @param {Object} [panel] - Panel row with phase_config and numbering_scheme
+     * @returns {string} Phase name, e.g. 'L1' or 'B'
+     */
+    static getLeg(position, panel) {
+        return PanelLayout.getPhase(position, panel);
+    }
+
+    /**
+     * Phases drawn on by a breaker
+     * @param {Object} breaker - Breaker row
+     * @param {Object} [panel] - Panel row with phase_config and numbering_scheme
+     * @returns {string[]} One phase for single/tandem breakers, one per pole otherwise
+     */
+    static getBreakerLegs(breaker, panel) {
+        const legs = PanelLayout.getSpannedPositions(breaker.position, breaker.breaker_type, panel)
+            .map(position => LegBalancer.getLeg(position, panel));
+        return [...new Set(legs)];
+    }
+
+    /**
+     * Analyze phase balance for a panel
+     * @param {Object} panel - Panel row
+     * @param {Array} breakers - Breakers in the panel
+     * @param {Object} breakerLoads - Load summaries keyed by breaker ID (from LoadCalculator)
+     * @returns {Object} Per-phase totals, imbalance, position phases and swap suggestions
+     */
+    static analyze(panel, breakers, breakerLoads) {
+        const phaseConfig = panel.phase_config || 'split_phase';
+        const phases = PanelLayout.getPhases(phaseConfig);
+        const legTotals = {};
+        phases.forEach(phase => {
+            legTotals[phase] = 0;
+        });
+        const breakerLegs = {};
+
+        breakers.forEach(breaker => {
+            const breakerLegList = LegBalancer.getBreakerLegs(breaker, panel);
+            const va = breakerLoads[breaker.id]?.connected_va || 0;
+
+            breakerLegList.forEach(leg => {
+                legTotals[leg] += va / breakerLegList.length;
+            });
+            breakerLegs[breaker.id] = breakerLegList.length === phases.length && phases.length === 2
+                ? 'both'
+                : breakerLegList.join('');
+        });
+
+        const positionLegs = {};
+        for (let position = 1; position <= panel.size; position++) {
+            positionLegs[position] = LegBalancer.getLeg(position, panel);
+        }
+
+        return {
+            phase_config: phaseConfig,
+            legs: LegBalancer.summarizeLegs(legTotals),
+            ...LegBalancer.getImbalance(legTotals),
+            breaker_legs: breakerLegs,
+            position_legs: positionLegs,
+            suggestions: LegBalancer.suggestSwaps(breakers, breakerLoads, legTotals, panel)
+        };
+    }
+
+    static summarizeLegs(legTotals) {
+        const summary = {};
+        Object.entries(legTotals).forEach(([leg, va]) => {
+            summary[leg] = {
+                connected_va: LegBalancer.round(va),
+                amps: LegBalancer.round(va / LEG_VOLTAGE)
+            };
+        });
+        return summary;
+    }
+
+    /**
+     * Imbalance between the most and least loaded phases
+     * @param {Object} legTotals - VA keyed by phase name
+     * @returns {{imbalance_va: number, imbalance_amps: number, imbalance_percent: number, heavier_leg: string|null}}
+     */
+    static getImbalance(legTotals) {
+        const values = Object.values(legTotals);
+        const heaviest = Math.max(...values);
+        const difference = heaviest - Math.min(...values);
+
+        return {
+            imbalance_va: LegBalancer.round(difference),
+            imbalance_amps: LegBalancer.round(difference / LEG_VOLTAGE),
+            imbalance_percent: heaviest > 0 ? Math.round((difference / heaviest) * 100) : 0,
+            heavier_leg: difference === 0 ? null : Object.keys(legTotals).find(leg => legTotals[leg] === heaviest)
+        };
+    }
+
+    /**
+     * Greedily pick single pole breaker swaps across phases that reduce the imbalance
+     * @param {Array} breakers - Breakers in the panel
+     * @param {Object} breakerLoads - Load summaries keyed by breaker ID
+     * @param {Object} legTotals - Current VA keyed by phase name
+     * @param {Object} [panel] - Panel row with phase_config and numbering_scheme
+     * @returns {Array} Suggested swaps in the order they should be made
+     */
+    static suggestSwaps(breakers, breakerLoads, legTotals, panel) {
+        // Tandems share a stab with their partner and multi-pole breakers already span phases
+        const candidates = breakers
+            .filter(breaker => (breaker.breaker_type || 'single') === 'single')
+            .map(breaker => ({
+                breaker,
+                leg: LegBalancer.getLeg(breaker.position, panel),
+                va: breakerLoads[breaker.id]?.connected_va || 0
+            }));
+
+        const suggestions = [];
+        const used = new Set();
+        let totals = { ...legTotals };
+
+        for (let i = 0; i < MAX_SUGGESTIONS; i++) {
+            const currentImbalance = LegBalancer.getImbalance(totals).imbalance_va;
+            let best = null;
+
+            candidates.forEach((first, index) => {
+                candidates.slice(index + 1).forEach(second => {
+                    if (first.leg === second.leg || first.va === second.va) return;
+                    if (used.has(first.breaker.id) || used.has(second.breaker.id)) return;
+
+                    const swapped = { ...totals };
+                    swapped[first.leg] += second.va - first.va;
+                    swapped[second.leg] += first.va - second.va;
+                    const improvement = currentImbalance - LegBalancer.getImbalance(swapped).imbalance_va;
+                    if (improvement >= MIN_IMPROVEMENT_VA && (!best || improvement > best.improvement)) {
+                        best = { first, second, swapped, improvement };
+                    }
+                });
+            });
+
+            if (!best) break;
+
+            used.add(best.first.breaker.id);
+            used.add(best.second.breaker.id);
+            totals = best.swapped;
+
+            const resulting = LegBalancer.getImbalance(totals);
+            suggestions.push({
+                breaker_ids: [best.first.breaker.id, best.second.breaker.id],
+                positions: [best.first.breaker.position, best.second.breaker.position],
+                labels: [best.first.breaker.label || null, best.second.breaker.label || null],
+                improvement_va: LegBalancer.round(best.improvement),
+                resulting_imbalance_va: resulting.imbalance_va,
+                resulting_imbalance_percent: resulting.imbalance_percent
+            });
+        }
+
+        return suggestions;
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = LegBalancer;
@@ -0,0 +1,214 @@
+/**
+ * Load Calculator - Connected load rollups for breakers, panels and the whole service
+ *
+ * Loads are tracked in VA (watts are treated as VA at unity power factor).
+ * Continuous loads count at 125% so a breaker carrying only continuous load
+ * is flagged once it exceeds 80% of its rating. Three-phase loads are
+ * converted to per-phase current with the √3 factor.
+ */
+
+const CONTINUOUS_FACTOR = 1.25;
+const WARNING_THRESHOLD = 0.8;
+const SQRT_3 = Math.sqrt(3);
+// Line-to-line voltage of each panel configuration
+const PANEL_VOLTAGE = {
+    split_phase: 240,
+    three_phase: 208
+};
+const DEFAULT_BREAKER_VOLTAGE = {
+    single: 120,
+    tandem: 120,
+    double_pole: 240,
+    triple_pole: 208
+};
+
+class LoadCalculator {
+    /**
+     * Voltage a circuit runs at, falling back to the breaker's natural voltage
+     * @param {Object} circuit - Circuit row
+     * @param {Object} breaker - Breaker row feeding the circuit
+     * @param {Object} [panel] - Panel the breaker sits in
+     * @returns {number} Voltage
+     */
+    static getCircuitVoltage(circuit, breaker, panel = null) {
+        if (circuit.voltage) return circuit.voltage;
+        // Two poles of a 208Y/120V bus are 208V apart, not 240V
+        if (breaker?.breaker_type === 'double_pole' && panel?.phase_config === 'three_phase') {
+            return PANEL_VOLTAGE.three_phase;
+        }
+        return DEFAULT_BREAKER_VOLTAGE[breaker?.breaker_type] || 120;
+    }
+
+    /**
+     * Current drawn on each pole by a circuit load
+     * @param {number} va - Connected load
+     * @param {Object} circuit - Circuit row
+     * @param {Object} breaker - Breaker row feeding the circuit
+     * @param {Object} [panel] - Panel the breaker sits in
+     * @returns {number} Amps
+     */
+    static getCircuitAmps(va, circuit, breaker, panel = null) {
+        const voltage = LoadCalculator.getCircuitVoltage(circuit, breaker, panel);
+        return breaker?.breaker_type === 'triple_pole' ? va / (voltage * SQRT_3) : va / voltage;
+    }
+
+    /**
+     * Per-phase current for a panel's total load
+     * @param {number} va - Panel load
+     * @param {Object} [panel] - Panel row
+     * @returns {number} Amps
+     */
+    static getPanelAmps(va, panel = null) {
+        return panel?.phase_config === 'three_phase'
+            ? va / (PANEL_VOLTAGE.three_phase * SQRT_3)
+            : va / PANEL_VOLTAGE.split_phase;
+    }
+
+    /**
+     * Classify a demand against a rating
+     * @param {number} demandAmps - Demand including the continuous factor
+     * @param {number|null} ratingAmps - Breaker or panel rating
+     * @returns {string} 'unrated', 'ok', 'warning' or 'overloaded'
+     */
+    static getStatus(demandAmps, ratingAmps) {
+        if (!ratingAmps) return 'unrated';
+        if (demandAmps > ratingAmps) return 'overloaded';
+        if (demandAmps > ratingAmps * WARNING_THRESHOLD) return 'warning';
+        return 'ok';
+    }
+
+    /**
+     * Build a summary object from raw totals
+     * @param {Object} totals - { connected_va, continuous_va, connected_amps, continuous_amps }
+     * @param {number|null} ratingAmps - Rating to compare against
+     * @returns {Object} Load summary
+     */
+    static buildSummary(totals, ratingAmps) {
+        const nonContinuousAmps = totals.connected_amps - totals.continuous_amps;
+        const demandAmps = nonContinuousAmps + totals.continuous_amps * CONTINUOUS_FACTOR;
+
+        return {
+            connected_va: LoadCalculator.round(totals.connected_va),
+            continuous_va: LoadCalculator.round(totals.continuous_va),
+            connected_amps: LoadCalculator.round(totals.connected_amps),
+            demand_amps: LoadCalculator.round(demandAmps),
+            rating_amps: ratingAmps || null,
+            continuous_limit_amps: ratingAmps ? LoadCalculator.round(ratingAmps * WARNING_THRESHOLD) : null,
+            utilization: ratingAmps ? LoadCalculator.round(demandAmps / ratingAmps) : null,
+            status: LoadCalculator.getStatus(demandAmps, ratingAmps)
+        };
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Calculate load summaries for every breaker and panel plus the whole service
+     * @param {Object} data - { panels, breakers, circuits } for the entire installation
+     * @returns {{breakers: Object, panels: Object, service: Object}} Summaries keyed by ID
+     */
+    static calculate({ panels, breakers, circuits }) {
+        const panelsById = new Map(panels.map(panel => [panel.id, panel]));
+
+        const circuitsByBreaker = new Map();
+        circuits.forEach(circuit => {
+            if (!circuitsByBreaker.has(circuit.breaker_id)) {
+                circuitsByBreaker.set(circuit.breaker_id, []);
+            }
+            circuitsByBreaker.get(circuit.breaker_id).push(circuit);
+        });
+
+        const breakersByPanel = new Map();
+        breakers.forEach(breaker => {
+            if (!breakersByPanel.has(breaker.panel_id)) {
+                breakersByPanel.set(breaker.panel_id, []);
+            }
+            breakersByPanel.get(breaker.panel_id).push(breaker);
+        });
+
+        // Subpanels are rated by the breaker that feeds them
+        const fedPanelIds = new Set();
+        const feederRatings = new Map();
+        circuits.forEach(circuit => {
+            if (circuit.type !== 'subpanel' || !circuit.subpanel_id) return;
+            fedPanelIds.add(circuit.subpanel_id);
+            const feeder = breakers.find(b => b.id === circuit.breaker_id);
+            if (feeder?.amperage) {
+                feederRatings.set(circuit.subpanel_id, Math.max(feederRatings.get(circuit.subpanel_id) || 0, feeder.amperage));
+            }
+        });
+
+        const panelTotals = new Map();
+        const breakerSummaries = {};
+        const panelSummaries = {};
+
+        const computePanel = (panelId, visiting) => {
+            if (panelTotals.has(panelId)) return panelTotals.get(panelId);
+
+            const totals = { connected_va: 0, continuous_va: 0, connected_amps: 0, continuous_amps: 0 };
+            if (visiting.has(panelId)) return totals; // Guard against circular subpanel links
+            visiting.add(panelId);
+            const panel = panelsById.get(panelId);
+
+            (breakersByPanel.get(panelId) || []).forEach(breaker => {
+                const breakerTotals = { connected_va: 0, continuous_va: 0, connected_amps: 0, continuous_amps: 0 };
+
+                (circuitsByBreaker.get(breaker.id) || []).forEach(circuit => {
+                    if (circuit.type === 'subpanel' && circuit.subpanel_id) {
+                        const subpanel = computePanel(circuit.subpanel_id, visiting);
+                        breakerTotals.connected_va += subpanel.connected_va;
+                        breakerTotals.continuous_va += subpanel.continuous_va;
+                        breakerTotals.connected_amps += subpanel.connected_amps;
+                        breakerTotals.continuous_amps += subpanel.continuous_amps;
+                    }
+
+                    const va = Number(circuit.load_value) || 0;
+                    if (va <= 0) return;
+                    const amps = LoadCalculator.getCircuitAmps(va, circuit, breaker, panel);
+                    breakerTotals.connected_va += va;
+                    breakerTotals.connected_amps += amps;
+                    if (circuit.continuous) {
+                        breakerTotals.continuous_va += va;
+                        breakerTotals.continuous_amps += amps;
+                    }
+                });
+
+                breakerSummaries[breaker.id] = LoadCalculator.buildSummary(breakerTotals, breaker.amperage);
+                totals.connected_va += breakerTotals.connected_va;
+                totals.continuous_va += breakerTotals.continuous_va;
+            });
+
+            totals.connected_amps = LoadCalculator.getPanelAmps(totals.connected_va, panel);
+            totals.continuous_amps = LoadCalculator.getPanelAmps(totals.continuous_va, panel);
+            visiting.delete(panelId);
+            panelTotals.set(panelId, totals);
+            return totals;
+        };
+
+        const serviceTotals = { connected_va: 0, continuous_va: 0, connected_amps: 0, continuous_amps: 0 };
+        let serviceRating = 0;
+
+        panels.forEach(panel => {
+            const totals = computePanel(panel.id, new Set());
+            const rating = panel.main_amperage || feederRatings.get(panel.id) || null;
+            panelSummaries[panel.id] = LoadCalculator.buildSummary(totals, rating);
+
+            // Panels fed from another panel are already counted through their feeder
+            if (!fedPanelIds.has(panel.id)) {
+                Object.keys(serviceTotals).forEach(key => {
+                    serviceTotals[key] += totals[key];
+                });
+                serviceRating += panel.main_amperage || 0;
+            }
+        });
+
+        return {
+            breakers: breakerSummaries,
+            panels: panelSummaries,
+            service: LoadCalculator.buildSummary(serviceTotals, serviceRating || null)
+        };
+    }
+}
+
+module.exports = LoadCalculator;
@@ -0,0 +1,132 @@
+/**
+ * Migration Service - Applies numbered schema migrations and tracks them in schema_migrations
+ */
+const defaultMigrations = require('../migrations');
+
+class MigrationService {
+    /**
+     * @param {Object} databaseService - Database service used to run migration queries
+     * @param {Array} migrations - Ordered migration definitions ({ version, name, up })
+     */
+    constructor(databaseService, migrations = defaultMigrations) {
+        this.databaseService = databaseService;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.validateMigrations();
+    }
+
+    /**
+     * Ensure migration versions are unique positive integers
+     * @private
+     */
+    validateMigrations() {
+        const seen = new Set();
+        this.migrations.forEach(migration => {
+            if (!Number.isInteger(migration.version) || migration.version <= 0) {
+                throw new Error(`Invalid migration version: ${migration.version}`);
+            }
+            if (seen.has(migration.version)) {
+                throw new Error(`Duplicate migration version: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${migration.version} is missing an up() function`);
+            }
+            seen.add(migration.version);
+        });
+    }
+
+    /**
+     * Create the schema_migrations tracking table
+     * @returns {Promise<void>}
+     */
+    async ensureMigrationsTable() {
+        await this.databaseService.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    /**
+     * Get the highest applied migration version
+     * @returns {Promise<number>} 0 when no migration has been applied
+     */
+    async getCurrentVersion() {
+        const row = await this.databaseService.get('SELECT MAX(version) as version FROM schema_migrations');
+        return row?.version || 0;
+    }
+
+    /**
+     * Get migrations that have not been applied yet
+     * @param {number} currentVersion - Highest applied version
+     * @returns {Array} Pending migrations in ascending order
+     */
+    getPendingMigrations(currentVersion) {
+        return this.migrations.filter(migration => migration.version > currentVersion);
+    }
+
+    /**
+     * Check whether the database already holds application tables
+     * @returns {Promise<boolean>}
+     */
+    async hasExistingSchema() {
+        const row = await this.databaseService.get(
+            `SELECT COUNT(*) as count FROM sqlite_master
+             WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'`
+        );
+        return row.count > 0;
+    }
+
+    /**
+     * Apply all pending migrations, backing up existing databases first.
+     * Foreign keys are disabled while migrating so migrations can rebuild
+     * tables, then checked once everything has been applied.
+     * @returns {Promise<{applied: Array<number>, backupPath: string|null}>}
+     */
+    async migrate() {
+        await this.ensureMigrationsTable();
+
+        const currentVersion = await this.getCurrentVersion();
+        const pending = this.getPendingMigrations(currentVersion);
+        if (pending.length === 0) {
+            return { applied: [], backupPath: null };
+        }
+
+        let backupPath = null;
+        if (await this.hasExistingSchema()) {
+            const targetVersion = pending[pending.length - 1].version;
+            backupPath = await this.databaseService.createBackup(`pre-v${targetVersion}`);
+        }
+
+        await this.databaseService.run('PRAGMA foreign_keys = OFF');
+        const applied = [];
+
+        try {
+            for (const migration of pending) {
+                await this.databaseService.transaction(async (db) => {
+                    await migration.up(db);
+                    await db.run(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                });
+                applied.push(migration.version);
+                console.log(`Applied migration ${migration.version}: ${migration.name}`);
+            }
+
+            const violations = await this.databaseService.all('PRAGMA foreign_key_check');
+            if (violations.length > 0) {
+                throw new Error(`Migration left ${violations.length} foreign key violation(s) in table ${violations[0].table}`);
+            }
+        } catch (error) {
+            const restoreHint = backupPath ? ` Restore from backup: ${backupPath}` : '';
+            error.message = `Schema migration failed: ${error.message}.${restoreHint}`;
+            throw error;
+        } finally {
+            await this.databaseService.run('PRAGMA foreign_keys = ON');
+        }
+
+        return { applied, backupPath };
+    }
+}
+
+module.exports = MigrationService;
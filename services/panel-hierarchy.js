@@ -0,0 +1,126 @@
+/**
+ * Panel Hierarchy - The tree of panels running from each main panel down
+ * through feeder breakers to its subpanels
+ *
+ * A subpanel is fed by a breaker whose circuit has type 'subpanel' and a
+ * subpanel_id. Every node counts its own breakers, circuits and critical
+ * breakers, and rolls them up with everything downstream. Panels fed by more
+ * than one feeder sit under the first one (lowest breaker position), and
+ * panels only reachable through a circular link become roots.
+ */
+
+class PanelHierarchy {
+    /**
+     * Build the tree
+     * @param {Object} data - { panels, breakers, circuits } to include
+     * @param {Object} loads - Summaries from LoadCalculator.calculate() for the same data
+     * @returns {Array} Root nodes, panels with the most downstream panels first
+     */
+    static build({ panels, breakers, circuits }, loads) {
+        const breakersById = new Map(breakers.map(breaker => [breaker.id, breaker]));
+        const nodes = new Map(panels.map(panel => [panel.id, PanelHierarchy.createNode(panel, loads.panels[panel.id])]));
+
+        breakers.forEach(breaker => {
+            const node = nodes.get(breaker.panel_id);
+            if (!node) return;
+            node.breaker_count++;
+            if (breaker.critical) node.critical_count++;
+        });
+
+        const feeds = [];
+        circuits.forEach(circuit => {
+            const breaker = breakersById.get(circuit.breaker_id);
+            const node = breaker && nodes.get(breaker.panel_id);
+            if (!node) return;
+            node.circuit_count++;
+            if (circuit.type === 'subpanel' && circuit.subpanel_id && nodes.has(circuit.subpanel_id)) {
+                feeds.push({ breaker, subpanelId: circuit.subpanel_id });
+            }
+        });
+
+        // First feeder wins, in breaker position order
+        feeds.sort((a, b) => a.breaker.position - b.breaker.position || a.breaker.id - b.breaker.id);
+        const parents = new Map();
+        feeds.forEach(({ breaker, subpanelId }) => {
+            if (parents.has(subpanelId) || subpanelId === breaker.panel_id) return;
+            parents.set(subpanelId, breaker.panel_id);
+            const child = nodes.get(subpanelId);
+            child.feeder = {
+                breaker_id: breaker.id,
+                panel_id: breaker.panel_id,
+                position: breaker.position,
+                slot_position: breaker.slot_position,
+                label: breaker.label,
+                amperage: breaker.amperage
+            };
+            nodes.get(breaker.panel_id).children.push(child);
+        });
+
+        // Attach top-down from panels with no feeder; whatever is left is part of a loop
+        const attached = new Set();
+        const attach = (node) => {
+            attached.add(node.id);
+            node.children = node.children.filter(child => !attached.has(child.id));
+            node.children.forEach(attach);
+        };
+        const roots = [...nodes.values()].filter(node => !parents.has(node.id));
+        roots.forEach(attach);
+        [...nodes.values()].forEach(node => {
+            if (attached.has(node.id)) return;
+            node.feeder = null;
+            roots.push(node);
+            attach(node);
+        });
+
+        roots.forEach(PanelHierarchy.rollUp);
+        return roots.sort((a, b) => b.totals.panel_count - a.totals.panel_count || a.id - b.id);
+    }
+
+    static createNode(panel, load) {
+        return {
+            id: panel.id,
+            name: panel.name,
+            site_id: panel.site_id,
+            size: panel.size,
+            main_amperage: panel.main_amperage,
+            feeder: null,
+            breaker_count: 0,
+            circuit_count: 0,
+            critical_count: 0,
+            totals: null,
+            // Load already includes everything downstream, through the feeders
+            load: load ? {
+                connected_amps: load.connected_amps,
+                demand_amps: load.demand_amps,
+                rating_amps: load.rating_amps,
+                utilization: load.utilization,
+                status: load.status
+            } : null,
+            children: []
+        };
+    }
+
+    /**
+     * Fill in a node's totals: its own counts plus all of its descendants'
+     * @param {Object} node - Tree node
+     * @returns {Object} The node's totals
+     */
+    static rollUp(node) {
+        node.children.sort((a, b) => a.feeder.position - b.feeder.position);
+        node.totals = {
+            panel_count: 1,
+            breaker_count: node.breaker_count,
+            circuit_count: node.circuit_count,
+            critical_count: node.critical_count
+        };
+        node.children.forEach(child => {
+            const childTotals = PanelHierarchy.rollUp(child);
+            Object.keys(node.totals).forEach(key => {
+                node.totals[key] += childTotals[key];
+            });
+        });
+        return node.totals;
+    }
+}
+
+module.exports = PanelHierarchy;
@@ -0,0 +1,305 @@
+/**
+ * Panel Layout - Bus geometry shared by routes, load and balance calculations
+ *
+ * A panel's numbering scheme decides where each position sits:
+ * - odd_even: odd numbers down the left, even down the right (1|2, 3|4, ...)
+ * - sequential: a single column numbered straight down (1, 2, 3, ...)
+ * - sequential_two_column: the left column numbered top to bottom, then the right
+ *
+ * A breaker spanning several rows occupies the positions below it in the same
+ * column. Bus stabs change phase every row: L1/L2 on split-phase panels and
+ * A/B/C on 208Y/120V three-phase panels.
+ */
+
+const PHASE_CONFIGS = ['split_phase', 'three_phase'];
+
+const PHASES = {
+    split_phase: ['L1', 'L2'],
+    three_phase: ['A', 'B', 'C']
+};
+
+const NUMBERING_SCHEMES = ['odd_even', 'sequential', 'sequential_two_column'];
+
+const COLUMN_COUNTS = {
+    odd_even: 2,
+    sequential: 1,
+    sequential_two_column: 2
+};
+
+const POLE_COUNTS = {
+    single: 1,
+    tandem: 1,
+    double_pole: 2,
+    triple_pole: 3
+};
+
+class PanelLayout {
+    /**
+     * Number of rows (and therefore phases) a breaker type spans
+     * @param {string} breakerType - Breaker type
+     * @returns {number} Pole count
+     */
+    static getPoleCount(breakerType) {
+        return POLE_COUNTS[breakerType] || 1;
+    }
+
+    /**
+     * Numbering scheme of a panel, defaulting to odd/even
+     * @param {Object} [panel] - Panel row
+     * @returns {string} Numbering scheme
+     */
+    static getNumberingScheme(panel) {
+        return NUMBERING_SCHEMES.includes(panel?.numbering_scheme) ? panel.numbering_scheme : 'odd_even';
+    }
+
+    /**
+     * Number of breaker columns a panel is drawn with
+     * @param {Object} [panel] - Panel row
+     * @returns {number} 1 or 2
+     */
+    static getColumnCount(panel) {
+        return COLUMN_COUNTS[PanelLayout.getNumberingScheme(panel)];
+    }
+
+    /**
+     * Number of rows in a panel
+     * @param {Object} panel - Panel row
+     * @returns {number} Row count
+     */
+    static getRowCount(panel) {
+        return Math.ceil(panel.size / PanelLayout.getColumnCount(panel));
+    }
+
+    /**
+     * Row and column of a position
+     * @param {number} position - Breaker position (1-based)
+     * @param {Object} [panel] - Panel row; odd/even numbering when omitted
+     * @returns {{row: number, column: number}} 1-based row, 0-based column (0 is the left)
+     */
+    static getSlot(position, panel) {
+        switch (PanelLayout.getNumberingScheme(panel)) {
+            case 'sequential':
+                return { row: position, column: 0 };
+            case 'sequential_two_column': {
+                const rows = PanelLayout.getRowCount(panel);
+                return position > rows
+                    ? { row: position - rows, column: 1 }
+                    : { row: position, column: 0 };
+            }
+            default:
+                return { row: Math.ceil(position / 2), column: (position - 1) % 2 };
+        }
+    }
+
+    /**
+     * Position at a row and column
+     * @param {number} row - 1-based row
+     * @param {number} column - 0-based column
+     * @param {Object} [panel] - Panel row; without a size the panel is treated as unbounded
+     * @returns {number|null} Position, or null when the slot is outside the panel
+     */
+    static getPosition(row, column, panel) {
+        const size = panel?.size || Infinity;
+        if (row < 1 || column < 0 || column >= PanelLayout.getColumnCount(panel)) return null;
+
+        let position;
+        switch (PanelLayout.getNumberingScheme(panel)) {
+            case 'sequential':
+                position = row;
+                break;
+            case 'sequential_two_column': {
+                const rows = PanelLayout.getRowCount(panel);
+                if (row > rows) return null;
+                position = column * rows + row;
+                break;
+            }
+            default:
+                position = (row - 1) * 2 + column + 1;
+        }
+        return position <= size ? position : null;
+    }
+
+    /**
+     * Positions in display order: left to right across each row, top to bottom
+     * @param {Object} panel - Panel row
+     * @returns {Array<number|null>} One entry per grid cell; null for the empty cell
+     *   at the bottom of an odd-sized two column panel
+     */
+    static getDisplayOrder(panel) {
+        const order = [];
+        const columns = PanelLayout.getColumnCount(panel);
+        for (let row = 1; row <= PanelLayout.getRowCount(panel); row++) {
+            for (let column = 0; column < columns; column++) {
+                order.push(PanelLayout.getPosition(row, column, panel));
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Positions occupied by a breaker starting at a position
+     * @param {number} position - Starting (top) position
+     * @param {string} breakerType - Breaker type
+     * @param {Object} [panel] - Panel row; odd/even numbering when omitted
+     * @returns {number[]} Occupied positions, top to bottom. Rows past the end of
+     *   the column are left out, so the list is shorter than the pole count.
+     */
+    static getSpannedPositions(position, breakerType, panel) {
+        const { row, column } = PanelLayout.getSlot(position, panel);
+        const positions = [position];
+        for (let pole = 1; pole < PanelLayout.getPoleCount(breakerType); pole++) {
+            const spanned = PanelLayout.getPosition(row + pole, column, panel);
+            if (spanned === null) break;
+            positions.push(spanned);
+        }
+        return positions;
+    }
+
+    /**
+     * Phase names for a panel's configuration
+     * @param {string} phaseConfig - 'split_phase' or 'three_phase'
+     * @returns {string[]} Phase names in bus order
+     */
+    static getPhases(phaseConfig) {
+        return PHASES[phaseConfig] || PHASES.split_phase;
+    }
+
+    /**
+     * Phase (bus leg) a position is connected to
+     * @param {number} position - Breaker position (1-based)
+     * @param {Object} [panel] - Panel row with phase_config and numbering_scheme
+     * @returns {string} Phase name
+     */
+    static getPhase(position, panel) {
+        const phases = PanelLayout.getPhases(panel?.phase_config);
+        const { row } = PanelLayout.getSlot(position, panel);
+        return phases[(row - 1) % phases.length];
+    }
+
+    /**
+     * Check that a breaker physically fits among the others in its panel: inside
+     * the panel, with room for every pole, tandems in slot A or B sharing a
+     * space only with their other half, and nothing under a multi-pole span
+     * @param {Object} panel - Panel row
+     * @param {Object[]} breakers - The panel's other breakers
+     * @param {Object} breaker - Breaker being placed: position, slot_position, breaker_type
+     * @returns {Object|null} Conflict with a `code`, a `message`, the `position`
+     *   it is at and the `conflicting_breaker_id` when another breaker is in
+     *   the way; null when the breaker fits
+     */
+    static findConflict(panel, breakers, breaker) {
+        const { position, breaker_type: breakerType } = breaker;
+        const slot = breaker.slot_position || 'single';
+        const conflict = (code, message, at = position, other = null) =>
+            ({ code, message, position: at, conflicting_breaker_id: other ? other.id : null });
+
+        if (position > panel.size) {
+            return conflict('outside_panel', `Position ${position} is outside this ${panel.size}-space panel`);
+        }
+        if ((breakerType === 'tandem') !== (slot !== 'single')) {
+            return conflict('tandem_slot', breakerType === 'tandem'
+                ? 'Tandem breakers go in slot A or B'
+                : 'Only tandem breakers go in slot A or B');
+        }
+
+        const spanned = PanelLayout.getSpannedPositions(position, breakerType, panel);
+        if (spanned.length < PanelLayout.getPoleCount(breakerType)) {
+            return conflict('span_past_end', `A ${breakerType.replace('_', ' ')} breaker at position ${position} would extend past the end of the panel`);
+        }
+
+        for (const other of breakers) {
+            const otherSlot = other.slot_position || 'single';
+            if (other.position === position) {
+                if (otherSlot === slot) {
+                    return conflict('slot_taken', `Position ${position}${slot === 'single' ? '' : slot} already has a breaker`, position, other);
+                }
+                if (slot === 'single' || otherSlot === 'single') {
+                    return conflict('tandem_mixed', otherSlot === 'single'
+                        ? `Position ${position} has a full-size breaker, so a tandem can't share it`
+                        : `Position ${position} has a tandem breaker, so a full-size breaker can't share it`, position, other);
+                }
+                continue;
+            }
+
+            const otherSpanned = PanelLayout.getSpannedPositions(other.position, other.breaker_type, panel);
+            if (otherSpanned.includes(position)) {
+                return conflict('span_overlap', `Position ${position} is covered by the ${other.breaker_type.replace('_', ' ')} breaker at position ${other.position}`, position, other);
+            }
+            if (spanned.includes(other.position)) {
+                return conflict('span_overlap', `A ${breakerType.replace('_', ' ')} breaker at position ${position} would cover position ${other.position}, which already has a breaker`, other.position, other);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Breakers that no longer fit once a panel changes size or numbering, and
+     * where each could go instead. Breakers keep their places in position
+     * order, so of two that would now overlap the lower one is in conflict.
+     * @param {Object} panel - Panel row with the new size and numbering scheme
+     * @param {Object[]} breakers - The panel's breakers
+     * @returns {Object[]} One entry per breaker that doesn't fit, with its
+     *   `breaker_id`, `position`, `slot_position`, `breaker_type` and `label`,
+     *   the conflict's `code` and `message`, and `relocate_to`: the first free
+     *   position it fits at after the breakers before it are placed, or null
+     *   when there is no room left
+     */
+    static planResize(panel, breakers) {
+        const slotOrder = { single: 0, A: 1, B: 2 };
+        const sorted = [...breakers].sort((a, b) =>
+            a.position - b.position || (slotOrder[a.slot_position] || 0) - (slotOrder[b.slot_position] || 0));
+
+        const placed = [];
+        const stranded = [];
+        sorted.forEach(breaker => {
+            const conflict = PanelLayout.findConflict(panel, placed, breaker);
+            if (conflict) {
+                stranded.push({ breaker, conflict });
+            } else {
+                placed.push(breaker);
+            }
+        });
+
+        // The two halves of a tandem stay together where they can
+        const tandemMoves = new Map();
+        return stranded.map(({ breaker, conflict }) => {
+            const relocateTo = PanelLayout.findFreePosition(panel, placed, breaker, tandemMoves.get(breaker.position));
+            if (relocateTo !== null) {
+                placed.push({ ...breaker, position: relocateTo });
+                if (breaker.breaker_type === 'tandem') tandemMoves.set(breaker.position, relocateTo);
+            }
+            return {
+                breaker_id: breaker.id,
+                position: breaker.position,
+                slot_position: breaker.slot_position || 'single',
+                breaker_type: breaker.breaker_type,
+                label: breaker.label || null,
+                code: conflict.code,
+                message: conflict.message,
+                relocate_to: relocateTo
+            };
+        });
+    }
+
+    /**
+     * First position a breaker fits at among the others in a panel
+     * @param {Object} panel - Panel row
+     * @param {Object[]} breakers - Breakers already in place
+     * @param {Object} breaker - Breaker to place, keeping its type and slot
+     * @param {number} [preferred] - Position to try before the rest
+     * @returns {number|null} Position, or null when it fits nowhere
+     */
+    static findFreePosition(panel, breakers, breaker, preferred) {
+        const fits = position => !PanelLayout.findConflict(panel, breakers, { ...breaker, position });
+        if (preferred && fits(preferred)) return preferred;
+        for (let position = 1; position <= panel.size; position++) {
+            if (fits(position)) return position;
+        }
+        return null;
+    }
+}
+
+PanelLayout.PHASE_CONFIGS = PHASE_CONFIGS;
+PanelLayout.NUMBERING_SCHEMES = NUMBERING_SCHEMES;
+
+module.exports = PanelLayout;
@@ -0,0 +1,149 @@
+/**
+ * Panel Model - Rules a manufacturer's load center puts on what it accepts
+ *
+ * A model is listed for a number of spaces and a higher or equal number of
+ * circuits, which only tandem breakers can reach, and often only in certain
+ * spaces. It takes breakers from one or more series (QO and Homeline breakers
+ * don't interchange even though both are Square D) and has a bus rating the
+ * main breaker can't exceed. These rules sit on top of PanelLayout's checks
+ * of whether a breaker physically fits.
+ */
+
+const PanelLayout = require('./panel-layout');
+
+class PanelModel {
+    /**
+     * Model row as the API returns it: the JSON columns parsed
+     * @param {Object} row - panel_models row
+     * @returns {Object}
+     */
+    static format(row) {
+        return {
+            ...row,
+            breaker_series: JSON.parse(row.breaker_series || '[]'),
+            tandem_positions: row.tandem_positions === null ? null : JSON.parse(row.tandem_positions)
+        };
+    }
+
+    /**
+     * Name of a model, e.g. 'Square D QO QO140M200P'
+     * @param {Object} model - Model row
+     * @returns {string}
+     */
+    static describe(model) {
+        return `${model.manufacturer} ${model.model}`;
+    }
+
+    /**
+     * Circuits a set of breakers uses: one per pole, so each half of a tandem
+     * counts once and a double pole twice
+     * @param {Object[]} breakers - Breaker rows
+     * @returns {number}
+     */
+    static countCircuits(breakers) {
+        return breakers.reduce((count, breaker) => count + PanelLayout.getPoleCount(breaker.breaker_type), 0);
+    }
+
+    /**
+     * Positions as ranges, e.g. [1, 2, 3, 4, 9] → '1-4, 9'
+     * @param {number[]} positions - Positions
+     * @returns {string}
+     */
+    static formatPositions(positions) {
+        const ranges = [];
+        [...positions].sort((a, b) => a - b).forEach(position => {
+            const last = ranges[ranges.length - 1];
+            if (last && position === last[1] + 1) {
+                last[1] = position;
+            } else {
+                ranges.push([position, position]);
+            }
+        });
+        return ranges.map(([first, end]) => (first === end ? String(first) : `${first}-${end}`)).join(', ');
+    }
+
+    /**
+     * Check a panel's size and main breaker against a model
+     * @param {Object} model - Formatted model
+     * @param {Object} panel - size and main_amperage
+     * @returns {string|null} What's wrong, or null when the panel matches the model
+     */
+    static checkPanel(model, panel) {
+        const name = PanelModel.describe(model);
+        if (panel.size > model.spaces) {
+            return `The ${name} has ${model.spaces} spaces, so the panel can't have ${panel.size}`;
+        }
+        if (panel.main_amperage && model.bus_rating && panel.main_amperage > model.bus_rating) {
+            return `The ${name} has a ${model.bus_rating}A bus, so its main breaker can't be ${panel.main_amperage}A`;
+        }
+        return null;
+    }
+
+    /**
+     * Check a breaker against a model's rules
+     * @param {Object} model - Formatted model
+     * @param {Object[]} breakers - The panel's other breakers
+     * @param {Object} breaker - Breaker being placed: position, breaker_type and series
+     * @returns {Object|null} Violation with a `code` (tandem_position,
+     *   series_mismatch or circuit_limit), a `message` and the `position`;
+     *   null when the model allows the breaker
+     */
+    static findViolation(model, breakers, breaker) {
+        const name = PanelModel.describe(model);
+        const violation = (code, message) => ({ code, message, position: breaker.position });
+
+        if (breaker.breaker_type === 'tandem' && model.tandem_positions !== null &&
+            !model.tandem_positions.includes(breaker.position)) {
+            return violation('tandem_position', model.tandem_positions.length === 0
+                ? `The ${name} doesn't accept tandem breakers`
+                : `The ${name} only accepts tandem breakers at positions ${PanelModel.formatPositions(model.tandem_positions)}`);
+        }
+
+        const series = breaker.series ? breaker.series.trim().toUpperCase() : '';
+        if (series && model.breaker_series.length > 0 &&
+            !model.breaker_series.some(accepted => accepted.toUpperCase() === series)) {
+            return violation('series_mismatch', `The ${name} takes ${model.breaker_series.join(' or ')} breakers, not ${breaker.series.trim()}`);
+        }
+
+        const circuits = PanelModel.countCircuits(breakers) + PanelLayout.getPoleCount(breaker.breaker_type);
+        if (circuits > model.max_circuits) {
+            return violation('circuit_limit', `The ${name} is listed for ${model.max_circuits} circuits; this breaker would make ${circuits}`);
+        }
+        return null;
+    }
+
+    /**
+     * Breakers already in a panel that break a model's rules, checked in
+     * position order so the circuit limit falls on the last breakers
+     * @param {Object} model - Formatted model
+     * @param {Object[]} breakers - The panel's breakers
+     * @returns {Object[]} One entry per breaker with its `breaker_id`,
+     *   `position`, `slot_position`, `label`, and the violation's `code` and `message`
+     */
+    static findConflicts(model, breakers) {
+        const slotOrder = { single: 0, A: 1, B: 2 };
+        const sorted = [...breakers].sort((a, b) =>
+            a.position - b.position || (slotOrder[a.slot_position] || 0) - (slotOrder[b.slot_position] || 0));
+
+        const allowed = [];
+        const conflicts = [];
+        sorted.forEach(breaker => {
+            const violation = PanelModel.findViolation(model, allowed, breaker);
+            if (!violation) {
+                allowed.push(breaker);
+                return;
+            }
+            conflicts.push({
+                breaker_id: breaker.id,
+                position: breaker.position,
+                slot_position: breaker.slot_position || 'single',
+                label: breaker.label || null,
+                code: violation.code,
+                message: violation.message
+            });
+        });
+        return conflicts;
+    }
+}
+
+module.exports = PanelModel;
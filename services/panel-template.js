@@ -0,0 +1,89 @@
+/**
+ * Panel Template - Copies of a panel's breakers and circuits, for cloning a
+ * panel or saving it as a template to start new panels from
+ *
+ * A copy keeps what describes the hardware and its wiring and leaves out what
+ * only belongs to the original: row IDs, whether a breaker has been traced,
+ * subpanel links and devices. Clones can keep each circuit's room; templates
+ * never do, since they aren't tied to a site.
+ */
+
+const LAYOUT_FIELDS = ['size', 'main_amperage', 'phase_config', 'numbering_scheme', 'model_id'];
+
+const BREAKER_FIELDS = ['position', 'slot_position', 'label', 'amperage', 'critical', 'monitor', 'breaker_type', 'protection', 'series'];
+
+const CIRCUIT_FIELDS = [
+    'type', 'notes', 'load_value', 'load_unit', 'voltage', 'continuous',
+    'downstream_gfci', 'wire_gauge', 'wire_material', 'cable_type'
+];
+
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+
+class PanelTemplate {
+    /**
+     * Copy a panel's breakers, each with its circuits
+     * @param {Object[]} breakers - The panel's breaker rows
+     * @param {Object[]} circuits - Circuit rows on those breakers
+     * @param {Object} [options]
+     * @param {boolean} [options.includeCircuits=true] - Copy the circuits too
+     * @param {boolean} [options.includeRooms=false] - Keep each circuit's room_id
+     * @returns {Object[]} Breakers in position order, each with a `circuits` array
+     */
+    static copyBreakers(breakers, circuits, { includeCircuits = true, includeRooms = false } = {}) {
+        return [...breakers]
+            .sort((a, b) => a.position - b.position || String(a.slot_position).localeCompare(String(b.slot_position)))
+            .map(breaker => ({
+                ...pick(breaker, BREAKER_FIELDS),
+                circuits: includeCircuits
+                    ? circuits
+                        .filter(circuit => circuit.breaker_id === breaker.id)
+                        .sort((a, b) => a.id - b.id)
+                        .map(circuit => ({
+                            ...pick(circuit, CIRCUIT_FIELDS),
+                            ...(includeRooms ? { room_id: circuit.room_id ?? null } : {})
+                        }))
+                    : []
+            }));
+    }
+
+    /**
+     * Layout fields of a panel or template
+     * @param {Object} row - Panel or template row
+     * @returns {Object} size, main_amperage, phase_config, numbering_scheme and model_id
+     */
+    static getLayout(row) {
+        return pick(row, LAYOUT_FIELDS);
+    }
+
+    /**
+     * Template row as the API returns it: breakers parsed, with counts
+     * @param {Object} row - panel_templates row
+     * @returns {Object}
+     */
+    static format(row) {
+        const breakers = JSON.parse(row.breakers);
+        return {
+            ...row,
+            includes_circuits: Boolean(row.includes_circuits),
+            breakers,
+            breaker_count: breakers.length,
+            circuit_count: breakers.reduce((count, breaker) => count + breaker.circuits.length, 0)
+        };
+    }
+
+    /**
+     * Whether a template has circuits of a type, which new panels would be given
+     * @param {Object} template - Template as format() returns it
+     * @param {string} typeKey - Circuit type key
+     * @returns {boolean}
+     */
+    static usesCircuitType(template, typeKey) {
+        return template.breakers.some(breaker => breaker.circuits.some(circuit => circuit.type === typeKey));
+    }
+}
+
+PanelTemplate.LAYOUT_FIELDS = LAYOUT_FIELDS;
+PanelTemplate.BREAKER_FIELDS = BREAKER_FIELDS;
+PanelTemplate.CIRCUIT_FIELDS = CIRCUIT_FIELDS;
+
+module.exports = PanelTemplate;
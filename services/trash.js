@@ -0,0 +1,247 @@
+/**
+ * Trash - Deleted panels, breakers, circuits and rooms, restorable until purged
+ *
+ * Deleting a row logs it and everything deleted or detached with it to the
+ * change history, as for any undoable operation; the trash item marks those
+ * entries and keeps the photos and documents that went too. Restoring applies
+ * the inverse of the entries as a new operation, so it can itself be undone.
+ * An item is shown while its delete is in effect: undoing the delete hides it,
+ * as does restoring it until that restore is undone.
+ */
+const ChangeHistory = require('./change-history');
+const UndoStack = require('./undo-stack');
+
+// Entity types that go to the trash when deleted
+const ENTITY_TYPES = ['panel', 'breaker', 'circuit', 'room'];
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Attachment columns pointing at each trashable table
+const ATTACHMENT_COLUMNS = {
+    panels: 'panel_id',
+    breakers: 'breaker_id',
+    circuits: 'circuit_id'
+};
+
+const VISIBLE = `o.undone_at IS NULL AND (t.restore_operation_id IS NULL OR r.undone_at IS NOT NULL)`;
+
+const FROM = `
+    FROM trash t
+    JOIN operations o ON t.operation_id = o.id
+    LEFT JOIN operations r ON t.restore_operation_id = r.id
+`;
+
+class Trash {
+    /**
+     * Whether deleting rows of a table sends them to the trash
+     * @param {string} tableName - Database table name
+     * @returns {boolean}
+     */
+    static isTrashable(tableName) {
+        return ENTITY_TYPES.includes(ChangeHistory.ENTITY_TYPES[tableName]);
+    }
+
+    /**
+     * Days items stay in the trash, from a configured value
+     * @param {*} value - e.g. the TRASH_RETENTION_DAYS environment variable
+     * @returns {number}
+     */
+    static parseRetentionDays(value) {
+        const days = Number(value);
+        return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+    }
+
+    /**
+     * Put a row that is about to be deleted in the trash, with the change
+     * history entries logged for its delete. Call this before running the DELETE.
+     * @param {Object} db - Database service or transaction handle
+     * @param {string} tableName - Trashable table name
+     * @param {Object} row - Row about to be deleted
+     * @param {Object} context
+     * @param {number[]} context.entryIds - Entries logged by ChangeHistory.recordDelete()
+     * @param {number} context.operationId - Operation the delete is part of
+     * @param {string|null} context.actor - Who deleted it
+     * @returns {Promise<number>} Trash item ID
+     */
+    static async add(db, tableName, row, { entryIds, operationId, actor }) {
+        const entityType = ChangeHistory.ENTITY_TYPES[tableName];
+        const attachments = await Trash.getAttachments(db, tableName, row);
+        const { site_id: siteId } = await ChangeHistory.getLocation(db, entityType, row);
+        const result = await db.run(
+            `INSERT INTO trash (entity_type, entity_id, name, location, attachments, operation_id, actor, site_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entityType, row.id, await Trash.describe(db, tableName, row), await Trash.describeLocation(db, tableName, row),
+             JSON.stringify(attachments), operationId, actor, siteId]
+        );
+        await db.run(
+            `UPDATE change_history SET trash_id = ? WHERE id IN (${entryIds.map(() => '?').join(', ')})`,
+            [result.id, ...entryIds]
+        );
+        return result.id;
+    }
+
+    static async describe(db, tableName, row) {
+        if (tableName !== 'circuits') return UndoStack.describeEntity(ChangeHistory.ENTITY_TYPES[tableName], row);
+
+        const type = await db.get('SELECT name FROM circuit_types WHERE key = ?', [row.type]);
+        const room = row.room_id ? await db.get('SELECT name FROM rooms WHERE id = ?', [row.room_id]) : null;
+        return [type ? `${type.name} circuit` : 'Circuit', room ? `(${room.name})` : null].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Where a row was, e.g. 'Main Panel, breaker 5'; rooms and panels have no location
+     */
+    static async describeLocation(db, tableName, row) {
+        if (tableName === 'breakers') {
+            const panel = await db.get('SELECT name FROM panels WHERE id = ?', [row.panel_id]);
+            return panel ? panel.name : null;
+        }
+        if (tableName === 'circuits') {
+            const breaker = await db.get(
+                'SELECT b.*, p.name as panel_name FROM breakers b JOIN panels p ON b.panel_id = p.id WHERE b.id = ?',
+                [row.breaker_id]
+            );
+            return breaker ? `${breaker.panel_name}, ${UndoStack.describeEntity('breaker', breaker)}` : null;
+        }
+        return null;
+    }
+
+    /**
+     * Attachments that deleting a row will remove with it
+     */
+    static async getAttachments(db, tableName, row) {
+        if (tableName === 'panels') {
+            return db.all(`
+                SELECT * FROM attachments
+                WHERE panel_id = ?
+                   OR breaker_id IN (SELECT id FROM breakers WHERE panel_id = ?)
+                   OR circuit_id IN (SELECT c.id FROM circuits c JOIN breakers b ON c.breaker_id = b.id WHERE b.panel_id = ?)
+                ORDER BY id
+            `, [row.id, row.id, row.id]);
+        }
+        if (tableName === 'breakers') {
+            return db.all(
+                'SELECT * FROM attachments WHERE breaker_id = ? OR circuit_id IN (SELECT id FROM circuits WHERE breaker_id = ?) ORDER BY id',
+                [row.id, row.id]
+            );
+        }
+        if (tableName === 'circuits') {
+            return db.all('SELECT * FROM attachments WHERE circuit_id = ? ORDER BY id', [row.id]);
+        }
+        return [];
+    }
+
+    /**
+     * Items in the trash, newest first, with counts of what was deleted along with each
+     * @param {Object} db - Database service or transaction handle
+     * @param {number|null} [siteId] - Only items deleted from this site
+     * @returns {Promise<Array>}
+     */
+    static async list(db, siteId = null) {
+        const items = await db.all(
+            `SELECT t.* ${FROM} WHERE ${VISIBLE} AND (? IS NULL OR t.site_id = ?) ORDER BY t.deleted_at DESC, t.id DESC`,
+            [siteId, siteId]
+        );
+        const counts = await db.all(`
+            SELECT h.trash_id, h.entity_type, COUNT(*) as count
+            FROM change_history h
+            WHERE h.trash_id IN (SELECT t.id ${FROM} WHERE ${VISIBLE}) AND h.action = 'delete'
+            GROUP BY h.trash_id, h.entity_type
+        `);
+        return items.map(item => {
+            const attachments = JSON.parse(item.attachments);
+            const contents = Object.fromEntries(counts
+                .filter(count => count.trash_id === item.id && count.entity_type !== item.entity_type)
+                .map(count => [count.entity_type, count.count]));
+            if (attachments.length > 0) contents.attachment = attachments.length;
+            return { ...item, attachments: undefined, contents };
+        });
+    }
+
+    /**
+     * A trash item, only while it is shown in the trash
+     * @param {Object} db - Database service or transaction handle
+     * @param {number} id - Trash item ID
+     * @returns {Promise<Object|undefined>}
+     */
+    static async get(db, id) {
+        return db.get(`SELECT t.* ${FROM} WHERE t.id = ? AND ${VISIBLE}`, [id]);
+    }
+
+    /**
+     * Put an item back, reattaching the rooms and panels it was linked to that
+     * still exist. Run inside a transaction: a row whose place has been taken
+     * since throws UndoStack.ConflictError.
+     * @param {Object} db - Transaction handle
+     * @param {Object} item - Trash item from get()
+     * @param {string|null} actor - Who is restoring it
+     * @returns {Promise<number>} ID of the restore operation
+     */
+    static async restore(db, item, actor) {
+        const rows = await db.all('SELECT * FROM change_history WHERE trash_id = ? ORDER BY id', [item.id]);
+        const operationId = await UndoStack.begin(db, `Restore ${item.name}`, actor);
+        await UndoStack.applyEntries(db, rows.map(ChangeHistory.format).reverse(), true, actor, { operationId, relink: true });
+        await db.run('UPDATE trash SET restore_operation_id = ? WHERE id = ?', [operationId, item.id]);
+        await Trash.restoreAttachments(db, operationId);
+        return operationId;
+    }
+
+    /**
+     * Bring back the attachments of trash items whose rows an operation has
+     * just put back, by undoing their delete or redoing their restore
+     * @param {Object} db - Database service or transaction handle
+     * @param {number} operationId - Operation undone or redone
+     * @returns {Promise<void>}
+     */
+    static async restoreAttachments(db, operationId) {
+        const items = await db.all(
+            'SELECT attachments FROM trash WHERE operation_id = ? OR restore_operation_id = ?',
+            [operationId, operationId]
+        );
+        for (const attachment of items.flatMap(item => JSON.parse(item.attachments))) {
+            const [table, column] = Object.entries(ATTACHMENT_COLUMNS).find(([, key]) => attachment[key] !== null);
+            const parent = await db.get(`SELECT id FROM ${table} WHERE id = ?`, [attachment[column]]);
+            const existing = await db.get('SELECT id FROM attachments WHERE id = ?', [attachment.id]);
+            if (!parent || existing) continue;
+
+            const columns = Object.keys(attachment);
+            await db.run(
+                `INSERT INTO attachments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(key => attachment[key])
+            );
+        }
+    }
+
+    /**
+     * Delete items for good: one, or every item older than the retention period
+     * @param {Object} db - Database service or transaction handle
+     * @param {Object} options
+     * @param {number} [options.id] - Item to delete
+     * @param {number} [options.retentionDays] - Delete items older than this many days
+     * @returns {Promise<number>} Number of items deleted
+     */
+    static async purge(db, { id, retentionDays }) {
+        const result = id
+            ? await db.run('DELETE FROM trash WHERE id = ?', [id])
+            : await db.run(`DELETE FROM trash WHERE deleted_at < datetime('now', ?)`, [`-${retentionDays} days`]);
+        return result.changes;
+    }
+
+    /**
+     * Names of the attachment files trash items still need
+     * @param {Object} db - Database service or transaction handle
+     * @returns {Promise<string[]>}
+     */
+    static async getAttachmentFiles(db) {
+        const rows = await db.all(`
+            SELECT json_extract(a.value, '$.stored_name') as stored_name, json_extract(a.value, '$.thumbnail_name') as thumbnail_name
+            FROM trash t, json_each(t.attachments) a
+        `);
+        return rows.flatMap(row => [row.stored_name, row.thumbnail_name]).filter(Boolean);
+    }
+}
+
+Trash.ENTITY_TYPES = ENTITY_TYPES;
+Trash.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+
+module.exports = Trash;
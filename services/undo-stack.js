@@ -0,0 +1,262 @@
+/**
+ * Undo Stack - Undo and redo whole operations using the change history
+ *
+ * An operation is one user action: the changes a single request makes, or
+ * those of several requests that send the same X-Operation-Id header, such as
+ * saving a breaker together with its circuits. Each site has its own stack:
+ * an operation belongs to the site of its first change. Undo applies the
+ * inverse of each change in reverse order and redo applies the changes again
+ * in order.
+ * Every row is checked against the values the log expects before it is
+ * touched, so anything changed outside the stack since is reported as a
+ * conflict instead of being overwritten. Tracing steps removed with a deleted
+ * row are not brought back.
+ */
+const ChangeHistory = require('./change-history');
+
+const VERBS = {
+    create: 'Add',
+    update: 'Edit',
+    delete: 'Delete',
+    move: 'Move'
+};
+
+class UndoConflictError extends Error {}
+
+class UndoForbiddenError extends Error {}
+
+class UndoStack {
+    /**
+     * Short name of a row for labels and messages, e.g. 'breaker 5' or 'room "Kitchen"'
+     * @param {string} entityType - Change history entity type
+     * @param {Object} row - Row, or the logged values of one
+     * @returns {string}
+     */
+    static describeEntity(entityType, row) {
+        if ((entityType === 'panel' || entityType === 'room') && row.name) return `${entityType} "${row.name}"`;
+        if (entityType === 'breaker' && row.position) {
+            const slot = row.slot_position && row.slot_position !== 'single' ? row.slot_position : '';
+            return `breaker ${row.position}${slot}`;
+        }
+        return entityType;
+    }
+
+    /**
+     * Default label of an operation, taken from its first change
+     * @param {string} entityType - Change history entity type
+     * @param {string} action - Change history action
+     * @param {Object} row - Changed row
+     * @returns {string} e.g. 'Delete breaker 5'
+     */
+    static describeChange(entityType, action, row) {
+        return `${VERBS[action]} ${UndoStack.describeEntity(entityType, row)}`;
+    }
+
+    /**
+     * Start a new operation. Once its first change is logged, whatever was
+     * undone at that change's site can no longer be redone.
+     * @param {Object} db - Database service or transaction handle
+     * @param {string} label - What the operation does, e.g. 'Save breaker 5'
+     * @param {string|null} actor - Who started it
+     * @returns {Promise<number>} Operation ID
+     */
+    static async begin(db, label, actor) {
+        const result = await db.run('INSERT INTO operations (label, actor) VALUES (?, ?)', [label, actor]);
+        return result.id;
+    }
+
+    /**
+     * Operation a request's changes belong to: the one named in its
+     * X-Operation-Id header while that is still the newest, otherwise a new one
+     * started with the first change
+     * @param {Object} db - Database service or transaction handle
+     * @param {Object} req - Express request
+     * @param {string} label - Label for a new operation
+     * @returns {Promise<number>} Operation ID
+     */
+    static async getOperationId(db, req, label) {
+        if (req.operationId) return req.operationId;
+
+        const requested = parseInt(req.get('X-Operation-Id'));
+        const newest = await db.get('SELECT id, undone_at FROM operations ORDER BY id DESC LIMIT 1');
+        if (requested && newest && newest.id === requested && !newest.undone_at) {
+            req.operationId = requested;
+        } else {
+            req.operationId = await UndoStack.begin(db, label, ChangeHistory.getActor(req));
+        }
+        return req.operationId;
+    }
+
+    /**
+     * The operations undo and redo would act on next
+     * @param {Object} db - Database service or transaction handle
+     * @param {number|null} [siteId] - Only operations at this site
+     * @returns {Promise<{undo: Object|null, redo: Object|null}>}
+     */
+    static async getState(db, siteId = null) {
+        const where = 'EXISTS (SELECT 1 FROM change_history h WHERE h.operation_id = o.id) AND (? IS NULL OR o.site_id = ?)';
+        const [undo, redo] = await Promise.all([
+            db.get(`SELECT o.* FROM operations o WHERE o.undone_at IS NULL AND ${where} ORDER BY o.id DESC LIMIT 1`, [siteId, siteId]),
+            db.get(`SELECT o.* FROM operations o WHERE o.undone_at IS NOT NULL AND ${where} ORDER BY o.id ASC LIMIT 1`, [siteId, siteId])
+        ]);
+        return { undo: undo || null, redo: redo || null };
+    }
+
+    /**
+     * Undo the newest operation. Run inside a transaction: a conflict part way
+     * through throws UndoStack.ConflictError.
+     * @param {Object} db - Transaction handle
+     * @param {string|null} actor - Who is undoing
+     * @param {Object} [options]
+     * @param {number|null} [options.siteId] - Site whose stack to undo from
+     * @param {boolean} [options.ownOnly] - Throw UndoStack.ForbiddenError when
+     *     someone other than the actor made the operation
+     * @returns {Promise<Object|null>} The undone operation, or null when there is nothing to undo
+     */
+    static async undo(db, actor, { siteId = null, ownOnly = false } = {}) {
+        const { undo: operation } = await UndoStack.getState(db, siteId);
+        if (!operation) return null;
+        if (ownOnly) UndoStack.checkOwner(operation, actor, 'undo');
+
+        const entries = await UndoStack.getEntries(db, operation.id);
+        await UndoStack.applyEntries(db, entries.reverse(), true, actor);
+        await db.run('UPDATE operations SET undone_at = CURRENT_TIMESTAMP WHERE id = ?', [operation.id]);
+        return operation;
+    }
+
+    /**
+     * Redo the operation undone last. Run inside a transaction.
+     * @param {Object} db - Transaction handle
+     * @param {string|null} actor - Who is redoing
+     * @param {Object} [options] - `siteId` and `ownOnly` as for undo()
+     * @returns {Promise<Object|null>} The redone operation, or null when there is nothing to redo
+     */
+    static async redo(db, actor, { siteId = null, ownOnly = false } = {}) {
+        const { redo: operation } = await UndoStack.getState(db, siteId);
+        if (!operation) return null;
+        if (ownOnly) UndoStack.checkOwner(operation, actor, 'redo');
+
+        const entries = await UndoStack.getEntries(db, operation.id);
+        await UndoStack.applyEntries(db, entries, false, actor);
+        await db.run('UPDATE operations SET undone_at = NULL WHERE id = ?', [operation.id]);
+        return operation;
+    }
+
+    /**
+     * @throws {UndoStack.ForbiddenError} When someone other than the actor made the operation
+     */
+    static checkOwner(operation, actor, direction) {
+        if (operation.actor !== actor) {
+            throw new UndoForbiddenError(`${operation.label} was made by ${operation.actor || 'someone else'}; only they or an admin can ${direction} it`);
+        }
+    }
+
+    static async getEntries(db, operationId) {
+        const rows = await db.all('SELECT * FROM change_history WHERE operation_id = ? ORDER BY id', [operationId]);
+        return rows.map(ChangeHistory.format);
+    }
+
+    /**
+     * Apply logged changes backwards (undo) or forwards (redo), logging what
+     * was done, then renumber the device chains they touched
+     * @param {Object} db - Transaction handle
+     * @param {Array} entries - Formatted change history entries, in the order to apply them
+     * @param {boolean} undo - Whether to apply the inverse of each change
+     * @param {string|null} actor - Who is applying them
+     * @param {Object} [options]
+     * @param {number|null} [options.operationId] - Operation to log the changes under
+     * @param {boolean} [options.relink] - Restoring from the trash: links to rows that are
+     *     gone are left empty and links set again since are kept, instead of conflicting
+     */
+    static async applyEntries(db, entries, undo, actor, options = {}) {
+        const chains = new Set();
+        for (const entry of entries) {
+            await UndoStack.applyEntry(db, entry, undo, actor, options);
+            if (entry.entity_type === 'device') {
+                [entry.before, entry.after].filter(values => values?.circuit_id).forEach(values => chains.add(values.circuit_id));
+            }
+        }
+
+        // Restored devices keep their old position, which may now be shared or leave a gap
+        for (const circuitId of chains) {
+            await db.run(`
+                UPDATE devices SET chain_order = ranked.position
+                FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY chain_order, id) as position FROM devices WHERE circuit_id = ?) as ranked
+                WHERE devices.id = ranked.id
+            `, [circuitId]);
+        }
+    }
+
+    static async applyEntry(db, entry, undo, actor, { operationId = null, relink = false } = {}) {
+        const table = ChangeHistory.TABLES[entry.entity_type];
+        const current = await db.get(`SELECT * FROM ${table} WHERE id = ?`, [entry.entity_id]);
+        const logged = { entityType: entry.entity_type, entityId: entry.entity_id, actor, operationId };
+        const name = UndoStack.describeEntity(entry.entity_type, current || entry.before || entry.after);
+
+        if (entry.action === 'create' || entry.action === 'delete') {
+            // Undoing a create and redoing a delete both remove the row
+            if ((entry.action === 'create') === undo) {
+                if (!current) {
+                    throw new UndoConflictError(`The ${name} no longer exists`);
+                }
+                await ChangeHistory.recordDelete(db, table, current, { actor, operationId });
+                await db.run(`DELETE FROM ${table} WHERE id = ?`, [entry.entity_id]);
+                return;
+            }
+
+            if (current) {
+                throw new UndoConflictError(`The ${name} already exists`);
+            }
+            const row = { ...(entry.action === 'create' ? entry.after : entry.before) };
+            if (relink) {
+                for (const link of ChangeHistory.getLinks(table)) {
+                    if (row[link.column] !== null && !await db.get(`SELECT id FROM ${link.table} WHERE id = ?`, [row[link.column]])) {
+                        row[link.column] = null;
+                    }
+                }
+            }
+            const columns = Object.keys(row);
+            try {
+                await db.run(
+                    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                    columns.map(column => row[column])
+                );
+            } catch (error) {
+                if (error.message.includes('UNIQUE constraint failed')) {
+                    throw new UndoConflictError(`The ${name} can't be put back because its place is taken`);
+                }
+                if (error.message.includes('FOREIGN KEY constraint failed')) {
+                    throw new UndoConflictError(`The ${name} can't be put back because something it belongs to is gone`);
+                }
+                throw error;
+            }
+            await ChangeHistory.record(db, { ...logged, action: 'create', after: row });
+            return;
+        }
+
+        // Updates set the changed fields back; moves put circuits back on their breaker
+        const expected = undo ? entry.after : entry.before;
+        const target = undo ? entry.before : entry.after;
+        const fields = entry.action === 'move' ? ['breaker_id'] : Object.keys(target);
+        if (!current || fields.some(field => (current[field] ?? null) !== expected[field])) {
+            if (relink && current) return;
+            throw new UndoConflictError(`The ${name} has been changed since`);
+        }
+
+        await db.run(
+            `UPDATE ${table} SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => target[field]), entry.entity_id]
+        );
+        if (entry.action === 'move') {
+            await ChangeHistory.record(db, { ...logged, action: 'move', before: expected, after: target });
+        } else {
+            const updated = await db.get(`SELECT * FROM ${table} WHERE id = ?`, [entry.entity_id]);
+            await ChangeHistory.record(db, { ...logged, action: 'update', before: current, after: updated });
+        }
+    }
+}
+
+UndoStack.ConflictError = UndoConflictError;
+UndoStack.ForbiddenError = UndoForbiddenError;
+
+module.exports = UndoStack;
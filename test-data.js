@@ -1,8 +1,8 @@
-const sqlite3 = require('sqlite3').verbose();
+const DatabaseService = require('./services/database-service');
 
 // Use a separate test database to avoid clashing with local development
 const DB_PATH = process.env.DB_PATH || 'test_breaker_panel.db';
-const db = new sqlite3.Database(DB_PATH);
+const databaseService = new DatabaseService();
 
 console.log(`🧪 Adding comprehensive test data to: ${DB_PATH}`);
 
@@ -92,23 +92,13 @@ let panelIds = {};
 let roomIds = {};
 let breakerIds = {};
 
-// Helper function to run async database operations
+// Helper functions to run async database operations
 function runQuery(query, params = []) {
-    return new Promise((resolve, reject) => {
-        db.run(query, params, function(err) {
-            if (err) reject(err);
-            else resolve({ id: this.lastID, changes: this.changes });
-        });
-    });
+    return databaseService.run(query, params);
 }
 
 function getQuery(query, params = []) {
-    return new Promise((resolve, reject) => {
-        db.get(query, params, (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-        });
-    });
+    return databaseService.get(query, params);
 }
 
 
@@ -116,55 +106,14 @@ async function addTestData() {
     try {
         // Initialize database schema first
         console.log('🗄️ Initializing test database schema...');
-        await runQuery(`CREATE TABLE IF NOT EXISTS panels (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL,
-            size INTEGER NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-
-        await runQuery(`CREATE TABLE IF NOT EXISTS breakers (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            panel_id INTEGER NOT NULL,
-            position INTEGER NOT NULL CHECK(position > 0),
-            slot_position TEXT DEFAULT 'single' CHECK(slot_position IN ('single', 'A', 'B')),
-            label TEXT,
-            amperage INTEGER CHECK(amperage > 0 AND amperage <= 200),
-            critical BOOLEAN DEFAULT 0,
-            monitor BOOLEAN DEFAULT 0,
-            confirmed BOOLEAN DEFAULT 0,
-            breaker_type TEXT DEFAULT 'single' CHECK(breaker_type IN ('single', 'double_pole', 'tandem')),
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE,
-            UNIQUE(panel_id, position, slot_position)
-        )`);
-
-        await runQuery(`CREATE TABLE IF NOT EXISTS rooms (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
-            level TEXT NOT NULL CHECK(level IN ('basement', 'main', 'upper', 'outside')),
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-
-        await runQuery(`CREATE TABLE IF NOT EXISTS circuits (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            breaker_id INTEGER NOT NULL,
-            room_id INTEGER,
-            type TEXT CHECK(type IN ('outlet', 'lighting', 'heating', 'appliance', 'subpanel')),
-            notes TEXT,
-            subpanel_id INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE,
-            FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE SET NULL,
-            FOREIGN KEY (subpanel_id) REFERENCES panels (id) ON DELETE SET NULL
-        )`);
+        await databaseService.initialize(DB_PATH);
         
         console.log('📋 Creating test panels...');
         
         // Add panels
         for (const panel of testData.panels) {
             const result = await runQuery(
-                'INSERT INTO panels (name, size) VALUES (?, ?)', 
+                'INSERT INTO panels (name, size, site_id) VALUES (?, ?, (SELECT MIN(id) FROM sites))', 
                 [panel.name, panel.size]
             );
             panelIds[panel.name] = result.id;
@@ -176,7 +125,7 @@ async function addTestData() {
         // Add rooms
         for (const room of testData.rooms) {
             const result = await runQuery(
-                'INSERT INTO rooms (name, level) VALUES (?, ?)', 
+                'INSERT INTO rooms (name, level, site_id) VALUES (?, ?, (SELECT MIN(id) FROM sites))', 
                 [room.name, room.level]
             );
             roomIds[room.name] = result.id;
@@ -245,7 +194,7 @@ async function addTestData() {
     } catch (error) {
         console.error('❌ Error adding test data:', error);
     } finally {
-        db.close();
+        await databaseService.close();
     }
 }
 
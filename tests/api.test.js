@@ -1,5 +1,8 @@
 const request = require('supertest');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
 
 // Import the app
 const app = require('../server.js');
@@ -7,10 +10,12 @@ const { connectDB } = require('../server.js');
 
 describe('Breaker Panel API Tests', () => {
     const TEST_DB_PATH = `test_api_${Date.now()}.db`;
+    const TEST_ATTACHMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bph-attachments-'));
 
     beforeAll(async () => {
         // Set up unique test database
         process.env.DB_PATH = TEST_DB_PATH;
+        process.env.ATTACHMENTS_DIR = TEST_ATTACHMENTS_DIR;
         
         // Clean up any existing test database
         if (fs.existsSync(TEST_DB_PATH)) {
@@ -26,6 +31,7 @@ describe('Breaker Panel API Tests', () => {
         if (fs.existsSync(TEST_DB_PATH)) {
             fs.unlinkSync(TEST_DB_PATH);
         }
+        fs.rmSync(TEST_ATTACHMENTS_DIR, { recursive: true, force: true });
     });
 
     describe('Panel Management', () => {
@@ -96,7 +102,12 @@ describe('Breaker Panel API Tests', () => {
             // Invalid size
             await request(app)
                 .post('/api/panels')
-                .send({ name: 'Test', size: 50 })
+                .send({ name: 'Test', size: 0 })
+                .expect(400);
+
+            await request(app)
+                .post('/api/panels')
+                .send({ name: 'Test', size: 12.5 })
                 .expect(400);
 
             // Empty name
@@ -550,6 +561,22 @@ describe('Breaker Panel API Tests', () => {
             expect(movedBreaker.slot_position).toBe('single');
         });
 
+        test('POST /api/breakers/move - Multi-pole breakers stay out of tandem slots', async () => {
+            const doublePole = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: sourcePanelId, position: 3, amperage: 30, breaker_type: 'double_pole' })
+                .expect(201);
+
+            const response = await request(app)
+                .post('/api/breakers/move')
+                .send({ sourceBreakerId: doublePole.body.id, destinationPanelId: destPanelId, destinationPosition: 5, destinationSlot: 'A' })
+                .expect(409);
+            expect(response.body).toMatchObject({ error: 'Only tandem breakers go in slot A or B', code: 'tandem_slot', position: 5 });
+
+            const breaker = await request(app).get(`/api/breakers/${doublePole.body.id}`).expect(200);
+            expect(breaker.body).toMatchObject({ panel_id: sourcePanelId, position: 3, breaker_type: 'double_pole' });
+        });
+
         test('POST /api/breakers/move - Database transaction rollback on error', async () => {
             // Attempt move with invalid destination panel
             const moveData = {
@@ -669,6 +696,130 @@ describe('Breaker Panel API Tests', () => {
         });
     });
 
+    describe('Levels', () => {
+        test('GET /api/levels - Default levels in building order', async () => {
+            const response = await request(app)
+                .get('/api/levels')
+                .expect(200);
+
+            const keys = response.body.map(level => level.key);
+            expect(keys.slice(0, 4)).toEqual(['upper', 'main', 'basement', 'outside']);
+            expect(response.body[1]).toMatchObject({ name: 'Main Level', icon: '🟢', color: '#27ae60' });
+            expect(response.body[1]).toHaveProperty('room_count');
+        });
+
+        test('POST /api/levels - Create level with a key derived from its name', async () => {
+            const response = await request(app)
+                .post('/api/levels')
+                .send({ name: 'Detached Garage', icon: '🟤', color: '#8b5a2b' })
+                .expect(201);
+
+            expect(response.body.key).toBe('detached_garage');
+            expect(response.body.icon).toBe('🟤');
+
+            const levels = (await request(app).get('/api/levels')).body;
+            expect(levels[levels.length - 1].key).toBe('detached_garage');
+
+            const room = await request(app)
+                .post('/api/rooms')
+                .send({ name: 'Garage Workbench', level: 'detached_garage' })
+                .expect(201);
+
+            const rooms = (await request(app).get('/api/rooms')).body;
+            expect(rooms.find(r => r.id === room.body.id)).toMatchObject({
+                level_name: 'Detached Garage',
+                level_icon: '🟤',
+                level_color: '#8b5a2b'
+            });
+        });
+
+        test('POST /api/levels - Validation errors', async () => {
+            await request(app)
+                .post('/api/levels')
+                .send({ name: '' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/levels')
+                .send({ name: 'Loft', color: 'blue' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/levels')
+                .send({ name: 'Loft', key: 'Not A Key' })
+                .expect(400);
+
+            // Duplicate name
+            await request(app)
+                .post('/api/levels')
+                .send({ name: 'Basement' })
+                .expect(409);
+        });
+
+        test('PUT /api/levels/:id - Rename keeps the key rooms refer to', async () => {
+            const level = (await request(app).post('/api/levels').send({ name: 'Attic' })).body;
+            const room = (await request(app).post('/api/rooms').send({ name: 'Attic Storage', level: level.key })).body;
+
+            const response = await request(app)
+                .put(`/api/levels/${level.id}`)
+                .send({ name: 'Finished Attic', icon: '🟣' })
+                .expect(200);
+            expect(response.body.key).toBe('attic');
+
+            const rooms = (await request(app).get('/api/rooms')).body;
+            expect(rooms.find(r => r.id === room.id)).toMatchObject({ level: 'attic', level_name: 'Finished Attic' });
+
+            await request(app)
+                .put('/api/levels/99999')
+                .send({ name: 'Nowhere' })
+                .expect(404);
+        });
+
+        test('PUT /api/levels/order - Reorder levels', async () => {
+            const levels = (await request(app).get('/api/levels')).body;
+            const reversed = levels.map(level => level.id).reverse();
+
+            const response = await request(app)
+                .put('/api/levels/order')
+                .send({ level_ids: reversed })
+                .expect(200);
+            expect(response.body.map(level => level.id)).toEqual(reversed);
+
+            await request(app)
+                .put('/api/levels/order')
+                .send({ level_ids: [99999] })
+                .expect(400);
+
+            // Restore the default order for the tests that follow
+            await request(app)
+                .put('/api/levels/order')
+                .send({ level_ids: levels.map(level => level.id) })
+                .expect(200);
+        });
+
+        test('DELETE /api/levels/:id - Refuses while rooms remain', async () => {
+            const level = (await request(app).post('/api/levels').send({ name: 'Crawlspace' })).body;
+            const room = (await request(app).post('/api/rooms').send({ name: 'Crawlspace Pump', level: level.key })).body;
+
+            const blocked = await request(app)
+                .delete(`/api/levels/${level.id}`)
+                .expect(409);
+            expect(blocked.body.error).toContain('Move or delete the 1 room');
+
+            await request(app).delete(`/api/rooms/${room.id}`).expect(200);
+            await request(app).delete(`/api/levels/${level.id}`).expect(200);
+            await request(app).get(`/api/levels/${level.id}`).expect(404);
+        });
+
+        test('POST /api/rooms - Unknown level is rejected', async () => {
+            const response = await request(app)
+                .post('/api/rooms')
+                .send({ name: 'Nowhere Room', level: 'nowhere' })
+                .expect(400);
+            expect(response.body.error).toBe('Level \'nowhere\' does not exist');
+        });
+    });
+
     describe('Circuit Management', () => {
         let panelId;
         let breakerId;
@@ -823,6 +974,2698 @@ describe('Breaker Panel API Tests', () => {
         });
     });
 
+    describe('Circuit Types', () => {
+        let breakerId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Circuit Type Panel', size: 12 });
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panel.body.id, position: 1 });
+            breakerId = breaker.body.id;
+        });
+
+        test('GET /api/circuit-types - Built-in and new default types', async () => {
+            const response = await request(app)
+                .get('/api/circuit-types')
+                .expect(200);
+
+            const keys = response.body.map(type => type.key);
+            expect(keys).toEqual(expect.arrayContaining(['outlet', 'lighting', 'subpanel', 'hvac', 'water_heater', 'ev_charger', 'smoke_detectors', 'pump']));
+            expect(response.body.find(type => type.key === 'outlet')).toMatchObject({
+                name: 'Outlet', icon: '🔵', label_style: 'rooms', label_noun: 'outlets'
+            });
+            expect(response.body.find(type => type.key === 'ev_charger').default_amperage).toBe(40);
+        });
+
+        test('POST /api/circuit-types - Custom type can be used by circuits', async () => {
+            const created = await request(app)
+                .post('/api/circuit-types')
+                .send({ name: 'Sump Pump Alarm', icon: '🔔', default_amperage: 15, label_style: 'rooms', label_noun: 'alarms' })
+                .expect(201);
+            expect(created.body).toMatchObject({ key: 'sump_pump_alarm', label_style: 'rooms', default_amperage: 15 });
+
+            const circuit = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, type: 'sump_pump_alarm' })
+                .expect(201);
+            expect(circuit.body.type).toBe('sump_pump_alarm');
+
+            const types = (await request(app).get('/api/circuit-types')).body;
+            expect(types.find(type => type.key === 'sump_pump_alarm').circuit_count).toBe(1);
+
+            // In use, so it can't be deleted until the circuit changes type
+            const blocked = await request(app)
+                .delete(`/api/circuit-types/${created.body.id}`)
+                .expect(409);
+            expect(blocked.body.error).toContain('Change the type of the 1 circuit');
+
+            await request(app).put(`/api/circuits/${circuit.body.id}`).send({ type: 'pump' }).expect(200);
+            await request(app).delete(`/api/circuit-types/${created.body.id}`).expect(200);
+        });
+
+        test('DELETE /api/circuit-types/:id - Types a panel template uses are kept', async () => {
+            const created = await request(app).post('/api/circuit-types').send({ name: 'Pool Heater', label_style: 'name' }).expect(201);
+            const panel = await request(app).post('/api/panels').send({ name: 'Pool House', size: 4 }).expect(201);
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panel.body.id, position: 1 }).expect(201);
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'pool_heater' }).expect(201);
+            const template = await request(app)
+                .post('/api/panel-templates')
+                .send({ name: 'Pool House Layout', panel_id: panel.body.id, include_circuits: true })
+                .expect(201);
+            await request(app).put(`/api/circuits/${circuit.body.id}`).send({ type: 'pump' }).expect(200);
+
+            const blocked = await request(app).delete(`/api/circuit-types/${created.body.id}`).expect(409);
+            expect(blocked.body.error).toBe('Delete the panel template using this type before deleting it: Pool House Layout');
+
+            await request(app).delete(`/api/panel-templates/${template.body.id}`).expect(200);
+            await request(app).delete(`/api/circuit-types/${created.body.id}`).expect(200);
+        });
+
+        test('POST /api/circuit-types - Validation errors', async () => {
+            await request(app)
+                .post('/api/circuit-types')
+                .send({ name: '' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/circuit-types')
+                .send({ name: 'Sauna', label_style: 'fancy' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/circuit-types')
+                .send({ name: 'Sauna', default_amperage: 500 })
+                .expect(400);
+
+            // Duplicate name
+            await request(app)
+                .post('/api/circuit-types')
+                .send({ name: 'Outlet' })
+                .expect(409);
+        });
+
+        test('PUT /api/circuit-types/:id - Rename keeps the key circuits refer to', async () => {
+            const created = (await request(app).post('/api/circuit-types').send({ name: 'Well Pump' })).body;
+
+            const response = await request(app)
+                .put(`/api/circuit-types/${created.id}`)
+                .send({ name: 'Deep Well Pump', label_noun: 'well pump' })
+                .expect(200);
+            expect(response.body).toMatchObject({ key: 'well_pump', name: 'Deep Well Pump', label_noun: 'well pump' });
+
+            await request(app)
+                .put('/api/circuit-types/99999')
+                .send({ name: 'Nothing' })
+                .expect(404);
+        });
+
+        test('DELETE /api/circuit-types/:id - Subpanel type is built in', async () => {
+            const types = (await request(app).get('/api/circuit-types')).body;
+            const subpanel = types.find(type => type.key === 'subpanel');
+
+            await request(app)
+                .delete(`/api/circuit-types/${subpanel.id}`)
+                .expect(409);
+        });
+
+        test('POST /api/circuits - Unknown type is rejected', async () => {
+            const response = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, type: 'sauna' })
+                .expect(400);
+            expect(response.body.error).toBe('Circuit type \'sauna\' does not exist');
+        });
+    });
+
+    describe('Devices', () => {
+        let panelId;
+        let breakerId;
+        let circuitId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Device Panel', size: 12 });
+            panelId = panel.body.id;
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, amperage: 20 });
+            breakerId = breaker.body.id;
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'outlet' });
+            circuitId = circuit.body.id;
+        });
+
+        const chain = async () => {
+            const response = await request(app).get(`/api/circuits/${circuitId}/devices`).expect(200);
+            return response.body.map(device => [device.location, device.chain_order]);
+        };
+
+        test('POST /api/devices - Devices are appended along the chain', async () => {
+            const first = await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: circuitId, device_type: 'receptacle', location: 'Counter left of sink' })
+                .expect(201);
+            expect(first.body).toMatchObject({ circuit_id: circuitId, device_type: 'receptacle', chain_order: 1 });
+
+            await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: circuitId, device_type: 'receptacle', location: 'Behind the fridge', notes: 'Dedicated duplex' })
+                .expect(201);
+
+            // An explicit chain_order inserts the device and shifts the rest down the chain
+            await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: circuitId, device_type: 'junction_box', location: 'Basement ceiling', chain_order: 1 })
+                .expect(201);
+
+            expect(await chain()).toEqual([
+                ['Basement ceiling', 1],
+                ['Counter left of sink', 2],
+                ['Behind the fridge', 3]
+            ]);
+        });
+
+        test('PUT /api/devices/:id - Update and move along the chain', async () => {
+            const devices = (await request(app).get(`/api/circuits/${circuitId}/devices`)).body;
+            const fridge = devices.find(device => device.location === 'Behind the fridge');
+
+            const response = await request(app)
+                .put(`/api/devices/${fridge.id}`)
+                .send({ device_type: 'receptacle', location: 'Behind the fridge', notes: '20A receptacle', chain_order: 2 })
+                .expect(200);
+            expect(response.body).toMatchObject({ notes: '20A receptacle', chain_order: 2 });
+
+            expect(await chain()).toEqual([
+                ['Basement ceiling', 1],
+                ['Behind the fridge', 2],
+                ['Counter left of sink', 3]
+            ]);
+
+            await request(app)
+                .put('/api/devices/99999')
+                .send({ device_type: 'switch' })
+                .expect(404);
+        });
+
+        test('PUT /api/circuits/:circuitId/devices/order - Reorder the chain', async () => {
+            const ids = (await request(app).get(`/api/circuits/${circuitId}/devices`)).body.map(device => device.id);
+
+            const response = await request(app)
+                .put(`/api/circuits/${circuitId}/devices/order`)
+                .send({ device_ids: [...ids].reverse() })
+                .expect(200);
+            expect(response.body.map(device => device.id)).toEqual([...ids].reverse());
+
+            // Every device exactly once
+            await request(app)
+                .put(`/api/circuits/${circuitId}/devices/order`)
+                .send({ device_ids: ids.slice(1) })
+                .expect(400);
+        });
+
+        test('GET /api/panels/:id/complete - Devices per circuit and count per breaker', async () => {
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+
+            const circuit = response.body.circuits.find(c => c.id === circuitId);
+            expect(circuit.devices).toHaveLength(3);
+            expect(circuit.devices.map(device => device.chain_order)).toEqual([1, 2, 3]);
+            expect(response.body.breakers.find(b => b.id === breakerId).device_count).toBe(3);
+        });
+
+        test('DELETE /api/devices/:id - Remaining devices close the gap', async () => {
+            const devices = (await request(app).get(`/api/circuits/${circuitId}/devices`)).body;
+
+            await request(app)
+                .delete(`/api/devices/${devices[1].id}`)
+                .expect(200);
+
+            expect((await chain()).map(([, order]) => order)).toEqual([1, 2]);
+            await request(app).delete(`/api/devices/${devices[1].id}`).expect(404);
+        });
+
+        test('POST /api/devices - Validation errors', async () => {
+            await request(app)
+                .post('/api/devices')
+                .send({ device_type: 'receptacle' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: circuitId, device_type: 'toaster' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: 99999, device_type: 'switch' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: circuitId, device_type: 'switch', chain_order: 0 })
+                .expect(400);
+        });
+
+        test('Deleting a circuit removes its devices', async () => {
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'lighting' });
+            const device = await request(app)
+                .post('/api/devices')
+                .send({ circuit_id: circuit.body.id, device_type: 'fixture', location: 'Pantry' });
+
+            await request(app).delete(`/api/circuits/${circuit.body.id}`).expect(200);
+            await request(app).get(`/api/devices/${device.body.id}`).expect(404);
+        });
+    });
+
+    describe('Attachments', () => {
+        // Smallest files that pass the content checks for their type
+        const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a5f1d8b30000000049454e44ae426082', 'hex');
+        const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+        let panelId;
+        let breakerId;
+        let circuitId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Attachment Panel', size: 12 });
+            panelId = panel.body.id;
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, amperage: 20 });
+            breakerId = breaker.body.id;
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'outlet' });
+            circuitId = circuit.body.id;
+        });
+
+        const upload = (query, body, contentType) => request(app)
+            .post('/api/attachments')
+            .query(query)
+            .set('Content-Type', contentType)
+            .send(body);
+
+        const storedFiles = () => fs.readdirSync(TEST_ATTACHMENTS_DIR);
+
+        test('POST /api/attachments - Upload a photo to a panel', async () => {
+            const response = await upload({ panel_id: panelId, filename: 'panel cover.png', caption: 'Cover on' }, PNG, 'image/png').expect(201);
+
+            expect(response.body).toMatchObject({
+                panel_id: panelId,
+                breaker_id: null,
+                circuit_id: null,
+                original_name: 'panel cover.png',
+                mime_type: 'image/png',
+                size: PNG.length,
+                caption: 'Cover on',
+                url: `/api/attachments/${response.body.id}/file`,
+                thumbnail_url: `/api/attachments/${response.body.id}/thumbnail`
+            });
+            expect(response.body).not.toHaveProperty('stored_name');
+
+            const file = await request(app).get(response.body.url).expect(200);
+            expect(file.headers['content-type']).toBe('image/png');
+            expect(file.headers['content-disposition']).toContain('panel%20cover.png');
+            expect(Buffer.compare(file.body, PNG)).toBe(0);
+
+            // Without an uploaded thumbnail the image itself is served
+            await request(app).get(response.body.thumbnail_url).expect(200);
+        });
+
+        test('POST /api/attachments - PDFs get a thumbnail only once one is uploaded', async () => {
+            const response = await upload({ circuit_id: circuitId, filename: 'load calc.pdf' }, PDF, 'application/pdf').expect(201);
+            expect(response.body.thumbnail_url).toBeNull();
+            await request(app).get(`/api/attachments/${response.body.id}/thumbnail`).expect(404);
+
+            const updated = await request(app)
+                .put(`/api/attachments/${response.body.id}/thumbnail`)
+                .set('Content-Type', 'image/png')
+                .send(PNG)
+                .expect(200);
+            expect(updated.body.thumbnail_url).toBe(`/api/attachments/${response.body.id}/thumbnail`);
+            await request(app).get(updated.body.thumbnail_url).expect(200);
+        });
+
+        test('GET /api/breakers/:id/attachments and /api/panels/:id/attachments - Galleries', async () => {
+            await upload({ breaker_id: breakerId, filename: 'label.png' }, PNG, 'image/png').expect(201);
+
+            const breakerList = await request(app).get(`/api/breakers/${breakerId}/attachments`).expect(200);
+            expect(breakerList.body.map(a => a.original_name).sort()).toEqual(['label.png', 'load calc.pdf']);
+            breakerList.body.forEach(attachment => {
+                expect(attachment).toMatchObject({ owner_breaker_id: breakerId, position: 1 });
+            });
+
+            const gallery = await request(app).get(`/api/panels/${panelId}/attachments`).expect(200);
+            expect(gallery.body.map(a => a.original_name).sort()).toEqual(['label.png', 'load calc.pdf', 'panel cover.png']);
+
+            await request(app).get('/api/panels/99999/attachments').expect(404);
+        });
+
+        test('PUT /api/attachments/:id - Edit the caption', async () => {
+            const created = await upload({ panel_id: panelId, filename: 'inside.png' }, PNG, 'image/png').expect(201);
+            const response = await request(app)
+                .put(`/api/attachments/${created.body.id}`)
+                .send({ caption: '  Dead front removed ' })
+                .expect(200);
+            expect(response.body.caption).toBe('Dead front removed');
+        });
+
+        test('POST /api/attachments - Rejects bad uploads', async () => {
+            const missingOwner = await upload({ filename: 'x.png' }, PNG, 'image/png').expect(400);
+            expect(missingOwner.body.error).toBe('Exactly one of panel_id, breaker_id or circuit_id is required');
+
+            await upload({ panel_id: panelId, breaker_id: breakerId, filename: 'x.png' }, PNG, 'image/png').expect(400);
+            await upload({ panel_id: panelId }, PNG, 'image/png').expect(400);
+
+            const wrongType = await upload({ panel_id: panelId, filename: 'notes.txt' }, 'hello', 'text/plain').expect(400);
+            expect(wrongType.body.error).toMatch(/Unsupported file type/);
+
+            const disguised = await upload({ panel_id: panelId, filename: 'fake.png' }, PDF, 'image/png').expect(400);
+            expect(disguised.body.error).toBe('File contents do not look like image/png');
+
+            const missingPanel = await upload({ panel_id: 99999, filename: 'x.png' }, PNG, 'image/png').expect(400);
+            expect(missingPanel.body.error).toBe('Invalid panel_id - panel does not exist');
+        });
+
+        test('DELETE /api/attachments/:id - Removes the row and its files', async () => {
+            const created = await upload({ panel_id: panelId, filename: 'delete me.png' }, PNG, 'image/png').expect(201);
+            const filesBefore = storedFiles().length;
+
+            await request(app).delete(`/api/attachments/${created.body.id}`).expect(200);
+            await request(app).get(`/api/attachments/${created.body.id}`).expect(404);
+            expect(storedFiles()).toHaveLength(filesBefore - 1);
+        });
+
+        test('DELETE /api/breakers/:id - Files of the breaker\'s attachments are removed once it leaves the trash', async () => {
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 3, amperage: 15 });
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'lighting' });
+            await upload({ breaker_id: breaker.body.id, filename: 'a.png' }, PNG, 'image/png').expect(201);
+            await upload({ circuit_id: circuit.body.id, filename: 'b.pdf' }, PDF, 'application/pdf').expect(201);
+            const filesBefore = storedFiles().length;
+
+            await request(app).delete(`/api/breakers/${breaker.body.id}`).expect(200);
+
+            const remaining = await request(app).get(`/api/breakers/${breaker.body.id}/attachments`).expect(200);
+            expect(remaining.body).toEqual([]);
+            expect(storedFiles()).toHaveLength(filesBefore);
+
+            const trash = await request(app).get('/api/trash').expect(200);
+            const item = trash.body.items.find(entry => entry.entity_type === 'breaker' && entry.entity_id === breaker.body.id);
+            await request(app).delete(`/api/trash/${item.id}`).expect(200);
+            expect(storedFiles()).toHaveLength(filesBefore - 2);
+        });
+
+        test('DELETE /api/trash/:id - Files the app didn\'t store survive the cleanup', async () => {
+            const foreignFiles = ['breaker_panel.db', 'notes.txt', 'photo.png'];
+            foreignFiles.forEach(name => fs.writeFileSync(path.join(TEST_ATTACHMENTS_DIR, name), 'not an attachment'));
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 5, amperage: 15 });
+            await upload({ breaker_id: breaker.body.id, filename: 'c.png' }, PNG, 'image/png').expect(201);
+            const filesBefore = storedFiles().length;
+
+            await request(app).delete(`/api/breakers/${breaker.body.id}`).expect(200);
+            const trash = await request(app).get('/api/trash').expect(200);
+            const item = trash.body.items.find(entry => entry.entity_type === 'breaker' && entry.entity_id === breaker.body.id);
+            await request(app).delete(`/api/trash/${item.id}`).expect(200);
+
+            expect(storedFiles()).toHaveLength(filesBefore - 1);
+            expect(storedFiles()).toEqual(expect.arrayContaining(foreignFiles));
+            foreignFiles.forEach(name => fs.rmSync(path.join(TEST_ATTACHMENTS_DIR, name)));
+        });
+    });
+
+    describe('Circuit Tracing', () => {
+        let panelId;
+        let breakerId;
+        let otherBreakerId;
+        let kitchenCircuitId;
+        let spareCircuitId;
+        let garageCircuitId;
+        let rooms;
+        let deviceId;
+        let sessionId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Tracing Panel', size: 12 });
+            panelId = panel.body.id;
+            rooms = {};
+            for (const name of ['Trace Kitchen', 'Trace Bath', 'Trace Garage']) {
+                const room = await request(app).post('/api/rooms').send({ name, level: 'main' });
+                rooms[name] = room.body.id;
+            }
+
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, amperage: 20 });
+            breakerId = breaker.body.id;
+            const kitchen = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'outlet', room_id: rooms['Trace Kitchen'] });
+            kitchenCircuitId = kitchen.body.id;
+            const spare = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'outlet' });
+            spareCircuitId = spare.body.id;
+
+            const other = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 2, amperage: 20 });
+            otherBreakerId = other.body.id;
+            const garage = await request(app).post('/api/circuits').send({ breaker_id: otherBreakerId, type: 'outlet', room_id: rooms['Trace Garage'] });
+            garageCircuitId = garage.body.id;
+            const device = await request(app).post('/api/devices').send({ circuit_id: garageCircuitId, device_type: 'receptacle', location: 'Workbench' });
+            deviceId = device.body.id;
+        });
+
+        test('POST /api/tracing-sessions - One open session per panel', async () => {
+            const response = await request(app)
+                .post('/api/tracing-sessions')
+                .send({ panel_id: panelId, notes: 'Walkthrough with the owner' })
+                .expect(201);
+
+            expect(response.body).toMatchObject({ panel_id: panelId, notes: 'Walkthrough with the owner', completed_at: null, steps: [] });
+            expect(response.body.started_at).toBeTruthy();
+            expect(response.body.progress).toMatchObject({ breakers: 2, confirmed: 0, traced: 0, percent_confirmed: 0 });
+            sessionId = response.body.id;
+
+            const duplicate = await request(app).post('/api/tracing-sessions').send({ panel_id: panelId }).expect(409);
+            expect(duplicate.body.error).toMatch(/already has an open tracing session/);
+        });
+
+        test('POST /api/tracing-sessions/:id/steps - Proposes changes from what went dead', async () => {
+            const response = await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({
+                    breaker_id: breakerId,
+                    room_ids: [rooms['Trace Kitchen'], rooms['Trace Bath'], rooms['Trace Garage']],
+                    device_ids: [deviceId],
+                    notes: 'Garage bench outlet died too'
+                })
+                .expect(201);
+
+            expect(response.body).toMatchObject({ breaker_id: breakerId, position: 1, accepted_at: null });
+            expect(response.body.dead_rooms.map(room => room.name)).toEqual(['Trace Bath', 'Trace Garage', 'Trace Kitchen']);
+            expect(response.body.matches).toEqual([
+                expect.objectContaining({ room_id: rooms['Trace Kitchen'], circuit_id: kitchenCircuitId })
+            ]);
+            expect(response.body.proposals).toEqual([
+                expect.objectContaining({ id: `assign_room-${spareCircuitId}-${rooms['Trace Bath']}`, action: 'assign_room' }),
+                expect.objectContaining({ id: `create_circuit-${rooms['Trace Garage']}`, action: 'create_circuit', type: 'outlet' }),
+                expect.objectContaining({
+                    id: `move_device-${deviceId}`,
+                    action: 'move_device',
+                    target_proposal_id: `create_circuit-${rooms['Trace Garage']}`,
+                    message: 'Move Receptacle (Workbench) from breaker 2 to this breaker'
+                })
+            ]);
+            expect(response.body.warnings).toEqual([]);
+        });
+
+        test('POST /api/tracing-sessions/:id/steps/:stepId/accept - Applies proposals and confirms the breaker', async () => {
+            const session = await request(app).get(`/api/tracing-sessions/${sessionId}`).expect(200);
+            const step = session.body.steps[0];
+
+            // Moving the device needs the circuit it moves into
+            const incomplete = await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps/${step.id}/accept`)
+                .send({ proposal_ids: [`move_device-${deviceId}`] })
+                .expect(400);
+            expect(incomplete.body.error).toMatch(/also needs/);
+
+            await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps/${step.id}/accept`)
+                .send({ proposal_ids: ['create_circuit-99999'] })
+                .expect(400);
+
+            const response = await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps/${step.id}/accept`)
+                .send({})
+                .expect(200);
+
+            expect(response.body.applied).toHaveLength(3);
+            expect(response.body.step.accepted_at).toBeTruthy();
+            expect(response.body.progress).toMatchObject({ breakers: 2, confirmed: 1, traced: 1, percent_confirmed: 50 });
+
+            const breaker = await request(app).get(`/api/breakers/${breakerId}`).expect(200);
+            expect(breaker.body.confirmed).toBeTruthy();
+
+            const circuits = await request(app).get(`/api/breakers/${breakerId}/circuits`).expect(200);
+            expect(circuits.body.find(c => c.id === spareCircuitId).room_id).toBe(rooms['Trace Bath']);
+            const garageCircuit = circuits.body.find(c => c.room_id === rooms['Trace Garage']);
+            expect(garageCircuit).toBeDefined();
+
+            const devices = await request(app).get(`/api/circuits/${garageCircuit.id}/devices`).expect(200);
+            expect(devices.body.map(device => [device.id, device.chain_order])).toEqual([[deviceId, 1]]);
+
+            await request(app).post(`/api/tracing-sessions/${sessionId}/steps/${step.id}/accept`).send({}).expect(409);
+        });
+
+        test('POST /api/tracing-sessions/:id/steps - Warns when nothing or the wrong room went dead', async () => {
+            const nothing = await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({ breaker_id: otherBreakerId })
+                .expect(201);
+            expect(nothing.body.warnings).toEqual([expect.stringMatching(/Nothing was recorded/)]);
+
+            const wrongRoom = await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({ breaker_id: otherBreakerId, room_ids: [rooms['Trace Kitchen']] })
+                .expect(201);
+            expect(wrongRoom.body.warnings).toEqual(['Trace Garage is recorded on this breaker but did not go dead']);
+
+            await request(app).delete(`/api/tracing-sessions/${sessionId}/steps/${nothing.body.id}`).expect(200);
+        });
+
+        test('POST /api/tracing-sessions/:id/steps - Validates the breaker and findings', async () => {
+            const otherPanel = await request(app).post('/api/panels').send({ name: 'Other Tracing Panel', size: 12 });
+            const foreign = await request(app).post('/api/breakers').send({ panel_id: otherPanel.body.id, position: 1 });
+
+            const wrongPanel = await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({ breaker_id: foreign.body.id })
+                .expect(400);
+            expect(wrongPanel.body.error).toBe('Invalid breaker_id - breaker is not in this panel');
+
+            await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({ breaker_id: breakerId, room_ids: [99999] })
+                .expect(400);
+            await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({ breaker_id: breakerId, device_ids: 'all' })
+                .expect(400);
+        });
+
+        test('PUT /api/tracing-sessions/:id - Finished sessions are kept with their timestamps', async () => {
+            const finished = await request(app)
+                .put(`/api/tracing-sessions/${sessionId}`)
+                .send({ completed: true })
+                .expect(200);
+            expect(finished.body.completed_at).toBeTruthy();
+            expect(finished.body.notes).toBe('Walkthrough with the owner');
+
+            await request(app)
+                .post(`/api/tracing-sessions/${sessionId}/steps`)
+                .send({ breaker_id: breakerId })
+                .expect(409);
+
+            await request(app).post('/api/tracing-sessions').send({ panel_id: panelId }).expect(201);
+
+            const list = await request(app).get(`/api/panels/${panelId}/tracing-sessions`).expect(200);
+            expect(list.body.progress).toMatchObject({ confirmed: 1, traced: 1 });
+            expect(list.body.progress.last_traced_at).toBeTruthy();
+            expect(list.body.sessions).toHaveLength(2);
+            const first = list.body.sessions.find(session => session.id === sessionId);
+            expect(first).toMatchObject({ step_count: 2, accepted_count: 1 });
+        });
+    });
+
+    describe('Change History', () => {
+        let panelId;
+        let breakerId;
+        let circuitId;
+        let roomId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'History Panel', size: 12 });
+            panelId = panel.body.id;
+            const room = await request(app).post('/api/rooms').send({ name: 'History Den', level: 'main' });
+            roomId = room.body.id;
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, amperage: 15, label: 'Den' });
+            breakerId = breaker.body.id;
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'outlet' });
+            circuitId = circuit.body.id;
+        });
+
+        test('GET /api/history - Records creates with the new values', async () => {
+            const response = await request(app)
+                .get(`/api/history?breaker_id=${breakerId}`)
+                .expect(200);
+
+            expect(response.body.total).toBe(2);
+            const [circuitCreate, breakerCreate] = response.body.entries;
+            expect(circuitCreate).toMatchObject({ entity_type: 'circuit', entity_id: circuitId, action: 'create', panel_id: panelId, breaker_id: breakerId, before: null });
+            expect(circuitCreate.after).toMatchObject({ breaker_id: breakerId, type: 'outlet' });
+            expect(breakerCreate).toMatchObject({ entity_type: 'breaker', entity_id: breakerId, action: 'create' });
+            expect(breakerCreate.actor).toBeTruthy();
+            expect(breakerCreate.created_at).toBeTruthy();
+        });
+
+        test('PUT routes - Log only the fields that changed', async () => {
+            await request(app).put(`/api/breakers/${breakerId}`).send({ label: 'Den Outlets', amperage: 15 }).expect(200);
+            await request(app).put(`/api/circuits/${circuitId}`).send({ type: 'outlet', room_id: roomId }).expect(200);
+            await request(app).put(`/api/rooms/${roomId}`).send({ name: 'History Family Room', level: 'main' }).expect(200);
+
+            const breakerHistory = await request(app).get(`/api/history?entity_type=breaker&entity_id=${breakerId}&action=update`).expect(200);
+            expect(breakerHistory.body.entries).toHaveLength(1);
+            expect(breakerHistory.body.entries[0].changes).toEqual([{ field: 'label', before: 'Den', after: 'Den Outlets' }]);
+
+            const circuitHistory = await request(app).get(`/api/history?entity_type=circuit&entity_id=${circuitId}&action=update`).expect(200);
+            expect(circuitHistory.body.entries[0]).toMatchObject({ before: { room_id: null }, after: { room_id: roomId } });
+
+            const roomHistory = await request(app).get(`/api/history?entity_type=room&entity_id=${roomId}`).expect(200);
+            expect(roomHistory.body.entries.map(entry => entry.action)).toEqual(['update', 'create']);
+            expect(roomHistory.body.entries[0].changes).toEqual([{ field: 'name', before: 'History Den', after: 'History Family Room' }]);
+
+            // Saving without changes adds nothing
+            await request(app).put(`/api/breakers/${breakerId}`).send({ label: 'Den Outlets', amperage: 15 }).expect(200);
+            const unchanged = await request(app).get(`/api/history?entity_type=breaker&entity_id=${breakerId}&action=update`).expect(200);
+            expect(unchanged.body.total).toBe(1);
+        });
+
+        test('POST /api/breakers/move - Logs circuits moving to the new breaker', async () => {
+            await request(app)
+                .post('/api/breakers/move')
+                .send({ sourceBreakerId: breakerId, destinationPanelId: panelId, destinationPosition: 5 })
+                .expect(200);
+
+            const moves = await request(app).get(`/api/history?panel_id=${panelId}&action=move`).expect(200);
+            expect(moves.body.entries).toHaveLength(1);
+            const [move] = moves.body.entries;
+            expect(move).toMatchObject({ entity_type: 'circuit', entity_id: circuitId });
+            expect(move.before).toMatchObject({ breaker_id: breakerId, position: 1 });
+            expect(move.after.position).toBe(5);
+
+            // The move shows in the history of both breakers
+            const oldBreaker = await request(app).get(`/api/history?breaker_id=${breakerId}&action=move`).expect(200);
+            expect(oldBreaker.body.total).toBe(1);
+            const newBreaker = await request(app).get(`/api/history?breaker_id=${move.after.breaker_id}&action=move`).expect(200);
+            expect(newBreaker.body.total).toBe(1);
+
+            const deleted = await request(app).get(`/api/history?entity_type=breaker&entity_id=${breakerId}&action=delete`).expect(200);
+            expect(deleted.body.entries[0].before).toMatchObject({ label: 'Den Outlets', position: 1 });
+        });
+
+        test('DELETE routes - Keep the history of deleted rows', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Doomed Panel', size: 8 });
+            await request(app).delete(`/api/panels/${panel.body.id}`).expect(200);
+
+            const response = await request(app).get(`/api/history?panel_id=${panel.body.id}`).expect(200);
+            expect(response.body.entries.map(entry => entry.action)).toEqual(['delete', 'create']);
+            expect(response.body.entries[0].before).toMatchObject({ name: 'Doomed Panel', size: 8 });
+        });
+
+        test('GET /api/history - Pages and validates filters', async () => {
+            const page = await request(app).get(`/api/history?panel_id=${panelId}&limit=2&offset=1`).expect(200);
+            expect(page.body).toMatchObject({ limit: 2, offset: 1 });
+            expect(page.body.entries).toHaveLength(2);
+            expect(page.body.total).toBeGreaterThan(2);
+
+            const future = await request(app).get('/api/history?since=2999-01-01').expect(200);
+            expect(future.body.entries).toEqual([]);
+
+            const invalidType = await request(app).get('/api/history?entity_type=outlet').expect(400);
+            expect(invalidType.body.error).toMatch(/Entity type must be one of/);
+            await request(app).get('/api/history?limit=1000').expect(400);
+            await request(app).get('/api/history?since=yesterday').expect(400);
+        });
+    });
+
+    describe('Undo and Redo', () => {
+        let panelId;
+        let breakerId;
+        let circuitId;
+        let deviceId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Undo Panel', size: 12 });
+            panelId = panel.body.id;
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, amperage: 20, label: 'Garage' });
+            breakerId = breaker.body.id;
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breakerId, type: 'outlet' });
+            circuitId = circuit.body.id;
+            const device = await request(app).post('/api/devices').send({ circuit_id: circuitId, device_type: 'receptacle', location: 'Workbench' });
+            deviceId = device.body.id;
+        });
+
+        const getCircuit = async () => {
+            const response = await request(app).get('/api/circuits').expect(200);
+            return response.body.find(circuit => circuit.id === circuitId);
+        };
+
+        test('GET /api/operations - Shows the next operation to undo', async () => {
+            const response = await request(app).get('/api/operations').expect(200);
+            expect(response.body.undo).toMatchObject({ label: 'Add device' });
+            expect(response.body.redo).toBeNull();
+        });
+
+        test('POST /api/operations/undo - Restores a deleted breaker with its circuits and devices', async () => {
+            await request(app).delete(`/api/breakers/${breakerId}`).expect(200);
+            expect(await getCircuit()).toBeUndefined();
+
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone).toMatchObject({ label: 'Delete breaker 1' });
+            expect(undone.body.redo).toMatchObject({ label: 'Delete breaker 1' });
+
+            const breaker = await request(app).get(`/api/breakers/${breakerId}`).expect(200);
+            expect(breaker.body).toMatchObject({ label: 'Garage', amperage: 20 });
+            expect((await getCircuit()).breaker_id).toBe(breakerId);
+            const devices = await request(app).get(`/api/circuits/${circuitId}/devices`).expect(200);
+            expect(devices.body.map(device => [device.id, device.location])).toEqual([[deviceId, 'Workbench']]);
+        });
+
+        test('POST /api/operations/redo - Applies the undone operation again', async () => {
+            const redone = await request(app).post('/api/operations/redo').expect(200);
+            expect(redone.body.redone).toMatchObject({ label: 'Delete breaker 1' });
+            expect(redone.body.redo).toBeNull();
+            await request(app).get(`/api/breakers/${breakerId}`).expect(404);
+
+            await request(app).post('/api/operations/undo').expect(200);
+            await request(app).get(`/api/breakers/${breakerId}`).expect(200);
+        });
+
+        test('POST /api/operations/undo - Puts a moved breaker and its circuits back', async () => {
+            await request(app)
+                .post('/api/breakers/move')
+                .send({ sourceBreakerId: breakerId, destinationPanelId: panelId, destinationPosition: 6 })
+                .expect(200);
+            await request(app).get(`/api/breakers/${breakerId}`).expect(404);
+
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone.label).toBe('Move breaker 1 to position 6');
+
+            const breakers = await request(app).get(`/api/panels/${panelId}/breakers`).expect(200);
+            expect(breakers.body.map(breaker => [breaker.id, breaker.position])).toEqual([[breakerId, 1]]);
+            expect((await getCircuit()).breaker_id).toBe(breakerId);
+        });
+
+        test('X-Operation-Id - Groups several requests into one undo step', async () => {
+            const operation = await request(app).post('/api/operations').send({ label: 'Save breaker 1' }).expect(201);
+            expect(operation.body).toMatchObject({ label: 'Save breaker 1', undone_at: null });
+
+            await request(app).put(`/api/breakers/${breakerId}`).set('X-Operation-Id', operation.body.id)
+                .send({ panel_id: panelId, position: 1, amperage: 30, label: 'Workshop' }).expect(200);
+            await request(app).put(`/api/circuits/${circuitId}`).set('X-Operation-Id', operation.body.id)
+                .send({ type: 'appliance' }).expect(200);
+
+            await request(app).post('/api/operations/undo').expect(200);
+            const breaker = await request(app).get(`/api/breakers/${breakerId}`).expect(200);
+            expect(breaker.body).toMatchObject({ label: 'Garage', amperage: 20 });
+            expect((await getCircuit()).type).toBe('outlet');
+
+            // A new change drops what could be redone
+            await request(app).put(`/api/circuits/${circuitId}`).send({ type: 'lighting' }).expect(200);
+            const state = await request(app).get('/api/operations').expect(200);
+            expect(state.body.redo).toBeNull();
+
+            await request(app).post('/api/operations').send({ label: '' }).expect(400);
+        });
+
+        test('POST /api/operations/undo - Refuses to overwrite later changes', async () => {
+            await request(app).put(`/api/circuits/${circuitId}`).send({ type: 'outlet' }).expect(200);
+            // Change the row behind the stack's back
+            const db = new sqlite3.Database(TEST_DB_PATH);
+            await new Promise((resolve, reject) => db.run('UPDATE circuits SET type = ? WHERE id = ?', ['heating', circuitId], error => error ? reject(error) : resolve()));
+            await new Promise(resolve => db.close(resolve));
+
+            const response = await request(app).post('/api/operations/undo').expect(409);
+            expect(response.body.error).toMatch(/Can't undo: The circuit has been changed since/);
+            expect((await getCircuit()).type).toBe('heating');
+        });
+
+        test('POST /api/operations/redo - Reports when there is nothing to redo', async () => {
+            const response = await request(app).post('/api/operations/redo').expect(409);
+            expect(response.body.error).toBe('Nothing to redo');
+        });
+    });
+
+    describe('Trash', () => {
+        const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a5f1d8b30000000049454e44ae426082', 'hex');
+
+        let mainPanelId;
+        let roomId;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Trash Main', size: 12 });
+            mainPanelId = panel.body.id;
+            const room = await request(app).post('/api/rooms').send({ name: 'Trash Workshop', level: 'main' });
+            roomId = room.body.id;
+        });
+
+        const findItem = async (entityType, entityId) => {
+            const response = await request(app).get('/api/trash').expect(200);
+            return response.body.items.find(item => item.entity_type === entityType && item.entity_id === entityId);
+        };
+
+        const backdate = async (sql) => {
+            const db = new sqlite3.Database(TEST_DB_PATH);
+            await new Promise((resolve, reject) => db.run(sql, error => error ? reject(error) : resolve()));
+            await new Promise(resolve => db.close(resolve));
+        };
+
+        test('DELETE /api/panels/:id - Moves the panel and everything on it to the trash', async () => {
+            const subpanel = await request(app).post('/api/panels').send({ name: 'Trash Shed', size: 8 });
+            const feeder = await request(app).post('/api/breakers').send({ panel_id: mainPanelId, position: 1, amperage: 60 });
+            const feederCircuit = await request(app).post('/api/circuits').send({ breaker_id: feeder.body.id, type: 'subpanel', subpanel_id: subpanel.body.id });
+            expect(feederCircuit.status).toBe(201);
+
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: subpanel.body.id, position: 1, amperage: 20, label: 'Bench' });
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'outlet', room_id: roomId });
+            await request(app).post('/api/devices').send({ circuit_id: circuit.body.id, device_type: 'receptacle', location: 'Bench' }).expect(201);
+            const photo = await request(app).post('/api/attachments').query({ breaker_id: breaker.body.id, filename: 'bench.png' })
+                .set('Content-Type', 'image/png').send(PNG).expect(201);
+
+            await request(app).delete(`/api/panels/${subpanel.body.id}`).expect(200);
+            await request(app).get(`/api/panels/${subpanel.body.id}`).expect(404);
+
+            const item = await findItem('panel', subpanel.body.id);
+            expect(item).toMatchObject({ name: 'panel "Trash Shed"', location: null, contents: { breaker: 1, circuit: 1, device: 1, attachment: 1 } });
+            expect(item.deleted_at).toBeTruthy();
+            expect(item).not.toHaveProperty('attachments');
+
+            // The feeder circuit lost its link to the deleted panel
+            const circuits = await request(app).get(`/api/breakers/${feeder.body.id}/circuits`).expect(200);
+            expect(circuits.body[0].subpanel_id).toBeNull();
+
+            const restored = await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+            expect(restored.body).toMatchObject({ restored: { entity_type: 'panel', entity_id: subpanel.body.id }, operation: { label: 'Restore panel "Trash Shed"' } });
+
+            const complete = await request(app).get(`/api/panels/${subpanel.body.id}/complete`).expect(200);
+            expect(complete.body.breakers.map(b => [b.id, b.label])).toEqual([[breaker.body.id, 'Bench']]);
+            expect(complete.body.circuits.map(c => [c.id, c.room_id])).toEqual([[circuit.body.id, roomId]]);
+            const devices = await request(app).get(`/api/circuits/${circuit.body.id}/devices`).expect(200);
+            expect(devices.body.map(device => device.location)).toEqual(['Bench']);
+            const attachments = await request(app).get(`/api/breakers/${breaker.body.id}/attachments`).expect(200);
+            expect(attachments.body.map(attachment => attachment.id)).toEqual([photo.body.id]);
+            await request(app).get(`/api/attachments/${photo.body.id}/file`).expect(200);
+
+            // Links to the panel are put back too
+            const relinked = await request(app).get(`/api/breakers/${feeder.body.id}/circuits`).expect(200);
+            expect(relinked.body[0].subpanel_id).toBe(subpanel.body.id);
+            expect(await findItem('panel', subpanel.body.id)).toBeUndefined();
+        });
+
+        test('POST /api/operations/undo - Undoing a restore puts the item back in the trash', async () => {
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: mainPanelId, position: 4, amperage: 15 });
+            await request(app).delete(`/api/breakers/${breaker.body.id}`).expect(200);
+            const item = await findItem('breaker', breaker.body.id);
+            expect(item).toMatchObject({ name: 'breaker 4', location: 'Trash Main' });
+
+            await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone.label).toBe('Restore breaker 4');
+            await request(app).get(`/api/breakers/${breaker.body.id}`).expect(404);
+            expect(await findItem('breaker', breaker.body.id)).toMatchObject({ id: item.id });
+
+            // Undoing the delete itself takes the item out of the trash
+            await request(app).post('/api/operations').send({ label: 'Unrelated' }).expect(201);
+            await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+            await request(app).post('/api/operations/undo').expect(200);
+            await request(app).post('/api/operations/redo').expect(200);
+            await request(app).get(`/api/breakers/${breaker.body.id}`).expect(200);
+        });
+
+        test('POST /api/trash/:id/restore - Leaves out links to rows that are gone and refuses taken places', async () => {
+            const room = await request(app).post('/api/rooms').send({ name: 'Trash Attic', level: 'main' });
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: mainPanelId, position: 6, amperage: 15 });
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'lighting', room_id: room.body.id });
+
+            await request(app).delete(`/api/circuits/${circuit.body.id}`).expect(200);
+            await request(app).delete(`/api/rooms/${room.body.id}`).expect(200);
+            const circuitItem = await findItem('circuit', circuit.body.id);
+            expect(circuitItem).toMatchObject({ name: 'Lighting circuit (Trash Attic)', location: 'Trash Main, breaker 6' });
+
+            await request(app).post(`/api/trash/${circuitItem.id}/restore`).expect(200);
+            const circuits = await request(app).get(`/api/breakers/${breaker.body.id}/circuits`).expect(200);
+            expect(circuits.body.map(c => [c.id, c.room_id])).toEqual([[circuit.body.id, null]]);
+
+            await request(app).delete(`/api/breakers/${breaker.body.id}`).expect(200);
+            await request(app).post('/api/breakers').send({ panel_id: mainPanelId, position: 6, amperage: 20 }).expect(201);
+            const breakerItem = await findItem('breaker', breaker.body.id);
+            const conflict = await request(app).post(`/api/trash/${breakerItem.id}/restore`).expect(409);
+            expect(conflict.body.error).toBe('Can\'t restore breaker 6: The breaker 6 can\'t be put back because its place is taken');
+            expect(await findItem('breaker', breaker.body.id)).toBeTruthy();
+
+            await request(app).post('/api/trash/999999/restore').expect(404);
+        });
+
+        test('GET /api/trash - Purges items older than the retention period', async () => {
+            const room = await request(app).post('/api/rooms').send({ name: 'Trash Closet', level: 'main' });
+            await request(app).delete(`/api/rooms/${room.body.id}`).expect(200);
+            const item = await findItem('room', room.body.id);
+
+            await backdate(`UPDATE trash SET deleted_at = datetime('now', '-31 days') WHERE id = ${item.id}`);
+
+            const response = await request(app).get('/api/trash').expect(200);
+            expect(response.body.retention_days).toBe(30);
+            expect(response.body.items.find(entry => entry.id === item.id)).toBeUndefined();
+        });
+
+        test('DELETE /api/trash - Empties the trash', async () => {
+            const room = await request(app).post('/api/rooms').send({ name: 'Trash Pantry', level: 'main' });
+            await request(app).delete(`/api/rooms/${room.body.id}`).expect(200);
+
+            const response = await request(app).delete('/api/trash').expect(200);
+            expect(response.body.deleted).toBeGreaterThan(0);
+            const trash = await request(app).get('/api/trash').expect(200);
+            expect(trash.body.items).toEqual([]);
+        });
+
+        test('DELETE /api/breakers/:id - Deletes arriving together each get their own transaction', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Concurrent Deletes', size: 12 }).expect(201);
+            const breakerIds = [];
+            for (let position = 1; position <= 6; position++) {
+                const breaker = await request(app).post('/api/breakers').send({ panel_id: panel.body.id, position, amperage: 15 }).expect(201);
+                breakerIds.push(breaker.body.id);
+            }
+
+            const responses = await Promise.all(breakerIds.map(id => request(app).delete(`/api/breakers/${id}`)));
+            expect(responses.map(response => response.status)).toEqual([200, 200, 200, 200, 200, 200]);
+
+            const contents = await request(app).get(`/api/panels/${panel.body.id}/complete`).expect(200);
+            expect(contents.body.breakers).toEqual([]);
+            const trash = await request(app).get('/api/trash').expect(200);
+            expect(trash.body.items.filter(item => item.entity_type === 'breaker' && breakerIds.includes(item.entity_id))).toHaveLength(6);
+        });
+    });
+
+    describe('Sites', () => {
+        let rentalId;
+        let rentalPanelId;
+
+        beforeAll(async () => {
+            const site = await request(app).post('/api/sites').send({ name: '  Rental  ' }).expect(201);
+            expect(site.body.name).toBe('Rental');
+            rentalId = site.body.id;
+            const panel = await request(app).post('/api/panels').send({ name: 'Rental Main', size: 12, site_id: rentalId }).expect(201);
+            rentalPanelId = panel.body.id;
+        });
+
+        test('GET /api/sites - Lists sites with what they hold, the migrated site first', async () => {
+            const response = await request(app).get('/api/sites').expect(200);
+            expect(response.body[0]).toMatchObject({ id: 1, name: 'Home' });
+            expect(response.body.find(site => site.id === rentalId)).toMatchObject({ name: 'Rental', panel_count: 1, room_count: 0 });
+        });
+
+        test('POST /api/panels - Puts panels in the first site unless told otherwise', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Sites Home Panel', size: 8 }).expect(201);
+            expect(panel.body.site_id).toBe(1);
+
+            const invalid = await request(app).post('/api/panels').send({ name: 'Nowhere', size: 8, site_id: 9999 });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.error).toBe('Site 9999 does not exist');
+        });
+
+        test('GET /api/panels - Filters by site', async () => {
+            const rental = await request(app).get('/api/panels').query({ site_id: rentalId }).expect(200);
+            expect(rental.body.map(panel => panel.id)).toEqual([rentalPanelId]);
+            const all = await request(app).get('/api/panels').expect(200);
+            expect(all.body.length).toBeGreaterThan(1);
+            await request(app).get('/api/panels').query({ site_id: 'abc' }).expect(400);
+        });
+
+        test('POST /api/rooms - Room names are unique per site', async () => {
+            await request(app).post('/api/rooms').send({ name: 'Sites Kitchen', level: 'main' }).expect(201);
+            const rentalKitchen = await request(app).post('/api/rooms').send({ name: 'Sites Kitchen', level: 'main', site_id: rentalId }).expect(201);
+            expect(rentalKitchen.body.site_id).toBe(rentalId);
+
+            const duplicate = await request(app).post('/api/rooms').send({ name: 'Sites Kitchen', level: 'main', site_id: rentalId });
+            expect(duplicate.status).toBe(409);
+            expect(duplicate.body.error).toBe('A room with this name already exists at this site');
+
+            const rooms = await request(app).get('/api/rooms').query({ site_id: rentalId }).expect(200);
+            expect(rooms.body.map(room => room.name)).toEqual(['Sites Kitchen']);
+        });
+
+        test('Circuits, devices and breaker moves stay within their site', async () => {
+            const homeRoom = await request(app).post('/api/rooms').send({ name: 'Sites Den', level: 'main' }).expect(201);
+            const homePanel = await request(app).post('/api/panels').send({ name: 'Sites Home Sub', size: 8 }).expect(201);
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: rentalPanelId, position: 1, amperage: 20 }).expect(201);
+
+            const wrongRoom = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'outlet', room_id: homeRoom.body.id });
+            expect(wrongRoom.status).toBe(400);
+            expect(wrongRoom.body.error).toBe('The room belongs to another site');
+            const wrongSubpanel = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'subpanel', subpanel_id: homePanel.body.id });
+            expect(wrongSubpanel.body.error).toBe('The subpanel belongs to another site');
+
+            const circuit = await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'outlet' }).expect(201);
+            await request(app).put(`/api/circuits/${circuit.body.id}`).send({ type: 'outlet', room_id: homeRoom.body.id }).expect(400);
+            const device = await request(app).post('/api/devices').send({ circuit_id: circuit.body.id, device_type: 'receptacle', room_id: homeRoom.body.id });
+            expect(device.status).toBe(400);
+
+            const circuits = await request(app).get('/api/circuits').query({ site_id: rentalId }).expect(200);
+            expect(circuits.body.map(c => c.id)).toEqual([circuit.body.id]);
+
+            const move = await request(app).post('/api/breakers/move').send({
+                sourceBreakerId: breaker.body.id, destinationPanelId: homePanel.body.id, destinationPosition: 1
+            });
+            expect(move.status).toBe(400);
+            expect(move.body.error).toBe('Breakers can only be moved to a panel at the same site');
+        });
+
+        test('GET /api/history and /api/trash - Filter by site', async () => {
+            const room = await request(app).post('/api/rooms').send({ name: 'Sites Porch', level: 'main', site_id: rentalId }).expect(201);
+            await request(app).delete(`/api/rooms/${room.body.id}`).expect(200);
+
+            const history = await request(app).get('/api/history').query({ site_id: rentalId, entity_type: 'room' }).expect(200);
+            expect(history.body.entries.map(entry => [entry.entity_id, entry.action])).toContainEqual([room.body.id, 'delete']);
+            const homeHistory = await request(app).get('/api/history').query({ site_id: 1, entity_id: room.body.id, entity_type: 'room' }).expect(200);
+            expect(homeHistory.body.total).toBe(0);
+
+            const rentalTrash = await request(app).get('/api/trash').query({ site_id: rentalId }).expect(200);
+            expect(rentalTrash.body.items.map(item => item.entity_id)).toContain(room.body.id);
+            const homeTrash = await request(app).get('/api/trash').query({ site_id: 1 }).expect(200);
+            expect(homeTrash.body.items.map(item => item.entity_id)).not.toContain(room.body.id);
+        });
+
+        test('POST /api/operations/undo - Each site has its own undo stack', async () => {
+            const getName = async (id) => (await request(app).get(`/api/panels/${id}`).expect(200)).body.name;
+            await request(app).put(`/api/panels/${rentalPanelId}`).send({ name: 'Rental Main Renamed' }).expect(200);
+            const homePanel = await request(app).post('/api/panels').send({ name: 'Sites Undo Panel', size: 8 }).expect(201);
+
+            const rentalState = await request(app).get('/api/operations').query({ site_id: rentalId }).expect(200);
+            expect(rentalState.body.undo).toMatchObject({ label: 'Edit panel "Rental Main Renamed"', site_id: rentalId });
+            const undone = await request(app).post('/api/operations/undo').query({ site_id: rentalId }).expect(200);
+            expect(undone.body.undone.label).toBe('Edit panel "Rental Main Renamed"');
+            expect(await getName(rentalPanelId)).toBe('Rental Main');
+            expect(await getName(homePanel.body.id)).toBe('Sites Undo Panel');
+
+            // A change at another site leaves the rental's redo alone
+            await request(app).put(`/api/panels/${homePanel.body.id}`).send({ name: 'Sites Undo Panel 2' }).expect(200);
+            const homeState = await request(app).get('/api/operations').query({ site_id: 1 }).expect(200);
+            expect(homeState.body).toMatchObject({ undo: { label: 'Edit panel "Sites Undo Panel 2"', site_id: 1 }, redo: null });
+            await request(app).post('/api/operations/redo').query({ site_id: rentalId }).expect(200);
+            expect(await getName(rentalPanelId)).toBe('Rental Main Renamed');
+
+            await request(app).post('/api/operations/undo').query({ site_id: 'abc' }).expect(400);
+        });
+
+        test('DELETE /api/sites/:id - Only deletes empty sites', async () => {
+            const busy = await request(app).delete(`/api/sites/${rentalId}`);
+            expect(busy.status).toBe(409);
+            expect(busy.body.error).toBe('Delete the 1 panel and 1 room at this site before deleting it');
+
+            const empty = await request(app).post('/api/sites').send({ name: 'Cabin' }).expect(201);
+            await request(app).put(`/api/sites/${empty.body.id}`).send({ name: 'Lake Cabin' }).expect(200);
+            const duplicate = await request(app).put(`/api/sites/${empty.body.id}`).send({ name: 'Rental' });
+            expect(duplicate.status).toBe(409);
+            expect(duplicate.body.error).toBe('A site with this name already exists');
+
+            await request(app).delete(`/api/sites/${empty.body.id}`).expect(200);
+            await request(app).get(`/api/sites/${empty.body.id}`).expect(404);
+        });
+    });
+
+    describe('Accounts and Permissions', () => {
+        const admin = request.agent(app);
+        const editor = request.agent(app);
+        const viewer = request.agent(app);
+        let panelId;
+
+        afterAll(async () => {
+            // Back to an open app for the remaining tests
+            const db = new sqlite3.Database(TEST_DB_PATH);
+            await new Promise((resolve, reject) => db.run('DELETE FROM users', error => error ? reject(error) : resolve()));
+            await new Promise(resolve => db.close(resolve));
+        });
+
+        test('The app is open until the first admin is set up', async () => {
+            const session = await request(app).get('/api/auth/session').expect(200);
+            expect(session.body).toEqual({ user: null, setup_required: true });
+            const panel = await request(app).post('/api/panels').send({ name: 'Accounts Panel', size: 12 }).expect(201);
+            panelId = panel.body.id;
+
+            await request(app).post('/api/auth/setup').send({ username: 'owner', password: 'short' }).expect(400);
+            const setup = await admin.post('/api/auth/setup').send({ username: ' owner ', password: 'correct horse' }).expect(201);
+            expect(setup.body.user).toMatchObject({ username: 'owner', role: 'admin' });
+            expect(setup.headers['set-cookie'][0]).toMatch(/^session=.+; Max-Age=\d+; Path=\/; Expires=.+; HttpOnly; SameSite=Lax$/);
+            expect(setup.body.user).not.toHaveProperty('password_hash');
+
+            const again = await request(app).post('/api/auth/setup').send({ username: 'intruder', password: 'correct horse' });
+            expect(again.status).toBe(409);
+
+            const anonymous = await request(app).get('/api/panels');
+            expect(anonymous.status).toBe(401);
+            expect(anonymous.body.error).toBe('Log in to continue');
+            const session2 = await admin.get('/api/auth/session').expect(200);
+            expect(session2.body).toMatchObject({ user: { username: 'owner', role: 'admin' }, setup_required: false });
+        });
+
+        test('POST /api/auth/login - Checks the password', async () => {
+            await admin.post('/api/users').send({ username: 'sam', password: 'sparky-123', role: 'editor' }).expect(201);
+            await admin.post('/api/users').send({ username: 'guest', password: 'look-only', role: 'viewer' }).expect(201);
+
+            const wrong = await request(app).post('/api/auth/login').send({ username: 'sam', password: 'nope-nope' });
+            expect(wrong.status).toBe(401);
+            expect(wrong.body.error).toBe('Wrong username or password');
+
+            const login = await editor.post('/api/auth/login').send({ username: 'SAM', password: 'sparky-123' }).expect(200);
+            expect(login.body.user).toMatchObject({ username: 'sam', role: 'editor' });
+            await viewer.post('/api/auth/login').send({ username: 'guest', password: 'look-only' }).expect(200);
+        });
+
+        test('Viewers can read but not change anything', async () => {
+            await viewer.get('/api/panels').expect(200);
+            await viewer.get(`/api/panels/${panelId}/complete`).expect(200);
+
+            const create = await viewer.post('/api/panels').send({ name: 'Viewer Panel', size: 8 });
+            expect(create.status).toBe(403);
+            expect(create.body.error).toBe('Your account can only view; ask an admin for editor access');
+            await viewer.delete(`/api/panels/${panelId}`).expect(403);
+            await viewer.post('/api/breakers/move').send({ sourceBreakerId: 1, destinationPanelId: panelId, destinationPosition: 1 }).expect(403);
+            await viewer.delete('/api/rooms/1').expect(403);
+        });
+
+        test('Editors can make changes, which are logged under their username', async () => {
+            const breaker = await editor.post('/api/breakers').send({ panel_id: panelId, position: 1, amperage: 20 }).expect(201);
+            const history = await editor.get('/api/history').query({ entity_type: 'breaker', entity_id: breaker.body.id }).expect(200);
+            expect(history.body.entries[0].actor).toBe('sam');
+
+            await editor.get('/api/users').expect(403);
+            await editor.post('/api/users').send({ username: 'friend', password: 'password1', role: 'admin' }).expect(403);
+        });
+
+        test('POST /api/operations/undo - Editors undo their own changes, admins anyone\'s', async () => {
+            await admin.put(`/api/panels/${panelId}`).send({ name: 'Accounts Panel Renamed' }).expect(200);
+            await editor.put(`/api/panels/${panelId}`).send({ size: 16 }).expect(200);
+            await editor.post('/api/operations/undo').expect(200);
+
+            const state = await editor.get('/api/operations').expect(200);
+            expect(state.body.undo).toMatchObject({ label: 'Edit panel "Accounts Panel Renamed"', actor: 'owner' });
+            const refused = await editor.post('/api/operations/undo').expect(403);
+            expect(refused.body.error).toBe('Can\'t undo: Edit panel "Accounts Panel Renamed" was made by owner; only they or an admin can undo it');
+
+            const undone = await admin.post('/api/operations/undo').expect(200);
+            expect(undone.body.undone.actor).toBe('owner');
+            const panel = await admin.get(`/api/panels/${panelId}`).expect(200);
+            expect(panel.body).toMatchObject({ name: 'Accounts Panel', size: 12 });
+            await editor.post('/api/operations/redo').expect(403);
+        });
+
+        test('Admins manage accounts but keep at least one admin', async () => {
+            const users = await admin.get('/api/users').expect(200);
+            expect(users.body.map(user => [user.username, user.role])).toEqual([['guest', 'viewer'], ['owner', 'admin'], ['sam', 'editor']]);
+            const owner = users.body.find(user => user.username === 'owner');
+            const sam = users.body.find(user => user.username === 'sam');
+
+            const duplicate = await admin.post('/api/users').send({ username: 'Sam', password: 'password1', role: 'viewer' });
+            expect(duplicate.status).toBe(409);
+            expect(duplicate.body.error).toBe('An account with this username already exists');
+
+            const demote = await admin.put(`/api/users/${owner.id}`).send({ role: 'editor' });
+            expect(demote.status).toBe(409);
+            await admin.delete(`/api/users/${owner.id}`).expect(409);
+
+            // Resetting a password logs the account out
+            await admin.put(`/api/users/${sam.id}`).send({ password: 'new-password' }).expect(200);
+            await editor.get('/api/panels').expect(401);
+            await editor.post('/api/auth/login').send({ username: 'sam', password: 'new-password' }).expect(200);
+
+            await admin.put(`/api/users/${sam.id}`).send({ role: 'viewer' }).expect(200);
+            await editor.post('/api/panels').send({ name: 'Demoted', size: 8 }).expect(403);
+        });
+
+        test('POST /api/auth/logout - Ends the session', async () => {
+            await viewer.post('/api/auth/logout').expect(200);
+            await viewer.get('/api/panels').expect(401);
+        });
+    });
+
+    describe('API Tokens', () => {
+        const owner = request.agent(app);
+        const guest = request.agent(app);
+
+        beforeAll(async () => {
+            await owner.post('/api/auth/setup').send({ username: 'owner', password: 'correct horse' }).expect(201);
+            await owner.post('/api/users').send({ username: 'guest', password: 'look-only', role: 'viewer' }).expect(201);
+            await guest.post('/api/auth/login').send({ username: 'guest', password: 'look-only' }).expect(200);
+        });
+
+        afterAll(async () => {
+            const db = new sqlite3.Database(TEST_DB_PATH);
+            for (const table of ['api_tokens', 'users']) {
+                await new Promise((resolve, reject) => db.run(`DELETE FROM ${table}`, error => error ? reject(error) : resolve()));
+            }
+            await new Promise(resolve => db.close(resolve));
+        });
+
+        test('POST /api/tokens - Returns the token once, and lists it without it', async () => {
+            const created = await owner.post('/api/tokens').send({ name: ' Home Assistant ', scope: 'read', expires_in_days: 90 }).expect(201);
+            expect(created.body).toMatchObject({ name: 'Home Assistant', scope: 'read', last_used_at: null, expired: 0 });
+            expect(created.body.token).toMatch(/^bph_[\w-]{43}$/);
+            expect(created.body.expires_at).toBeTruthy();
+
+            const tokens = await owner.get('/api/tokens').expect(200);
+            expect(tokens.body).toHaveLength(1);
+            expect(tokens.body[0]).not.toHaveProperty('token');
+            expect(tokens.body[0]).not.toHaveProperty('token_hash');
+
+            const lasting = await owner.post('/api/tokens').send({ name: 'Backup Script', scope: 'read' }).expect(201);
+            expect(lasting.body.expires_at).toBeNull();
+            await owner.delete(`/api/tokens/${lasting.body.id}`).expect(200);
+
+            await owner.post('/api/tokens').send({ name: 'Cron', scope: 'admin', expires_in_days: 90 }).expect(400);
+            await owner.post('/api/tokens').send({ name: 'Cron', scope: 'write', expires_in_days: 0 }).expect(400);
+            await request(app).get('/api/tokens').expect(401);
+        });
+
+        test('Bearer tokens act as their user within their scope, and record when they were used', async () => {
+            const read = await owner.post('/api/tokens').send({ name: 'Dashboard', scope: 'read', expires_in_days: null }).expect(201);
+            const write = await owner.post('/api/tokens').send({ name: 'Cron', scope: 'write', expires_in_days: 30 }).expect(201);
+
+            await request(app).get('/api/panels').set('Authorization', `Bearer ${read.body.token}`).expect(200);
+            const blocked = await request(app).post('/api/panels').set('Authorization', `Bearer ${read.body.token}`).send({ name: 'Scripted', size: 8 });
+            expect(blocked.status).toBe(403);
+            expect(blocked.body.error).toBe('This API token is read-only');
+
+            const panel = await request(app).post('/api/panels').set('Authorization', `Bearer ${write.body.token}`).send({ name: 'Scripted', size: 8 }).expect(201);
+            const history = await owner.get('/api/history').query({ entity_type: 'panel', entity_id: panel.body.id }).expect(200);
+            expect(history.body.entries[0].actor).toBe('owner');
+
+            // Tokens can't manage tokens
+            await request(app).get('/api/tokens').set('Authorization', `Bearer ${write.body.token}`).expect(403);
+
+            const tokens = await owner.get('/api/tokens').expect(200);
+            expect(tokens.body.find(token => token.name === 'Dashboard').last_used_at).toBeTruthy();
+            expect(tokens.body.find(token => token.name === 'Dashboard').expires_at).toBeNull();
+
+            const unknown = await request(app).get('/api/panels').set('Authorization', 'Bearer bph_nope');
+            expect(unknown.status).toBe(401);
+            expect(unknown.body.error).toBe('This API token is unknown, revoked or expired');
+        });
+
+        test('Expired and revoked tokens stop working', async () => {
+            const created = await owner.post('/api/tokens').send({ name: 'Old Script', scope: 'read', expires_in_days: 1 }).expect(201);
+            const auth = `Bearer ${created.body.token}`;
+            await request(app).get('/api/panels').set('Authorization', auth).expect(200);
+
+            const db = new sqlite3.Database(TEST_DB_PATH);
+            await new Promise((resolve, reject) => db.run(
+                `UPDATE api_tokens SET expires_at = datetime('now', '-1 minute') WHERE id = ?`,
+                [created.body.id],
+                error => error ? reject(error) : resolve()
+            ));
+            await new Promise(resolve => db.close(resolve));
+            await request(app).get('/api/panels').set('Authorization', auth).expect(401);
+            const tokens = await owner.get('/api/tokens').expect(200);
+            expect(tokens.body.find(token => token.id === created.body.id).expired).toBe(1);
+
+            const another = await owner.post('/api/tokens').send({ name: 'Revoked', scope: 'read', expires_in_days: 1 }).expect(201);
+            await guest.delete(`/api/tokens/${another.body.id}`).expect(404);
+            await owner.delete(`/api/tokens/${another.body.id}`).expect(200);
+            await request(app).get('/api/panels').set('Authorization', `Bearer ${another.body.token}`).expect(401);
+        });
+
+        test('Viewers can create read-only tokens for themselves', async () => {
+            const read = await guest.post('/api/tokens').send({ name: 'Wall Tablet', scope: 'read', expires_in_days: 365 }).expect(201);
+            const write = await guest.post('/api/tokens').send({ name: 'Wall Tablet', scope: 'write', expires_in_days: 365 });
+            expect(write.status).toBe(400);
+            expect(write.body.error).toBe('Viewers can only create read-only tokens');
+
+            const tokens = await guest.get('/api/tokens').expect(200);
+            expect(tokens.body.map(token => token.name)).toEqual(['Wall Tablet']);
+            await guest.delete(`/api/tokens/${read.body.id}`).expect(200);
+        });
+    });
+
+    describe('Panel Hierarchy', () => {
+        let siteId;
+        let main;
+        let garage;
+        let shop;
+
+        const addBreaker = async (panelId, position, fields = {}) => {
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panelId, position, amperage: 20, ...fields }).expect(201);
+            return breaker.body.id;
+        };
+
+        beforeAll(async () => {
+            const site = await request(app).post('/api/sites').send({ name: 'Hierarchy Farm' }).expect(201);
+            siteId = site.body.id;
+            const panel = async (name) => (await request(app).post('/api/panels').send({ name, size: 12, site_id: siteId, main_amperage: name === 'Main' ? 200 : null })).body;
+            main = await panel('Main');
+            garage = await panel('Garage');
+            shop = await panel('Shop');
+
+            // Main feeds the garage, which feeds the shop
+            const garageFeeder = await addBreaker(main.id, 3, { amperage: 60, breaker_type: 'double_pole' });
+            await request(app).post('/api/circuits').send({ breaker_id: garageFeeder, type: 'subpanel', subpanel_id: garage.id }).expect(201);
+            const kitchen = await addBreaker(main.id, 1, { critical: true });
+            await request(app).post('/api/circuits').send({ breaker_id: kitchen, type: 'outlet' }).expect(201);
+
+            const shopFeeder = await addBreaker(garage.id, 1, { amperage: 30, breaker_type: 'double_pole' });
+            await request(app).post('/api/circuits').send({ breaker_id: shopFeeder, type: 'subpanel', subpanel_id: shop.id }).expect(201);
+            const freezer = await addBreaker(shop.id, 1, { critical: true });
+            await request(app).post('/api/circuits').send({ breaker_id: freezer, type: 'outlet', load_value: 1200 }).expect(201);
+            await request(app).post('/api/circuits').send({ breaker_id: freezer, type: 'lighting' }).expect(201);
+        });
+
+        test('GET /api/hierarchy - Runs from the main panel through feeders to each subpanel', async () => {
+            const response = await request(app).get('/api/hierarchy').query({ site_id: siteId }).expect(200);
+
+            expect(response.body).toHaveLength(1);
+            const [root] = response.body;
+            expect(root).toMatchObject({ id: main.id, name: 'Main', feeder: null, breaker_count: 2, circuit_count: 2, critical_count: 1 });
+            expect(root.totals).toEqual({ panel_count: 3, breaker_count: 4, circuit_count: 5, critical_count: 2 });
+
+            const [garageNode] = root.children;
+            expect(garageNode).toMatchObject({ id: garage.id, feeder: { panel_id: main.id, position: 3, amperage: 60 } });
+            expect(garageNode.totals).toEqual({ panel_count: 2, breaker_count: 2, circuit_count: 3, critical_count: 1 });
+
+            const [shopNode] = garageNode.children;
+            expect(shopNode).toMatchObject({ id: shop.id, feeder: { panel_id: garage.id, amperage: 30 }, children: [] });
+            expect(shopNode.load).toMatchObject({ connected_amps: 5, rating_amps: 30 });
+            // Load rolls up through the feeders
+            expect(root.load).toMatchObject({ connected_amps: 5, rating_amps: 200 });
+        });
+
+        test('GET /api/hierarchy - Panels on a circular link still appear once', async () => {
+            const loopFeeder = await addBreaker(shop.id, 3, { amperage: 30, breaker_type: 'double_pole' });
+            const loop = await request(app).post('/api/circuits').send({ breaker_id: loopFeeder, type: 'subpanel', subpanel_id: main.id }).expect(201);
+
+            const response = await request(app).get('/api/hierarchy').query({ site_id: siteId }).expect(200);
+            const ids = [];
+            const collect = (node) => {
+                ids.push(node.id);
+                node.children.forEach(collect);
+            };
+            response.body.forEach(collect);
+            expect(ids.sort()).toEqual([main.id, garage.id, shop.id].sort());
+
+            await request(app).delete(`/api/circuits/${loop.body.id}`).expect(200);
+        });
+
+        test('GET /api/hierarchy - Rejects an invalid site', async () => {
+            await request(app).get('/api/hierarchy').query({ site_id: 'abc' }).expect(400);
+        });
+    });
+
+    describe('Panel Resize', () => {
+        let panelId;
+
+        const addBreaker = (fields) => request(app).post('/api/breakers').send({ panel_id: panelId, ...fields });
+        const listBreakers = async () => (await request(app).get(`/api/panels/${panelId}/breakers`).expect(200)).body
+            .map(breaker => breaker.position).sort((a, b) => a - b);
+
+        beforeEach(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: `Resize Panel ${Date.now()}`, size: 42 });
+            panelId = panel.body.id;
+            await addBreaker({ position: 1, label: 'Range' }).expect(201);
+            await addBreaker({ position: 29, breaker_type: 'double_pole', label: 'Dryer' }).expect(201);
+            await addBreaker({ position: 35, label: 'Garage' }).expect(201);
+        });
+
+        test('PUT /api/panels/:id - Rejects a shrink that strands breakers, listing them', async () => {
+            const response = await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Resize Panel', size: 30 })
+                .expect(409);
+
+            expect(response.body.error).toBe('2 breakers would not fit the new panel layout');
+            expect(response.body.code).toBe('resize_conflicts');
+            expect(response.body.conflicts).toEqual([
+                expect.objectContaining({ position: 29, label: 'Dryer', code: 'span_past_end', relocate_to: 2 }),
+                expect.objectContaining({ position: 35, label: 'Garage', code: 'outside_panel', relocate_to: 3 })
+            ]);
+
+            const panel = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(panel.body.size).toBe(42);
+        });
+
+        test('POST /api/panels/:id/resize-preview - Shows the plan without changing anything', async () => {
+            const response = await request(app)
+                .post(`/api/panels/${panelId}/resize-preview`)
+                .send({ name: 'Resize Panel', size: 30 })
+                .expect(200);
+            expect(response.body.can_relocate).toBe(true);
+            expect(response.body.conflicts.map(conflict => conflict.position)).toEqual([29, 35]);
+
+            const roomy = await request(app)
+                .post(`/api/panels/${panelId}/resize-preview`)
+                .send({ name: 'Resize Panel', size: 36 })
+                .expect(200);
+            expect(roomy.body.conflicts).toEqual([]);
+
+            const tiny = await request(app)
+                .post(`/api/panels/${panelId}/resize-preview`)
+                .send({ name: 'Resize Panel', size: 2 })
+                .expect(200);
+            expect(tiny.body.can_relocate).toBe(false);
+            expect(await listBreakers()).toEqual([1, 29, 35]);
+        });
+
+        test('PUT /api/panels/:id - Relocates stranded breakers, undoable as one step', async () => {
+            await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Resize Panel', size: 30, resize_strategy: 'relocate' })
+                .expect(200);
+            expect(await listBreakers()).toEqual([1, 2, 3]);
+
+            const noRoom = await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Resize Panel', size: 3, resize_strategy: 'relocate' })
+                .expect(409);
+            expect(noRoom.body.code).toBe('resize_no_room');
+
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone.label).toMatch(/^Resize panel "Resize Panel/);
+            expect(await listBreakers()).toEqual([1, 29, 35]);
+            const panel = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(panel.body.size).toBe(42);
+        });
+
+        test('PUT /api/panels/:id - Breakers stay put when the panel can\'t be saved', async () => {
+            const execute = async (sql) => {
+                const db = new sqlite3.Database(TEST_DB_PATH);
+                await new Promise((resolve, reject) => db.run(sql, error => error ? reject(error) : resolve()));
+                await new Promise(resolve => db.close(resolve));
+            };
+            await execute(`CREATE TRIGGER fail_resize BEFORE UPDATE OF size ON panels WHEN OLD.id = ${panelId}
+                BEGIN SELECT RAISE(ABORT, 'Resize failed'); END`);
+            try {
+                await request(app)
+                    .put(`/api/panels/${panelId}`)
+                    .send({ size: 30, resize_strategy: 'relocate' })
+                    .expect(500);
+            } finally {
+                await execute('DROP TRIGGER fail_resize');
+            }
+
+            expect(await listBreakers()).toEqual([1, 29, 35]);
+            const panel = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(panel.body.size).toBe(42);
+        });
+
+        test('PUT /api/panels/:id - Deletes stranded breakers to the trash', async () => {
+            await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Resize Panel', size: 30, resize_strategy: 'delete' })
+                .expect(200);
+            expect(await listBreakers()).toEqual([1]);
+
+            const trash = await request(app).get('/api/trash').expect(200);
+            const names = trash.body.items.filter(item => item.entity_type === 'breaker').map(item => item.name);
+            expect(names).toEqual(expect.arrayContaining(['breaker 29', 'breaker 35']));
+
+            await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Resize Panel', size: 30, resize_strategy: 'shuffle' })
+                .expect(400);
+
+            // One operation holds the deletes and the new size
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone.label).toMatch(/^Resize panel "Resize Panel/);
+            expect(await listBreakers()).toEqual([1, 29, 35]);
+            const panel = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(panel.body.size).toBe(42);
+        });
+    });
+
+    describe('Panel Cloning and Templates', () => {
+        let sourceId;
+        let kitchenId;
+
+        const getContents = async (panelId) => (await request(app).get(`/api/panels/${panelId}/complete`).expect(200)).body;
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Builder Grade', size: 30, main_amperage: 200 }).expect(201);
+            sourceId = panel.body.id;
+            const room = await request(app).post('/api/rooms').send({ name: 'Clone Kitchen', level: 'main' }).expect(201);
+            kitchenId = room.body.id;
+            const subpanel = await request(app).post('/api/panels').send({ name: 'Builder Sub', size: 8 }).expect(201);
+
+            const range = await request(app).post('/api/breakers')
+                .send({ panel_id: sourceId, position: 1, label: 'Range', amperage: 40, breaker_type: 'double_pole', confirmed: true })
+                .expect(201);
+            await request(app).post('/api/circuits')
+                .send({ breaker_id: range.body.id, room_id: kitchenId, type: 'outlet', notes: 'Range outlet', wire_gauge: '8' })
+                .expect(201);
+            const feeder = await request(app).post('/api/breakers')
+                .send({ panel_id: sourceId, position: 2, label: 'Sub Feed', amperage: 60, breaker_type: 'double_pole' })
+                .expect(201);
+            await request(app).post('/api/circuits')
+                .send({ breaker_id: feeder.body.id, type: 'subpanel', subpanel_id: subpanel.body.id })
+                .expect(201);
+        });
+
+        test('POST /api/panels/:id/clone - Copies breakers and circuits, undoable as one step', async () => {
+            const response = await request(app)
+                .post(`/api/panels/${sourceId}/clone`)
+                .send({ name: 'Builder Grade Copy' })
+                .expect(201);
+            expect(response.body).toMatchObject({ name: 'Builder Grade Copy', size: 30, main_amperage: 200, site_id: 1 });
+
+            const copy = await getContents(response.body.id);
+            expect(copy.breakers.map(breaker => [breaker.position, breaker.label, breaker.amperage, breaker.confirmed]))
+                .toEqual([[1, 'Range', 40, 0], [2, 'Sub Feed', 60, 0]]);
+            expect(copy.circuits).toHaveLength(2);
+            const range = copy.circuits.find(circuit => circuit.notes === 'Range outlet');
+            expect(range).toMatchObject({ room_id: null, wire_gauge: '8' });
+            expect(copy.circuits.find(circuit => circuit.type === 'subpanel').subpanel_id).toBeNull();
+
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone.label).toBe('Clone panel "Builder Grade"');
+            await request(app).get(`/api/panels/${response.body.id}`).expect(404);
+        });
+
+        test('POST /api/panels/:id/clone - Links rooms by name at another site, breakers only on request', async () => {
+            const site = await request(app).post('/api/sites').send({ name: 'Clone Rental' }).expect(201);
+
+            const withRooms = await request(app)
+                .post(`/api/panels/${sourceId}/clone`)
+                .send({ name: 'Rental Main', site_id: site.body.id, include_rooms: true })
+                .expect(201);
+            const rooms = await request(app).get('/api/rooms').query({ site_id: site.body.id }).expect(200);
+            const kitchen = rooms.body.find(room => room.name === 'Clone Kitchen');
+            expect(kitchen.id).not.toBe(kitchenId);
+            const copy = await getContents(withRooms.body.id);
+            expect(copy.circuits.find(circuit => circuit.notes === 'Range outlet').room_id).toBe(kitchen.id);
+
+            const sameSite = await request(app)
+                .post(`/api/panels/${sourceId}/clone`)
+                .send({ name: 'Same Site Copy', include_rooms: true })
+                .expect(201);
+            expect((await getContents(sameSite.body.id)).circuits.find(circuit => circuit.notes === 'Range outlet').room_id).toBe(kitchenId);
+
+            const breakersOnly = await request(app)
+                .post(`/api/panels/${sourceId}/clone`)
+                .send({ name: 'Empty Copy', include_circuits: false })
+                .expect(201);
+            const empty = await getContents(breakersOnly.body.id);
+            expect(empty.breakers).toHaveLength(2);
+            expect(empty.circuits).toHaveLength(0);
+
+            await request(app).post('/api/panels/99999/clone').send({ name: 'Missing' }).expect(404);
+            await request(app).post(`/api/panels/${sourceId}/clone`).send({ name: ' ' }).expect(400);
+            await request(app).post(`/api/panels/${sourceId}/clone`).send({ name: 'Bad', include_rooms: 'yes' }).expect(400);
+        });
+
+        test('POST /api/panel-templates - Saves a panel as a named template with or without circuits', async () => {
+            const layout = await request(app)
+                .post('/api/panel-templates')
+                .send({ name: 'Builder 30 Layout', panel_id: sourceId })
+                .expect(201);
+            expect(layout.body).toMatchObject({ name: 'Builder 30 Layout', size: 30, main_amperage: 200, includes_circuits: false, breaker_count: 2, circuit_count: 0 });
+
+            const full = await request(app)
+                .post('/api/panel-templates')
+                .send({ name: 'Builder 30 Full', panel_id: sourceId, include_circuits: true })
+                .expect(201);
+            expect(full.body).toMatchObject({ includes_circuits: true, breaker_count: 2, circuit_count: 2 });
+            expect(full.body.breakers[0].circuits[0]).not.toHaveProperty('room_id');
+
+            const duplicate = await request(app)
+                .post('/api/panel-templates')
+                .send({ name: 'Builder 30 Full', panel_id: sourceId })
+                .expect(409);
+            expect(duplicate.body.error).toBe('A panel template with this name already exists');
+            await request(app).post('/api/panel-templates').send({ name: 'No Panel' }).expect(400);
+
+            const list = await request(app).get('/api/panel-templates').expect(200);
+            expect(list.body.map(template => template.name)).toEqual(expect.arrayContaining(['Builder 30 Full', 'Builder 30 Layout']));
+        });
+
+        test('POST /api/panel-templates/:id/panels - Creates panels from a template until it is deleted', async () => {
+            const template = await request(app)
+                .post('/api/panel-templates')
+                .send({ name: 'Builder 30 Reuse', panel_id: sourceId, include_circuits: true })
+                .expect(201);
+
+            const panel = await request(app)
+                .post(`/api/panel-templates/${template.body.id}/panels`)
+                .send({ name: 'From Template' })
+                .expect(201);
+            expect(panel.body).toMatchObject({ name: 'From Template', size: 30, main_amperage: 200, site_id: 1 });
+            const contents = await getContents(panel.body.id);
+            expect(contents.breakers.map(breaker => breaker.label)).toEqual(['Range', 'Sub Feed']);
+            expect(contents.circuits).toHaveLength(2);
+
+            await request(app).delete(`/api/panel-templates/${template.body.id}`).expect(200);
+            await request(app)
+                .post(`/api/panel-templates/${template.body.id}/panels`)
+                .send({ name: 'Too Late' })
+                .expect(404);
+        });
+    });
+
+    describe('Panel Models', () => {
+        let qo;
+        let smallModel;
+
+        beforeAll(async () => {
+            const models = await request(app).get('/api/panel-models').expect(200);
+            qo = models.body.find(model => model.model === 'QO QO140M200P');
+            smallModel = (await request(app).post('/api/panel-models')
+                .send({ manufacturer: 'Test Co', model: 'TC4', spaces: 4, max_circuits: 5, bus_rating: 100, breaker_series: ['TC'], tandem_positions: [1, 2] })
+                .expect(201)).body;
+        });
+
+        test('GET/POST/PUT/DELETE /api/panel-models - Built-in catalog that can be edited', async () => {
+            expect(qo).toMatchObject({ manufacturer: 'Square D', spaces: 40, max_circuits: 40, bus_rating: 200, breaker_series: ['QO'], tandem_positions: [] });
+            expect(smallModel).toMatchObject({ max_circuits: 5, breaker_series: ['TC'], tandem_positions: [1, 2] });
+
+            const created = await request(app).post('/api/panel-models')
+                .send({ manufacturer: ' Acme ', model: 'A20', spaces: 20 })
+                .expect(201);
+            expect(created.body).toMatchObject({ manufacturer: 'Acme', max_circuits: 20, breaker_series: [], tandem_positions: null });
+            await request(app).post('/api/panel-models').send({ manufacturer: 'Acme', model: 'A20', spaces: 20 }).expect(409);
+            await request(app).post('/api/panel-models').send({ manufacturer: 'Acme', model: 'A21', spaces: 20, max_circuits: 10 }).expect(400);
+            await request(app).post('/api/panel-models').send({ manufacturer: 'Acme', model: 'A22', spaces: 4, tandem_positions: [5] }).expect(400);
+
+            const updated = await request(app).put(`/api/panel-models/${created.body.id}`)
+                .send({ manufacturer: 'Acme', model: 'A20', spaces: 20, max_circuits: 30, tandem_positions: [3, 1, 3] })
+                .expect(200);
+            expect(updated.body).toMatchObject({ max_circuits: 30, tandem_positions: [1, 3] });
+
+            await request(app).delete(`/api/panel-models/${created.body.id}`).expect(200);
+            await request(app).get(`/api/panel-models/${created.body.id}`).expect(404);
+        });
+
+        test('POST /api/panels - A model must match the panel\'s size and main breaker', async () => {
+            const tooBig = await request(app).post('/api/panels')
+                .send({ name: 'Too Many Spaces', size: 42, model_id: qo.id })
+                .expect(400);
+            expect(tooBig.body.error).toBe('The Square D QO QO140M200P has 40 spaces, so the panel can\'t have 42');
+            await request(app).post('/api/panels').send({ name: 'Big Main', size: 4, main_amperage: 200, model_id: smallModel.id }).expect(400);
+            await request(app).post('/api/panels').send({ name: 'No Such Model', size: 4, model_id: 9999 }).expect(400);
+
+            const panel = await request(app).post('/api/panels').send({ name: 'QO Main', size: 40, model_id: qo.id }).expect(201);
+            expect(panel.body.model_id).toBe(qo.id);
+            const deleted = await request(app).delete(`/api/panel-models/${qo.id}`).expect(409);
+            expect(deleted.body.error).toMatch(/1 panel using this model/);
+        });
+
+        test('Breakers and moves follow the panel model\'s tandem, series and circuit rules', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'TC Panel', size: 4, model_id: smallModel.id }).expect(201);
+            const panelId = panel.body.id;
+            const other = await request(app).post('/api/panels').send({ name: 'TC Source', size: 4 }).expect(201);
+
+            const wrongSeries = await request(app).post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, breaker_type: 'single', series: 'qo' })
+                .expect(409);
+            expect(wrongSeries.body).toMatchObject({ code: 'series_mismatch', error: 'The Test Co TC4 takes TC breakers, not qo' });
+            const tandem = await request(app).post('/api/breakers')
+                .send({ panel_id: panelId, position: 3, breaker_type: 'tandem', slot_position: 'A' })
+                .expect(409);
+            expect(tandem.body).toMatchObject({ code: 'tandem_position', error: 'The Test Co TC4 only accepts tandem breakers at positions 1-2' });
+
+            await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, breaker_type: 'tandem', slot_position: 'A', series: 'tc' }).expect(201);
+            await request(app).post('/api/breakers').send({ panel_id: panelId, position: 1, breaker_type: 'tandem', slot_position: 'B' }).expect(201);
+            await request(app).post('/api/breakers').send({ panel_id: panelId, position: 2, breaker_type: 'tandem', slot_position: 'A' }).expect(201);
+            await request(app).post('/api/breakers').send({ panel_id: panelId, position: 2, breaker_type: 'tandem', slot_position: 'B' }).expect(201);
+            await request(app).post('/api/breakers').send({ panel_id: panelId, position: 3, breaker_type: 'single' }).expect(201);
+            const full = await request(app).post('/api/breakers')
+                .send({ panel_id: panelId, position: 4, breaker_type: 'single' })
+                .expect(409);
+            expect(full.body.code).toBe('circuit_limit');
+
+            const source = await request(app).post('/api/breakers').send({ panel_id: other.body.id, position: 1, breaker_type: 'single', series: 'QO' }).expect(201);
+            await request(app).post('/api/circuits').send({ breaker_id: source.body.id, type: 'outlet' }).expect(201);
+            const moved = await request(app).post('/api/breakers/move')
+                .send({ sourceBreakerId: source.body.id, destinationPanelId: panelId, destinationPosition: 4 })
+                .expect(409);
+            expect(moved.body.code).toBe('series_mismatch');
+        });
+
+        test('PUT /api/panels/:id - Choosing a model checks the breakers already in the panel', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Unknown Brand', size: 4 }).expect(201);
+            const tandem = await request(app).post('/api/breakers')
+                .send({ panel_id: panel.body.id, position: 3, breaker_type: 'tandem', slot_position: 'A', label: 'Lights' })
+                .expect(201);
+
+            const response = await request(app).put(`/api/panels/${panel.body.id}`)
+                .send({ name: 'Unknown Brand', size: 4, model_id: smallModel.id })
+                .expect(409);
+            expect(response.body.code).toBe('model_conflicts');
+            expect(response.body.conflicts).toEqual([expect.objectContaining({ breaker_id: tandem.body.id, code: 'tandem_position', label: 'Lights' })]);
+
+            await request(app).delete(`/api/breakers/${tandem.body.id}`).expect(200);
+            const saved = await request(app).put(`/api/panels/${panel.body.id}`)
+                .send({ name: 'Unknown Brand', size: 4, model_id: smallModel.id })
+                .expect(200);
+            expect(saved.body.model_id).toBe(smallModel.id);
+        });
+
+        test('PUT /api/panels/:id - The model stays linked unless the update sends model_id', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Linked Panel', size: 4, model_id: smallModel.id }).expect(201);
+
+            await request(app).put(`/api/panels/${panel.body.id}`).send({ name: 'Renamed Linked Panel', size: 4 }).expect(200);
+            const renamed = await request(app).get(`/api/panels/${panel.body.id}`).expect(200);
+            expect(renamed.body.model_id).toBe(smallModel.id);
+
+            await request(app).put(`/api/panels/${panel.body.id}`).send({ model_id: null }).expect(200);
+            const unlinked = await request(app).get(`/api/panels/${panel.body.id}`).expect(200);
+            expect(unlinked.body.model_id).toBeNull();
+        });
+    });
+
+    describe('Backup and Restore', () => {
+        const backupOf = (sections) => ({
+            format: 'breaker-panel-helper-backup',
+            version: 1,
+            exported_at: '2024-05-01T12:00:00.000Z',
+            sites: [], levels: [], circuit_types: [], panel_models: [], rooms: [], panels: [], breakers: [], circuits: [], devices: [],
+            ...sections
+        });
+        const cabin = () => backupOf({
+            sites: [{ id: 7, name: 'Lake Cabin' }],
+            levels: [{ id: 3, key: 'loft', name: 'Loft', sort_order: 9 }],
+            circuit_types: [{ id: 5, key: 'lighting', name: 'Lighting', label_style: 'rooms', sort_order: 1 }],
+            rooms: [{ id: 11, name: 'Sleeping Loft', level: 'loft', site_id: 7 }],
+            panels: [{ id: 20, name: 'Cabin Panel', size: 12, site_id: 7 }],
+            breakers: [{ id: 30, panel_id: 20, position: 1, label: 'Loft Lights', amperage: 15, breaker_type: 'single' }],
+            circuits: [{ id: 40, breaker_id: 30, room_id: 11, type: 'lighting' }]
+        });
+
+        test('GET /api/export - Every section with its IDs', async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'Exported Panel', size: 8 }).expect(201);
+            const response = await request(app).get('/api/export').expect(200);
+            expect(response.headers['content-disposition']).toMatch(/^attachment; filename="breaker-panel-backup-\d{4}-\d{2}-\d{2}\.json"$/);
+            expect(response.body).toMatchObject({ format: 'breaker-panel-helper-backup', version: 1 });
+            ['sites', 'levels', 'circuit_types', 'panel_models', 'rooms', 'panels', 'breakers', 'circuits', 'devices'].forEach(section => {
+                expect(Array.isArray(response.body[section])).toBe(true);
+            });
+            expect(response.body.panels.find(p => p.id === panel.body.id)).toMatchObject({ name: 'Exported Panel', size: 8, site_id: panel.body.site_id });
+        });
+
+        test('POST /api/import?mode=merge - Adds rows under new IDs and undoes as one step', async () => {
+            const response = await request(app).post('/api/import?mode=merge').send(cabin()).expect(200);
+            expect(response.body).toMatchObject({
+                mode: 'merge',
+                added: { sites: 1, levels: 1, rooms: 1, panels: 1, breakers: 1, circuits: 1 },
+                matched: { circuit_types: 1 }
+            });
+
+            const exported = (await request(app).get('/api/export').expect(200)).body;
+            const site = exported.sites.find(s => s.name === 'Lake Cabin');
+            const panel = exported.panels.find(p => p.name === 'Cabin Panel');
+            const room = exported.rooms.find(r => r.name === 'Sleeping Loft');
+            const breaker = exported.breakers.find(b => b.panel_id === panel.id);
+            const circuit = exported.circuits.find(c => c.breaker_id === breaker.id);
+            expect(panel.site_id).toBe(site.id);
+            expect(room).toMatchObject({ site_id: site.id, level: 'loft' });
+            expect(circuit).toMatchObject({ room_id: room.id, type: 'lighting' });
+
+            // Merging again reuses the site, level and room but adds another panel
+            const again = await request(app).post('/api/import?mode=merge').send(cabin()).expect(200);
+            expect(again.body.matched).toMatchObject({ sites: 1, levels: 1, rooms: 1 });
+            expect(again.body.added).toMatchObject({ sites: 0, rooms: 0, panels: 1 });
+
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone).toMatchObject({ label: 'Import backup' });
+            const afterUndo = (await request(app).get('/api/export').expect(200)).body;
+            expect(afterUndo.panels.filter(p => p.name === 'Cabin Panel')).toHaveLength(1);
+        });
+
+        test('POST /api/import - Rejects an unknown mode or a backup whose references don\'t resolve', async () => {
+            await request(app).post('/api/import').send(cabin()).expect(400);
+            await request(app).post('/api/import?mode=overwrite').send(cabin()).expect(400);
+
+            const notBackup = await request(app).post('/api/import?mode=merge').send({ panels: [] }).expect(400);
+            expect(notBackup.body.errors[0]).toMatch(/not a Breaker Panel Helper backup/);
+
+            const broken = cabin();
+            broken.breakers[0].panel_id = 21;
+            broken.circuits.push({ id: 40, breaker_id: 30, type: 'attic' });
+            const response = await request(app).post('/api/import?mode=merge').send(broken).expect(400);
+            expect(response.body.error).toBe('The backup can\'t be restored');
+            expect(response.body.errors).toEqual(['circuits[1] repeats id 40']);
+
+            broken.circuits.pop();
+            const unresolved = await request(app).post('/api/import?mode=merge').send(broken).expect(400);
+            expect(unresolved.body.errors).toEqual(['breakers[0] panel_id 21 is not in panels']);
+        });
+
+        test('POST /api/import?mode=replace - Keeps panel templates, refused while they use types the backup lacks', async () => {
+            const original = (await request(app).get('/api/export').expect(200)).body;
+            const panel = await request(app).post('/api/panels').send({ name: 'Template Source', size: 4 }).expect(201);
+            const breaker = await request(app).post('/api/breakers').send({ panel_id: panel.body.id, position: 1, label: 'Lights', amperage: 15 }).expect(201);
+            await request(app).post('/api/circuits').send({ breaker_id: breaker.body.id, type: 'lighting' }).expect(201);
+            const template = await request(app)
+                .post('/api/panel-templates')
+                .send({ name: 'Cabin Lights', panel_id: panel.body.id, include_circuits: true })
+                .expect(201);
+
+            const refused = await request(app).post('/api/import?mode=replace').send(backupOf({})).expect(400);
+            expect(refused.body.errors[0]).toMatch(/^Panel templates use circuit types the backup doesn't have: .*"Cabin Lights" \(lighting\)/);
+            await request(app).get(`/api/panels/${panel.body.id}`).expect(200);
+
+            // Templates left by earlier tests have types the cabin doesn't
+            const templates = (await request(app).get('/api/panel-templates').expect(200)).body;
+            for (const other of templates.filter(t => t.id !== template.body.id)) {
+                await request(app).delete(`/api/panel-templates/${other.id}`).expect(200);
+            }
+            await request(app).post('/api/import?mode=replace').send(cabin()).expect(200);
+            const created = await request(app)
+                .post(`/api/panel-templates/${template.body.id}/panels`)
+                .send({ name: 'Cabin Annex', site_id: 7 })
+                .expect(201);
+            const contents = await request(app).get(`/api/panels/${created.body.id}/complete`).expect(200);
+            expect(contents.body.circuits.map(circuit => circuit.type)).toEqual(['lighting']);
+
+            await request(app).delete(`/api/panel-templates/${template.body.id}`).expect(200);
+            await request(app).post('/api/import?mode=replace').send(original).expect(200);
+        });
+
+        test('POST /api/import?mode=replace - Restores the backup\'s IDs and nothing else', async () => {
+            const original = (await request(app).get('/api/export').expect(200)).body;
+
+            const response = await request(app).post('/api/import?mode=replace').send(cabin()).expect(200);
+            expect(response.body).toMatchObject({ mode: 'replace', added: { panels: 1, breakers: 1 } });
+            const replaced = (await request(app).get('/api/export').expect(200)).body;
+            expect(replaced.sites.map(site => [site.id, site.name])).toEqual([[7, 'Lake Cabin']]);
+            expect(replaced.panels.map(panel => panel.id)).toEqual([20]);
+            expect(replaced.circuits[0]).toMatchObject({ id: 40, breaker_id: 30, room_id: 11 });
+            const state = await request(app).get('/api/operations').expect(200);
+            expect(state.body.undo).toBeNull();
+
+            // Put everything back for the tests that follow
+            await request(app).post('/api/import?mode=replace').send(original).expect(200);
+            const restored = (await request(app).get('/api/export').expect(200)).body;
+            expect(restored.panels.map(panel => panel.id)).toEqual(original.panels.map(panel => panel.id));
+            expect(restored.breakers).toEqual(original.breakers);
+        });
+    });
+
+    describe('CSV Import', () => {
+        let panelId;
+        const csv = [
+            'Circuit #;Amps;Room;Floor;Kind;Description;Critical',
+            '1;15;Kitchen;main;Lighting;Ceiling lights;',
+            '1;15;Pantry;main;lighting;;',
+            '4A;20 A;Guest Suite;Mezzanine;Outlet;"Outlets by the bed;',
+            'and the desk";yes',
+            '4B;20;Guest Suite;;Prise;;',
+            '5-7;30;Laundry;basement;;Dryer;',
+            '?;;Garage;;;Unknown;',
+            '2;15;Hall;;;Already there;'
+        ].join('\r\n');
+
+        beforeAll(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: 'CSV Panel', size: 12 }).expect(201);
+            panelId = panel.body.id;
+            await request(app).post('/api/breakers').send({ panel_id: panelId, position: 2, amperage: 20 }).expect(201);
+        });
+
+        test('POST /api/panels/:id/csv-preview - Reads the file, suggests a mapping and shows what would be added', async () => {
+            const response = await request(app).post(`/api/panels/${panelId}/csv-preview`).send({ csv }).expect(200);
+            expect(response.body).toMatchObject({
+                delimiter: ';',
+                has_header: true,
+                headers: ['Circuit #', 'Amps', 'Room', 'Floor', 'Kind', 'Description', 'Critical'],
+                mapping: { position: 0, amperage: 1, room: 2, level: 3, notes: 5, critical: 6 },
+                mapping_error: null,
+                default_level: 'main',
+                summary: { breakers: 4, circuits: 5, rooms: 4, skipped_rows: 2 }
+            });
+            expect(response.body.examples[5]).toBe('Ceiling lights');
+            expect(response.body.rows[2]).toEqual({
+                line: 4,
+                values: { position: '4A', amperage: '20 A', room: 'Guest Suite', level: 'Mezzanine', notes: 'Outlets by the bed;\nand the desk', critical: 'yes' },
+                skipped: false
+            });
+            expect(response.body.new_rooms).toContainEqual({ name: 'Guest Suite', level: 'main' });
+            expect(response.body.new_rooms).toContainEqual({ name: 'Laundry', level: 'basement' });
+            expect(response.body.warnings.map(warning => warning.line)).toEqual([4, 8, 9]);
+            expect(response.body.warnings[1].message).toBe('"?" is not a breaker position, so the row is skipped');
+            expect(response.body.warnings[2].message).toBe('Position 2 already has a breaker, so breaker 2 is skipped');
+
+            // Nothing is written by a preview
+            const breakers = await request(app).get(`/api/panels/${panelId}/complete`).expect(200);
+            expect(breakers.body.breakers).toHaveLength(1);
+        });
+
+        test('POST /api/panels/:id/csv-import - Adds the breakers, circuits and rooms as one undoable step', async () => {
+            const mapping = { position: 0, amperage: 1, room: 2, level: 3, type: 4, notes: 5, critical: 6 };
+            const preview = await request(app).post(`/api/panels/${panelId}/csv-preview`).send({ csv, mapping }).expect(200);
+            expect(preview.body.warnings.map(warning => warning.message)).toContain('"Prise" is not a circuit type, so the circuit\'s type is left blank');
+
+            const response = await request(app).post(`/api/panels/${panelId}/csv-import`).send({ csv, mapping, default_level: 'upper' }).expect(201);
+            expect(response.body).toMatchObject({ breakers: 4, circuits: 5, rooms: 4, skipped_rows: 2 });
+
+            const panel = (await request(app).get(`/api/panels/${panelId}/complete`).expect(200)).body;
+            const breakerAt = (position, slot = 'single') => panel.breakers.find(b => b.position === position && b.slot_position === slot);
+            expect(breakerAt(1)).toMatchObject({ amperage: 15, breaker_type: 'single' });
+            expect(breakerAt(4, 'A')).toMatchObject({ amperage: 20, breaker_type: 'tandem', critical: 1 });
+            expect(breakerAt(4, 'B')).toMatchObject({ breaker_type: 'tandem', critical: 0 });
+            expect(breakerAt(5)).toMatchObject({ amperage: 30, breaker_type: 'double_pole' });
+            const kitchen = panel.circuits.filter(circuit => circuit.breaker_id === breakerAt(1).id);
+            expect(kitchen.map(circuit => [circuit.room, circuit.type])).toEqual([['Kitchen', 'lighting'], ['Pantry', 'lighting']]);
+            expect(panel.circuits.find(circuit => circuit.room === 'Guest Suite' && circuit.notes)).toMatchObject({ room_level: 'upper', type: 'outlet' });
+
+            const undone = await request(app).post('/api/operations/undo').expect(200);
+            expect(undone.body.undone).toMatchObject({ label: 'Import CSV into panel "CSV Panel"' });
+            const after = (await request(app).get(`/api/panels/${panelId}/complete`).expect(200)).body;
+            expect(after.breakers).toHaveLength(1);
+            const rooms = await request(app).get('/api/rooms').expect(200);
+            expect(rooms.body.find(room => room.name === 'Guest Suite')).toBeUndefined();
+        });
+
+        test('POST /api/panels/:id/csv-import - Rejects files and mappings it can\'t use', async () => {
+            const unclosed = await request(app).post(`/api/panels/${panelId}/csv-preview`).send({ csv: 'Position,Notes\n1,"Never closed\n' }).expect(400);
+            expect(unclosed.body.error).toBe('The quoted value starting on line 2 is never closed');
+
+            const unmapped = await request(app).post(`/api/panels/${panelId}/csv-preview`).send({ csv: 'Slot Number,Notes\n1,Lights' }).expect(200);
+            expect(unmapped.body).toMatchObject({ mapping: { notes: 1 }, mapping_error: 'Map a column to the breaker position', rows: [] });
+            await request(app).post(`/api/panels/${panelId}/csv-import`).send({ csv: 'Slot Number,Notes\n1,Lights' }).expect(400);
+
+            await request(app).post(`/api/panels/${panelId}/csv-import`).send({ csv: '1,Lights', has_header: false, mapping: { position: 2 } }).expect(400);
+            await request(app).post(`/api/panels/${panelId}/csv-import`).send({ csv: '1,Lights', mapping: { wattage: 1 } }).expect(400);
+            await request(app).post(`/api/panels/${panelId}/csv-import`).send({ csv: '' }).expect(400);
+            await request(app).post('/api/panels/99999/csv-preview').send({ csv }).expect(404);
+
+            const nothing = await request(app).post(`/api/panels/${panelId}/csv-import`)
+                .send({ csv: '2,Hall', has_header: false, mapping: { position: 0, notes: 1 } })
+                .expect(400);
+            expect(nothing.body).toMatchObject({ error: 'Nothing in the CSV can be imported' });
+            expect(nothing.body.warnings).toHaveLength(1);
+        });
+    });
+
+    describe('Breaker Occupancy', () => {
+        let panelId;
+
+        const addBreaker = (fields) => request(app).post('/api/breakers').send({ panel_id: panelId, ...fields });
+
+        beforeEach(async () => {
+            const panel = await request(app).post('/api/panels').send({ name: `Occupancy Panel ${Date.now()}`, size: 42 });
+            panelId = panel.body.id;
+        });
+
+        test('POST /api/breakers - Multi-pole breakers need room for every pole', async () => {
+            const pastEnd = await addBreaker({ position: 41, breaker_type: 'double_pole' }).expect(409);
+            expect(pastEnd.body).toEqual({
+                error: 'A double pole breaker at position 41 would extend past the end of the panel',
+                code: 'span_past_end',
+                position: 41,
+                conflicting_breaker_id: null
+            });
+
+            const outside = await addBreaker({ position: 43 }).expect(409);
+            expect(outside.body.code).toBe('outside_panel');
+        });
+
+        test('POST /api/breakers - Nothing goes under a double pole span', async () => {
+            const doublePole = await addBreaker({ position: 1, breaker_type: 'double_pole' }).expect(201);
+
+            const covered = await addBreaker({ position: 3 }).expect(409);
+            expect(covered.body).toEqual({
+                error: 'Position 3 is covered by the double pole breaker at position 1',
+                code: 'span_overlap',
+                position: 3,
+                conflicting_breaker_id: doublePole.body.id
+            });
+
+            const single = await addBreaker({ position: 8 }).expect(201);
+            const overlapping = await addBreaker({ position: 6, breaker_type: 'double_pole' }).expect(409);
+            expect(overlapping.body).toMatchObject({ code: 'span_overlap', position: 8, conflicting_breaker_id: single.body.id });
+        });
+
+        test('POST /api/breakers - Tandems pair up in slots A and B without a full-size breaker', async () => {
+            await addBreaker({ position: 5, breaker_type: 'tandem', slot_position: 'A' }).expect(201);
+            await addBreaker({ position: 5, breaker_type: 'tandem', slot_position: 'B' }).expect(201);
+
+            const taken = await addBreaker({ position: 5, breaker_type: 'tandem', slot_position: 'B' }).expect(409);
+            expect(taken.body).toMatchObject({ error: 'Position 5B already has a breaker', code: 'slot_taken' });
+            const mixed = await addBreaker({ position: 5 }).expect(409);
+            expect(mixed.body).toMatchObject({ error: 'Position 5 has a tandem breaker, so a full-size breaker can\'t share it', code: 'tandem_mixed' });
+
+            await addBreaker({ position: 7 }).expect(201);
+            const tandemOnSingle = await addBreaker({ position: 7, breaker_type: 'tandem', slot_position: 'A' }).expect(409);
+            expect(tandemOnSingle.body.code).toBe('tandem_mixed');
+
+            const unpaired = await addBreaker({ position: 9, breaker_type: 'single', slot_position: 'A' }).expect(409);
+            expect(unpaired.body).toMatchObject({ error: 'Only tandem breakers go in slot A or B', code: 'tandem_slot' });
+        });
+
+        test('PUT /api/breakers/:id - Changing the type is checked against the neighbors', async () => {
+            const breaker = await addBreaker({ position: 1 }).expect(201);
+            await addBreaker({ position: 3 }).expect(201);
+
+            const response = await request(app).put(`/api/breakers/${breaker.body.id}`).send({ breaker_type: 'double_pole' }).expect(409);
+            expect(response.body.code).toBe('span_overlap');
+            await request(app).put(`/api/breakers/${breaker.body.id}`).send({ breaker_type: 'single', label: 'Still single' }).expect(200);
+        });
+
+        test('POST /api/breakers/move - The destination must be free', async () => {
+            await addBreaker({ position: 1, breaker_type: 'double_pole' }).expect(201);
+            const tandemA = await addBreaker({ position: 11, breaker_type: 'tandem', slot_position: 'A' }).expect(201);
+            const single = await addBreaker({ position: 9 }).expect(201);
+
+            const covered = await request(app).post('/api/breakers/move')
+                .send({ sourceBreakerId: single.body.id, destinationPanelId: panelId, destinationPosition: 3 })
+                .expect(409);
+            expect(covered.body.code).toBe('span_overlap');
+
+            const mixed = await request(app).post('/api/breakers/move')
+                .send({ sourceBreakerId: single.body.id, destinationPanelId: panelId, destinationPosition: 11 })
+                .expect(409);
+            expect(mixed.body).toMatchObject({ code: 'tandem_mixed', conflicting_breaker_id: tandemA.body.id });
+
+            // Moving into the free half of a tandem space makes the breaker a tandem
+            await request(app).post('/api/breakers/move')
+                .send({ sourceBreakerId: single.body.id, destinationPanelId: panelId, destinationPosition: 11, destinationSlot: 'B' })
+                .expect(200);
+            const breakers = await request(app).get(`/api/panels/${panelId}/breakers/position/11`).query({ slot_position: 'both' }).expect(200);
+            expect(breakers.body.map(breaker => [breaker.slot_position, breaker.breaker_type])).toEqual([['A', 'tandem'], ['B', 'tandem']]);
+        });
+    });
+
+    describe('Load Calculation', () => {
+        let panelId;
+        let breakerId;
+
+        beforeEach(async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Load Test Panel', size: 20, main_amperage: 100 });
+            panelId = panelResponse.body.id;
+
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, label: 'Load Breaker', amperage: 20 });
+            breakerId = breakerResponse.body.id;
+        });
+
+        test('POST /api/circuits - Store connected load fields', async () => {
+            const response = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, type: 'appliance', load_value: 1200, load_unit: 'VA', voltage: 120, continuous: true })
+                .expect(201);
+
+            expect(response.body.load_value).toBe(1200);
+            expect(response.body.load_unit).toBe('VA');
+            expect(response.body.voltage).toBe(120);
+            expect(response.body.continuous).toBe(true);
+        });
+
+        test('GET /api/panels/:panelId/complete - Applies 80% rule to continuous loads', async () => {
+            // 1800W continuous at 120V = 15A, which is 18.75A of demand on a 20A breaker
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, type: 'heating', load_value: 1800, continuous: true });
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+
+            const breakerLoad = response.body.load.breakers[breakerId];
+            expect(breakerLoad.connected_amps).toBe(15);
+            expect(breakerLoad.demand_amps).toBe(18.75);
+            expect(breakerLoad.continuous_limit_amps).toBe(16);
+            expect(breakerLoad.status).toBe('warning');
+
+            const panelLoad = response.body.load.panel;
+            expect(panelLoad.rating_amps).toBe(100);
+            expect(panelLoad.connected_va).toBe(1800);
+            expect(response.body.load.service.connected_va).toBeGreaterThanOrEqual(1800);
+        });
+
+        test('GET /api/panels/:panelId/complete - Flags overloaded breakers', async () => {
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, type: 'heating', load_value: 2000, continuous: true });
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+
+            expect(response.body.load.breakers[breakerId].status).toBe('overloaded');
+        });
+
+        test('PUT /api/panels/:id - Main amperage survives an update that leaves it out', async () => {
+            await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Renamed Load Panel', size: 20 })
+                .expect(200);
+
+            const saved = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(saved.body.main_amperage).toBe(100);
+            const response = await request(app).get(`/api/panels/${panelId}/complete`).expect(200);
+            expect(response.body.load.panel.rating_amps).toBe(100);
+
+            // Sending null still clears it
+            await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ main_amperage: null })
+                .expect(200);
+            const cleared = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(cleared.body.main_amperage).toBeNull();
+        });
+
+        test('GET /api/panels/:panelId/complete - Rolls subpanel load up to its feeder', async () => {
+            const subpanelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Load Test Subpanel', size: 12 });
+            const subpanelId = subpanelResponse.body.id;
+
+            const feederResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 3, amperage: 60, breaker_type: 'double_pole' });
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: feederResponse.body.id, type: 'subpanel', subpanel_id: subpanelId });
+
+            const subBreakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: subpanelId, position: 1, amperage: 30, breaker_type: 'double_pole' });
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: subBreakerResponse.body.id, type: 'appliance', load_value: 4800, voltage: 240 });
+
+            const mainResponse = await request(app).get(`/api/panels/${panelId}/complete`);
+            const feederLoad = mainResponse.body.load.breakers[feederResponse.body.id];
+            expect(feederLoad.connected_va).toBe(4800);
+            expect(feederLoad.connected_amps).toBe(20);
+
+            const subResponse = await request(app).get(`/api/panels/${subpanelId}/complete`);
+            expect(subResponse.body.load.panel.rating_amps).toBe(60);
+            expect(subResponse.body.load.panel.connected_amps).toBe(20);
+        });
+
+        test('POST /api/circuits - Load validation errors', async () => {
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, load_value: -5 })
+                .expect(400);
+
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, load_unit: 'kW' })
+                .expect(400);
+
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, voltage: 277 })
+                .expect(400);
+        });
+    });
+
+    describe('Leg Balance', () => {
+        let panelId;
+
+        const addBreaker = async (position, load, breakerType = 'single') => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position, amperage: 20, breaker_type: breakerType });
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, type: 'outlet', load_value: load });
+            return breakerResponse.body.id;
+        };
+
+        beforeEach(async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Balance Test Panel', size: 12 });
+            panelId = panelResponse.body.id;
+        });
+
+        test('GET /api/panels/:panelId/complete - Assigns legs by bus row', async () => {
+            const doublePoleId = await addBreaker(5, 2400, 'double_pole');
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+
+            const { balance } = response.body;
+            expect(balance.position_legs).toMatchObject({ 1: 'L1', 2: 'L1', 3: 'L2', 4: 'L2', 5: 'L1', 7: 'L2' });
+            expect(balance.breaker_legs[doublePoleId]).toBe('both');
+            expect(balance.legs.L1.connected_va).toBe(1200);
+            expect(balance.legs.L2.connected_va).toBe(1200);
+            expect(balance.imbalance_va).toBe(0);
+            expect(balance.suggestions).toEqual([]);
+        });
+
+        test('GET /api/panels/:panelId/complete - Suggests single pole swaps across legs', async () => {
+            const heavyId = await addBreaker(1, 1500);
+            await addBreaker(2, 1500);
+            const lightId = await addBreaker(3, 100);
+            await addBreaker(4, 100);
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+
+            const { balance } = response.body;
+            expect(balance.heavier_leg).toBe('L1');
+            expect(balance.imbalance_va).toBe(2800);
+            expect(balance.legs.L1.amps).toBe(25);
+            expect(balance.suggestions).toHaveLength(1);
+            expect(balance.suggestions[0].breaker_ids).toEqual([heavyId, lightId]);
+            expect(balance.suggestions[0].resulting_imbalance_va).toBe(0);
+        });
+    });
+
+    describe('Three-Phase Panels', () => {
+        let panelId;
+
+        beforeEach(async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Three-Phase Panel', size: 12, phase_config: 'three_phase', main_amperage: 100 });
+            panelId = panelResponse.body.id;
+        });
+
+        test('POST /api/panels - Defaults to split-phase', async () => {
+            const response = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Default Phase Panel', size: 20 })
+                .expect(201);
+
+            expect(response.body.phase_config).toBe('split_phase');
+
+            await request(app)
+                .post('/api/panels')
+                .send({ name: 'Bad Phase Panel', size: 20, phase_config: 'two_phase' })
+                .expect(400);
+        });
+
+        test('POST /api/breakers - Create triple pole breaker', async () => {
+            const response = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 30, breaker_type: 'triple_pole' })
+                .expect(201);
+
+            expect(response.body.breaker_type).toBe('triple_pole');
+        });
+
+        test('POST /api/breakers - Triple pole placement is validated', async () => {
+            const splitResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Split Panel', size: 12 });
+
+            const splitError = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: splitResponse.body.id, position: 1, breaker_type: 'triple_pole' })
+                .expect(400);
+            expect(splitError.body.error).toBe('Triple pole breakers require a three-phase panel');
+
+            const spanError = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 9, breaker_type: 'triple_pole' })
+                .expect(409);
+            expect(spanError.body.error).toMatch(/extend past the end of the panel/);
+            expect(spanError.body.code).toBe('span_past_end');
+        });
+
+        test('GET /api/panels/:panelId/complete - Reports A/B/C phases and three-phase load', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 40, breaker_type: 'triple_pole' });
+            const breakerId = breakerResponse.body.id;
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerId, type: 'appliance', load_value: 9000 });
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+
+            const { balance, load } = response.body;
+            expect(balance.phase_config).toBe('three_phase');
+            expect(balance.position_legs).toMatchObject({ 1: 'A', 3: 'B', 5: 'C', 7: 'A' });
+            expect(balance.breaker_legs[breakerId]).toBe('ABC');
+            expect(balance.legs.A.connected_va).toBe(3000);
+            expect(balance.imbalance_va).toBe(0);
+            // 9000 VA / (208V × √3) ≈ 24.98A per phase
+            expect(load.breakers[breakerId].connected_amps).toBeCloseTo(24.98, 1);
+        });
+
+        test('PUT /api/panels/:id - Cannot switch to split-phase with triple pole breakers', async () => {
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, breaker_type: 'triple_pole' });
+
+            await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Three-Phase Panel', size: 12, phase_config: 'split_phase' })
+                .expect(400);
+        });
+
+        test('PUT /api/panels/:id - Fields left out keep their stored values', async () => {
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, breaker_type: 'triple_pole' });
+
+            const response = await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Renamed Three-Phase Panel' })
+                .expect(200);
+            expect(response.body.phase_config).toBe('three_phase');
+
+            const saved = await request(app).get(`/api/panels/${panelId}`).expect(200);
+            expect(saved.body).toMatchObject({ name: 'Renamed Three-Phase Panel', size: 12, phase_config: 'three_phase', numbering_scheme: 'odd_even' });
+        });
+
+        test('POST /api/breakers/move - Triple pole needs free rows at the destination', async () => {
+            const sourceResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, breaker_type: 'triple_pole' });
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 6, breaker_type: 'single' });
+
+            const blocked = await request(app)
+                .post('/api/breakers/move')
+                .send({ sourceBreakerId: sourceResponse.body.id, destinationPanelId: panelId, destinationPosition: 2 })
+                .expect(409);
+            expect(blocked.body.error).toBe('A triple pole breaker at position 2 would cover position 6, which already has a breaker');
+
+            await request(app)
+                .post('/api/breakers/move')
+                .send({ sourceBreakerId: sourceResponse.body.id, destinationPanelId: panelId, destinationPosition: 3 })
+                .expect(200);
+        });
+    });
+
+    describe('Panel Numbering Schemes', () => {
+        test('POST /api/panels - Any positive size with a numbering scheme', async () => {
+            const generator = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Generator Subpanel', size: 8 })
+                .expect(201);
+            expect(generator.body.numbering_scheme).toBe('odd_even');
+
+            const switchboard = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Commercial Board', size: 60, numbering_scheme: 'sequential_two_column' })
+                .expect(201);
+            expect(switchboard.body.size).toBe(60);
+            expect(switchboard.body.numbering_scheme).toBe('sequential_two_column');
+
+            await request(app)
+                .post('/api/panels')
+                .send({ name: 'Bad Numbering', size: 12, numbering_scheme: 'zigzag' })
+                .expect(400);
+        });
+
+        test('Sequential panels span consecutive positions and alternate legs every position', async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Single Column Load Center', size: 8, numbering_scheme: 'sequential' });
+            const panelId = panelResponse.body.id;
+
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 3, amperage: 30, breaker_type: 'double_pole' })
+                .expect(201);
+
+            const pastEnd = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 8, breaker_type: 'double_pole' })
+                .expect(409);
+            expect(pastEnd.body.error).toBe('A double pole breaker at position 8 would extend past the end of the panel');
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+            expect(response.body.balance.position_legs).toMatchObject({ 1: 'L1', 2: 'L2', 3: 'L1', 4: 'L2' });
+            expect(response.body.balance.breaker_legs[breakerResponse.body.id]).toBe('both');
+        });
+
+        test('Two column sequential panels keep multi-pole breakers within a column', async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Two Column Board', size: 12, numbering_scheme: 'sequential_two_column' });
+            const panelId = panelResponse.body.id;
+
+            // Left column is 1-6, right column 7-12
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 6, breaker_type: 'double_pole' })
+                .expect(409);
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 7, breaker_type: 'double_pole' })
+                .expect(201);
+
+            const response = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+            expect(response.body.balance.position_legs).toMatchObject({ 1: 'L1', 2: 'L2', 7: 'L1', 8: 'L2' });
+        });
+
+        test('POST /api/breakers/move - Destination span follows the numbering scheme', async () => {
+            const sourcePanel = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Move Source', size: 12 });
+            const destinationPanel = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Move Destination', size: 8, numbering_scheme: 'sequential' });
+
+            const doublePole = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: sourcePanel.body.id, position: 1, breaker_type: 'double_pole' });
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: destinationPanel.body.id, position: 4, breaker_type: 'single' });
+
+            const response = await request(app)
+                .post('/api/breakers/move')
+                .send({
+                    sourceBreakerId: doublePole.body.id,
+                    sourcePanelId: sourcePanel.body.id,
+                    sourcePosition: 1,
+                    sourceSlot: 'single',
+                    destinationPanelId: destinationPanel.body.id,
+                    destinationPosition: 3,
+                    destinationSlot: 'single'
+                })
+                .expect(409);
+            expect(response.body.error).toBe('A double pole breaker at position 3 would cover position 4, which already has a breaker');
+        });
+
+        test('PUT /api/panels/:id - Rejects a layout change that strands a multi-pole breaker', async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Relayout Panel', size: 12 });
+            const panelId = panelResponse.body.id;
+            await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 6, breaker_type: 'double_pole' })
+                .expect(201);
+
+            // Position 6 is the bottom of the left column when numbered 1-6 then 7-12
+            const response = await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Relayout Panel', size: 12, numbering_scheme: 'sequential_two_column' })
+                .expect(409);
+            expect(response.body.error).toBe('1 breaker would not fit the new panel layout');
+            expect(response.body.conflicts).toEqual([expect.objectContaining({ position: 6, code: 'span_past_end' })]);
+
+            const updated = await request(app)
+                .put(`/api/panels/${panelId}`)
+                .send({ name: 'Relayout Panel', size: 12, numbering_scheme: 'sequential' })
+                .expect(200);
+            expect(updated.body.numbering_scheme).toBe('sequential');
+        });
+    });
+
+    describe('Protection Devices', () => {
+        let panelId;
+
+        beforeEach(async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Protection Test Panel', size: 20 });
+            panelId = panelResponse.body.id;
+        });
+
+        test('POST /api/breakers - Defaults to standard protection', async () => {
+            const response = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 15 })
+                .expect(201);
+
+            expect(response.body.protection).toBe('standard');
+        });
+
+        test('PUT /api/breakers/:id - Update protection type', async () => {
+            const createResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 20, protection: 'afci' });
+            expect(createResponse.body.protection).toBe('afci');
+
+            await request(app)
+                .put(`/api/breakers/${createResponse.body.id}`)
+                .send({ amperage: 20, protection: 'dual_function' })
+                .expect(200);
+
+            const response = await request(app)
+                .get(`/api/breakers/${createResponse.body.id}`)
+                .expect(200);
+            expect(response.body.protection).toBe('dual_function');
+
+            await request(app)
+                .put(`/api/breakers/${createResponse.body.id}`)
+                .send({ protection: 'rcd' })
+                .expect(400);
+        });
+
+        test('POST /api/circuits - Flag downstream GFCI protection', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 3, amperage: 20 });
+
+            const response = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, type: 'outlet', downstream_gfci: true })
+                .expect(201);
+            expect(response.body.downstream_gfci).toBe(true);
+
+            const completeResponse = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+            expect(completeResponse.body.circuits[0].downstream_gfci).toBe(1);
+        });
+
+        test('POST /api/breakers/move - Protection moves with the breaker', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 20, protection: 'gfci' });
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, type: 'outlet' });
+
+            await request(app)
+                .post('/api/breakers/move')
+                .send({ sourceBreakerId: breakerResponse.body.id, destinationPanelId: panelId, destinationPosition: 5 })
+                .expect(200);
+
+            const moved = await request(app)
+                .get(`/api/panels/${panelId}/breakers/position/5`)
+                .expect(200);
+            expect(moved.body.protection).toBe('gfci');
+        });
+    });
+
+    describe('Wiring Checks', () => {
+        let panelId;
+
+        beforeEach(async () => {
+            const panelResponse = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Wiring Test Panel', size: 20 });
+            panelId = panelResponse.body.id;
+        });
+
+        test('PUT /api/circuits/:id - Warns about a 20A breaker on 14 AWG copper', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 20 });
+            const circuitResponse = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, type: 'outlet' })
+                .expect(201);
+            expect(circuitResponse.body.warnings).toEqual([]);
+
+            const response = await request(app)
+                .put(`/api/circuits/${circuitResponse.body.id}`)
+                .send({ type: 'outlet', wire_gauge: '14', cable_type: 'nm_b' })
+                .expect(200);
+
+            expect(response.body.wire_material).toBe('cu');
+            expect(response.body.warnings).toHaveLength(1);
+            expect(response.body.warnings[0]).toMatchObject({
+                circuit_id: circuitResponse.body.id,
+                breaker_amps: 20,
+                max_breaker_amps: 15,
+                message: '20A breaker on 14 AWG copper (maximum 15A)'
+            });
+        });
+
+        test('POST /api/circuits - No warning when the wire matches the breaker', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 20 });
+
+            const response = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, wire_gauge: '12', wire_material: 'cu', cable_type: 'nm_b' })
+                .expect(201);
+
+            expect(response.body.warnings).toEqual([]);
+        });
+
+        test('PUT /api/breakers/:id - Warns when the breaker is upsized past the wire', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 30 });
+            await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, wire_gauge: '10', cable_type: 'nm_b' });
+
+            const okResponse = await request(app)
+                .put(`/api/breakers/${breakerResponse.body.id}`)
+                .send({ amperage: 30 })
+                .expect(200);
+            expect(okResponse.body.warnings).toEqual([]);
+
+            const response = await request(app)
+                .put(`/api/breakers/${breakerResponse.body.id}`)
+                .send({ amperage: 40 })
+                .expect(200);
+            expect(response.body.warnings).toHaveLength(1);
+            expect(response.body.warnings[0].message).toBe('40A breaker on 10 AWG copper (maximum 30A)');
+        });
+
+        test('POST /api/circuits - Aluminum and 60°C cable use their own ampacities', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 15 });
+
+            const aluminum = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: breakerResponse.body.id, wire_gauge: '14', wire_material: 'al' })
+                .expect(201);
+            expect(aluminum.body.warnings[0].message).toBe('14 AWG aluminum is not a permitted branch circuit conductor');
+
+            const feederBreaker = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 3, amperage: 60, breaker_type: 'double_pole' });
+            const thhn = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: feederBreaker.body.id, wire_gauge: '6', wire_material: 'cu', cable_type: 'thhn' })
+                .expect(201);
+            expect(thhn.body.warnings).toEqual([]);
+
+            const romex = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: feederBreaker.body.id, wire_gauge: '6', wire_material: 'cu', cable_type: 'nm_b' })
+                .expect(201);
+            expect(romex.body.warnings).toEqual([]);
+
+            const aluminumRomex = await request(app)
+                .post('/api/circuits')
+                .send({ breaker_id: feederBreaker.body.id, wire_gauge: '6', wire_material: 'al', cable_type: 'nm_b' })
+                .expect(201);
+            expect(aluminumRomex.body.warnings[0].max_breaker_amps).toBe(40);
+        });
+
+        test('GET /api/reports/wiring-issues - Lists mismatches across all panels', async () => {
+            const otherPanel = await request(app)
+                .post('/api/panels')
+                .send({ name: 'Garage Subpanel', size: 12 });
+
+            const first = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 5, amperage: 20, label: 'Kitchen' });
+            const second = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: otherPanel.body.id, position: 2, amperage: 30, label: 'Compressor' });
+            const fine = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 15 });
+
+            await request(app).post('/api/circuits').send({ breaker_id: first.body.id, wire_gauge: '14' });
+            await request(app).post('/api/circuits').send({ breaker_id: second.body.id, wire_gauge: '12', cable_type: 'mc' });
+            await request(app).post('/api/circuits').send({ breaker_id: fine.body.id, wire_gauge: '14' });
+            await request(app).post('/api/circuits').send({ breaker_id: fine.body.id });
+
+            const response = await request(app)
+                .get('/api/reports/wiring-issues')
+                .expect(200);
+
+            // Earlier tests leave their own mismatches behind, so only look at this test's panels
+            const issues = response.body.issues
+                .filter(issue => [panelId, otherPanel.body.id].includes(issue.panel_id));
+            expect(response.body.count).toBe(response.body.issues.length);
+            expect(issues.map(issue => issue.panel_name)).toEqual(['Garage Subpanel', 'Wiring Test Panel']);
+            expect(issues[0]).toMatchObject({ position: 2, label: 'Compressor', max_breaker_amps: 20 });
+            expect(issues[1]).toMatchObject({ position: 5, label: 'Kitchen', panel_id: panelId });
+
+            const completeResponse = await request(app)
+                .get(`/api/panels/${panelId}/complete`)
+                .expect(200);
+            expect(completeResponse.body.wiring_warnings).toHaveLength(1);
+        });
+
+        test('POST /api/circuits - Wiring validation', async () => {
+            const breakerResponse = await request(app)
+                .post('/api/breakers')
+                .send({ panel_id: panelId, position: 1, amperage: 20 });
+            const breakerId = breakerResponse.body.id;
+
+            await request(app).post('/api/circuits').send({ breaker_id: breakerId, wire_gauge: '13' }).expect(400);
+            await request(app).post('/api/circuits').send({ breaker_id: breakerId, wire_gauge: '12', wire_material: 'steel' }).expect(400);
+            await request(app).post('/api/circuits').send({ breaker_id: breakerId, wire_gauge: '12', cable_type: 'romex' }).expect(400);
+        });
+    });
+
     describe('Error Handling', () => {
         test('GET /api/panels/999 - Non-existent panel', async () => {
             await request(app)
@@ -12,10 +12,15 @@ const dom = new JSDOM(`
 <html>
 <head><title>Test</title></head>
 <body>
+    <button id="undo" disabled>Undo</button>
+    <button id="redo" disabled>Redo</button>
     <div id="breaker-panel" class="breaker-panel"></div>
     <div id="current-panel"></div>
     <div id="breaker-modal" class="modal">
         <div class="modal-content">
+            <button id="breaker-tab-details" class="modal-tab active">Details</button>
+            <button id="breaker-tab-history" class="modal-tab">History</button>
+            <div id="breaker-details-panel">
             <form id="breaker-form">
                 <input id="breaker-label" name="label" />
                 <input id="breaker-amperage" name="amperage" />
@@ -31,6 +36,29 @@ const dom = new JSDOM(`
                 <div id="slot-position-group" style="display: none;"></div>
                 <div id="circuits-container"></div>
             </form>
+            <div id="breaker-attachments"></div>
+            </div>
+            <div id="breaker-history-panel" style="display: none;">
+                <div id="breaker-history"></div>
+            </div>
+        </div>
+    </div>
+    <select id="breaker-type">
+        <option value="single">Single</option>
+        <option value="tandem">Tandem</option>
+    </select>
+    <input id="breaker-series" list="breaker-series-options" />
+    <datalist id="breaker-series-options"></datalist>
+    <p id="breaker-model-rules"></p>
+    <div id="trash-modal" class="modal">
+        <p id="trash-help"></p>
+        <div id="trash-container"></div>
+        <button id="empty-trash">Empty Trash</button>
+    </div>
+    <div id="trace-modal" class="modal">
+        <div class="modal-content">
+            <h2 id="trace-modal-title"></h2>
+            <div id="trace-modal-body"></div>
         </div>
     </div>
     <div id="move-breaker-modal" class="modal">
@@ -66,12 +94,99 @@ const dom = new JSDOM(`
     <input type="checkbox" id="not-confirmed-filter" />
     <select id="room-filter"></select>
     <select id="type-filter"></select>
+    <!-- Account elements -->
+    <span id="account-name"></span>
+    <button id="manage-users">Users</button>
+    <button id="set-up-login">Set Up Login</button>
+    <button id="logout">Log Out</button>
+    <div id="login-screen" style="display: none;">
+        <form id="login-form">
+            <h2 id="login-title">Log In</h2>
+            <p id="login-help"></p>
+            <input id="login-username" name="username" />
+            <input id="login-password" name="password" type="password" />
+            <p id="login-error"></p>
+            <button type="submit" id="login-submit">Log In</button>
+            <button type="button" id="cancel-login">Cancel</button>
+        </form>
+    </div>
+    <div id="new-token" style="display: none;">
+        <input id="new-token-value" readonly />
+    </div>
+    <div id="tokens-container"></div>
+    <div id="hierarchy-container"></div>
+    <h2 id="panel-modal-title">Create New Panel</h2>
+    <div id="resize-preview" style="display: none;">
+        <p id="resize-summary"></p>
+        <ul id="resize-conflicts"></ul>
+        <input type="radio" id="resize-relocate" name="resize_strategy" value="relocate" checked />
+        <input type="radio" id="resize-delete" name="resize_strategy" value="delete" />
+    </div>
+    <button type="submit" id="panel-form-submit">Create Panel</button>
+    <div id="panel-template-group">
+        <select id="panel-template"><option value="">Blank panel</option></select>
+        <button type="button" id="delete-template" disabled>Delete</button>
+    </div>
+    <select id="panel-model"><option value="">Not specified</option></select>
+    <p id="panel-model-limits"></p>
+    <div id="csv-import-modal" class="modal">
+        <h2 id="csv-import-title">Import CSV</h2>
+        <form id="csv-import-form">
+            <select id="csv-delimiter"><option value="">Detect</option><option value=";">Semicolons</option></select>
+            <select id="csv-default-level"></select>
+            <input type="checkbox" id="csv-has-header" checked />
+            <p id="csv-import-error"></p>
+            <div id="csv-import-preview">
+                <div id="csv-mapping"></div>
+                <p id="csv-preview-summary"></p>
+                <ul id="csv-warnings"></ul>
+                <table id="csv-preview-table"></table>
+            </div>
+            <button type="submit" id="csv-import-submit" disabled>Import</button>
+        </form>
+    </div>
+    <input type="number" id="panel-size" value="40" />
+    <select id="panel-numbering-scheme">
+        <option value="odd_even">Odd/even</option>
+        <option value="sequential">Sequential</option>
+    </select>
+    <select id="panel-phase-config">
+        <option value="split_phase">Split-phase</option>
+        <option value="three_phase">Three-phase</option>
+    </select>
+    <select id="panel-main-amperage">
+        <option value="">None</option>
+        <option value="100">100A</option>
+        <option value="200">200A</option>
+    </select>
+    <form id="copy-panel-form">
+        <input type="radio" id="copy-mode-clone" name="copy_mode" value="clone" checked />
+        <input type="radio" id="copy-mode-template" name="copy_mode" value="template" />
+        <input id="copy-name" />
+        <div class="clone-only"><select id="copy-site"></select></div>
+        <input type="checkbox" id="copy-circuits" checked />
+        <div class="clone-only"><input type="checkbox" id="copy-rooms" /></div>
+        <button type="submit" id="copy-submit">Clone Panel</button>
+    </form>
+    <form id="token-form">
+        <input id="token-name" name="name" />
+        <select id="token-scope" name="scope">
+            <option value="read">Read only</option>
+            <option value="write">Read and write</option>
+        </select>
+        <select id="token-expiry" name="expires_in_days">
+            <option value="90">In 90 days</option>
+            <option value="">Never</option>
+        </select>
+    </form>
+    <div id="rooms-container"></div>
 </body>
 </html>
 `);
 
 global.window = dom.window;
 global.document = dom.window.document;
+global.FormData = dom.window.FormData;
 global.fetch = jest.fn();
 
 // Mock i18n for frontend tests
@@ -91,9 +206,25 @@ const ApiClient = require('../public/api-client.js');
 const PanelRenderer = require('../public/panel-renderer.js');
 const CircuitListManager = require('../public/circuit-list.js');
 const BreakerPanelApp = require('../public/app.js');
+const DeviceManager = require('../public/device-manager.js');
+const AttachmentManager = require('../public/attachment-manager.js');
+const TracingManager = require('../public/tracing-manager.js');
+const HistoryManager = require('../public/history-manager.js');
+const UndoManager = require('../public/undo-manager.js');
+const TrashManager = require('../public/trash-manager.js');
+const AuthManager = require('../public/auth-manager.js');
+const TokenManager = require('../public/token-manager.js');
+const HierarchyManager = require('../public/hierarchy-manager.js');
+const ResizeManager = require('../public/resize-manager.js');
+const TemplateManager = require('../public/template-manager.js');
+const PanelModelManager = require('../public/panel-model-manager.js');
+const BackupManager = require('../public/backup-manager.js');
+const CsvImportManager = require('../public/csv-import-manager.js');
 
 // Make BreakerPanelApp globally available for other modules
 global.BreakerPanelApp = BreakerPanelApp;
+global.PanelRenderer = PanelRenderer;
+global.CircuitListManager = CircuitListManager;
 
 describe('Frontend Unit Tests', () => {
     describe('ApiClient', () => {
@@ -156,6 +287,24 @@ describe('Frontend Unit Tests', () => {
             await expect(apiClient.getAllPanels()).rejects.toThrow('Invalid data');
         });
 
+        test('should upload attachments as the raw file', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                headers: new Map([['content-type', 'application/json']]),
+                json: async () => ({ id: 4 })
+            });
+            const file = new Blob(['%PDF-1.4'], { type: 'application/pdf' });
+
+            await apiClient.uploadAttachment({ breaker_id: 2 }, file, 'panel schedule.pdf', 'As found');
+
+            expect(fetch).toHaveBeenCalledWith(
+                '/api/attachments?breaker_id=2&filename=panel+schedule.pdf&caption=As+found',
+                expect.objectContaining({ method: 'POST', body: file, headers: { 'Content-Type': 'application/pdf' } })
+            );
+            await expect(apiClient.uploadAttachment({ panel_id: 1, breaker_id: 2 }, file, 'x.pdf'))
+                .rejects.toThrow('An attachment belongs to exactly one panel, breaker or circuit');
+        });
+
         test('should handle network errors', async () => {
             fetch.mockRejectedValueOnce(new TypeError('fetch failed'));
 
@@ -168,8 +317,8 @@ describe('Frontend Unit Tests', () => {
             }).toThrow('Name is required');
 
             expect(() => {
-                apiClient.validatePanelData({ name: 'Test', size: 50 }); // Invalid size
-            }).toThrow('Size must be a number between 12 and 42');
+                apiClient.validatePanelData({ name: 'Test', size: -4 }); // Invalid size
+            }).toThrow('Size must be a positive whole number of spaces');
 
             expect(() => {
                 apiClient.validatePanelData({ name: '', size: 40 }); // Empty name
@@ -213,6 +362,21 @@ describe('Frontend Unit Tests', () => {
             expect(fetch).toHaveBeenCalledWith('/api/panels/1/breakers/position/3?slot_position=A', expect.any(Object));
             expect(result).toEqual(mockBreaker);
         });
+
+        test('should scope lists to a site when given one', async () => {
+            fetch.mockResolvedValue({
+                ok: true,
+                headers: new Map([['content-type', 'application/json']]),
+                json: async () => []
+            });
+
+            await apiClient.getAllPanels(2);
+            await apiClient.getAllRooms();
+
+            expect(fetch).toHaveBeenNthCalledWith(1, '/api/panels?site_id=2', expect.any(Object));
+            expect(fetch).toHaveBeenNthCalledWith(2, '/api/rooms', expect.any(Object));
+            fetch.mockReset();
+        });
     });
 
     describe('PanelRenderer', () => {
@@ -227,8 +391,15 @@ describe('Frontend Unit Tests', () => {
                     { id: 2, name: 'Subpanel' }
                 ],
                 allRooms: [
-                    { id: 1, name: 'Kitchen', level: 'main' },
-                    { id: 2, name: 'Garage', level: 'main' }
+                    { id: 1, name: 'Kitchen', level: 'main', level_icon: '🟢' },
+                    { id: 2, name: 'Garage', level: 'main', level_icon: '🟢' }
+                ],
+                circuitTypes: [
+                    { key: 'outlet', name: 'Outlet', icon: '🔵', label_style: 'rooms', label_noun: 'outlets' },
+                    { key: 'lighting', name: 'Lighting', icon: '🟠', label_style: 'rooms', label_noun: 'lights' },
+                    { key: 'appliance', name: 'Appliance', icon: '🟢', label_style: 'notes', label_noun: 'appliance' },
+                    { key: 'subpanel', name: 'Subpanel', icon: '🟣', label_style: 'name', label_noun: null },
+                    { key: 'pump', name: 'Pump', icon: '💧', label_style: 'notes', label_noun: 'pump', default_amperage: 20 }
                 ],
                 api: {
                     getBreakersByPanel: jest.fn().mockResolvedValue([]),
@@ -269,6 +440,31 @@ describe('Frontend Unit Tests', () => {
             expect(container.querySelector('.tandem-b')).toBeTruthy();
         });
 
+        test('should lay out positions by numbering scheme', () => {
+            const panelElement = document.getElementById('breaker-panel');
+            const renderedPositions = () => [...panelElement.querySelectorAll('.breaker-container')]
+                .map(container => Number(container.dataset.position));
+            panelRenderer.loadBreakers = jest.fn();
+
+            mockApp.currentPanel = { id: 1, size: 6 };
+            panelRenderer.renderPanel();
+            expect(renderedPositions()).toEqual([1, 2, 3, 4, 5, 6]);
+            expect(panelElement.classList.contains('single-column')).toBe(false);
+
+            mockApp.currentPanel = { id: 1, size: 8, numbering_scheme: 'sequential' };
+            panelRenderer.renderPanel();
+            expect(renderedPositions()).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+            expect(panelElement.classList.contains('single-column')).toBe(true);
+            expect(panelElement.querySelector('[data-position="2"] .breaker-amperage-box.left')).toBeTruthy();
+
+            // Left column 1-4 top to bottom, right column 5-7; the last right-hand cell stays empty
+            mockApp.currentPanel = { id: 1, size: 7, numbering_scheme: 'sequential_two_column' };
+            panelRenderer.renderPanel();
+            expect(renderedPositions()).toEqual([1, 5, 2, 6, 3, 7, 4]);
+            expect(panelElement.classList.contains('single-column')).toBe(false);
+            expect(panelElement.querySelector('[data-position="5"] .breaker-amperage-box.right')).toBeTruthy();
+        });
+
         test('should generate room options with level colors', () => {
             const options = panelRenderer.generateRoomOptions();
             
@@ -285,6 +481,26 @@ describe('Frontend Unit Tests', () => {
             expect(options).not.toContain('Test Panel'); // Current panel excluded
         });
 
+        test('should escape names in the circuit form options and notes', () => {
+            mockApp.circuitTypes = [{ key: 'custom', name: '<img src=x onerror="alert(1)">', icon: '<b>' }];
+            mockApp.allRooms = [{ id: 3, name: '</option><script>alert(1)</script>', level: 'main' }];
+            mockApp.allPanels = [{ id: 2, name: '<i>Shed</i>' }];
+            mockApp.circuitCounter = 1;
+
+            const select = document.createElement('select');
+            select.innerHTML = panelRenderer.generateCircuitTypeOptions('custom');
+            expect(select.querySelector('img, b')).toBeNull();
+            expect(select.options[0].textContent).toBe('<b> <img src=x onerror="alert(1)">');
+            expect(select.value).toBe('custom');
+
+            const form = document.createElement('div');
+            form.innerHTML = panelRenderer.generateCircuitFormHTML({ type: 'custom', notes: '</textarea><img src=x>' });
+            expect(form.querySelector('img, b, i, script')).toBeNull();
+            expect(form.querySelector('select[name="room"]').options[1].textContent).toBe(' </option><script>alert(1)</script>');
+            expect(form.querySelector('select[name="subpanel"]').options[1].textContent).toBe('<i>Shed</i>');
+            expect(form.querySelector('textarea[name="notes"]').value).toBe('</textarea><img src=x>');
+        });
+
         test('should toggle slot position visibility', () => {
             const slotGroup = document.getElementById('slot-position-group');
             
@@ -344,6 +560,26 @@ describe('Frontend Unit Tests', () => {
             expect(label).toContain('Microwave');
             expect(typeof label).toBe('string');
         });
+
+        test('should phrase auto labels using each circuit type\'s rule', () => {
+            expect(panelRenderer.generateAutoLabel([
+                { type: 'outlet', room: 'Kitchen' },
+                { type: 'outlet', room: 'Dining Room' },
+                { type: 'pump', room: 'Basement' },
+                { type: 'subpanel', room: 'Garage' }
+            ])).toBe('Subpanel, Basement pump, Kitchen and Dining Room outlets');
+
+            // Types missing from the catalog fall back to their key
+            expect(panelRenderer.generateAutoLabel([{ type: 'sauna', room: 'Spa' }])).toBe('Spa sauna');
+        });
+
+        test('should build circuit type options from the catalog', () => {
+            const options = panelRenderer.generateCircuitTypeOptions('pump');
+
+            expect(options).toContain('value="pump" selected');
+            expect(options).toContain('💧 Pump');
+            expect(options).not.toContain('value="heating"');
+        });
     });
 
     describe('CircuitListManager', () => {
@@ -430,6 +666,50 @@ describe('Frontend Unit Tests', () => {
             expect(monitorFiltered[0].breaker.monitor).toBe(true);
         });
 
+        test('should filter circuit data by protection', () => {
+            mockApp.allCircuitData[0].breaker.protection = 'gfci';
+            mockApp.allCircuitData[1].circuit.downstream_gfci = true;
+            const baseFilters = { searchTerm: '', room: '', type: '', critical: false, monitor: false };
+
+            const gfciBreakers = circuitListManager.filterCircuitData({ ...baseFilters, protection: 'gfci' });
+            expect(gfciBreakers).toHaveLength(1);
+            expect(gfciBreakers[0].breaker.label).toBe('Kitchen Outlets');
+
+            const anyGfci = circuitListManager.filterCircuitData({ ...baseFilters, protection: 'gfci-any' });
+            expect(anyGfci).toHaveLength(2);
+
+            const unprotected = circuitListManager.filterCircuitData({ ...baseFilters, protection: 'standard' });
+            expect(unprotected).toHaveLength(0);
+        });
+
+        test('should find circuits by the devices on them', () => {
+            mockApp.allCircuitData[0].circuit.devices = [
+                { id: 1, device_type: 'receptacle', location: 'Behind the fridge', chain_order: 1 },
+                { id: 2, device_type: 'switch', location: 'Pantry door', notes: 'Three-way', chain_order: 2 }
+            ];
+            const baseFilters = { room: '', type: '', critical: false, monitor: false };
+
+            const fridge = circuitListManager.filterCircuitData({ ...baseFilters, searchTerm: 'behind the fridge' });
+            expect(fridge).toHaveLength(1);
+            expect(fridge[0].breaker.label).toBe('Kitchen Outlets');
+
+            expect(circuitListManager.filterCircuitData({ ...baseFilters, searchTerm: 'three-way' })).toHaveLength(1);
+            expect(circuitListManager.filterCircuitData({ ...baseFilters, searchTerm: 'light fixture' })).toHaveLength(0);
+        });
+
+        test('should list every catalog type in the type filter', () => {
+            mockApp.circuitTypes = [
+                { key: 'outlet', name: 'Outlet', icon: '🔵' },
+                { key: 'ev_charger', name: 'EV Charger', icon: '🔌' }
+            ];
+
+            circuitListManager.populateTypeFilter();
+
+            const options = [...document.getElementById('type-filter').options];
+            expect(options.map(option => option.value)).toEqual(['', 'outlet', 'ev_charger']);
+            expect(options[2].textContent).toBe('🔌 EV Charger');
+        });
+
         test('should create circuit row with correct data', () => {
             const circuit = { id: 1, room: 'Kitchen', type: 'outlet', notes: 'Test notes' };
             const breaker = { 
@@ -457,6 +737,26 @@ describe('Frontend Unit Tests', () => {
             expect(row.innerHTML).toContain('Confirmed');
         });
 
+        test('should show markup in names as text', () => {
+            mockApp.circuitTypes = [{ key: 'custom', name: '<img src=x onerror="alert(1)">', color: 'red;background-image:url(x)' }];
+            const circuit = {
+                id: 1, room: '<b>Den</b>', type: 'custom', notes: '<script>alert(2)</script>',
+                devices: [{ device_type: 'receptacle', location: '"><img src=x onerror=alert(3)>' }]
+            };
+            const breaker = { id: 1, position: 1, label: '<i>Lights</i>' };
+
+            const row = circuitListManager.createCircuitRow(circuit, breaker);
+
+            expect(row.querySelector('img, b, i, script')).toBeNull();
+            const pill = row.querySelector('.circuit-type-pill');
+            expect(pill.textContent).toBe('<img src=x onerror="alert(1)">');
+            expect(pill.style.backgroundImage).toBe('');
+            expect(row.querySelector('.breaker-label').textContent).toBe(' — <i>Lights</i>');
+            expect(row.querySelector('[data-label="Room"]').textContent).toBe('<b>Den</b>');
+            expect(row.querySelector('[data-label="Notes"]').textContent).toContain('<script>alert(2)</script>');
+            expect(row.querySelector('.device-count-badge').title).toContain('"><img src=x onerror=alert(3)>');
+        });
+
         test('should create circuit row for tandem breaker', () => {
             const circuit = { id: 1, room: 'Bedroom', type: 'outlet' };
             const breaker = { 
@@ -490,6 +790,20 @@ describe('Frontend Unit Tests', () => {
             expect(row.innerHTML).toContain('<span class="double-pole-indicator">2P</span>');
         });
 
+        test('should number multi-pole breakers by the panel numbering scheme', () => {
+            const circuit = { id: 1, room: 'Utility', type: 'heating' };
+            const breaker = { id: 1, position: 5, breaker_type: 'double_pole' };
+
+            mockApp.currentPanel = { id: 1, size: 12, numbering_scheme: 'sequential' };
+            expect(circuitListManager.createCircuitRow(circuit, breaker).innerHTML).toContain('5-6');
+
+            mockApp.currentPanel = { id: 1, size: 12, numbering_scheme: 'sequential_two_column' };
+            expect(circuitListManager.createCircuitRow(circuit, breaker).innerHTML).toContain('5-6');
+            breaker.position = 8;
+            breaker.breaker_type = 'triple_pole';
+            expect(circuitListManager.createCircuitRow(circuit, breaker).innerHTML).toContain('8-10');
+        });
+
         test('should sort circuit data correctly', () => {
             mockApp.currentSort = { column: 'amperage', direction: 'desc' };
             
@@ -689,6 +1003,866 @@ describe('Frontend Unit Tests', () => {
         });
     });
 
+    describe('DeviceManager', () => {
+        let mockApp;
+        let deviceManager;
+        let circuitDiv;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    createDevice: jest.fn().mockResolvedValue({ id: 3 }),
+                    getDevicesByCircuit: jest.fn()
+                },
+                currentBreaker: { id: 1 },
+                existingCircuits: [],
+                handleError: jest.fn()
+            };
+            deviceManager = new DeviceManager(mockApp);
+            circuitDiv = document.createElement('div');
+            circuitDiv.innerHTML = '<div class="circuit-form"></div>';
+        });
+
+        test('should list a circuit\'s devices in chain order and count them per breaker', () => {
+            const circuit = {
+                id: 7,
+                devices: [
+                    { id: 1, device_type: 'receptacle', location: 'Behind the fridge', chain_order: 1 },
+                    { id: 2, device_type: 'fixture', room: 'Pantry', chain_order: 2 }
+                ]
+            };
+            mockApp.existingCircuits = [circuit, { id: 8, devices: [{ id: 3, device_type: 'switch' }] }];
+
+            deviceManager.renderDeviceSection(circuitDiv, circuit);
+
+            const items = [...circuitDiv.querySelectorAll('.device-item .device-description')].map(item => item.textContent);
+            expect(items).toEqual(['🔌 Receptacle — Behind the fridge', '💡 Light Fixture — Pantry']);
+            expect(circuitDiv.querySelector('.device-count').textContent).toBe('(2)');
+            expect(mockApp.currentBreaker.device_count).toBe(3);
+        });
+
+        test('should add a device to a saved circuit and reload the chain', async () => {
+            const circuit = { id: 7, devices: [] };
+            mockApp.existingCircuits = [circuit];
+            mockApp.api.getDevicesByCircuit.mockResolvedValue([{ id: 3, device_type: 'switch', location: 'Hallway', chain_order: 1 }]);
+            deviceManager.renderDeviceSection(circuitDiv, circuit);
+
+            circuitDiv.querySelector('[name="device_type"]').value = 'switch';
+            circuitDiv.querySelector('[name="device_location"]').value = ' Hallway ';
+            await deviceManager.saveDevice(circuitDiv.querySelector('.circuit-devices'), circuit);
+
+            expect(mockApp.api.createDevice).toHaveBeenCalledWith({ device_type: 'switch', location: 'Hallway', notes: null, circuit_id: 7 });
+            expect(circuit.devices).toHaveLength(1);
+            expect(circuitDiv.querySelectorAll('.device-item')).toHaveLength(1);
+        });
+
+        test('should ask for the circuit to be saved before devices are added', () => {
+            deviceManager.renderDeviceSection(circuitDiv, null);
+
+            expect(circuitDiv.querySelector('.device-hint')).toBeTruthy();
+            expect(circuitDiv.querySelector('.device-form')).toBeNull();
+        });
+    });
+
+    describe('AttachmentManager', () => {
+        let mockApp;
+        let attachmentManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: { getBreakerAttachments: jest.fn().mockResolvedValue([]) },
+                currentBreaker: { id: 5 },
+                existingCircuits: [],
+                allRooms: [{ id: 3, name: 'Kitchen' }],
+                handleError: jest.fn()
+            };
+            attachmentManager = new AttachmentManager(mockApp);
+        });
+
+        test('should show breaker and circuit attachments with thumbnails or a document icon', async () => {
+            mockApp.existingCircuits = [{ id: 11, room_id: 3 }, { id: 12 }];
+            mockApp.api.getBreakerAttachments.mockResolvedValue([
+                { id: 1, breaker_id: 5, position: 7, slot_position: 'single', original_name: 'label.jpg', url: '/api/attachments/1/file', thumbnail_url: '/api/attachments/1/thumbnail' },
+                { id: 2, circuit_id: 11, position: 7, circuit_room: 'Kitchen', original_name: 'quote.pdf', caption: 'Electrician quote', url: '/api/attachments/2/file', thumbnail_url: null }
+            ]);
+
+            await attachmentManager.renderBreakerAttachments();
+
+            const container = document.getElementById('breaker-attachments');
+            const targets = [...container.querySelectorAll('[name="attachment_target"] option')].map(option => [option.value, option.textContent]);
+            expect(targets).toEqual([
+                ['breaker_id:5', 'This breaker'],
+                ['circuit_id:11', 'Circuit 1 - Kitchen'],
+                ['circuit_id:12', 'Circuit 2']
+            ]);
+
+            const tiles = container.querySelectorAll('.attachment-tile');
+            expect(tiles).toHaveLength(2);
+            expect(tiles[0].querySelector('img').getAttribute('src')).toBe('/api/attachments/1/thumbnail');
+            expect(tiles[0].querySelector('.attachment-owner').textContent).toBe('Breaker 7');
+            expect(tiles[1].querySelector('img')).toBeNull();
+            expect(tiles[1].querySelector('.attachment-file-icon')).toBeTruthy();
+            expect(tiles[1].querySelector('.attachment-caption').textContent).toBe('Electrician quote');
+            expect(tiles[1].querySelector('.attachment-owner').textContent).toBe('Breaker 7 - Kitchen circuit');
+        });
+
+        test('should ask for the breaker to be saved before files are added', async () => {
+            mockApp.currentBreaker = { panel_id: 1, position: 3 };
+
+            await attachmentManager.renderBreakerAttachments();
+
+            const container = document.getElementById('breaker-attachments');
+            expect(container.querySelector('.attachment-hint')).toBeTruthy();
+            expect(container.querySelector('.attachment-upload')).toBeNull();
+            expect(mockApp.api.getBreakerAttachments).not.toHaveBeenCalled();
+        });
+
+        test('should refuse files that are not photos or PDFs', async () => {
+            mockApp.showNotification = jest.fn();
+            mockApp.api.uploadAttachment = jest.fn();
+            const file = new Blob(['hello'], { type: 'text/plain' });
+            file.name = 'notes.txt';
+
+            const uploaded = await attachmentManager.uploadFiles([file], { breaker_id: 5 }, '');
+
+            expect(uploaded).toBe(false);
+            expect(mockApp.showNotification).toHaveBeenCalledWith('notes.txt is not a supported photo or PDF');
+            expect(mockApp.api.uploadAttachment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('TracingManager', () => {
+        let mockApp;
+        let tracingManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    recordTracingStep: jest.fn(),
+                    acceptTracingStep: jest.fn().mockResolvedValue({}),
+                    getTracingSessions: jest.fn().mockResolvedValue({ progress: {}, sessions: [] })
+                },
+                allLevels: [{ key: 'main', name: 'Main Floor', icon: '🏠' }],
+                allRooms: [{ id: 1, name: 'Kitchen', level: 'main' }, { id: 2, name: 'Shed', level: 'outside_gone' }],
+                panelRenderer: {
+                    breakerCache: new Map([['3-single', { id: 30, position: 3, slot_position: 'single', label: 'Kitchen' }]]),
+                    circuitCache: new Map([[30, [{
+                        id: 8,
+                        room_id: 1,
+                        room: 'Kitchen',
+                        devices: [{ id: 5, device_type: 'receptacle', location: 'Island' }]
+                    }]]]),
+                    loadBreakers: jest.fn().mockResolvedValue()
+                },
+                showModal: jest.fn(),
+                hideModal: jest.fn(),
+                showNotification: jest.fn(),
+                handleError: jest.fn(),
+                isCircuitListVisible: () => false
+            };
+            tracingManager = new TracingManager(mockApp);
+            tracingManager.session = { id: 9 };
+        });
+
+        test('should list rooms by level and the devices in ticked rooms', async () => {
+            await tracingManager.openTraceStep(3);
+
+            const body = document.getElementById('trace-modal-body');
+            expect(document.getElementById('trace-modal-title').textContent).toBe('Trace Breaker 3 — Kitchen');
+            expect([...body.querySelectorAll('.trace-level legend')].map(legend => legend.textContent)).toEqual(['🏠 Main Floor', 'Other']);
+            expect(body.querySelectorAll('input[name="trace_device"]')).toHaveLength(0);
+
+            body.querySelector('input[name="trace_room"][value="1"]').checked = true;
+            tracingManager.renderDeviceChoices(body);
+            const devices = [...body.querySelectorAll('.trace-devices .trace-choice')].map(choice => choice.textContent.trim());
+            expect(devices).toEqual(['🔌 Receptacle — Kitchen, Island']);
+        });
+
+        test('should record what went dead and accept the chosen proposals', async () => {
+            mockApp.api.recordTracingStep.mockResolvedValue({
+                id: 4,
+                matches: [{ message: 'Kitchen is already on this breaker' }],
+                warnings: [],
+                proposals: [
+                    { id: 'create_circuit-2', message: 'Add a new Outlet circuit for Shed' },
+                    { id: 'move_device-7', message: 'Move Receptacle from breaker 5 to this breaker' }
+                ]
+            });
+            await tracingManager.openTraceStep(3);
+            const body = document.getElementById('trace-modal-body');
+            body.querySelector('input[name="trace_room"][value="1"]').checked = true;
+            body.querySelector('input[name="trace_room"][value="2"]').checked = true;
+
+            await tracingManager.recordStep(body, { id: 30 });
+            expect(mockApp.api.recordTracingStep).toHaveBeenCalledWith(9, { breaker_id: 30, room_ids: [1, 2], device_ids: [], notes: null });
+
+            body.querySelector('input[name="trace_proposal"][value="move_device-7"]').checked = false;
+            await tracingManager.acceptStep(body, tracingManager.currentStep);
+
+            expect(mockApp.api.acceptTracingStep).toHaveBeenCalledWith(9, 4, ['create_circuit-2']);
+            expect(mockApp.hideModal).toHaveBeenCalledWith('trace-modal');
+            expect(mockApp.panelRenderer.loadBreakers).toHaveBeenCalled();
+        });
+
+        test('should not trace an empty position', async () => {
+            await tracingManager.openTraceStep(4);
+
+            expect(mockApp.showNotification).toHaveBeenCalledWith('Add a breaker at this position before tracing it');
+            expect(mockApp.showModal).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('HistoryManager', () => {
+        let mockApp;
+        let historyManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    getHistory: jest.fn().mockResolvedValue({
+                        total: 3,
+                        entries: [
+                            {
+                                id: 3, entity_type: 'circuit', entity_id: 8, action: 'move', created_at: '2024-05-01 14:30:00', actor: '192.168.1.20',
+                                before: { breaker_id: 30, panel_id: 1, position: 3, slot_position: 'single' },
+                                after: { breaker_id: 31, panel_id: 2, position: 7, slot_position: 'single' },
+                                changes: []
+                            },
+                            {
+                                id: 2, entity_type: 'circuit', entity_id: 8, action: 'update', created_at: '2024-05-01 14:00:00', actor: null,
+                                before: { room_id: null, continuous: 0 }, after: { room_id: 1, continuous: 1 },
+                                changes: [{ field: 'room_id', before: null, after: 1 }, { field: 'continuous', before: 0, after: 1 }]
+                            },
+                            {
+                                id: 1, entity_type: 'breaker', entity_id: 30, action: 'create', created_at: '2024-04-30 09:00:00', actor: null,
+                                before: null, after: { label: 'Kitchen' }, changes: [{ field: 'label', before: null, after: 'Kitchen' }]
+                            }
+                        ]
+                    })
+                },
+                currentBreaker: { id: 30 },
+                currentPanel: { id: 1 },
+                allPanels: [{ id: 1, name: 'Main' }, { id: 2, name: 'Garage Subpanel' }],
+                allRooms: [{ id: 1, name: 'Kitchen' }],
+                handleError: jest.fn()
+            };
+            historyManager = new HistoryManager(mockApp);
+        });
+
+        test('should switch to the History tab and list the breaker history', async () => {
+            historyManager.showBreakerTab('history');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(document.getElementById('breaker-details-panel').style.display).toBe('none');
+            expect(document.getElementById('breaker-history-panel').style.display).toBe('');
+            expect(document.getElementById('breaker-tab-history').classList.contains('active')).toBe(true);
+            expect(mockApp.api.getHistory).toHaveBeenCalledWith({ breaker_id: 30, limit: 50 });
+
+            const summaries = [...document.querySelectorAll('#breaker-history .history-heading strong')].map(el => el.textContent);
+            expect(summaries).toEqual([
+                'Circuit moved from position 3 to Garage Subpanel position 7',
+                'Circuit (Kitchen) updated',
+                'Breaker created'
+            ]);
+            const changes = [...document.querySelectorAll('#breaker-history .history-changes li')].map(el => el.textContent);
+            expect(changes).toEqual(['Room: — → Kitchen', 'Continuous: No → Yes']);
+
+            historyManager.showBreakerTab('details');
+            expect(document.getElementById('breaker-details-panel').style.display).toBe('');
+            expect(document.getElementById('breaker-history-panel').style.display).toBe('none');
+        });
+
+        test('should not load history for a breaker that is not saved yet', async () => {
+            mockApp.currentBreaker = { position: 5 };
+            await historyManager.renderBreakerHistory();
+
+            expect(mockApp.api.getHistory).not.toHaveBeenCalled();
+            expect(document.getElementById('breaker-history').textContent).toMatch(/Save the breaker/);
+        });
+
+        test('should describe device changes by their location', () => {
+            const entry = { entity_type: 'device', action: 'delete', before: { location: 'Counter left of sink' }, after: null };
+            expect(historyManager.describeEntry(entry)).toBe('Device (Counter left of sink) deleted');
+        });
+    });
+
+    describe('UndoManager', () => {
+        let mockApp;
+        let undoManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    getUndoState: jest.fn().mockResolvedValue({ undo: { id: 4, label: 'Delete breaker 5' }, redo: null }),
+                    undo: jest.fn().mockResolvedValue({ undone: { id: 4, label: 'Delete breaker 5' }, undo: null, redo: { id: 4, label: 'Delete breaker 5' } }),
+                    redo: jest.fn()
+                },
+                currentSite: { id: 3 },
+                currentPanel: { id: 2 },
+                allPanels: [],
+                loadAllPanels: jest.fn(async function () { this.allPanels = [{ id: 1 }, { id: 2 }]; }),
+                populatePanelSelector: jest.fn(),
+                refreshRoomsAndLevels: jest.fn(),
+                renderPanel: jest.fn(),
+                updatePanelControls: jest.fn(),
+                isCircuitListVisible: jest.fn().mockReturnValue(false),
+                tracingManager: { isActive: () => false },
+                handleError: jest.fn()
+            };
+            undoManager = new UndoManager(mockApp);
+        });
+
+        test('should undo the latest operation and reload the panel', async () => {
+            await undoManager.refresh();
+            const undoButton = document.getElementById('undo');
+            expect(undoButton.disabled).toBe(false);
+            expect(undoButton.title).toBe('Undo "Delete breaker 5"');
+            expect(document.getElementById('redo').disabled).toBe(true);
+
+            await undoManager.undo();
+
+            // Both act on the current site's stack
+            expect(mockApp.api.getUndoState).toHaveBeenCalledWith(3);
+            expect(mockApp.api.undo).toHaveBeenCalledWith(3);
+            expect(mockApp.loadAllPanels).toHaveBeenCalled();
+            expect(mockApp.currentPanel).toEqual({ id: 2 });
+            expect(mockApp.renderPanel).toHaveBeenCalled();
+            expect(undoButton.disabled).toBe(true);
+            expect(document.getElementById('redo').title).toBe('Redo "Delete breaker 5"');
+        });
+
+        test('should name who made the operation and only let them or an admin undo it', async () => {
+            mockApp.api.getUndoState.mockResolvedValue({ undo: { id: 5, label: 'Delete breaker 7', actor: 'owner' }, redo: null });
+            mockApp.authManager = { user: { username: 'sam', role: 'editor' }, isAdmin: () => false };
+            await undoManager.refresh();
+
+            const undoButton = document.getElementById('undo');
+            expect(undoButton.disabled).toBe(true);
+            expect(undoButton.title).toBe('Only owner or an admin can undo "Delete breaker 7"');
+            await undoManager.undo();
+            expect(mockApp.api.undo).not.toHaveBeenCalled();
+
+            mockApp.authManager = { user: { username: 'boss', role: 'admin' }, isAdmin: () => true };
+            undoManager.renderButtons();
+            expect(undoButton.disabled).toBe(false);
+            expect(undoButton.title).toBe('Undo "Delete breaker 7" by owner');
+        });
+
+        test('should map Ctrl+Z and Ctrl+Shift+Z outside text fields', () => {
+            const undo = jest.spyOn(undoManager, 'undo').mockResolvedValue();
+            const redo = jest.spyOn(undoManager, 'redo').mockResolvedValue();
+            const key = (options) => ({ ctrlKey: true, shiftKey: false, altKey: false, target: document.body, preventDefault: jest.fn(), ...options });
+
+            undoManager.handleKeydown(key({ key: 'z' }));
+            undoManager.handleKeydown(key({ key: 'Z', shiftKey: true }));
+            undoManager.handleKeydown(key({ key: 'z', target: document.getElementById('circuit-search') }));
+            undoManager.handleKeydown(key({ key: 'z', ctrlKey: false }));
+
+            expect(undo).toHaveBeenCalledTimes(1);
+            expect(redo).toHaveBeenCalledTimes(1);
+        });
+
+        test('should send the operation ID with requests made inside withOperation', async () => {
+            const apiClient = new ApiClient();
+            const respond = (body) => ({ ok: true, headers: { get: () => 'application/json' }, json: async () => body });
+            global.fetch.mockReset();
+            global.fetch
+                .mockResolvedValueOnce(respond({ id: 9, label: 'Save breaker 5' }))
+                .mockResolvedValue(respond({ id: 30 }));
+            apiClient.onChange = jest.fn();
+
+            await apiClient.withOperation('Save breaker 5', () => apiClient.updateBreaker(30, { label: 'Kitchen' }));
+            await apiClient.updateBreaker(30, { label: 'Kitchen' });
+
+            expect(global.fetch.mock.calls[1][1].headers['X-Operation-Id']).toBe('9');
+            expect(global.fetch.mock.calls[2][1].headers['X-Operation-Id']).toBeUndefined();
+            expect(apiClient.onChange).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('TrashManager', () => {
+        let mockApp;
+        let trashManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    getTrash: jest.fn().mockResolvedValue({
+                        retention_days: 30,
+                        items: [
+                            {
+                                id: 7, entity_type: 'panel', entity_id: 3, name: 'panel "Garage"', location: null,
+                                contents: { breaker: 2, circuit: 1, attachment: 1 }, deleted_at: '2024-05-01 14:30:00'
+                            },
+                            {
+                                id: 6, entity_type: 'breaker', entity_id: 12, name: 'breaker 5', location: 'Main',
+                                contents: {}, deleted_at: '2024-05-01 14:00:00'
+                            }
+                        ]
+                    }),
+                    restoreFromTrash: jest.fn().mockResolvedValue({ message: 'Restored breaker 5' })
+                },
+                currentSite: { id: 2, name: 'Rental' },
+                undoManager: { reloadApp: jest.fn() },
+                showModal: jest.fn(),
+                handleError: jest.fn()
+            };
+            trashManager = new TrashManager(mockApp);
+        });
+
+        test('should list deleted items with what went with them', async () => {
+            await trashManager.open();
+
+            expect(mockApp.api.getTrash).toHaveBeenCalledWith(2);
+            expect(mockApp.showModal).toHaveBeenCalledWith('trash-modal');
+            expect(document.getElementById('trash-help').textContent).toMatch(/kept for 30 days/);
+            const items = [...document.querySelectorAll('#trash-container .trash-item')];
+            expect(items.map(item => item.querySelector('strong').textContent)).toEqual(['🏠 panel "Garage"', '⚡ breaker 5']);
+            expect(items[0].querySelector('.trash-meta').textContent).toMatch(/^2 breakers, 1 circuit, 1 photo or document · deleted /);
+            expect(items[1].querySelector('.trash-meta').textContent).toMatch(/^Main · deleted /);
+            expect(document.getElementById('empty-trash').disabled).toBe(false);
+        });
+
+        test('should restore an item and reload the app', async () => {
+            await trashManager.render();
+            document.querySelector('[data-trash-id="6"] .trash-restore-btn').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockApp.api.restoreFromTrash).toHaveBeenCalledWith(6);
+            expect(mockApp.undoManager.reloadApp).toHaveBeenCalled();
+            expect(mockApp.api.getTrash).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('AuthManager', () => {
+        let mockApp;
+        let authManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    getSession: jest.fn().mockResolvedValue({ user: null, setup_required: false }),
+                    login: jest.fn().mockResolvedValue({ user: { id: 2, username: 'sam', role: 'viewer' } })
+                },
+                started: false,
+                start: jest.fn(),
+                bindElement: jest.fn(),
+                handleError: jest.fn()
+            };
+            authManager = new AuthManager(mockApp);
+        });
+
+        test('should ask to log in and hold off loading when the server needs a login', async () => {
+            expect(await authManager.init()).toBe(false);
+            expect(document.getElementById('login-screen').style.display).toBe('flex');
+            expect(document.getElementById('cancel-login').style.display).toBe('none');
+        });
+
+        test('should leave the app open to everyone until login is set up', async () => {
+            mockApp.api.getSession.mockResolvedValue({ user: null, setup_required: true });
+
+            expect(await authManager.init()).toBe(true);
+            expect(document.body.dataset.role).toBe('admin');
+            expect(document.getElementById('set-up-login').style.display).toBe('');
+            expect(document.getElementById('logout').style.display).toBe('none');
+        });
+
+        test('should log in, start the app and make forms read-only for viewers', async () => {
+            authManager.showLogin();
+            document.getElementById('login-username').value = 'sam';
+            document.getElementById('login-password').value = 'correct horse';
+
+            await authManager.submitLogin({ preventDefault: jest.fn() });
+
+            expect(mockApp.api.login).toHaveBeenCalledWith('sam', 'correct horse');
+            expect(mockApp.start).toHaveBeenCalled();
+            expect(document.getElementById('login-screen').style.display).toBe('none');
+            expect(document.body.dataset.role).toBe('viewer');
+            expect(document.getElementById('account-name').textContent).toBe('sam (Viewer)');
+
+            const form = document.createElement('form');
+            form.innerHTML = '<input name="notes"><select name="type"></select>';
+            authManager.lockForm(form);
+            expect(form.querySelector('input').disabled).toBe(true);
+            expect(form.querySelector('select').disabled).toBe(true);
+        });
+
+        test('should show why a login failed', async () => {
+            mockApp.api.login.mockRejectedValue(new Error('Wrong username or password'));
+            authManager.showLogin();
+
+            await authManager.submitLogin({ preventDefault: jest.fn() });
+
+            expect(document.getElementById('login-error').textContent).toBe('Wrong username or password');
+            expect(mockApp.start).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('TokenManager', () => {
+        let mockApp;
+        let tokenManager;
+
+        beforeEach(() => {
+            mockApp = {
+                api: {
+                    getApiTokens: jest.fn().mockResolvedValue([
+                        { id: 2, name: 'Cron', scope: 'write', expires_at: null, last_used_at: null, expired: 0 },
+                        { id: 1, name: 'Old Script', scope: 'read', expires_at: '2024-01-01 00:00:00', last_used_at: '2023-12-30 08:00:00', expired: 1 }
+                    ]),
+                    createApiToken: jest.fn().mockResolvedValue({ id: 3, name: 'Home Assistant', token: 'bph_secret' })
+                },
+                handleError: jest.fn()
+            };
+            tokenManager = new TokenManager(mockApp);
+        });
+
+        test('should list tokens with their scope, expiry and last use', async () => {
+            await tokenManager.render();
+
+            const items = document.querySelectorAll('#tokens-container .token-item');
+            expect(items).toHaveLength(2);
+            expect(items[0].querySelector('.token-meta').textContent).toBe('Read and write · never expires · never used');
+            expect(items[1].classList.contains('expired')).toBe(true);
+            expect(items[1].querySelector('.token-meta').textContent).toMatch(/^Read only · expired .+ · last used .+$/);
+        });
+
+        test('should create a token and show it once', async () => {
+            const form = document.getElementById('token-form');
+            document.getElementById('token-name').value = 'Home Assistant';
+            document.getElementById('token-expiry').value = '';
+
+            await tokenManager.createToken({ preventDefault: jest.fn(), target: form });
+
+            expect(mockApp.api.createApiToken).toHaveBeenCalledWith({ name: 'Home Assistant', scope: 'read', expires_in_days: null });
+            expect(document.getElementById('new-token').style.display).toBe('');
+            expect(document.getElementById('new-token-value').value).toBe('bph_secret');
+
+            tokenManager.hideNewToken();
+            expect(document.getElementById('new-token-value').value).toBe('');
+        });
+    });
+
+    describe('HierarchyManager', () => {
+        const tree = [{
+            id: 1,
+            name: 'Main',
+            feeder: null,
+            breaker_count: 2,
+            circuit_count: 2,
+            critical_count: 1,
+            totals: { panel_count: 2, breaker_count: 3, circuit_count: 4, critical_count: 1 },
+            load: { demand_amps: 18.75, rating_amps: 200, utilization: 0.09, status: 'ok' },
+            children: [{
+                id: 2,
+                name: 'Garage',
+                feeder: { breaker_id: 7, panel_id: 1, position: 3, slot_position: 'single', label: 'Garage Feed', amperage: 60 },
+                breaker_count: 1,
+                circuit_count: 2,
+                critical_count: 0,
+                totals: { panel_count: 1, breaker_count: 1, circuit_count: 2, critical_count: 0 },
+                load: { demand_amps: 70, rating_amps: 60, utilization: 1.17, status: 'overloaded' },
+                children: []
+            }]
+        }];
+
+        test('should nest subpanels under their feeders with rolled-up counts', () => {
+            const hierarchyManager = new HierarchyManager({ currentPanel: { id: 2 } });
+            hierarchyManager.render(tree);
+
+            const main = document.querySelector('#hierarchy-container > .hierarchy-tree > .hierarchy-node');
+            expect(main.querySelector('.hierarchy-panel').textContent).toBe('Main');
+            expect(main.querySelector('.hierarchy-counts').textContent).toBe('3 breakers · 4 circuits · 1 critical');
+            expect(main.querySelector('.hierarchy-load').textContent).toBe('18.75A of 200A (9%)');
+
+            const garage = main.querySelector('.hierarchy-tree .hierarchy-node');
+            expect(garage.dataset.panelId).toBe('2');
+            expect(garage.querySelector('.hierarchy-feeder').textContent).toBe('⤷ Breaker 3 (Garage Feed) · 60A');
+            expect(garage.querySelector('.hierarchy-panel').classList.contains('current')).toBe(true);
+            expect(garage.querySelector('.hierarchy-load').classList.contains('load-overloaded')).toBe(true);
+        });
+
+        test('should go to a panel when it is clicked', async () => {
+            const mockApp = { currentPanel: { id: 2 }, hideModal: jest.fn(), switchPanel: jest.fn() };
+            const hierarchyManager = new HierarchyManager(mockApp);
+            hierarchyManager.render(tree);
+
+            document.querySelector('.hierarchy-panel').click();
+            await Promise.resolve();
+
+            expect(mockApp.hideModal).toHaveBeenCalledWith('hierarchy-modal');
+            expect(mockApp.switchPanel).toHaveBeenCalledWith(1);
+        });
+    });
+
+    describe('ResizeManager', () => {
+        const conflicts = [
+            { breaker_id: 5, position: 29, slot_position: 'single', label: 'Dryer', message: 'A double pole breaker at position 29 would extend past the end of the panel', relocate_to: 2 },
+            { breaker_id: 6, position: 35, slot_position: 'A', label: null, message: 'Position 35 is outside this 30-space panel', relocate_to: null }
+        ];
+
+        const createManager = (api) => {
+            const mockApp = {
+                api,
+                allPanels: [{ id: 1, name: 'Main', size: 42, numbering_scheme: 'odd_even' }],
+                hideModal: jest.fn(),
+                handleError: jest.fn(),
+                undoManager: { reloadApp: jest.fn() }
+            };
+            const resizeManager = new ResizeManager(mockApp);
+            resizeManager.panelId = 1;
+            return { resizeManager, mockApp };
+        };
+
+        test('should preview breakers that would not fit before saving a smaller size', async () => {
+            const api = {
+                previewPanelResize: jest.fn().mockResolvedValue({ conflicts, can_relocate: false }),
+                updatePanel: jest.fn()
+            };
+            const { resizeManager } = createManager(api);
+
+            await resizeManager.save({ name: 'Main', size: 30, numbering_scheme: 'odd_even' });
+
+            expect(api.updatePanel).not.toHaveBeenCalled();
+            expect(document.getElementById('resize-preview').style.display).toBe('block');
+            expect(document.getElementById('resize-summary').textContent)
+                .toBe('2 breakers won\'t fit the new layout. 1 has nowhere to go, so it can only be deleted.');
+            const items = [...document.querySelectorAll('#resize-conflicts li')].map(item => item.textContent);
+            expect(items).toEqual([
+                'Breaker 29 (Dryer): A double pole breaker at position 29 would extend past the end of the panel → moves to 2',
+                'Breaker 35A: Position 35 is outside this 30-space panel → no free space'
+            ]);
+            expect(document.getElementById('resize-relocate').disabled).toBe(true);
+            expect(document.getElementById('panel-form-submit').textContent).toBe('Resize and Delete Breakers');
+        });
+
+        test('should save with the chosen strategy once previewed, and skip the preview when the layout is unchanged', async () => {
+            const api = {
+                previewPanelResize: jest.fn().mockResolvedValue({ conflicts: conflicts.slice(0, 1), can_relocate: true }),
+                updatePanel: jest.fn().mockResolvedValue({})
+            };
+            const { resizeManager, mockApp } = createManager(api);
+
+            await resizeManager.save({ name: 'Main', size: 30 });
+            await resizeManager.save({ name: 'Main', size: 30 });
+            expect(api.updatePanel).toHaveBeenCalledWith(1, { name: 'Main', size: 30, resize_strategy: 'relocate' });
+            expect(mockApp.undoManager.reloadApp).toHaveBeenCalled();
+            expect(resizeManager.isEditing()).toBe(false);
+
+            resizeManager.panelId = 1;
+            api.previewPanelResize.mockClear();
+            await resizeManager.save({ name: 'Renamed', size: 42 });
+            expect(api.previewPanelResize).not.toHaveBeenCalled();
+            expect(api.updatePanel).toHaveBeenLastCalledWith(1, { name: 'Renamed', size: 42 });
+        });
+    });
+
+    describe('TemplateManager', () => {
+        const templates = [
+            { id: 3, name: 'Builder 30', size: 30, main_amperage: 200, phase_config: 'split_phase', numbering_scheme: 'sequential', includes_circuits: true, breaker_count: 12, circuit_count: 14 },
+            { id: 4, name: 'Sub 8', size: 8, main_amperage: null, phase_config: 'split_phase', numbering_scheme: 'odd_even', includes_circuits: false, breaker_count: 1, circuit_count: 0 }
+        ];
+
+        test('should fill and lock the layout fields from the selected template', async () => {
+            const templateManager = new TemplateManager({ api: { getPanelTemplates: jest.fn().mockResolvedValue(templates) } });
+            await templateManager.loadTemplates();
+
+            const select = document.getElementById('panel-template');
+            expect([...select.options].map(option => option.textContent))
+                .toEqual(['Blank panel', 'Builder 30 (30 spaces · 12 breakers · 14 circuits)', 'Sub 8 (8 spaces · 1 breaker)']);
+
+            select.value = '3';
+            templateManager.applyTemplate();
+            expect(document.getElementById('panel-size').value).toBe('30');
+            expect(document.getElementById('panel-numbering-scheme').value).toBe('sequential');
+            expect(document.getElementById('panel-main-amperage').value).toBe('200');
+            expect(document.getElementById('panel-size').disabled).toBe(true);
+            expect(document.getElementById('delete-template').disabled).toBe(false);
+
+            templateManager.showPicker(false);
+            expect(document.getElementById('panel-template-group').style.display).toBe('none');
+            expect(templateManager.getSelectedTemplate()).toBeNull();
+            expect(document.getElementById('panel-size').disabled).toBe(false);
+        });
+
+        test('should clone the current panel or save it as a template', async () => {
+            const api = {
+                clonePanel: jest.fn().mockResolvedValue({ id: 9, site_id: 2 }),
+                createPanelTemplate: jest.fn().mockResolvedValue({ id: 5, name: 'Main Layout' })
+            };
+            const mockApp = {
+                api,
+                currentPanel: { id: 1, name: 'Main', site_id: 2 },
+                allSites: [{ id: 1, name: 'Home' }, { id: 2, name: 'Rental' }],
+                showModal: jest.fn(),
+                hideModal: jest.fn(),
+                showNotification: jest.fn(),
+                handleError: jest.fn()
+            };
+            const templateManager = new TemplateManager(mockApp);
+            templateManager.showPanel = jest.fn();
+
+            templateManager.openCopy();
+            expect(document.getElementById('copy-name').value).toBe('Main Copy');
+            expect(document.getElementById('copy-site').value).toBe('2');
+            document.getElementById('copy-rooms').checked = true;
+            await templateManager.submitCopy({ preventDefault: jest.fn() });
+            expect(api.clonePanel).toHaveBeenCalledWith(1, { name: 'Main Copy', site_id: 2, include_circuits: true, include_rooms: true });
+            expect(templateManager.showPanel).toHaveBeenCalledWith({ id: 9, site_id: 2 });
+
+            document.getElementById('copy-mode-template').checked = true;
+            templateManager.updateCopyMode();
+            expect(document.getElementById('copy-submit').textContent).toBe('Save Template');
+            document.getElementById('copy-name').value = 'Main Layout';
+            document.getElementById('copy-circuits').checked = false;
+            await templateManager.submitCopy({ preventDefault: jest.fn() });
+            expect(api.createPanelTemplate).toHaveBeenCalledWith({ name: 'Main Layout', panel_id: 1, include_circuits: false });
+            expect(mockApp.showNotification).toHaveBeenCalled();
+        });
+    });
+
+    describe('PanelModelManager', () => {
+        const models = [
+            { id: 1, manufacturer: 'Square D', model: 'QO140M200P', spaces: 40, max_circuits: 40, bus_rating: 200, breaker_series: ['QO'], tandem_positions: [], panel_count: 1 },
+            { id: 2, manufacturer: 'Eaton', model: 'BR3040B200', spaces: 30, max_circuits: 40, bus_rating: 200, breaker_series: ['BR'], tandem_positions: [1, 2, 3, 4, 9], panel_count: 0 }
+        ];
+
+        test('should describe limits and read tandem positions as typed', () => {
+            expect(PanelModelManager.describeLimits(models[0])).toBe('40 spaces · 40 circuits max · 200A bus · QO breakers · no tandems');
+            expect(PanelModelManager.describeLimits(models[1])).toBe('30 spaces · 40 circuits max · 200A bus · BR breakers · tandems at 1-4, 9');
+            expect(PanelModelManager.parsePositions(' Any ')).toBeNull();
+            expect(PanelModelManager.parsePositions('none')).toEqual([]);
+            expect(PanelModelManager.parsePositions('1-3, 9, 2')).toEqual([1, 2, 3, 9]);
+            expect(PanelModelManager.parsePositions('1-x')).toBeUndefined();
+            expect(PanelModelManager.formatTandems(null)).toBe('any');
+        });
+
+        test('should size the panel from its model and offer tandems only where the model takes them', async () => {
+            const mockApp = {
+                api: { getPanelModels: jest.fn().mockResolvedValue(models) },
+                currentPanel: { id: 1, model_id: 2 },
+                panelRenderer: { breakerCache: new Map([['1-single', { id: 7, position: 1, breaker_type: 'double_pole' }]]) }
+            };
+            const manager = new PanelModelManager(mockApp);
+            await manager.loadModels();
+
+            const select = document.getElementById('panel-model');
+            expect([...select.options].map(option => option.textContent)).toEqual(['Not specified', 'Square D QO140M200P', 'Eaton BR3040B200']);
+            select.value = '2';
+            manager.applyModel();
+            expect(document.getElementById('panel-size').value).toBe('30');
+            expect(document.getElementById('panel-model-limits').textContent).toContain('tandems at 1-4, 9');
+
+            const tandemOption = document.querySelector('#breaker-type option[value="tandem"]');
+            manager.populateBreakerRules({ position: 5, breaker_type: 'single' });
+            expect(tandemOption.disabled).toBe(true);
+            expect(document.getElementById('breaker-series').value).toBe('BR');
+            expect(document.getElementById('breaker-model-rules').textContent).toContain('2 of 40 circuits used');
+            manager.populateBreakerRules({ position: 9, breaker_type: 'single', series: 'BR' });
+            expect(tandemOption.disabled).toBe(false);
+
+            manager.setModel(null);
+            expect(document.getElementById('panel-model-limits').textContent).toBe('');
+        });
+    });
+
+    describe('BackupManager', () => {
+        test('should describe a backup file and what restoring it did', () => {
+            expect(BackupManager.describe({
+                exported_at: '2024-05-01T12:00:00.000Z',
+                sites: [{ id: 1 }],
+                panels: [{ id: 1 }, { id: 2 }],
+                breakers: []
+            })).toBe('the backup from 2024-05-01 (1 site, 2 panels, 0 breakers)');
+            expect(BackupManager.describe({})).toBe('the backup (0 sites, 0 panels, 0 breakers)');
+
+            expect(BackupManager.describeSummary({
+                added: { sites: 0, panels: 1, breakers: 12, circuits: 1, rooms: 0, devices: 0 },
+                matched: { sites: 1, rooms: 3 }
+            })).toBe('Restored 1 panel, 12 breakers and 1 circuit. Reused 1 site and 3 rooms.');
+            expect(BackupManager.describeSummary({ added: {}, matched: {} })).toBe('Restored nothing new.');
+        });
+    });
+
+    describe('CsvImportManager', () => {
+        const preview = {
+            headers: ['Circuit #', 'Room', 'Kind'],
+            examples: ['1', 'Kitchen', ''],
+            fields: [{ name: 'position', label: 'Position' }, { name: 'room', label: 'Room' }, { name: 'type', label: 'Circuit type' }],
+            mapping: { position: 0, room: 1 },
+            mapping_error: null,
+            rows: [
+                { line: 2, values: { position: '1', room: 'Kitchen' }, skipped: false },
+                { line: 3, values: { position: '?', room: 'Garage' }, skipped: true }
+            ],
+            warnings: [{ line: 3, message: '"?" is not a breaker position, so the row is skipped' }],
+            new_rooms: [{ name: 'Kitchen', level: 'main' }],
+            summary: { breakers: 1, circuits: 1, rooms: 1, skipped_rows: 1 }
+        };
+
+        test('should summarize a preview and its warnings', () => {
+            expect(CsvImportManager.describeSummary(preview.summary)).toBe('Adds 1 breaker with 1 circuit and 1 new room. 1 row is skipped.');
+            expect(CsvImportManager.describeSummary({ breakers: 12, circuits: 20, rooms: 0, skipped_rows: 0 })).toBe('Adds 12 breakers with 20 circuits.');
+            expect(CsvImportManager.describeWarning(preview.warnings[0])).toBe('Line 3: "?" is not a breaker position, so the row is skipped');
+        });
+
+        test('should preview the file and send a changed column mapping back', async () => {
+            const mockApp = {
+                api: { previewCsvImport: jest.fn().mockResolvedValue(preview) },
+                currentPanel: { id: 4, name: 'Main Panel' },
+                allLevels: [{ key: 'upper', name: 'Upper' }, { key: 'main', name: 'Main' }],
+                showModal: jest.fn()
+            };
+            const manager = new CsvImportManager(mockApp);
+            manager.open();
+            expect(document.getElementById('csv-import-title').textContent).toBe('Import CSV into Main Panel');
+            expect(document.getElementById('csv-default-level').value).toBe('main');
+
+            manager.csv = 'Circuit #,Room,Kind\n1,Kitchen,\n?,Garage,';
+            await manager.refresh();
+            expect(mockApp.api.previewCsvImport).toHaveBeenCalledWith(4, expect.not.objectContaining({ mapping: expect.anything() }));
+            const roomSelect = document.getElementById('csv-map-room');
+            expect([...roomSelect.options].map(option => option.textContent)).toEqual(['Not imported', 'Circuit # (e.g. 1)', 'Room (e.g. Kitchen)', 'Kind']);
+            expect(roomSelect.value).toBe('1');
+            expect(document.getElementById('csv-map-type').value).toBe('');
+            const rows = document.querySelectorAll('#csv-preview-table tbody tr');
+            expect(rows).toHaveLength(2);
+            expect(rows[1].className).toBe('csv-row-skipped');
+            expect(document.getElementById('csv-import-submit').textContent).toBe('Import 1 Breaker');
+            expect(document.getElementById('csv-import-submit').disabled).toBe(false);
+
+            await manager.setColumn('type', '2');
+            expect(mockApp.api.previewCsvImport).toHaveBeenLastCalledWith(4, expect.objectContaining({
+                mapping: { position: 0, room: 1, type: 2 },
+                default_level: 'main',
+                has_header: true
+            }));
+        });
+    });
+
+    describe('BreakerPanelApp', () => {
+        test('should list rooms by level without reading names as markup', () => {
+            const app = Object.create(BreakerPanelApp.prototype);
+            app.allLevels = [
+                { key: 'main', name: '<img src=x onerror="alert(1)">', icon: '<b>1</b>', color: '#27ae60' },
+                { key: 'attic', name: 'Attic' }
+            ];
+            app.allRooms = [{ id: 3, name: '<script>alert(1)</script>', level: 'main' }];
+            app.deleteRoom = jest.fn();
+
+            app.loadRoomsList();
+            const container = document.getElementById('rooms-container');
+            expect(container.querySelector('img, b, script')).toBeNull();
+            const headings = [...container.querySelectorAll('.room-level-group h4')].map(heading => heading.textContent);
+            expect(headings).toEqual(['<b>1</b> <img src=x onerror="alert(1)">', 'Attic']);
+            const room = container.querySelector('.room-item[draggable]');
+            expect(room.dataset).toMatchObject({ roomId: '3', level: 'main' });
+            expect(room.querySelector('.room-name').textContent).toBe('<script>alert(1)</script>');
+
+            room.querySelector('.delete-room-btn').click();
+            expect(app.deleteRoom).toHaveBeenCalledWith(3);
+        });
+    });
+
     describe('Utility Functions', () => {
         test('should validate IDs correctly', () => {
             const apiClient = new ApiClient();
@@ -724,8 +1898,24 @@ describe('Frontend Unit Tests', () => {
             }).toThrow('Room name is required');
 
             expect(() => {
-                apiClient.validateRoomData({ name: 'Kitchen', level: 'invalid' });
-            }).toThrow('Level must be one of: basement, main, upper, outside');
+                apiClient.validateRoomData({ name: 'Kitchen', level: '' });
+            }).toThrow('Room level is required');
+        });
+
+        test('should validate level data correctly', () => {
+            const apiClient = new ApiClient();
+
+            expect(() => {
+                apiClient.validateLevelData({ name: 'Attic', icon: '🟣', color: '#8e44ad' });
+            }).not.toThrow();
+
+            expect(() => {
+                apiClient.validateLevelData({ name: ' ' });
+            }).toThrow('Level name is required');
+
+            expect(() => {
+                apiClient.validateLevelData({ name: 'Attic', color: 'purple' });
+            }).toThrow('Color must be a hex color');
         });
 
         test('should validate circuit data correctly', () => {
@@ -740,8 +1930,12 @@ describe('Frontend Unit Tests', () => {
             }).toThrow('Valid breaker ID is required');
 
             expect(() => {
-                apiClient.validateCircuitData({ breaker_id: 1, type: 'invalid' });
-            }).toThrow('Circuit type must be one of');
+                apiClient.validateCircuitData({ breaker_id: 1, type: 'ev_charger' });
+            }).not.toThrow();
+
+            expect(() => {
+                apiClient.validateCircuitData({ breaker_id: 1, type: 'Not A Type' });
+            }).toThrow('Circuit type must be a circuit type key');
         });
     });
 });
\ No newline at end of file
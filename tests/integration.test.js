@@ -109,7 +109,7 @@ describe('Integration Tests - Real-world Scenarios', () => {
                 .post('/api/breakers')
                 .send({
                     panel_id: mainPanelId,
-                    position: 5,
+                    position: 7,
                     label: 'Bedroom Outlets A',
                     amperage: 15,
                     breaker_type: 'tandem',
@@ -120,7 +120,7 @@ describe('Integration Tests - Real-world Scenarios', () => {
                 .post('/api/breakers')
                 .send({
                     panel_id: mainPanelId,
-                    position: 5,
+                    position: 7,
                     label: 'Bedroom Outlets B',
                     amperage: 15,
                     breaker_type: 'tandem',
@@ -284,7 +284,7 @@ describe('Integration Tests - Real-world Scenarios', () => {
         test('Test complex queries and filtering', async () => {
             // Get breakers by position for tandem test
             const tandemPositionResponse = await request(app)
-                .get(`/api/panels/${mainPanelId}/breakers/position/5?slot_position=A`)
+                .get(`/api/panels/${mainPanelId}/breakers/position/7?slot_position=A`)
                 .expect(200);
 
             expect(tandemPositionResponse.body).toBeDefined();
@@ -292,7 +292,7 @@ describe('Integration Tests - Real-world Scenarios', () => {
 
             // Get both tandem breakers
             const bothTandemResponse = await request(app)
-                .get(`/api/panels/${mainPanelId}/breakers/position/5?slot_position=both`)
+                .get(`/api/panels/${mainPanelId}/breakers/position/7?slot_position=both`)
                 .expect(200);
 
             expect(Array.isArray(bothTandemResponse.body)).toBe(true);
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const DatabaseService = require('../services/database-service');
+const MigrationService = require('../services/migration-service');
+const migrations = require('../migrations');
+
+// Run raw SQL against a database file without going through DatabaseService
+const execRaw = (dbPath, sql) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (openErr) => {
+        if (openErr) return reject(openErr);
+        db.exec(sql, (err) => {
+            db.close();
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+});
+
+describe('Schema Migrations', () => {
+    let tempDir;
+    let databaseService;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bph-migrations-'));
+        databaseService = new DatabaseService();
+    });
+
+    afterEach(async () => {
+        if (databaseService.db) {
+            await databaseService.close();
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('Migrations are numbered, ordered and unique', () => {
+        const versions = migrations.map(m => m.version);
+        expect(versions).toEqual([...versions].sort((a, b) => a - b));
+        expect(new Set(versions).size).toBe(versions.length);
+        expect(versions[0]).toBe(1);
+    });
+
+    test('Fresh database applies every migration without a backup', async () => {
+        const dbPath = path.join(tempDir, 'fresh.db');
+        await databaseService.initialize(dbPath);
+
+        const applied = await databaseService.all('SELECT version FROM schema_migrations ORDER BY version');
+        expect(applied.map(row => row.version)).toEqual(migrations.map(m => m.version));
+        expect(fs.existsSync(path.join(tempDir, 'backups'))).toBe(false);
+
+        const foreignKeys = await databaseService.get('PRAGMA foreign_keys');
+        expect(foreignKeys.foreign_keys).toBe(1);
+    });
+
+    test('Legacy database is backed up and adopted with its data intact', async () => {
+        const dbPath = path.join(tempDir, 'legacy.db');
+        await execRaw(dbPath, `
+            CREATE TABLE panels (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL CHECK(length(name) > 0),
+                size INTEGER NOT NULL CHECK(size >= 12 AND size <= 42),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            INSERT INTO panels (name, size) VALUES ('Legacy Panel', 40);
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        const panel = await databaseService.get('SELECT * FROM panels WHERE name = ?', ['Legacy Panel']);
+        expect(panel.size).toBe(40);
+
+        const backups = fs.readdirSync(path.join(tempDir, 'backups'));
+        expect(backups).toHaveLength(1);
+        expect(backups[0]).toMatch(/^legacy-pre-v\d+-.*\.db$/);
+    });
+
+    test('Backups include a copy of the attachments directory', async () => {
+        const dbPath = path.join(tempDir, 'photos.db');
+        await databaseService.initialize(dbPath);
+        fs.mkdirSync(path.join(tempDir, 'attachments'));
+        fs.writeFileSync(path.join(tempDir, 'attachments', 'cover.jpg'), 'photo');
+
+        const backupPath = await databaseService.createBackup('manual');
+
+        expect(fs.existsSync(backupPath)).toBe(true);
+        const copied = path.join(backupPath.replace(/\.db$/, '-attachments'), 'cover.jpg');
+        expect(fs.readFileSync(copied, 'utf8')).toBe('photo');
+    });
+
+    test('Breakers keep their IDs and circuits when the table is rebuilt', async () => {
+        const dbPath = path.join(tempDir, 'rebuild.db');
+        // Build a version 2 database by hand, then let initialize() apply the rest
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 2)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES (1, 'initial-schema'), (2, 'circuit-loads');
+            INSERT INTO panels (name, size) VALUES ('Main', 20);
+            INSERT INTO breakers (id, panel_id, position, breaker_type) VALUES (7, 1, 3, 'double_pole');
+            INSERT INTO circuits (breaker_id, type) VALUES (7, 'heating');
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        const breaker = await databaseService.get('SELECT * FROM breakers WHERE id = 7');
+        expect(breaker.breaker_type).toBe('double_pole');
+        const circuit = await databaseService.get('SELECT * FROM circuits WHERE breaker_id = 7');
+        expect(circuit.type).toBe('heating');
+
+        await databaseService.run('INSERT INTO breakers (panel_id, position, breaker_type) VALUES (1, 5, ?)', ['triple_pole']);
+        const panel = await databaseService.get('SELECT phase_config FROM panels WHERE id = 1');
+        expect(panel.phase_config).toBe('split_phase');
+    });
+
+    test('Panels keep their IDs and references when the size limit is lifted', async () => {
+        const dbPath = path.join(tempDir, 'panels-rebuild.db');
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 5)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES
+                (1, 'initial-schema'), (2, 'circuit-loads'), (3, 'three-phase'), (4, 'protection-devices'), (5, 'circuit-wiring');
+            INSERT INTO panels (id, name, size, main_amperage, phase_config) VALUES (3, 'Main', 40, 200, 'three_phase'), (8, 'Shop', 12, NULL, 'split_phase');
+            INSERT INTO breakers (id, panel_id, position, breaker_type) VALUES (5, 3, 1, 'triple_pole');
+            INSERT INTO circuits (breaker_id, type, subpanel_id) VALUES (5, 'subpanel', 8);
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        const panel = await databaseService.get('SELECT * FROM panels WHERE id = 3');
+        expect(panel).toMatchObject({ name: 'Main', size: 40, main_amperage: 200, phase_config: 'three_phase', numbering_scheme: 'odd_even' });
+        const circuit = await databaseService.get('SELECT * FROM circuits WHERE breaker_id = 5');
+        expect(circuit.subpanel_id).toBe(8);
+        expect(await databaseService.all('PRAGMA foreign_key_check')).toEqual([]);
+
+        await databaseService.run(`INSERT INTO panels (name, size, numbering_scheme, site_id) VALUES ('Switchboard', 84, 'sequential', 1)`);
+        await expect(databaseService.run(`INSERT INTO panels (name, size, site_id) VALUES ('Empty', 0, 1)`)).rejects.toThrow(/CHECK/);
+
+        // Deleting a panel still cascades to its breakers
+        await databaseService.run('DELETE FROM panels WHERE id = 3');
+        expect(await databaseService.get('SELECT * FROM breakers WHERE id = 5')).toBeUndefined();
+    });
+
+    test('Existing rooms map onto the seeded levels', async () => {
+        const dbPath = path.join(tempDir, 'levels.db');
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 6)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES
+                (1, 'initial-schema'), (2, 'circuit-loads'), (3, 'three-phase'), (4, 'protection-devices'),
+                (5, 'circuit-wiring'), (6, 'panel-numbering');
+            INSERT INTO panels (id, name, size) VALUES (1, 'Main', 20);
+            INSERT INTO breakers (id, panel_id, position) VALUES (1, 1, 1);
+            INSERT INTO rooms (id, name, level) VALUES (4, 'Kitchen', 'main'), (9, 'Furnace Room', 'basement');
+            INSERT INTO circuits (breaker_id, room_id) VALUES (1, 9);
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        const rooms = await databaseService.all(`
+            SELECT r.id, r.name, l.name as level_name, l.icon FROM rooms r JOIN levels l ON r.level = l.key ORDER BY r.id
+        `);
+        expect(rooms).toEqual([
+            { id: 4, name: 'Kitchen', level_name: 'Main Level', icon: '🟢' },
+            { id: 9, name: 'Furnace Room', level_name: 'Basement', icon: '🔵' }
+        ]);
+        const circuit = await databaseService.get('SELECT room_id FROM circuits WHERE breaker_id = 1');
+        expect(circuit.room_id).toBe(9);
+        expect(await databaseService.all('PRAGMA foreign_key_check')).toEqual([]);
+
+        await expect(databaseService.run(`INSERT INTO rooms (name, level, site_id) VALUES ('Loft', 'attic', 1)`)).rejects.toThrow(/FOREIGN KEY/);
+    });
+
+    test('Existing circuits map onto the seeded circuit types', async () => {
+        const dbPath = path.join(tempDir, 'circuit-types.db');
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 7)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES
+                (1, 'initial-schema'), (2, 'circuit-loads'), (3, 'three-phase'), (4, 'protection-devices'),
+                (5, 'circuit-wiring'), (6, 'panel-numbering'), (7, 'levels');
+            INSERT INTO panels (id, name, size) VALUES (1, 'Main', 20);
+            INSERT INTO breakers (id, panel_id, position) VALUES (1, 1, 1);
+            INSERT INTO circuits (id, breaker_id, type, notes, load_value, wire_gauge) VALUES (12, 1, 'heating', 'Baseboard', 1500, '12');
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        const circuit = await databaseService.get(`
+            SELECT c.*, t.name as type_name FROM circuits c JOIN circuit_types t ON c.type = t.key WHERE c.id = 12
+        `);
+        expect(circuit).toMatchObject({ type_name: 'Heating', notes: 'Baseboard', load_value: 1500, wire_gauge: '12' });
+        expect(await databaseService.all('PRAGMA foreign_key_check')).toEqual([]);
+
+        await databaseService.run(`INSERT INTO circuits (breaker_id, type) VALUES (1, 'ev_charger')`);
+        await expect(databaseService.run(`INSERT INTO circuits (breaker_id, type) VALUES (1, 'sauna')`)).rejects.toThrow(/FOREIGN KEY/);
+
+        // Deleting a breaker still cascades to its circuits
+        await databaseService.run('DELETE FROM breakers WHERE id = 1');
+        expect(await databaseService.get('SELECT * FROM circuits WHERE id = 12')).toBeUndefined();
+    });
+
+    test('Change history survives the rebuild for undoable operations', async () => {
+        const dbPath = path.join(tempDir, 'operations.db');
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 12)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES
+                (1, 'initial-schema'), (2, 'circuit-loads'), (3, 'three-phase'), (4, 'protection-devices'),
+                (5, 'circuit-wiring'), (6, 'panel-numbering'), (7, 'levels'), (8, 'circuit-types'),
+                (9, 'devices'), (10, 'attachments'), (11, 'tracing-sessions'), (12, 'change-history');
+            INSERT INTO change_history (id, entity_type, entity_id, action, after_values, actor)
+                VALUES (5, 'room', 3, 'create', '{"name":"Den"}', '10.0.0.2');
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        const entry = await databaseService.get('SELECT * FROM change_history WHERE id = 5');
+        expect(entry).toMatchObject({ entity_type: 'room', entity_id: 3, after_values: '{"name":"Den"}', actor: '10.0.0.2', operation_id: null });
+
+        // Device changes can now be logged as part of an operation
+        const operation = await databaseService.run(`INSERT INTO operations (label) VALUES ('Delete device')`);
+        await databaseService.run(
+            `INSERT INTO change_history (entity_type, entity_id, action, operation_id) VALUES ('device', 1, 'delete', ?)`,
+            [operation.id]
+        );
+        await databaseService.run('DELETE FROM operations WHERE id = ?', [operation.id]);
+        const device = await databaseService.get(`SELECT * FROM change_history WHERE entity_type = 'device'`);
+        expect(device.operation_id).toBeNull();
+    });
+
+    test('Existing panels and rooms move to a first site', async () => {
+        const dbPath = path.join(tempDir, 'sites.db');
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 14)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES
+                (1, 'initial-schema'), (2, 'circuit-loads'), (3, 'three-phase'), (4, 'protection-devices'),
+                (5, 'circuit-wiring'), (6, 'panel-numbering'), (7, 'levels'), (8, 'circuit-types'),
+                (9, 'devices'), (10, 'attachments'), (11, 'tracing-sessions'), (12, 'change-history'),
+                (13, 'operations'), (14, 'trash');
+            INSERT INTO panels (id, name, size) VALUES (2, 'Main', 20);
+            INSERT INTO breakers (id, panel_id, position) VALUES (1, 2, 1);
+            INSERT INTO rooms (id, name, level) VALUES (6, 'Kitchen', 'main');
+            INSERT INTO circuits (breaker_id, room_id) VALUES (1, 6);
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        expect(await databaseService.all('SELECT id, name FROM sites')).toEqual([{ id: 1, name: 'Home' }]);
+        expect(await databaseService.get('SELECT site_id FROM panels WHERE id = 2')).toEqual({ site_id: 1 });
+        expect(await databaseService.get('SELECT name, level, site_id FROM rooms WHERE id = 6')).toEqual({ name: 'Kitchen', level: 'main', site_id: 1 });
+        expect(await databaseService.get('SELECT room_id FROM circuits WHERE breaker_id = 1')).toEqual({ room_id: 6 });
+        expect(await databaseService.all('PRAGMA foreign_key_check')).toEqual([]);
+
+        // Room names only need to be unique within a site
+        const site = await databaseService.run(`INSERT INTO sites (name) VALUES ('Rental')`);
+        await databaseService.run(`INSERT INTO rooms (name, level, site_id) VALUES ('Kitchen', 'main', ?)`, [site.id]);
+        await expect(databaseService.run(`INSERT INTO rooms (name, level, site_id) VALUES ('Kitchen', 'main', 1)`)).rejects.toThrow(/UNIQUE/);
+    });
+
+    test('Existing operations take the site of their first change', async () => {
+        const dbPath = path.join(tempDir, 'operation-sites.db');
+        const rawDb = { run: (sql) => execRaw(dbPath, sql) };
+        for (const migration of migrations.filter(m => m.version <= 19)) {
+            await migration.up(rawDb);
+        }
+        await execRaw(dbPath, `
+            CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at DATETIME);
+            INSERT INTO schema_migrations (version, name) VALUES
+                (1, 'initial-schema'), (2, 'circuit-loads'), (3, 'three-phase'), (4, 'protection-devices'),
+                (5, 'circuit-wiring'), (6, 'panel-numbering'), (7, 'levels'), (8, 'circuit-types'),
+                (9, 'devices'), (10, 'attachments'), (11, 'tracing-sessions'), (12, 'change-history'),
+                (13, 'operations'), (14, 'trash'), (15, 'sites'), (16, 'users'),
+                (17, 'api-tokens'), (18, 'panel-templates'), (19, 'panel-models');
+            INSERT INTO sites (id, name) VALUES (2, 'Rental');
+            INSERT INTO operations (id, label) VALUES (1, 'Add room'), (2, 'Edit panel'), (3, 'Save breaker');
+            INSERT INTO change_history (entity_type, entity_id, action, site_id, operation_id) VALUES
+                ('room', 4, 'create', 1, 1), ('panel', 7, 'update', 2, 2), ('room', 5, 'update', 1, 2);
+        `);
+
+        await databaseService.initialize(dbPath);
+
+        expect(await databaseService.all('SELECT id, site_id FROM operations ORDER BY id')).toEqual([
+            { id: 1, site_id: 1 }, { id: 2, site_id: 2 }, { id: 3, site_id: null }
+        ]);
+    });
+
+    test('Already migrated database is left untouched on restart', async () => {
+        const dbPath = path.join(tempDir, 'restart.db');
+        await databaseService.initialize(dbPath);
+        await databaseService.close();
+
+        databaseService = new DatabaseService();
+        await databaseService.initialize(dbPath);
+        const result = await databaseService.runMigrations();
+        expect(result.applied).toEqual([]);
+        expect(fs.existsSync(path.join(tempDir, 'backups'))).toBe(false);
+    });
+
+    test('Failed migration rolls back and is not recorded', async () => {
+        const dbPath = path.join(tempDir, 'failing.db');
+        await databaseService.initialize(dbPath);
+
+        const failing = {
+            version: 9999,
+            name: 'failing',
+            async up(db) {
+                await db.run('CREATE TABLE partial (id INTEGER)');
+                throw new Error('boom');
+            }
+        };
+        const migrationService = new MigrationService(databaseService, [...migrations, failing]);
+
+        await expect(migrationService.migrate()).rejects.toThrow(/Schema migration failed: boom/);
+
+        const table = await databaseService.get('SELECT name FROM sqlite_master WHERE name = ?', ['partial']);
+        expect(table).toBeUndefined();
+        const version = await migrationService.getCurrentVersion();
+        expect(version).toBe(migrations[migrations.length - 1].version);
+    });
+
+    test('Duplicate migration versions are rejected', () => {
+        const duplicate = { version: 1, name: 'duplicate', up: async () => {} };
+        expect(() => new MigrationService(databaseService, [...migrations, duplicate]))
+            .toThrow('Duplicate migration version: 1');
+    });
+});
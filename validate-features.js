@@ -1,102 +1,19 @@
-const sqlite3 = require('sqlite3').verbose();
+const DatabaseService = require('./services/database-service');
 
 // Use the same database path as test-data.js
 const DB_PATH = process.env.DB_PATH || 'test_breaker_panel.db';
-let db;
+const databaseService = new DatabaseService();
 
 console.log(`🔍 Validating application features in: ${DB_PATH}\n`);
 
 function allQuery(query, params = []) {
-    return new Promise((resolve, reject) => {
-        db.all(query, params, (err, rows) => {
-            if (err) reject(err);
-            else resolve(rows);
-        });
-    });
+    return databaseService.all(query, params);
 }
 
-const initializeDatabase = () => {
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            // Enable foreign key constraints
-            db.run('PRAGMA foreign_keys = ON;');
-            
-            // Create tables with proper constraints
-            db.run(`CREATE TABLE IF NOT EXISTS panels (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL CHECK(length(name) > 0),
-                size INTEGER NOT NULL CHECK(size >= 12 AND size <= 42),
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-
-            db.run(`CREATE TABLE IF NOT EXISTS breakers (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                panel_id INTEGER NOT NULL,
-                position INTEGER NOT NULL CHECK(position > 0),
-                slot_position TEXT DEFAULT 'single' CHECK(slot_position IN ('single', 'A', 'B')),
-                label TEXT,
-                amperage INTEGER CHECK(amperage > 0 AND amperage <= 200),
-                critical BOOLEAN DEFAULT 0,
-                monitor BOOLEAN DEFAULT 0,
-                confirmed BOOLEAN DEFAULT 0,
-                breaker_type TEXT DEFAULT 'single' CHECK(breaker_type IN ('single', 'double_pole', 'tandem')),
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (panel_id) REFERENCES panels (id) ON DELETE CASCADE,
-                UNIQUE(panel_id, position, slot_position)
-            )`);
-
-            db.run(`CREATE TABLE IF NOT EXISTS rooms (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL UNIQUE CHECK(length(name) > 0),
-                level TEXT NOT NULL CHECK(level IN ('basement', 'main', 'upper', 'outside')),
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`);
-
-            db.run(`CREATE TABLE IF NOT EXISTS circuits (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                breaker_id INTEGER NOT NULL,
-                room_id INTEGER,
-                type TEXT CHECK(type IN ('outlet', 'lighting', 'heating', 'appliance', 'subpanel')),
-                notes TEXT,
-                subpanel_id INTEGER,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (breaker_id) REFERENCES breakers (id) ON DELETE CASCADE,
-                FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE SET NULL,
-                FOREIGN KEY (subpanel_id) REFERENCES panels (id) ON DELETE SET NULL
-            )`, (err) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            });
-        });
-    });
-};
-
-const connectDB = () => {
-    return new Promise((resolve, reject) => {
-        db = new sqlite3.Database(DB_PATH, async (err) => {
-            if (err) {
-                console.error('Error opening database:', err.message);
-                reject(err);
-            } else {
-                try {
-                    await initializeDatabase();
-                    resolve();
-                } catch (initErr) {
-                    console.error('Error initializing database:', initErr.message);
-                    reject(initErr);
-                }
-            }
-        });
-    });
-};
-
 async function validateFeatures() {
     try {
         // Initialize database connection
-        await connectDB();
+        await databaseService.initialize(DB_PATH);
         // Test 1: Multi-panel support
         console.log('1️⃣ Testing Multi-Panel Support...');
         const panels = await allQuery('SELECT * FROM panels ORDER BY name');
@@ -129,21 +46,16 @@ async function validateFeatures() {
         // Test 4: Circuit types
         console.log('\n4️⃣ Testing Circuit Types...');
         const circuitTypes = await allQuery(`
-            SELECT type, COUNT(*) as count 
-            FROM circuits 
-            WHERE type IS NOT NULL 
-            GROUP BY type 
-            ORDER BY type
+            SELECT c.type, t.icon, COUNT(*) as count 
+            FROM circuits c
+            LEFT JOIN circuit_types t ON c.type = t.key
+            WHERE c.type IS NOT NULL 
+            GROUP BY c.type 
+            ORDER BY c.type
         `);
         console.log('   ✅ Circuit type distribution:');
         circuitTypes.forEach(type => {
-            const emoji = {
-                'outlet': '🔵',
-                'lighting': '🟠', 
-                'heating': '🔴',
-                'appliance': '🟢',
-                'subpanel': '🟣'
-            }[type.type] || '⚫';
+            const emoji = type.icon || '⚫';
             console.log(`      ${emoji} ${type.type}: ${type.count} circuits`);
         });
         
@@ -216,7 +128,7 @@ async function validateFeatures() {
     } catch (error) {
         console.error('❌ Validation error:', error);
     } finally {
-        db.close();
+        await databaseService.close();
     }
 }
 